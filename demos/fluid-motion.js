@@ -1,5 +1,6 @@
 /**
  * Fluid Motion Demo - WebGL Liquid Distortion Effects
+ * Recovers from WebGL context loss, and falls back to a CSS gradient without WebGL
  */
 
 // ============================================
@@ -113,7 +114,7 @@ function setupCanvas(canvas) {
   });
 
   if (!gl) {
-    console.error('WebGL not supported');
+    console.warn('WebGL not supported, showing a CSS gradient instead');
     return null;
   }
 
@@ -129,11 +130,6 @@ class FluidRenderer {
     this.canvas = canvas;
     this.gl = setupCanvas(canvas);
 
-    if (!this.gl) {
-      console.error('Failed to initialize WebGL');
-      return;
-    }
-
     this.params = {
       viscosity: options.viscosity ?? 0.5,
       distortion: options.distortion ?? 0.3,
@@ -147,6 +143,27 @@ class FluidRenderer {
     this.isRunning = false;
     this.animationFrame = null;
 
+    // Without WebGL the canvas shows a CSS animation, started and stopped like the shader
+    this.fallback = !this.gl;
+    if (this.fallback) {
+      canvas.classList.add('fluid-fallback', 'is-paused');
+      this.applyFallbackParams();
+      return;
+    }
+
+    // Setup mouse tracking if enabled
+    if (this.params.mouseTracking) {
+      this.setupMouseTracking();
+    }
+
+    // The browser drops the context on GPU resets; everything on it has to be created again
+    this.contextLost = false;
+    this.resumeOnRestore = false;
+    this.handleContextLost = this.handleContextLost.bind(this);
+    this.handleContextRestored = this.handleContextRestored.bind(this);
+    canvas.addEventListener('webglcontextlost', this.handleContextLost);
+    canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
+
     this.init();
   }
 
@@ -196,14 +213,34 @@ class FluidRenderer {
     gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
     gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
 
-    // Setup mouse tracking if enabled
-    if (this.params.mouseTracking) {
-      this.setupMouseTracking();
-    }
-
     this.resize();
   }
 
+  handleContextLost(event) {
+    // Lets the browser restore the context later
+    event.preventDefault();
+    const wasRunning = this.isRunning;
+    this.stop();
+    this.contextLost = true;
+    this.resumeOnRestore = wasRunning;
+    // Handles from the lost context are dead
+    this.program = null;
+    this.positionBuffer = null;
+  }
+
+  handleContextRestored() {
+    this.contextLost = false;
+    this.init();
+    if (this.resumeOnRestore) this.start();
+    this.resumeOnRestore = false;
+  }
+
+  applyFallbackParams() {
+    // Speed sets the pace of the drift, and the color shift turns the hues
+    this.canvas.style.setProperty('--fluid-speed', Math.max(this.params.speed, 0.1));
+    this.canvas.style.setProperty('--fluid-hue', `${Math.round((this.params.colorShift - 0.5) * 120)}deg`);
+  }
+
   setupMouseTracking() {
     this.canvas.addEventListener('mousemove', (e) => {
       const rect = this.canvas.getBoundingClientRect();
@@ -218,6 +255,8 @@ class FluidRenderer {
   }
 
   resize() {
+    if (!this.gl) return;
+
     const dpr = Math.min(window.devicePixelRatio, 2);
     const rect = this.canvas.getBoundingClientRect();
 
@@ -229,6 +268,7 @@ class FluidRenderer {
 
   updateParams(params) {
     Object.assign(this.params, params);
+    if (this.fallback) this.applyFallbackParams();
   }
 
   render(deltaTime) {
@@ -265,8 +305,18 @@ class FluidRenderer {
 
   start() {
     if (this.isRunning) return;
+    if (this.contextLost) {
+      // Runs once the context is back
+      this.resumeOnRestore = true;
+      return;
+    }
 
     this.isRunning = true;
+    if (this.fallback) {
+      this.canvas.classList.remove('is-paused');
+      return;
+    }
+
     let lastTime = performance.now();
 
     const loop = (currentTime) => {
@@ -284,7 +334,9 @@ class FluidRenderer {
   }
 
   stop() {
+    if (this.contextLost) this.resumeOnRestore = false;
     this.isRunning = false;
+    if (this.fallback) this.canvas.classList.add('is-paused');
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
       this.animationFrame = null;
@@ -294,10 +346,15 @@ class FluidRenderer {
   destroy() {
     this.stop();
 
-    if (this.gl) {
-      this.gl.deleteBuffer(this.positionBuffer);
-      this.gl.deleteProgram(this.program);
+    if (this.fallback) {
+      this.canvas.classList.remove('fluid-fallback', 'is-paused');
+      return;
     }
+
+    this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+    this.gl.deleteBuffer(this.positionBuffer);
+    this.gl.deleteProgram(this.program);
   }
 }
 
@@ -565,16 +622,7 @@ function cleanup() {
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Check WebGL support
-  const testCanvas = document.createElement('canvas');
-  const testGl = testCanvas.getContext('webgl');
-
-  if (!testGl) {
-    console.error('WebGL is not supported in this browser');
-    alert('WebGL ei ole tuettu tässä selaimessa. Demo ei toimi.');
-    return;
-  }
-
+  // Without WebGL each renderer shows its CSS fallback, so the demo still runs
   initHeroCanvas();
   initControls();
   initExamples();
@@ -2,6 +2,8 @@
  * Glassmorphism 2.0 Demo - Interactive Controls
  */
 
+import { themes } from '../js/theme/index.js';
+
 // ============================================
 // STATE MANAGEMENT
 // ============================================
@@ -179,25 +181,19 @@ function setupModal() {
 // ============================================
 
 function setupTheme() {
-  const currentTheme = localStorage.getItem('theme') || 'dark';
-  document.documentElement.setAttribute('data-theme', currentTheme);
-  updateThemeIcon(currentTheme);
+  // Shared with the other pages, which the theme follows here too
+  themes.attach();
+  themes.subscribe(updateThemeIcon);
 
   elements.themeToggle.addEventListener('click', () => {
-    const theme = document.documentElement.getAttribute('data-theme');
-    const newTheme = theme === 'dark' ? 'light' : 'dark';
-
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-    updateThemeIcon(newTheme);
-
-    showNotification(`Switched to ${newTheme} theme`);
+    const theme = themes.cycle();
+    showNotification(`Switched to ${theme.label.toLowerCase()} theme`);
   });
 }
 
 function updateThemeIcon(theme) {
   const icon = elements.themeToggle.querySelector('.theme-icon');
-  icon.textContent = theme === 'dark' ? '☀️' : '🌙';
+  icon.textContent = theme.scheme === 'dark' ? '☀️' : '🌙';
 }
 
 // ============================================
@@ -0,0 +1,494 @@
+/**
+ * Particle Simulation - GPU Compute demo
+ * One step of the particle, boids and fluid simulations, in JavaScript
+ * and as a WGSL compute shader over storage buffers. Both give the same motion.
+ * Without WebGPU the JavaScript step runs in a worker, writing straight into
+ * shared memory when the page is cross-origin isolated and posting copies otherwise.
+ */
+
+export const SIMULATION_MODES = ['particles', 'boids', 'fluid'];
+
+// Shared by both backends
+export const SIMULATION_PARAMS = {
+  gravity: -0.001,
+  bounds: 15,
+  // Velocity kept after bouncing off a wall
+  restitution: 0.8,
+  // Simulated seconds per step at speed 1
+  timeStep: 0.016
+};
+
+const WORKGROUP_SIZE = 64;
+
+// ===============================
+// CPU Step
+// ===============================
+
+/**
+ * Advance particles by one step in place
+ * @param {Float32Array} positions - xyz per particle
+ * @param {Float32Array} velocities - xyz per particle
+ * @param {Object} options
+ * @param {string} options.mode - One of SIMULATION_MODES
+ * @param {number} options.speed - Simulation speed multiplier
+ * @param {number} options.time - Simulated time in seconds, which moves the boids' goal and the fluid flow
+ */
+export function stepParticles(positions, velocities, { mode = 'particles', speed = 1, time = 0 } = {}) {
+  const { gravity, bounds, restitution } = SIMULATION_PARAMS;
+  const goal = flockGoal(time);
+  const flow = [0, 0, 0];
+
+  for (let i = 0; i < positions.length; i += 3) {
+    let vx = velocities[i];
+    let vy = velocities[i + 1];
+    let vz = velocities[i + 2];
+    const px = positions[i];
+    const py = positions[i + 1];
+    const pz = positions[i + 2];
+
+    if (mode === 'boids') {
+      // Cohesion towards the moving goal, and alignment with a swirl around it
+      vx += (goal[0] - px) * 0.0005;
+      vy += (goal[1] - py) * 0.0005;
+      vz += (goal[2] - pz) * 0.0005;
+      const radius = Math.hypot(px - goal[0], pz - goal[2]) || 1;
+      vx += (-(pz - goal[2]) / radius * 0.1 - vx) * 0.02;
+      vz += ((px - goal[0]) / radius * 0.1 - vz) * 0.02;
+      // Neither stalling nor racing
+      const speedNow = Math.hypot(vx, vy, vz);
+      const limited = Math.min(Math.max(speedNow, 0.05), 0.2);
+      if (speedNow > 0) {
+        vx *= limited / speedNow;
+        vy *= limited / speedNow;
+        vz *= limited / speedNow;
+      }
+    } else if (mode === 'fluid') {
+      // Carried along by the flow
+      flowField(px, py, pz, time, flow);
+      vx += (flow[0] * 0.1 - vx) * 0.05;
+      vy += (flow[1] * 0.1 - vy) * 0.05;
+      vz += (flow[2] * 0.1 - vz) * 0.05;
+    } else {
+      vy += gravity * speed;
+    }
+
+    let x = px + vx * speed;
+    let y = py + vy * speed;
+    let z = pz + vz * speed;
+
+    // Bounce off the walls
+    if (Math.abs(x) > bounds) {
+      x = Math.sign(x) * bounds;
+      vx *= -restitution;
+    }
+    if (Math.abs(y) > bounds) {
+      y = Math.sign(y) * bounds;
+      vy *= -restitution;
+    }
+    if (Math.abs(z) > bounds) {
+      z = Math.sign(z) * bounds;
+      vz *= -restitution;
+    }
+
+    positions[i] = x;
+    positions[i + 1] = y;
+    positions[i + 2] = z;
+    velocities[i] = vx;
+    velocities[i + 1] = vy;
+    velocities[i + 2] = vz;
+  }
+}
+
+function flockGoal(time) {
+  return [Math.sin(time * 0.5) * 8, Math.sin(time * 0.3) * 4, Math.cos(time * 0.5) * 8];
+}
+
+function flowField(x, y, z, time, target) {
+  target[0] = Math.sin(y * 0.3 + time);
+  target[1] = Math.sin(z * 0.3 + time * 0.7);
+  target[2] = Math.sin(x * 0.3 + time * 1.3);
+  return target;
+}
+
+// ===============================
+// WGSL Compute Shader
+// ===============================
+
+// Positions and velocities are tightly packed xyz floats, the layout three.js draws from
+export const PARTICLE_SHADER = /* wgsl */ `
+struct Params {
+  count: u32,
+  mode: u32,
+  speed: f32,
+  time: f32,
+  gravity: f32,
+  bounds: f32,
+  restitution: f32,
+}
+
+@group(0) @binding(0) var<storage, read_write> positions: array<f32>;
+@group(0) @binding(1) var<storage, read_write> velocities: array<f32>;
+@group(0) @binding(2) var<uniform> params: Params;
+
+fn flockGoal(t: f32) -> vec3f {
+  return vec3f(sin(t * 0.5) * 8.0, sin(t * 0.3) * 4.0, cos(t * 0.5) * 8.0);
+}
+
+fn flowField(p: vec3f, t: f32) -> vec3f {
+  return vec3f(sin(p.y * 0.3 + t), sin(p.z * 0.3 + t * 0.7), sin(p.x * 0.3 + t * 1.3));
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3u) {
+  let i = id.x;
+  if (i >= params.count) { return; }
+
+  let base = i * 3u;
+  let pos = vec3f(positions[base], positions[base + 1u], positions[base + 2u]);
+  var vel = vec3f(velocities[base], velocities[base + 1u], velocities[base + 2u]);
+
+  switch params.mode {
+    case 1u: {
+      let goal = flockGoal(params.time);
+      vel += (goal - pos) * 0.0005;
+      let offset = pos - goal;
+      var radius = length(offset.xz);
+      if (radius == 0.0) { radius = 1.0; }
+      vel.x += (-offset.z / radius * 0.1 - vel.x) * 0.02;
+      vel.z += (offset.x / radius * 0.1 - vel.z) * 0.02;
+      let speedNow = length(vel);
+      if (speedNow > 0.0) {
+        vel *= clamp(speedNow, 0.05, 0.2) / speedNow;
+      }
+    }
+    case 2u: {
+      vel += (flowField(pos, params.time) * 0.1 - vel) * 0.05;
+    }
+    default: {
+      vel.y += params.gravity * params.speed;
+    }
+  }
+
+  var next = pos + vel * params.speed;
+  for (var axis = 0u; axis < 3u; axis++) {
+    if (abs(next[axis]) > params.bounds) {
+      next[axis] = sign(next[axis]) * params.bounds;
+      vel[axis] *= -params.restitution;
+    }
+  }
+
+  positions[base] = next.x;
+  positions[base + 1u] = next.y;
+  positions[base + 2u] = next.z;
+  velocities[base] = vel.x;
+  velocities[base + 1u] = vel.y;
+  velocities[base + 2u] = vel.z;
+}
+`;
+
+// ===============================
+// GPU Simulation
+// ===============================
+
+/**
+ * Runs stepParticles on the GPU. Positions are copied back into the array three.js
+ * draws from after each step, a frame or two behind, since the demo renders with WebGL.
+ */
+export class GPUParticleSimulation {
+  /**
+   * @param {GPUDevice} device - From requestDevice()
+   */
+  constructor(device) {
+    this.device = device;
+    this.positions = null;
+    this.count = 0;
+    // Milliseconds from submitting the last step until the GPU finished it
+    this.stepTime = 0;
+    this.onReadback = null;
+
+    this.pipeline = device.createComputePipeline({
+      layout: 'auto',
+      compute: { module: device.createShaderModule({ code: PARTICLE_SHADER }), entryPoint: 'main' }
+    });
+    // Seven 4-byte fields, rounded up to 16 bytes
+    this.paramsBuffer = device.createBuffer({ size: 32, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    this.paramsData = new ArrayBuffer(32);
+  }
+
+  /**
+   * Where the simulation runs, for display
+   * @returns {string} Backend description
+   */
+  get label() {
+    return 'WebGPU compute';
+  }
+
+  /**
+   * Upload particles, replacing any previous ones
+   * @param {Float32Array} positions - xyz per particle; updated from the GPU after each step
+   * @param {Float32Array} velocities - xyz per particle; only the GPU keeps them from here on
+   */
+  setParticles(positions, velocities) {
+    this.destroyBuffers();
+    const { device } = this;
+    const storage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+
+    this.positions = positions;
+    this.count = positions.length / 3;
+    this.positionBuffer = device.createBuffer({ size: positions.byteLength, usage: storage });
+    this.velocityBuffer = device.createBuffer({ size: velocities.byteLength, usage: storage });
+    device.queue.writeBuffer(this.positionBuffer, 0, positions);
+    device.queue.writeBuffer(this.velocityBuffer, 0, velocities);
+
+    // Two, so one can be copied into while the other is mapped for reading
+    this.readbackBuffers = [0, 1].map(() => device.createBuffer({
+      size: positions.byteLength,
+      usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+    }));
+    this.busy = new Set();
+
+    this.bindGroup = device.createBindGroup({
+      layout: this.pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: { buffer: this.positionBuffer } },
+        { binding: 1, resource: { buffer: this.velocityBuffer } },
+        { binding: 2, resource: { buffer: this.paramsBuffer } }
+      ]
+    });
+  }
+
+  /**
+   * Dispatch one step, see stepParticles for the options
+   * @param {Object} options - mode, speed and time
+   */
+  step({ mode = 'particles', speed = 1, time = 0 } = {}) {
+    if (!this.count) return;
+    const { device } = this;
+
+    const view = new DataView(this.paramsData);
+    view.setUint32(0, this.count, true);
+    view.setUint32(4, Math.max(SIMULATION_MODES.indexOf(mode), 0), true);
+    view.setFloat32(8, speed, true);
+    view.setFloat32(12, time, true);
+    view.setFloat32(16, SIMULATION_PARAMS.gravity, true);
+    view.setFloat32(20, SIMULATION_PARAMS.bounds, true);
+    view.setFloat32(24, SIMULATION_PARAMS.restitution, true);
+    device.queue.writeBuffer(this.paramsBuffer, 0, this.paramsData);
+
+    const encoder = device.createCommandEncoder();
+    const pass = encoder.beginComputePass();
+    pass.setPipeline(this.pipeline);
+    pass.setBindGroup(0, this.bindGroup);
+    pass.dispatchWorkgroups(Math.ceil(this.count / WORKGROUP_SIZE));
+    pass.end();
+
+    // Skipped while both copies are still being read; the next step catches up
+    const readback = this.readbackBuffers.find(buffer => !this.busy.has(buffer));
+    if (readback) encoder.copyBufferToBuffer(this.positionBuffer, 0, readback, 0, this.positions.byteLength);
+
+    const submitted = performance.now();
+    device.queue.submit([encoder.finish()]);
+    device.queue.onSubmittedWorkDone().then(() => {
+      this.stepTime = performance.now() - submitted;
+    });
+
+    if (readback) this.read(readback, this.positions);
+  }
+
+  read(buffer, target) {
+    this.busy.add(buffer);
+    buffer.mapAsync(GPUMapMode.READ).then(() => {
+      // Particles may have been replaced meanwhile
+      if (target === this.positions) {
+        target.set(new Float32Array(buffer.getMappedRange()));
+        this.onReadback?.();
+      }
+      buffer.unmap();
+      this.busy.delete(buffer);
+    }).catch(() => {
+      // The buffer was destroyed before it could be read
+    });
+  }
+
+  destroyBuffers() {
+    this.positionBuffer?.destroy();
+    this.velocityBuffer?.destroy();
+    this.readbackBuffers?.forEach(buffer => buffer.destroy());
+    this.readbackBuffers = null;
+  }
+
+  destroy() {
+    this.destroyBuffers();
+    this.paramsBuffer.destroy();
+    this.count = 0;
+  }
+}
+
+// ===============================
+// Worker Simulation
+// ===============================
+
+/**
+ * Array for particle positions that a worker can write into directly:
+ * backed by a SharedArrayBuffer when the page is cross-origin isolated
+ * @param {number} length - Number of floats
+ * @returns {Float32Array} Shared or ordinary array
+ */
+export function createParticleArray(length) {
+  const shared = globalThis.crossOriginIsolated === true && typeof SharedArrayBuffer !== 'undefined';
+  return shared
+    ? new Float32Array(new SharedArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT))
+    : new Float32Array(length);
+}
+
+function isShared(array) {
+  return typeof SharedArrayBuffer !== 'undefined' && array.buffer instanceof SharedArrayBuffer;
+}
+
+/**
+ * Message handler shared by the simulation worker and its main-thread fallback
+ * @param {Function} post - Sends {type: 'stepped', generation, stepTime, positions} back;
+ *   positions is a copy, or null when they are shared with the page
+ * @returns {Function} Handles {type: 'start' | 'step'} messages
+ */
+export function createParticleHost(post) {
+  let positions = null;
+  let velocities = null;
+
+  return function handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        ({ positions, velocities } = message);
+        break;
+
+      case 'step': {
+        if (!positions) return;
+        const start = performance.now();
+        stepParticles(positions, velocities, message.options);
+        post({
+          type: 'stepped',
+          generation: message.generation,
+          stepTime: performance.now() - start,
+          // A copy, so the buffer can be transferred without detaching the simulation's own
+          positions: isShared(positions) ? null : positions.slice()
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown simulation message "${message.type}".`);
+    }
+  };
+}
+
+/**
+ * Runs stepParticles off the main thread, with the same interface as GPUParticleSimulation.
+ * One step is in flight at a time; frames that come sooner draw the previous positions.
+ */
+export class CPUParticleSimulation {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.useWorker - Run off the main thread; defaults to whether Worker exists
+   */
+  constructor({ useWorker = typeof Worker !== 'undefined' } = {}) {
+    this.useWorker = useWorker;
+    this.worker = null;
+    this.host = null;
+    this.positions = null;
+    this.count = 0;
+    this.stepTime = 0;
+    this.onReadback = null;
+    // Results from before the particles were last replaced are dropped
+    this.generation = 0;
+    this.pending = false;
+    this.lastStart = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+  }
+
+  /**
+   * Where the simulation runs, for display
+   * @returns {string} Backend description
+   */
+  get label() {
+    if (!this.useWorker) return 'CPU (main thread)';
+    return this.positions && isShared(this.positions) ? 'CPU worker (shared memory)' : 'CPU worker (copied buffers)';
+  }
+
+  /**
+   * Hand particles to the simulation, replacing any previous ones
+   * @param {Float32Array} positions - xyz per particle, updated after each step; from
+   *   createParticleArray, so a worker can share rather than copy it where possible
+   * @param {Float32Array} velocities - xyz per particle; only the simulation keeps them from here on
+   */
+  setParticles(positions, velocities) {
+    this.generation++;
+    this.pending = false;
+    this.positions = positions;
+    this.count = positions.length / 3;
+    this.lastStart = {
+      type: 'start',
+      positions: isShared(positions) ? positions : positions.slice(),
+      velocities: velocities.slice()
+    };
+    this.post(this.lastStart);
+  }
+
+  /**
+   * Ask for one step, see stepParticles for the options; skipped while the last one is running
+   * @param {Object} options - mode, speed and time
+   */
+  step(options = {}) {
+    if (!this.count || this.pending) return;
+    this.pending = true;
+    this.post({ type: 'step', options, generation: this.generation });
+  }
+
+  post(message) {
+    if (this.useWorker) {
+      if (!this.worker) {
+        this.worker = new Worker(new URL('./particle-simulation.worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', this.handleMessage);
+        this.worker.addEventListener('error', this.handleWorkerError);
+      }
+      this.worker.postMessage(message);
+    } else {
+      this.host ??= createParticleHost(data => this.handleMessage({ data }));
+      this.host(message);
+    }
+  }
+
+  handleMessage({ data }) {
+    if (data.generation !== this.generation) return;
+    this.pending = false;
+    this.stepTime = data.stepTime;
+    // Shared positions are already in place
+    if (data.positions) this.positions.set(data.positions);
+    this.onReadback?.();
+  }
+
+  handleWorkerError(event) {
+    // A worker that fails to load (e.g. blocked by policy) falls back to the main thread
+    event.preventDefault?.();
+    console.warn('Particle worker failed, simulating on the main thread:', event.message);
+    this.terminateWorker();
+    this.useWorker = false;
+    this.pending = false;
+    if (this.lastStart) this.post(this.lastStart);
+  }
+
+  terminateWorker() {
+    if (!this.worker) return;
+    this.worker.removeEventListener('message', this.handleMessage);
+    this.worker.removeEventListener('error', this.handleWorkerError);
+    this.worker.terminate();
+    this.worker = null;
+  }
+
+  destroy() {
+    this.terminateWorker();
+    this.host = null;
+    this.lastStart = null;
+    this.count = 0;
+  }
+}
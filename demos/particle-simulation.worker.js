@@ -0,0 +1,12 @@
+/**
+ * Particle simulation worker
+ * Steps the CPU particle simulation off the main thread; see CPUParticleSimulation
+ */
+
+import { createParticleHost } from './particle-simulation.js';
+
+const handleMessage = createParticleHost((message) => {
+  self.postMessage(message, message.positions ? [message.positions.buffer] : []);
+});
+
+self.addEventListener('message', (event) => handleMessage(event.data));
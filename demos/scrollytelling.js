@@ -5,9 +5,15 @@
 import gsap from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import * as echarts from 'echarts';
+import { themes, resolvePalette, paletteOption } from '../js/theme/index.js';
 
 gsap.registerPlugin(ScrollTrigger);
 
+// Series colors and patterns as picked on the main page; this page is always dark
+function seriesColors() {
+  return paletteOption(resolvePalette(themes.paletteName ?? 'default', 'dark'), themes.patterns);
+}
+
 // ============================================
 // HERO ANIMATIONS
 // ============================================
@@ -256,6 +262,7 @@ function initPieChart() {
   const chart = echarts.init(chartDom);
 
   const option = {
+    ...seriesColors(),
     backgroundColor: 'transparent',
     tooltip: {
       trigger: 'item',
@@ -294,9 +301,9 @@ function initPieChart() {
         show: false
       },
       data: [
-        { value: 900, name: 'Enterprise', itemStyle: { color: '#6366f1' } },
-        { value: 600, name: 'SMB', itemStyle: { color: '#8b5cf6' } },
-        { value: 500, name: 'Individual', itemStyle: { color: '#06b6d4' } }
+        { value: 900, name: 'Enterprise' },
+        { value: 600, name: 'SMB' },
+        { value: 500, name: 'Individual' }
       ]
     }]
   };
@@ -332,6 +339,7 @@ function initPerformanceChart() {
   const chart = echarts.init(chartDom);
 
   const option = {
+    ...seriesColors(),
     backgroundColor: 'transparent',
     tooltip: {
       trigger: 'axis',
@@ -361,23 +369,12 @@ function initPerformanceChart() {
       {
         name: '2024',
         type: 'bar',
-        data: [800, 200, 1200, 400],
-        itemStyle: { color: '#9fa8da' }
+        data: [800, 200, 1200, 400]
       },
       {
         name: '2025',
         type: 'bar',
-        data: [400, 100, 600, 200],
-        itemStyle: {
-          color: {
-            type: 'linear',
-            x: 0, y: 0, x2: 0, y2: 1,
-            colorStops: [
-              { offset: 0, color: '#6366f1' },
-              { offset: 1, color: '#06b6d4' }
-            ]
-          }
-        }
+        data: [400, 100, 600, 200]
       }
     ]
   };
@@ -9,10 +9,20 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import {
+  CPUParticleSimulation,
+  GPUParticleSimulation,
+  SIMULATION_PARAMS,
+  createParticleArray
+} from './particle-simulation.js';
+import { themes } from '../js/theme/index.js';
 
 // ===============================
 // WebGPU Support Detection
 // ===============================
+// Device from checkWebGPUSupport, used by the compute demo; null without WebGPU
+let gpuDevice = null;
+
 async function checkWebGPUSupport() {
   const statusEl = document.getElementById('webgpu-status');
   const statusText = statusEl.querySelector('.status-text');
@@ -52,16 +62,111 @@ async function checkWebGPUSupport() {
   }
 }
 
+// ===============================
+// WebGL Availability and Context Loss
+// ===============================
+function isWebGLAvailable() {
+  try {
+    const canvas = document.createElement('canvas');
+    return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Show a notice over a demo canvas, replacing any previous one
+ * @param {HTMLElement} host - Canvas wrapper to cover
+ * @param {string} text - Notice text
+ */
+function showCanvasMessage(host, text) {
+  let message = host.querySelector('.canvas-message');
+  if (!message) {
+    message = document.createElement('div');
+    message.className = 'canvas-message';
+    message.setAttribute('role', 'status');
+    host.appendChild(message);
+  }
+  message.textContent = text;
+}
+
+function hideCanvasMessage(host) {
+  host.querySelector('.canvas-message')?.remove();
+}
+
+/**
+ * Run a demo's frame callback every animation frame, pausing while the WebGL
+ * context is lost. three.js re-creates its programs, buffers and render targets
+ * once the context is restored, so the loop only has to stop drawing meanwhile.
+ * @param {THREE.WebGLRenderer} renderer - Renderer of the demo
+ * @param {HTMLElement|null} host - Where to say the demo is paused; null to pause quietly
+ * @param {Function} frame - Updates and renders one frame
+ * @returns {{pause: Function, resume: Function}} Stop and restart the loop, e.g. while the demo is off screen
+ */
+function startRenderLoop(renderer, host, frame) {
+  const canvas = renderer.domElement;
+  let frameId = null;
+  let paused = false;
+  let contextLost = false;
+
+  const loop = () => {
+    frameId = requestAnimationFrame(loop);
+    frame();
+  };
+
+  const stop = () => {
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+
+  canvas.addEventListener('webglcontextlost', (event) => {
+    // Without preventDefault the browser never restores the context
+    event.preventDefault();
+    contextLost = true;
+    stop();
+    if (host) showCanvasMessage(host, 'The graphics card was reset. Restoring…');
+  });
+
+  canvas.addEventListener('webglcontextrestored', () => {
+    contextLost = false;
+    if (host) hideCanvasMessage(host);
+    if (!paused && frameId === null) loop();
+  });
+
+  loop();
+
+  return {
+    pause() {
+      paused = true;
+      stop();
+    },
+    resume() {
+      paused = false;
+      if (!contextLost && frameId === null) loop();
+    }
+  };
+}
+
 // ===============================
 // Theme Toggle
 // ===============================
 function initThemeToggle() {
   const toggle = document.getElementById('theme-toggle');
   const icon = toggle.querySelector('.theme-icon');
-  
-  toggle.addEventListener('click', () => {
-    document.body.classList.toggle('light-theme');
-    icon.textContent = document.body.classList.contains('light-theme') ? '☀️' : '🌙';
+
+  // Shared with the other pages, which the theme follows here too
+  themes.attach();
+  themes.subscribe(theme => {
+    icon.textContent = theme.scheme === 'light' ? '☀️' : '🌙';
+  });
+  toggle.addEventListener('click', () => themes.cycle());
+}
+
+// Keep a scene's background the page's, which the stylesheet sets per theme
+function followPageBackground(scene) {
+  themes.subscribe(() => {
+    const color = getComputedStyle(document.body).getPropertyValue('--color-bg').trim();
+    scene.background = new THREE.Color(color || 0x0a0a0f);
   });
 }
 
@@ -112,6 +217,13 @@ const initializedDemos = new Set();
 
 function initDemoByTab(tabId) {
   if (initializedDemos.has(tabId)) return;
+
+  if (!isWebGLAvailable()) {
+    const wrapper = document.getElementById(`${tabId}-canvas`)?.parentElement;
+    if (wrapper) showCanvasMessage(wrapper, 'This demo needs WebGL, which is not available in this browser.');
+    initializedDemos.add(tabId);
+    return;
+  }
   
   switch (tabId) {
     case 'particles':
@@ -210,7 +322,6 @@ function initHeroBackground() {
   // Animation
   let time = 0;
   function animate() {
-    requestAnimationFrame(animate);
     time += 0.001;
     
     particles.rotation.y = time * 0.2;
@@ -220,7 +331,8 @@ function initHeroBackground() {
     renderer.render(scene, camera);
   }
   
-  animate();
+  // Decorative, so it pauses quietly while the context is lost
+  startRenderLoop(renderer, null, animate);
   
   // Resize handler
   window.addEventListener('resize', () => {
@@ -241,7 +353,7 @@ function initParticlesDemo() {
   
   const container = canvas.parentElement;
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x0a0a0f);
+  followPageBackground(scene);
   
   const camera = new THREE.PerspectiveCamera(75, container.clientWidth / container.clientHeight, 0.1, 1000);
   camera.position.z = 20;
@@ -365,7 +477,6 @@ function initParticlesDemo() {
   let fps = 0;
   
   function animate() {
-    requestAnimationFrame(animate);
     
     // FPS counter
     frameCount++;
@@ -403,7 +514,7 @@ function initParticlesDemo() {
     renderer.render(scene, camera);
   }
   
-  animate();
+  startRenderLoop(renderer, container, animate);
   
   // Resize handler
   const resizeObserver = new ResizeObserver(() => {
@@ -425,7 +536,7 @@ function initMaterialsDemo() {
   
   const container = canvas.parentElement;
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x0a0a0f);
+  followPageBackground(scene);
   
   const camera = new THREE.PerspectiveCamera(50, container.clientWidth / container.clientHeight, 0.1, 100);
   camera.position.set(0, 0, 5);
@@ -553,7 +664,6 @@ function initMaterialsDemo() {
   let frameCount = 0;
   
   function animate() {
-    requestAnimationFrame(animate);
     
     // FPS counter
     frameCount++;
@@ -570,7 +680,7 @@ function initMaterialsDemo() {
     renderer.render(scene, camera);
   }
   
-  animate();
+  startRenderLoop(renderer, container, animate);
   
   // Resize
   const resizeObserver = new ResizeObserver(() => {
@@ -590,7 +700,7 @@ function initPostFXDemo() {
   
   const container = canvas.parentElement;
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x0a0a0f);
+  followPageBackground(scene);
   
   const camera = new THREE.PerspectiveCamera(50, container.clientWidth / container.clientHeight, 0.1, 100);
   camera.position.set(0, 2, 8);
@@ -762,7 +872,6 @@ function initPostFXDemo() {
   let time = 0;
   
   function animate() {
-    requestAnimationFrame(animate);
     time += 0.01;
     
     // FPS counter
@@ -790,7 +899,7 @@ function initPostFXDemo() {
     composer.render();
   }
   
-  animate();
+  startRenderLoop(renderer, container, animate);
   
   // Resize
   const resizeObserver = new ResizeObserver(() => {
@@ -811,7 +920,7 @@ function initComputeDemo() {
   
   const container = canvas.parentElement;
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x0a0a0f);
+  followPageBackground(scene);
   
   const camera = new THREE.PerspectiveCamera(60, container.clientWidth / container.clientHeight, 0.1, 1000);
   camera.position.set(0, 10, 30);
@@ -823,17 +932,23 @@ function initComputeDemo() {
   const controls = new OrbitControls(camera, canvas);
   controls.enableDamping = true;
   
-  // GPU Compute simulation (simplified CPU version as fallback)
+  // Simulated on the GPU with a WGSL compute shader when WebGPU is available,
+  // otherwise by the same step in JavaScript on a worker
   let particleCount = 100000;
   let simSpeed = 1;
   let simType = 'particles';
+  let simTime = 0;
+  let simulation = gpuDevice ? new GPUParticleSimulation(gpuDevice) : new CPUParticleSimulation();
+  let velocities = null;
   
   const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(particleCount * 3);
-  const velocities = new Float32Array(particleCount * 3);
-  const colors = new Float32Array(particleCount * 3);
   
-  function initParticles() {
+  function resetParticles() {
+    // Shared with the worker when the page is cross-origin isolated
+    const positions = createParticleArray(particleCount * 3);
+    const colors = new Float32Array(particleCount * 3);
+    velocities = new Float32Array(particleCount * 3);
+    
     for (let i = 0; i < particleCount * 3; i += 3) {
       positions[i] = (Math.random() - 0.5) * 30;
       positions[i + 1] = (Math.random() - 0.5) * 30;
@@ -850,12 +965,16 @@ function initComputeDemo() {
       colors[i + 2] = color.b;
     }
     
+    // Frees the old attributes on the GPU; the next render uploads the new ones
+    geometry.dispose();
     geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
     geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geometry.userData.velocities = velocities;
+    simulation.setParticles(positions, velocities);
+    
+    document.getElementById('compute-info').textContent = `Particles: ${particleCount.toLocaleString()}`;
   }
   
-  initParticles();
+  resetParticles();
   
   const material = new THREE.PointsMaterial({
     size: 0.08,
@@ -868,44 +987,29 @@ function initComputeDemo() {
   const particles = new THREE.Points(geometry, material);
   scene.add(particles);
   
-  // Update counter
-  document.getElementById('compute-info').textContent = `Particles: ${particleCount.toLocaleString()}`;
+  const onReadback = () => {
+    geometry.attributes.position.needsUpdate = true;
+  };
+  simulation.onReadback = onReadback;
+  
+  if (gpuDevice) {
+    // A lost device leaves the last positions read back; the CPU carries on from there,
+    // with the velocities it had before handing over
+    gpuDevice.lost.then((info) => {
+      console.warn('WebGPU device lost, simulating on the CPU:', info.message);
+      simulation.destroy();
+      simulation = new CPUParticleSimulation();
+      simulation.onReadback = onReadback;
+      simulation.setParticles(geometry.attributes.position.array, velocities);
+      gpuDevice = null;
+    });
+  }
   
   // Controls
   document.getElementById('compute-count').addEventListener('input', (e) => {
     particleCount = parseInt(e.target.value);
     document.getElementById('compute-count-value').textContent = particleCount.toLocaleString();
-    document.getElementById('compute-info').textContent = `Particles: ${particleCount.toLocaleString()}`;
-    
-    // Recreate particle system
-    scene.remove(particles);
-    geometry.dispose();
-    
-    const newPositions = new Float32Array(particleCount * 3);
-    const newVelocities = new Float32Array(particleCount * 3);
-    const newColors = new Float32Array(particleCount * 3);
-    
-    for (let i = 0; i < particleCount * 3; i += 3) {
-      newPositions[i] = (Math.random() - 0.5) * 30;
-      newPositions[i + 1] = (Math.random() - 0.5) * 30;
-      newPositions[i + 2] = (Math.random() - 0.5) * 30;
-      
-      newVelocities[i] = (Math.random() - 0.5) * 0.1;
-      newVelocities[i + 1] = (Math.random() - 0.5) * 0.1;
-      newVelocities[i + 2] = (Math.random() - 0.5) * 0.1;
-      
-      const hue = Math.random();
-      const color = new THREE.Color().setHSL(hue, 0.8, 0.5);
-      newColors[i] = color.r;
-      newColors[i + 1] = color.g;
-      newColors[i + 2] = color.b;
-    }
-    
-    geometry.setAttribute('position', new THREE.BufferAttribute(newPositions, 3));
-    geometry.setAttribute('color', new THREE.BufferAttribute(newColors, 3));
-    geometry.userData.velocities = newVelocities;
-    
-    scene.add(new THREE.Points(geometry, material));
+    resetParticles();
   });
   
   document.getElementById('sim-speed').addEventListener('input', (e) => {
@@ -918,63 +1022,49 @@ function initComputeDemo() {
   });
   
   // Animation
+  const backendInfo = document.getElementById('compute-backend');
   let lastTime = performance.now();
   let frameCount = 0;
+  let stepTotal = 0;
   
   function animate() {
-    requestAnimationFrame(animate);
     
-    // FPS counter
+    controls.update();
+    renderer.render(scene, camera);
+    
+    // Stepped after rendering, so a worker writing into shared positions never
+    // does so while they are being uploaded
+    simulation.step({ mode: simType, speed: simSpeed, time: simTime });
+    simTime += SIMULATION_PARAMS.timeStep * simSpeed;
+    stepTotal += simulation.stepTime;
+    
+    // FPS counter and simulation time, averaged over a second
     frameCount++;
     const currentTime = performance.now();
     if (currentTime - lastTime >= 1000) {
       document.getElementById('compute-fps').textContent = `${frameCount} FPS`;
+      backendInfo.textContent = `${simulation.label} · ${(stepTotal / frameCount).toFixed(2)} ms/step`;
+      backendInfo.classList.toggle('gpu', simulation instanceof GPUParticleSimulation);
       frameCount = 0;
+      stepTotal = 0;
       lastTime = currentTime;
     }
-    
-    controls.update();
-    
-    // Simple physics simulation
-    const pos = geometry.attributes.position.array;
-    const vel = geometry.userData.velocities;
-    const gravity = simType === 'particles' ? -0.001 : 0;
-    const bounds = 15;
-    
-    for (let i = 0; i < pos.length; i += 3) {
-      // Apply gravity
-      vel[i + 1] += gravity * simSpeed;
-      
-      // Update positions
-      pos[i] += vel[i] * simSpeed;
-      pos[i + 1] += vel[i + 1] * simSpeed;
-      pos[i + 2] += vel[i + 2] * simSpeed;
-      
-      // Bounce off bounds
-      if (Math.abs(pos[i]) > bounds) {
-        pos[i] = Math.sign(pos[i]) * bounds;
-        vel[i] *= -0.8;
-      }
-      if (pos[i + 1] < -bounds) {
-        pos[i + 1] = -bounds;
-        vel[i + 1] *= -0.8;
-      }
-      if (pos[i + 1] > bounds) {
-        pos[i + 1] = bounds;
-        vel[i + 1] *= -0.8;
-      }
-      if (Math.abs(pos[i + 2]) > bounds) {
-        pos[i + 2] = Math.sign(pos[i + 2]) * bounds;
-        vel[i + 2] *= -0.8;
-      }
-    }
-    
-    geometry.attributes.position.needsUpdate = true;
-    
-    renderer.render(scene, camera);
   }
   
-  animate();
+  const renderLoop = startRenderLoop(renderer, container, animate);
+  
+  // Neither render nor simulate while the tab is hidden or scrolled away
+  const visibilityObserver = new IntersectionObserver(([entry]) => {
+    if (entry.isIntersecting) {
+      frameCount = 0;
+      stepTotal = 0;
+      lastTime = performance.now();
+      renderLoop.resume();
+    } else {
+      renderLoop.pause();
+    }
+  });
+  visibilityObserver.observe(container);
   
   // Resize
   const resizeObserver = new ResizeObserver(() => {
@@ -990,17 +1080,24 @@ function initComputeDemo() {
 // ===============================
 async function init() {
   // Check WebGPU support
-  await checkWebGPUSupport();
+  const webgpu = await checkWebGPUSupport();
+  gpuDevice = webgpu.device ?? null;
   
   // Init UI
   initThemeToggle();
   initTabs();
   
-  // Init hero background
-  initHeroBackground();
-  
+  // Without WebGL the hero keeps its plain background and each demo explains why it is empty
+  if (!isWebGLAvailable()) {
+    if (!webgpu.supported) {
+      document.querySelector('#webgpu-status .status-text').textContent = 'Neither WebGPU nor WebGL is available - 3D demos are off';
+    }
+  } else {
+    initHeroBackground();
+  }
+
   // Init first demo tab
-  initParticlesDemo();
+  initDemoByTab('particles');
 }
 
 // Start when DOM is ready
@@ -0,0 +1,58 @@
+/**
+ * Speech narrator
+ * Speaks text with the SpeechSynthesis API; a new message interrupts the
+ * previous one so summaries never queue up behind each other
+ */
+
+export class SpeechNarrator {
+  /**
+   * @param {Object} options
+   * @param {string} options.lang - BCP 47 tag used to pick a voice
+   * @param {number} options.rate - Speaking rate (0.1 - 10)
+   * @param {SpeechSynthesis} options.synth - Synthesis implementation (defaults to window.speechSynthesis)
+   */
+  constructor({ lang = 'en-US', rate = 1, synth = globalThis.speechSynthesis } = {}) {
+    this.lang = lang;
+    this.rate = rate;
+    this.synth = synth;
+    this.speaking = false;
+    // The utterance being spoken; a cancelled one still ends, later, and must not clear the flag
+    this.current = null;
+  }
+
+  get supported() {
+    return !!this.synth && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Speak text, cancelling anything still being spoken
+   * @param {string} text - Text to speak
+   * @returns {boolean} Whether speech was started
+   */
+  speak(text) {
+    if (!this.supported || !text) return false;
+
+    this.synth.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = this.lang;
+    utterance.rate = this.rate;
+    utterance.onstart = () => { this.speaking = true; };
+    utterance.onend = utterance.onerror = () => {
+      if (this.current !== utterance) return;
+      this.current = null;
+      this.speaking = false;
+    };
+
+    this.current = utterance;
+    this.speaking = true;
+    this.synth.speak(utterance);
+    return true;
+  }
+
+  stop() {
+    if (!this.supported) return;
+    this.synth.cancel();
+    this.current = null;
+    this.speaking = false;
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * Chart summaries
+ * Builds natural-language descriptions (trend, min/max, largest share,
+ * outliers) from chart data, shared by speech output and screen readers
+ */
+
+import { extent, formatNumber } from '../utils.js';
+
+// Relative change below this is reported as "roughly flat"
+const FLAT_THRESHOLD = 0.05;
+// Modified z-score above which a value counts as an outlier
+const OUTLIER_THRESHOLD = 3.5;
+
+/**
+ * Indices of values that stand out from the rest (median absolute deviation)
+ * @param {number[]} values - Data values
+ * @returns {number[]} Outlier indices
+ */
+export function findOutliers(values) {
+  if (values.length < 4) return [];
+
+  const median = medianOf(values);
+  const mad = medianOf(values.map(value => Math.abs(value - median)));
+  if (mad === 0) return [];
+
+  return values.reduce((indices, value, index) => {
+    if (Math.abs(0.6745 * (value - median) / mad) > OUTLIER_THRESHOLD) {
+      indices.push(index);
+    }
+    return indices;
+  }, []);
+}
+
+/**
+ * Describe how a series develops from its first to its last value
+ * @param {string} name - Series name
+ * @param {string[]} labels - Category labels
+ * @param {number[]} values - Series values
+ * @returns {string} Trend sentence
+ */
+export function describeTrend(name, labels, values) {
+  const first = values[0];
+  const last = values[values.length - 1];
+  const change = first === 0 ? 0 : (last - first) / Math.abs(first);
+  const range = `from ${formatNumber(first)} in ${labels[0]} to ${formatNumber(last)} in ${labels[values.length - 1]}`;
+
+  if (Math.abs(change) < FLAT_THRESHOLD) {
+    return `${name} stays roughly flat, ${range}.`;
+  }
+  const percent = formatNumber(Math.abs(change) * 100, { maximumFractionDigits: 0 });
+  return `${name} ${change > 0 ? 'rises' : 'falls'} ${range}, ${change > 0 ? 'up' : 'down'} ${percent}%.`;
+}
+
+/**
+ * Summarize one or more series over shared category labels
+ * @param {string} title - Chart title
+ * @param {string[]} labels - Category labels (e.g. months)
+ * @param {{name: string, values: number[]}[]} series - Series to describe
+ * @returns {string} Summary text
+ */
+export function summarizeSeries(title, labels, series) {
+  const sentences = [];
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${series.length} series over ${labels.length} periods.`);
+
+  series.forEach(({ name, values }) => sentences.push(describeTrend(name, labels, values)));
+
+  const points = series.flatMap(({ name, values }) =>
+    values.map((value, index) => ({ name, label: labels[index], value }))
+  );
+  const max = points.reduce((a, b) => (b.value > a.value ? b : a));
+  const min = points.reduce((a, b) => (b.value < a.value ? b : a));
+  const who = (point) => (series.length > 1 ? `${point.name} in ${point.label}` : point.label);
+  sentences.push(`Highest value is ${formatNumber(max.value)} for ${who(max)}; lowest is ${formatNumber(min.value)} for ${who(min)}.`);
+
+  if (series.length > 1) {
+    sentences.push(describeLargestShare(series.map(({ name, values }) => ({
+      name,
+      value: values.reduce((sum, value) => sum + value, 0)
+    })), 'of the total'));
+  }
+
+  series.forEach(({ name, values }) => {
+    const outliers = findOutliers(values);
+    if (outliers.length) {
+      const list = outliers.map(index => `${labels[index]} (${formatNumber(values[index])})`).join(', ');
+      sentences.push(`${name} has unusual values in ${list}.`);
+    }
+  });
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize single-value categories, e.g. a bar chart
+ * @param {string} title - Chart title
+ * @param {string[]} labels - Category labels
+ * @param {number[]} values - Category values
+ * @returns {string} Summary text
+ */
+export function summarizeCategories(title, labels, values) {
+  const items = labels.map((name, index) => ({ name, value: values[index] }));
+  const sorted = [...items].sort((a, b) => b.value - a.value);
+  const sentences = [];
+
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${items.length} categories.`);
+  sentences.push(`${sorted[0].name} is highest at ${formatNumber(sorted[0].value)}; ${sorted[sorted.length - 1].name} is lowest at ${formatNumber(sorted[sorted.length - 1].value)}.`);
+  sentences.push(describeLargestShare(items, 'of the total'));
+
+  const outliers = findOutliers(values);
+  if (outliers.length) {
+    sentences.push(`Unusual values: ${outliers.map(index => `${labels[index]} (${formatNumber(values[index])})`).join(', ')}.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize parts of a whole, e.g. a pie chart
+ * @param {string} title - Chart title
+ * @param {{name: string, value: number}[]} items - Slices
+ * @returns {string} Summary text
+ */
+export function summarizeShares(title, items) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const sorted = [...items].sort((a, b) => b.value - a.value);
+  const smallest = sorted[sorted.length - 1];
+  const sentences = [];
+
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${items.length} slices.`);
+  sentences.push(describeLargestShare(items, ''));
+  if (sorted.length > 1) {
+    sentences.push(`The smallest is ${smallest.name} with ${percentOf(smallest.value, total)}%.`);
+  }
+  if (sorted.length > 2) {
+    const topTwo = percentOf(sorted[0].value + sorted[1].value, total);
+    sentences.push(`Together, ${sorted[0].name} and ${sorted[1].name} make up ${topTwo}%.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize a point cloud: correlation between x and y plus outliers
+ * @param {string} title - Chart title
+ * @param {number[][]} points - [x, y, z?] points
+ * @returns {string} Summary text
+ */
+export function summarizePoints(title, points) {
+  const sentences = [];
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${points.length} points.`);
+  if (points.length < 2) return sentences.join(' ');
+
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  const r = correlation(xs, ys);
+  const strength = Math.abs(r) > 0.7 ? 'strong' : Math.abs(r) > 0.3 ? 'moderate' : 'weak';
+  const direction = Math.abs(r) <= 0.3 ? '' : r > 0 ? 'positive ' : 'negative ';
+  sentences.push(`There is a ${strength} ${direction}correlation between x and y (r = ${formatNumber(r, { maximumFractionDigits: 2 })}).`);
+  const [yMin, yMax] = extent(ys);
+  sentences.push(`Y ranges from ${formatNumber(yMin)} to ${formatNumber(yMax)}.`);
+
+  const outliers = findOutliers(ys);
+  if (outliers.length) {
+    sentences.push(`${outliers.length} ${plural(outliers.length, 'point stands', 'points stand')} out from the rest.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize a height field sampled on a grid
+ * @param {string} title - Chart title
+ * @param {{x: number, z: number, y: number}[]} samples - Surface samples
+ * @returns {string} Summary text
+ */
+export function summarizeSurface(title, samples) {
+  const peak = samples.reduce((a, b) => (b.y > a.y ? b : a));
+  const valley = samples.reduce((a, b) => (b.y < a.y ? b : a));
+  const at = ({ x, z }) => `x ${formatNumber(x, { maximumFractionDigits: 1 })}, z ${formatNumber(z, { maximumFractionDigits: 1 })}`;
+  const sentences = [];
+
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`Surface height ranges from ${formatNumber(valley.y, { maximumFractionDigits: 2 })} to ${formatNumber(peak.y, { maximumFractionDigits: 2 })}.`);
+  sentences.push(`The highest peak is at ${at(peak)}; the deepest valley is at ${at(valley)}.`);
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize a graph: size, density and the most connected node
+ * @param {string} title - Chart title
+ * @param {Object[]} nodes - Nodes with id and optional label
+ * @param {{source: *, target: *}[]} edges - Edges between node ids
+ * @returns {string} Summary text
+ */
+export function summarizeNetwork(title, nodes, edges) {
+  const degree = new Map(nodes.map(node => [node.id, 0]));
+  edges.forEach(({ source, target }) => {
+    degree.set(source, (degree.get(source) || 0) + 1);
+    degree.set(target, (degree.get(target) || 0) + 1);
+  });
+  const sentences = [];
+
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${nodes.length} nodes connected by ${edges.length} ${plural(edges.length, 'edge', 'edges')}.`);
+  if (nodes.length) {
+    const hub = nodes.reduce((a, b) => (degree.get(b.id) > degree.get(a.id) ? b : a));
+    const isolated = nodes.filter(node => degree.get(node.id) === 0).length;
+    sentences.push(`${hub.label ?? hub.id} is the most connected, with ${degree.get(hub.id)} ${plural(degree.get(hub.id), 'link', 'links')}.`);
+    sentences.push(`Nodes have ${formatNumber((edges.length * 2) / nodes.length, { maximumFractionDigits: 1 })} links on average.`);
+    if (isolated) {
+      sentences.push(`${isolated} ${plural(isolated, 'node has', 'nodes have')} no links.`);
+    }
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Summarize a matrix of [xIndex, yIndex, value] cells, e.g. a heatmap
+ * @param {string} title - Chart title
+ * @param {string[]} xLabels - Column labels
+ * @param {string[]} yLabels - Row labels
+ * @param {number[][]} cells - [xIndex, yIndex, value] entries
+ * @returns {string} Summary text
+ */
+export function summarizeMatrix(title, xLabels, yLabels, cells) {
+  const at = ([x, y]) => `${xLabels[x]} ${yLabels[y]}`;
+  const max = cells.reduce((a, b) => (b[2] > a[2] ? b : a));
+  const min = cells.reduce((a, b) => (b[2] < a[2] ? b : a));
+  const averageBy = (labels, axis) => labels.map((name, index) => {
+    const values = cells.filter(cell => cell[axis] === index).map(cell => cell[2]);
+    return { name, value: values.reduce((sum, value) => sum + value, 0) / (values.length || 1) };
+  });
+  const busiest = (averages) => averages.reduce((a, b) => (b.value > a.value ? b : a));
+  const sentences = [];
+
+  if (title) sentences.push(`${title}.`);
+  sentences.push(`${xLabels.length} by ${yLabels.length} grid.`);
+  sentences.push(`Highest is ${formatNumber(max[2])} on ${at(max)}; lowest is ${formatNumber(min[2])} on ${at(min)}.`);
+  sentences.push(`On average, ${busiest(averageBy(xLabels, 0)).name} is the highest column and ${busiest(averageBy(yLabels, 1)).name} the highest row.`);
+
+  const outliers = findOutliers(cells.map(cell => cell[2]));
+  if (outliers.length) {
+    sentences.push(`Unusual values: ${outliers.map(index => `${at(cells[index])} (${formatNumber(cells[index][2])})`).join(', ')}.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Describe an ECharts option (raw or as returned by getOption())
+ * @param {Object} option - ECharts option
+ * @returns {string} Summary text
+ */
+export function describeEChartsOption(option) {
+  const series = toArray(option?.series).filter(item => item.data?.length);
+  if (!series.length) return 'The chart has no data yet.';
+
+  const title = toArray(option.title)[0]?.text || '';
+  const xAxis = toArray(option.xAxis)[0];
+  const type = series[0].type;
+
+  if (type === 'heatmap') {
+    const axisLabels = axis => (toArray(axis)[0]?.data || []).map(label => (typeof label === 'object' ? label.value : label));
+    const cells = series[0].data.map(cell => (Array.isArray(cell) ? cell : cell.value));
+    return summarizeMatrix(title, axisLabels(option.xAxis), axisLabels(option.yAxis), cells);
+  }
+
+  if (type === 'pie') {
+    return summarizeShares(title, series[0].data.map(item => ({ name: item.name, value: valueOf(item) })));
+  }
+
+  // Value-only axes fall back to point numbers as labels
+  const labels = xAxis?.data?.length
+    ? xAxis.data.map(label => (typeof label === 'object' ? label.value : label))
+    : series[0].data.map((_, index) => `point ${index + 1}`);
+
+  if (type === 'bar' && series.length === 1) {
+    return summarizeCategories(title, labels, series[0].data.map(valueOf));
+  }
+
+  if (type === 'line' || type === 'bar') {
+    return summarizeSeries(title, labels, series.map((item, index) => ({
+      name: item.name || `Series ${index + 1}`,
+      values: item.data.map(valueOf)
+    })));
+  }
+
+  return `${title ? `${title}. ` : ''}${capitalize(type)} chart with ${series.length} series.`;
+}
+
+function describeLargestShare(items, suffix) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const largest = items.reduce((a, b) => (b.value > a.value ? b : a));
+  return `${largest.name} has the largest share${suffix ? ` ${suffix}` : ''}, ${percentOf(largest.value, total)}%.`;
+}
+
+function percentOf(value, total) {
+  return formatNumber(total === 0 ? 0 : (value / total) * 100, { maximumFractionDigits: 0 });
+}
+
+function correlation(xs, ys) {
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let covariance = 0, varianceX = 0, varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX && varianceY ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
+
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function valueOf(item) {
+  return typeof item === 'object' && item !== null ? Number(item.value) : Number(item);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function plural(count, singular, pluralForm) {
+  return count === 1 ? singular : pluralForm;
+}
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : 'Unknown';
+}
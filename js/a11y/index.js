@@ -0,0 +1,18 @@
+/**
+ * Accessibility - Module Index
+ * Re-exports chart summaries and speech output for convenient importing
+ */
+
+export {
+  findOutliers,
+  describeTrend,
+  summarizeSeries,
+  summarizeCategories,
+  summarizeShares,
+  summarizePoints,
+  summarizeSurface,
+  summarizeNetwork,
+  summarizeMatrix,
+  describeEChartsOption
+} from './chartSummary.js';
+export { SpeechNarrator } from './SpeechNarrator.js';
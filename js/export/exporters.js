@@ -0,0 +1,151 @@
+/**
+ * Visualization export
+ * Produces downloadable files from ECharts instances (PNG, SVG, CSV, JSON)
+ * and Three.js visualizations (high-resolution PNG)
+ */
+
+import * as echarts from 'echarts';
+import { optionToTable, tableToCSV, tableToRecords } from './seriesTable.js';
+
+export const EXPORT_FORMATS = {
+  PNG: 'png',
+  SVG: 'svg',
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+/**
+ * Export an ECharts chart
+ * @param {Object} chart - ECharts instance
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options
+ * @param {number} options.scale - Pixel ratio for PNG output
+ * @param {string} options.backgroundColor - Image background; the chart's own when omitted
+ * @returns {{blob: Blob, filename: string}} File to save
+ */
+export function exportChart(chart, format, { scale = 2, backgroundColor } = {}) {
+  const option = chart.getOption();
+  const table = optionToTable(option);
+  const filename = exportFileName(table.title, format);
+
+  switch (format) {
+    case EXPORT_FORMATS.PNG:
+      return {
+        blob: dataURLToBlob(chart.getDataURL({ type: 'png', pixelRatio: scale, backgroundColor })),
+        filename
+      };
+
+    case EXPORT_FORMATS.SVG:
+      return {
+        blob: new Blob([renderChartSVG(chart, { backgroundColor })], { type: 'image/svg+xml' }),
+        filename
+      };
+
+    case EXPORT_FORMATS.CSV:
+      requireRows(table);
+      return { blob: new Blob([tableToCSV(table)], { type: 'text/csv' }), filename };
+
+    case EXPORT_FORMATS.JSON:
+      requireRows(table);
+      return {
+        blob: new Blob([JSON.stringify(tableToRecords(table), null, 2)], { type: 'application/json' }),
+        filename
+      };
+
+    default:
+      throw new Error(`Unknown export format "${format}".`);
+  }
+}
+
+/**
+ * Export a Three.js visualization as a PNG snapshot
+ * @param {Object} visualization - ThreeVisualization instance
+ * @param {Object} options
+ * @param {number} options.scale - Output pixels per CSS pixel
+ * @returns {Promise<{blob: Blob, filename: string}>} File to save
+ */
+export async function exportSnapshot(visualization, { scale = 2 } = {}) {
+  const blob = await visualization.snapshot({ scale });
+  return { blob, filename: exportFileName(visualization.data?.title, EXPORT_FORMATS.PNG) };
+}
+
+/**
+ * Re-render a chart with the SVG renderer, off screen; theme colors come along
+ * in the chart's option, which withTheme wrote them into
+ * @param {Object} chart - ECharts instance (any renderer)
+ * @param {Object} options
+ * @param {string} options.backgroundColor - Background fill
+ * @returns {string} SVG markup
+ */
+export function renderChartSVG(chart, { backgroundColor } = {}) {
+  const svgChart = echarts.init(null, null, {
+    renderer: 'svg',
+    ssr: true,
+    width: chart.getWidth(),
+    height: chart.getHeight()
+  });
+
+  try {
+    // The final frame only; server-side rendering does not animate
+    svgChart.setOption({
+      ...chart.getOption(),
+      animation: false,
+      ...(backgroundColor ? { backgroundColor } : {})
+    });
+    return svgChart.renderToSVGString();
+  } finally {
+    svgChart.dispose();
+  }
+}
+
+/**
+ * Build a file name from a chart title
+ * @param {string} title - Chart title
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "monthly-sales-2025.png"
+ */
+export function exportFileName(title, extension) {
+  const slug = String(title || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'chart'}.${extension}`;
+}
+
+/**
+ * Save a blob through the browser's download flow
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.hidden = true;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking synchronously can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Decode a data URL, e.g. from getDataURL or toDataURL
+ * @param {string} url - Base64 or percent-encoded data URL
+ * @returns {Blob} Its contents, typed by the URL's MIME type
+ */
+export function dataURLToBlob(url) {
+  const [header, data] = url.split(',');
+  const type = header.match(/^data:([^;,]+)/)?.[1] || 'application/octet-stream';
+  const bytes = header.endsWith(';base64')
+    ? Uint8Array.from(atob(data), char => char.charCodeAt(0))
+    : new TextEncoder().encode(decodeURIComponent(data));
+  return new Blob([bytes], { type });
+}
+
+function requireRows(table) {
+  if (!table.rows.length) throw new Error('The chart has no data to export.');
+}
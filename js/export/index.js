@@ -0,0 +1,15 @@
+/**
+ * Export - Module Index
+ * Re-exports the chart exporters and series table helpers for convenient importing
+ */
+
+export { optionToTable, tableToCSV, tableToRecords } from './seriesTable.js';
+export {
+  EXPORT_FORMATS,
+  exportChart,
+  exportSnapshot,
+  renderChartSVG,
+  exportFileName,
+  downloadBlob,
+  dataURLToBlob
+} from './exporters.js';
@@ -0,0 +1,108 @@
+/**
+ * Series table
+ * Flattens the data behind an ECharts option into rows and columns that can
+ * be written out as CSV or JSON
+ */
+
+/**
+ * Extract the plotted data from an ECharts option
+ * @param {Object} option - Option as passed to setOption or returned by getOption
+ * @returns {{title: string, columns: string[], rows: Array[]}} Table; rows are empty when the chart has no data
+ */
+export function optionToTable(option) {
+  const title = toArray(option?.title)[0]?.text || '';
+  const series = toArray(option?.series).filter(item => item.data?.length);
+  if (!series.length) return { title, columns: [], rows: [] };
+
+  const xAxis = toArray(option.xAxis)[0];
+  const type = series[0].type;
+
+  if (type === 'heatmap') {
+    // One row per y label, one column per x label, like the data table
+    const xLabels = axisLabels(option.xAxis);
+    const yLabels = axisLabels(option.yAxis);
+    const rows = yLabels.map(label => [label, ...xLabels.map(() => null)]);
+    series[0].data.forEach(cell => {
+      const [x, y, value] = Array.isArray(cell) ? cell : cell.value;
+      if (rows[y]) rows[y][x + 1] = Number(value);
+    });
+    return { title, columns: [toArray(option.yAxis)[0]?.name || '', ...xLabels], rows };
+  }
+
+  if (type === 'pie') {
+    return {
+      title,
+      columns: ['Name', 'Value'],
+      rows: series[0].data.map(item => [item.name, valueOf(item)])
+    };
+  }
+
+  if (xAxis?.data?.length) {
+    // Category axis: one column per series, one row per category
+    const names = series.map((item, index) => item.name || `Series ${index + 1}`);
+    return {
+      title,
+      columns: [xAxis.name || 'Category', ...names],
+      rows: axisLabels(option.xAxis).map((label, row) => [
+        label,
+        ...series.map(item => (row < item.data.length ? valueOf(item.data[row]) : null))
+      ])
+    };
+  }
+
+  // Value axes: one row per point, tagged with its series when there are several
+  const width = Math.max(...series.flatMap(item => item.data.map(point => coordinatesOf(point).length)));
+  const axes = ['X', 'Y', 'Z'].slice(0, width);
+  const columns = series.length > 1 ? ['Series', ...axes] : axes;
+  const rows = series.flatMap((item, index) => item.data.map(point => {
+    const values = coordinatesOf(point).slice(0, width).map(Number);
+    return series.length > 1 ? [item.name || `Series ${index + 1}`, ...values] : values;
+  }));
+  return { title, columns, rows };
+}
+
+/**
+ * Write a table as RFC 4180 CSV
+ * @param {{columns: string[], rows: Array[]}} table - Table from optionToTable
+ * @returns {string} CSV text with a header row
+ */
+export function tableToCSV({ columns, rows }) {
+  return [columns, ...rows]
+    .map(row => row.map(escapeCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Turn a table into one record per row, keyed by column name
+ * @param {{columns: string[], rows: Array[]}} table - Table from optionToTable
+ * @returns {Object[]} Records, in the form the dataset importer reads back
+ */
+export function tableToRecords({ columns, rows }) {
+  return rows.map(row => Object.fromEntries(columns.map((column, i) => [column || 'Label', row[i] ?? null])));
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function axisLabels(axis) {
+  return (toArray(axis)[0]?.data || []).map(label => (typeof label === 'object' ? label.value : label));
+}
+
+function coordinatesOf(point) {
+  if (Array.isArray(point)) return point;
+  if (Array.isArray(point?.value)) return point.value;
+  return [point?.value ?? point];
+}
+
+function valueOf(item) {
+  const value = typeof item === 'object' && item !== null ? item.value : item;
+  return value === null || value === undefined || value === '-' ? null : Number(value);
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,136 @@
+/**
+ * Hand gesture classifiers
+ * Pluggable strategies that turn one detected hand into a gesture + confidence
+ */
+
+export const GESTURES = {
+  THUMBS_UP: 'thumbs_up',
+  THUMBS_DOWN: 'thumbs_down',
+  VICTORY: 'victory',
+  OPEN_PALM: 'open_palm',
+  NONE: 'none'
+};
+
+// MediaPipe hand landmark indices
+const WRIST = 0;
+const THUMB = { MCP: 2, TIP: 4 };
+const FINGERS = [
+  { PIP: 6, TIP: 8 },   // index
+  { PIP: 10, TIP: 12 }, // middle
+  { PIP: 14, TIP: 16 }, // ring
+  { PIP: 18, TIP: 20 }  // pinky
+];
+const INDEX_MCP = 5;
+const PINKY_MCP = 17;
+
+const NO_GESTURE = Object.freeze({ gesture: GESTURES.NONE, confidence: 0 });
+
+/**
+ * Base class for gesture classifiers.
+ * A frame is `{ landmarks, categories, handedness }` where `landmarks` is the
+ * 21-point MediaPipe hand array and `categories` the recognizer's own output.
+ */
+export class GestureClassifier {
+  /**
+   * @param {Object} frame - Detection result for a single hand
+   * @returns {{gesture: string, confidence: number}} Classified gesture
+   */
+  classify(frame) {
+    return { ...NO_GESTURE };
+  }
+}
+
+/**
+ * Maps the categories produced by MediaPipe's GestureRecognizer model
+ */
+export class MediaPipeGestureClassifier extends GestureClassifier {
+  static CATEGORY_MAP = {
+    Thumb_Up: GESTURES.THUMBS_UP,
+    Thumb_Down: GESTURES.THUMBS_DOWN,
+    Victory: GESTURES.VICTORY,
+    Open_Palm: GESTURES.OPEN_PALM
+  };
+
+  classify(frame) {
+    const categories = frame?.categories || [];
+    let best = { ...NO_GESTURE };
+
+    categories.forEach(({ categoryName, score }) => {
+      const gesture = MediaPipeGestureClassifier.CATEGORY_MAP[categoryName];
+      if (gesture && score > best.confidence) {
+        best = { gesture, confidence: score };
+      }
+    });
+
+    return best;
+  }
+}
+
+/**
+ * Rule-based classifier working directly on hand landmarks.
+ * Needs no model, so it also runs on recorded landmark fixtures.
+ */
+export class LandmarkGestureClassifier extends GestureClassifier {
+  classify(frame) {
+    const landmarks = frame?.landmarks;
+    if (!landmarks || landmarks.length < 21) return { ...NO_GESTURE };
+
+    const extended = FINGERS.map(finger => fingerExtension(landmarks, finger));
+    const curled = extended.map(score => 1 - score);
+    const thumbOut = thumbExtension(landmarks);
+    const thumbDir = thumbDirection(landmarks);
+
+    const candidates = {
+      [GESTURES.THUMBS_UP]: [thumbOut, clamp01((-thumbDir - 0.5) / 0.3), ...curled],
+      [GESTURES.THUMBS_DOWN]: [thumbOut, clamp01((thumbDir - 0.5) / 0.3), ...curled],
+      [GESTURES.VICTORY]: [extended[0], extended[1], curled[2], curled[3]],
+      [GESTURES.OPEN_PALM]: [thumbOut, ...extended]
+    };
+
+    let best = { ...NO_GESTURE };
+    for (const [gesture, scores] of Object.entries(candidates)) {
+      const confidence = geometricMean(scores);
+      if (confidence > best.confidence) {
+        best = { gesture, confidence };
+      }
+    }
+    return best;
+  }
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function geometricMean(scores) {
+  const product = scores.reduce((acc, score) => acc * score, 1);
+  return Math.pow(product, 1 / scores.length);
+}
+
+// A straight finger's tip is well beyond its PIP joint as seen from the wrist;
+// a curled one folds back towards the palm.
+function fingerExtension(landmarks, { PIP, TIP }) {
+  const ratio = distance(landmarks[WRIST], landmarks[TIP]) /
+    (distance(landmarks[WRIST], landmarks[PIP]) || 1);
+  return clamp01((ratio - 0.9) / 0.3);
+}
+
+// An extended thumb reaches far from the pinky side of the palm,
+// a tucked thumb lies across it.
+function thumbExtension(landmarks) {
+  const palmWidth = distance(landmarks[INDEX_MCP], landmarks[PINKY_MCP]) || 1;
+  const reach = distance(landmarks[THUMB.TIP], landmarks[PINKY_MCP]) / palmWidth;
+  return clamp01((reach - 1) / 0.5);
+}
+
+// Vertical component of the thumb direction: -1 points up, 1 points down
+function thumbDirection(landmarks) {
+  const base = landmarks[THUMB.MCP];
+  const tip = landmarks[THUMB.TIP];
+  const length = distance(base, tip) || 1;
+  return (tip.y - base.y) / length;
+}
@@ -0,0 +1,86 @@
+/**
+ * Gesture controller
+ * Runs tracker -> classifier -> debouncer for every video frame and
+ * dispatches the resulting gestures to application actions
+ */
+
+import { EventEmitter } from '../utils.js';
+import { LandmarkGestureClassifier } from './GestureClassifier.js';
+import { GestureDebouncer } from './GestureDebouncer.js';
+
+export class GestureController extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.tracker - Object with init(), detect(video, timestamp) and close()
+   * @param {GestureClassifier} options.classifier - Classifier strategy
+   * @param {Object} options.debounce - GestureDebouncer options
+   * @param {Object<string, Function>} options.actions - Gesture id -> handler
+   */
+  constructor({ tracker = null, classifier = new LandmarkGestureClassifier(), debounce = {}, actions = {} } = {}) {
+    super();
+    this.tracker = tracker;
+    this.classifier = classifier;
+    this.debouncer = new GestureDebouncer(debounce);
+    this.actions = actions;
+    this.video = null;
+    this.running = false;
+    this.animationId = null;
+    this.lastVideoTime = -1;
+  }
+
+  async start(video) {
+    if (this.running) return;
+
+    await this.tracker.init();
+    this.video = video;
+    this.running = true;
+    this.debouncer.reset();
+    this.loop();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.video = null;
+    this.lastVideoTime = -1;
+  }
+
+  dispose() {
+    this.stop();
+    this.tracker?.close();
+  }
+
+  loop() {
+    if (!this.running) return;
+
+    this.animationId = requestAnimationFrame(() => this.loop());
+
+    // Only run detection when the video has advanced to a new frame
+    if (this.video.readyState < 2 || this.video.currentTime === this.lastVideoTime) return;
+    this.lastVideoTime = this.video.currentTime;
+
+    const timestamp = performance.now();
+    this.processFrame(this.tracker.detect(this.video, timestamp), timestamp);
+  }
+
+  /**
+   * Classify and debounce a single detection frame
+   * @param {Object|null} frame - Tracker output, null when no hand is visible
+   * @param {number} timestamp - Frame time in milliseconds
+   * @returns {string|null} Gesture that fired on this frame, if any
+   */
+  processFrame(frame, timestamp) {
+    const result = this.classifier.classify(frame);
+    this.emit('frame', result, frame);
+
+    const gesture = this.debouncer.push(result, timestamp);
+    if (!gesture) return null;
+
+    this.emit('gesture', gesture, result.confidence);
+    this.actions[gesture]?.();
+    return gesture;
+  }
+}
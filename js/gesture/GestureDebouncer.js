@@ -0,0 +1,57 @@
+/**
+ * Gesture debouncer
+ * Turns a noisy per-frame classification stream into discrete gesture events
+ */
+
+import { GESTURES } from './GestureClassifier.js';
+
+export class GestureDebouncer {
+  /**
+   * @param {Object} options
+   * @param {number} options.minConfidence - Frames below this confidence are ignored
+   * @param {number} options.holdTime - How long (ms) a gesture must be held before it fires
+   * @param {number} options.cooldown - Minimum time (ms) between two fired gestures
+   */
+  constructor({ minConfidence = 0.7, holdTime = 300, cooldown = 1000 } = {}) {
+    this.minConfidence = minConfidence;
+    this.holdTime = holdTime;
+    this.cooldown = cooldown;
+    this.reset();
+  }
+
+  reset() {
+    this.candidate = GESTURES.NONE;
+    this.candidateSince = 0;
+    this.fired = false;
+    this.lastFiredAt = -Infinity;
+  }
+
+  /**
+   * Feed one classified frame
+   * @param {{gesture: string, confidence: number}} result - Classifier output
+   * @param {number} timestamp - Frame time in milliseconds
+   * @returns {string|null} Gesture to act on, or null
+   */
+  push({ gesture, confidence }, timestamp) {
+    if (gesture === GESTURES.NONE || confidence < this.minConfidence) {
+      this.candidate = GESTURES.NONE;
+      this.fired = false;
+      return null;
+    }
+
+    if (gesture !== this.candidate) {
+      this.candidate = gesture;
+      this.candidateSince = timestamp;
+      this.fired = false;
+    }
+
+    // Holding a gesture fires it once; the hand must change pose to repeat it
+    if (this.fired) return null;
+    if (timestamp - this.candidateSince < this.holdTime) return null;
+    if (timestamp - this.lastFiredAt < this.cooldown) return null;
+
+    this.fired = true;
+    this.lastFiredAt = timestamp;
+    return gesture;
+  }
+}
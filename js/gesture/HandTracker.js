@@ -0,0 +1,67 @@
+/**
+ * MediaPipe hand tracker
+ * Wraps the GestureRecognizer task; model and WASM files are served locally
+ */
+
+export const MEDIAPIPE_WASM_PATH = '/mediapipe/wasm';
+export const GESTURE_MODEL_PATH = '/models/gesture_recognizer.task';
+
+export class HandTracker {
+  /**
+   * @param {Object} options
+   * @param {string} options.wasmPath - Directory holding the tasks-vision WASM files
+   * @param {string} options.modelPath - URL of the gesture_recognizer.task model
+   * @param {number} options.numHands - Maximum number of hands to track
+   */
+  constructor({
+    wasmPath = MEDIAPIPE_WASM_PATH,
+    modelPath = GESTURE_MODEL_PATH,
+    numHands = 1
+  } = {}) {
+    this.wasmPath = wasmPath;
+    this.modelPath = modelPath;
+    this.numHands = numHands;
+    this.recognizer = null;
+  }
+
+  async init() {
+    if (this.recognizer) return;
+
+    // Loaded on demand so the rest of the app doesn't pay for the WASM bundle
+    const { FilesetResolver, GestureRecognizer } = await import('@mediapipe/tasks-vision');
+    const vision = await FilesetResolver.forVisionTasks(this.wasmPath);
+
+    this.recognizer = await GestureRecognizer.createFromOptions(vision, {
+      baseOptions: {
+        modelAssetPath: this.modelPath,
+        delegate: 'GPU'
+      },
+      runningMode: 'VIDEO',
+      numHands: this.numHands
+    });
+  }
+
+  /**
+   * Run detection on the current video frame
+   * @param {HTMLVideoElement} video - Playing video element
+   * @param {number} timestamp - Frame time in milliseconds
+   * @returns {Object|null} Frame for the first detected hand, or null
+   */
+  detect(video, timestamp) {
+    if (!this.recognizer) return null;
+
+    const result = this.recognizer.recognizeForVideo(video, timestamp);
+    if (!result.landmarks?.length) return null;
+
+    return {
+      landmarks: result.landmarks[0],
+      categories: result.gestures?.[0] || [],
+      handedness: result.handedness?.[0]?.[0]?.categoryName || null
+    };
+  }
+
+  close() {
+    this.recognizer?.close();
+    this.recognizer = null;
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Gesture recognition - Module Index
+ * Re-exports the gesture pipeline for convenient importing
+ */
+
+export {
+  GESTURES,
+  GestureClassifier,
+  LandmarkGestureClassifier,
+  MediaPipeGestureClassifier
+} from './GestureClassifier.js';
+export { GestureDebouncer } from './GestureDebouncer.js';
+export { GestureController } from './GestureController.js';
+export { HandTracker, MEDIAPIPE_WASM_PATH, GESTURE_MODEL_PATH } from './HandTracker.js';
@@ -0,0 +1,276 @@
+/**
+ * Dataset import
+ * Turns CSV, TSV or JSON text into one of the sample-data.json shapes
+ * (salesData, categoryData, marketShare, scatterData) and validates it
+ */
+
+import { detectFormat, parseDelimited, parseNumber, isNumeric } from './parsers.js';
+
+export const DATASET_SHAPES = {
+  salesData: 'Multi-series (line chart)',
+  categoryData: 'Categories (bar charts)',
+  marketShare: 'Shares (pie charts)',
+  scatterData: 'Points (scatter plots)'
+};
+
+// Only the first few problems are reported; the rest are usually the same mistake
+const MAX_ERRORS = 5;
+
+/**
+ * Parse, shape and validate imported text
+ * @param {string} text - File contents or pasted text
+ * @param {Object} options
+ * @param {string} options.filename - Used for format detection and the default title
+ * @param {string} options.shape - 'auto' or one of DATASET_SHAPES
+ * @returns {{ok: true, datasets: Object}|{ok: false, errors: string[]}} Datasets keyed by shape, or problems
+ */
+export function importDataset(text, { filename = '', shape = 'auto' } = {}) {
+  if (!text || !text.trim()) return failure(['The data is empty.']);
+  if (shape !== 'auto' && !(shape in DATASET_SHAPES)) {
+    return failure([`Unknown data shape "${shape}".`]);
+  }
+
+  const title = filename.replace(/\.[^.]+$/, '') || 'Imported data';
+  const format = detectFormat(text, filename);
+  let datasets;
+
+  try {
+    datasets = format === 'json'
+      ? fromJSON(text, shape, title)
+      : fromTable(parseDelimited(text, format === 'tsv' ? '\t' : ','), shape, title);
+  } catch (error) {
+    return failure([error.message]);
+  }
+
+  const errors = Object.entries(datasets).flatMap(([key, data]) =>
+    validateDataset(key, data).map(message =>
+      Object.keys(datasets).length > 1 ? `${key}: ${message}` : message
+    )
+  );
+  return errors.length ? failure(errors) : { ok: true, datasets };
+}
+
+/**
+ * Check a dataset against the shape the charts expect
+ * @param {string} shape - One of DATASET_SHAPES
+ * @param {Object} data - Dataset
+ * @returns {string[]} Problems; empty when valid
+ */
+export function validateDataset(shape, data) {
+  const errors = [];
+  const check = (condition, message) => {
+    if (!condition) errors.push(message);
+    return condition;
+  };
+
+  if (!check(data && typeof data === 'object', 'Expected an object.')) return errors;
+  check(data.title === undefined || typeof data.title === 'string', 'The title must be text.');
+
+  switch (shape) {
+    case 'salesData':
+      if (!check(isNonEmptyArray(data.labels), 'Add at least one label (e.g. a period) in "labels".')) break;
+      checkLabels(data.labels, check);
+      if (!check(isNonEmptyArray(data.datasets), 'Add at least one series in "datasets".')) break;
+      data.datasets.forEach((series, i) => {
+        const name = series?.name || `Series ${i + 1}`;
+        check(typeof series?.name === 'string' && series.name !== '', `Series ${i + 1} needs a name.`);
+        if (!check(Array.isArray(series?.values), `${name} needs a "values" list.`)) return;
+        check(series.values.length === data.labels.length,
+          `${name} has ${series.values.length} values but there are ${data.labels.length} labels.`);
+        checkNumbers(series.values, index => `${name}, ${data.labels[index] ?? `value ${index + 1}`}`, check);
+      });
+      break;
+
+    case 'categoryData':
+      if (!check(isNonEmptyArray(data.labels), 'Add at least one category in "labels".')) break;
+      checkLabels(data.labels, check);
+      if (!check(Array.isArray(data.values), 'Add a "values" list.')) break;
+      check(data.values.length === data.labels.length,
+        `There are ${data.labels.length} labels but ${data.values.length} values.`);
+      checkNumbers(data.values, index => data.labels[index] ?? `value ${index + 1}`, check);
+      break;
+
+    case 'marketShare':
+      if (!check(isNonEmptyArray(data.data), 'Add at least one { name, value } slice in "data".')) break;
+      data.data.forEach((item, i) => {
+        check(typeof item?.name === 'string' && item.name !== '', `Slice ${i + 1} needs a name.`);
+        check(Number.isFinite(item?.value) && item.value >= 0,
+          `${item?.name || `Slice ${i + 1}`}: "${item?.value}" must be a number of zero or more.`);
+      });
+      check(data.data.some(item => item?.value > 0), 'At least one slice must be larger than zero.');
+      break;
+
+    case 'scatterData':
+      if (!check(Array.isArray(data.data) && data.data.length >= 2, 'Add at least two [x, y] points in "data".')) break;
+      data.data.forEach((point, i) => {
+        check(Array.isArray(point) && point.length >= 2 && point.length <= 3 &&
+          point.every(Number.isFinite), `Point ${i + 1} must be [x, y] or [x, y, z] numbers.`);
+      });
+      break;
+
+    default:
+      errors.push(`Unknown data shape "${shape}".`);
+  }
+
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Guess the shape of a table from its columns
+ * @param {string[]} header - Column names
+ * @param {Array[]} body - Data rows
+ * @returns {string|null} Shape, or null when nothing fits
+ */
+export function inferTableShape(header, body) {
+  // Mostly-numeric columns count as numeric so a typo is reported at its cell
+  // instead of making the whole table unrecognizable
+  const numeric = header.map((_, column) =>
+    body.filter(row => isNumeric(row[column])).length >= body.length / 2
+  );
+
+  if (numeric.every(Boolean)) {
+    return header.length === 2 || header.length === 3 ? 'scatterData' : null;
+  }
+  if (numeric[0] || !numeric.slice(1).every(Boolean)) return null;
+
+  if (header.length === 2) {
+    return /share|percent|%/i.test(header[1]) ? 'marketShare' : 'categoryData';
+  }
+  return 'salesData';
+}
+
+function fromJSON(text, shape, title) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The JSON could not be read: ${error.message}`);
+  }
+
+  // A whole (or partial) sample-data.json file
+  if (isPlainObject(value) && Object.keys(DATASET_SHAPES).some(key => key in value)) {
+    const datasets = {};
+    Object.keys(DATASET_SHAPES)
+      .filter(key => key in value && (shape === 'auto' || shape === key))
+      .forEach(key => { datasets[key] = value[key]; });
+    if (!Object.keys(datasets).length) throw new Error(`The file has no "${shape}" entry.`);
+    return datasets;
+  }
+
+  // Rows of records behave like a table with the keys as header
+  if (Array.isArray(value) && value.length && value.every(isPlainObject)) {
+    const header = [...new Set(value.flatMap(Object.keys))];
+    return fromTable([header, ...value.map(row => header.map(key => row[key] ?? ''))], shape, title);
+  }
+
+  if (Array.isArray(value) && value.every(Array.isArray)) {
+    return { [shape === 'auto' ? 'scatterData' : shape]: { title, data: value } };
+  }
+
+  if (isPlainObject(value)) {
+    const detected = shape !== 'auto' ? shape
+      : Array.isArray(value.datasets) ? 'salesData'
+      : Array.isArray(value.values) ? 'categoryData'
+      : Array.isArray(value.data) && value.data.every(Array.isArray) ? 'scatterData'
+      : Array.isArray(value.data) ? 'marketShare'
+      : null;
+    if (!detected) {
+      throw new Error('Unrecognized JSON: expected "labels" with "datasets" or "values", or a "data" list.');
+    }
+    return { [detected]: { title, ...value } };
+  }
+
+  throw new Error('Unrecognized JSON: expected an object or a list of rows.');
+}
+
+function fromTable(rows, shape, title) {
+  if (!rows.length) throw new Error('The data is empty.');
+
+  // A first row with text in a numeric column is a header
+  const hasHeader = rows.length > 1 && rows[0].some((cell, i) => !isNumeric(cell) && isNumeric(rows[1][i]));
+  const header = hasHeader ? rows[0] : rows[0].map((_, i) => `Column ${i + 1}`);
+  const body = hasHeader ? rows.slice(1) : rows;
+
+  if (header.length < 2) throw new Error('Need at least two columns: labels and values.');
+  if (!body.length) throw new Error('There are no data rows below the header.');
+
+  const firstLine = hasHeader ? 2 : 1;
+  body.forEach((row, i) => {
+    if (row.length !== header.length) {
+      throw new Error(`Row ${i + firstLine} has ${row.length} columns, expected ${header.length}.`);
+    }
+  });
+
+  const target = shape === 'auto' ? inferTableShape(header, body) : shape;
+  if (!target) {
+    throw new Error('Could not detect the data shape: use a label column followed by numeric columns, ' +
+      'or two or three numeric columns for points.');
+  }
+
+  // Report the first cell that is not a number, with its row and column
+  const numberAt = (rowIndex, column) => {
+    const value = parseNumber(body[rowIndex][column]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Row ${rowIndex + firstLine}, column "${header[column]}": ` +
+        `"${body[rowIndex][column]}" is not a number.`);
+    }
+    return value;
+  };
+  const labels = body.map(row => String(row[0]));
+  const column = index => body.map((_, row) => numberAt(row, index));
+
+  switch (target) {
+    case 'salesData':
+      return {
+        salesData: {
+          title,
+          labels,
+          datasets: header.slice(1).map((name, i) => ({ name, values: column(i + 1) }))
+        }
+      };
+    case 'categoryData':
+      return { categoryData: { title, labels, values: column(1) } };
+    case 'marketShare':
+      return {
+        marketShare: {
+          title,
+          data: labels.map((name, row) => ({ name, value: numberAt(row, 1) }))
+        }
+      };
+    case 'scatterData':
+      return {
+        scatterData: {
+          title,
+          data: body.map((row, i) => row.slice(0, 3).map((_, c) => numberAt(i, c))),
+          // Column names label the 3D axes
+          ...(hasHeader && { axisTitles: { x: header[0], y: header[1], ...(header[2] && { z: header[2] }) } })
+        }
+      };
+  }
+  return {};
+}
+
+function checkNumbers(values, describe, check) {
+  values.forEach((value, index) => {
+    check(Number.isFinite(value), `${describe(index)}: "${value}" is not a number.`);
+  });
+}
+
+// Labels end up as axis text and table cells, so anything but text or a number is refused
+function checkLabels(labels, check) {
+  labels.forEach((label, index) => {
+    check(typeof label === 'string' || Number.isFinite(label), `Label ${index + 1} must be text or a number.`);
+  });
+}
+
+function isNonEmptyArray(value) {
+  return Array.isArray(value) && value.length > 0;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function failure(errors) {
+  return { ok: false, errors };
+}
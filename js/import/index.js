@@ -0,0 +1,7 @@
+/**
+ * Dataset import - Module Index
+ * Re-exports the import parsers and shape inference for convenient importing
+ */
+
+export { detectFormat, parseDelimited, parseNumber, isNumeric } from './parsers.js';
+export { DATASET_SHAPES, importDataset, validateDataset, inferTableShape } from './datasetImport.js';
@@ -0,0 +1,92 @@
+/**
+ * Text parsers for dataset import
+ * Format detection, a quote-aware CSV/TSV reader and forgiving number parsing
+ */
+
+/**
+ * Guess the format of pasted or uploaded text
+ * @param {string} text - File contents
+ * @param {string} filename - Optional file name; its extension wins when known
+ * @returns {'json'|'csv'|'tsv'} Format
+ */
+export function detectFormat(text, filename = '') {
+  const extension = filename.toLowerCase().match(/\.(json|csv|tsv)$/)?.[1];
+  if (extension) return extension;
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+
+  const firstLine = trimmed.split(/\r?\n/, 1)[0];
+  return firstLine.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Split delimited text into rows of cells; supports quoted cells with
+ * embedded delimiters, newlines and doubled quotes
+ * @param {string} text - CSV or TSV text
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string[][]} Non-empty rows of trimmed cells
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Read a number from a cell, accepting thousands separators ("1,234"),
+ * decimal commas ("12,5") and percent signs
+ * @param {string|number} value - Cell value
+ * @returns {number} Parsed number, or NaN
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  let text = value.replace(/\s/g, '').replace(/%$/, '');
+  if (text === '') return NaN;
+  if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  } else if (/^[-+]?\d+,\d+$/.test(text)) {
+    text = text.replace(',', '.');
+  }
+  return Number(text);
+}
+
+export function isNumeric(value) {
+  return Number.isFinite(parseNumber(value));
+}
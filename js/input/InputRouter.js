@@ -0,0 +1,161 @@
+/**
+ * Multimodal input router
+ * Every input source (voice, gesture, sensor, keyboard, pointer) submits
+ * normalized intents here; the router arbitrates and emits the winners
+ */
+
+export const INTENTS = {
+  NEXT: 'next',
+  PREVIOUS: 'previous',
+  SET_CHART_TYPE: 'setChartType',
+  RESET: 'reset',
+  SELECT_SERIES: 'selectSeries',
+  GO_TO_PERIOD: 'goToPeriod',
+  ZOOM: 'zoom',
+  SET_THEME: 'setTheme',
+  DESCRIBE: 'describe',
+  EXPORT: 'export',
+  FLY_TO_VIEW: 'flyToView',
+  SAVE_VIEW: 'saveView',
+  TOUR: 'tour',
+  SONIFY: 'sonify'
+};
+
+export const INPUT_SOURCES = {
+  POINTER: 'pointer',
+  KEYBOARD: 'keyboard',
+  VOICE: 'voice',
+  GESTURE: 'gesture',
+  SENSOR: 'sensor'
+};
+
+// Deliberate inputs outrank ambient ones; noisy sources get longer cooldowns
+export const DEFAULT_SOURCE_CONFIG = {
+  pointer: { label: 'Touch/Mouse', priority: 4, cooldown: 0 },
+  keyboard: { label: 'Keyboard', priority: 4, cooldown: 150 },
+  voice: { label: 'Voice', priority: 3, cooldown: 500 },
+  gesture: { label: 'Gesture', priority: 2, cooldown: 1000 },
+  sensor: { label: 'Sensors', priority: 1, cooldown: 1500 }
+};
+
+export class InputRouter {
+  /**
+   * @param {Object} options
+   * @param {EventEmitter} options.eventBus - Bus that receives 'intent' and 'input:rejected' events
+   * @param {StateManager} options.appState - Holds `<source>Enabled` flags and `lastInputSource`
+   * @param {number} options.conflictWindow - Time (ms) a higher-priority input blocks lower ones
+   * @param {Function} options.clock - Returns the current time in milliseconds
+   */
+  constructor({ eventBus, appState, conflictWindow = 800, clock = () => performance.now() }) {
+    this.eventBus = eventBus;
+    this.appState = appState;
+    this.conflictWindow = conflictWindow;
+    this.clock = clock;
+    this.sources = new Map();
+    this.lastInput = null;
+  }
+
+  /**
+   * Register an input source
+   * @param {string} id - Source id, e.g. 'voice'
+   * @param {Object} config - label, priority, cooldown and optional onEnable/onDisable hooks
+   */
+  register(id, config = {}) {
+    this.sources.set(id, {
+      id,
+      ...DEFAULT_SOURCE_CONFIG[id],
+      ...config,
+      lastAcceptedAt: -Infinity
+    });
+  }
+
+  unregister(id) {
+    this.sources.delete(id);
+  }
+
+  getSources() {
+    return [...this.sources.values()].map(({ id, label, priority }) => ({
+      id,
+      label,
+      priority,
+      enabled: this.isEnabled(id)
+    }));
+  }
+
+  isEnabled(id) {
+    return this.sources.has(id) && !!this.appState.getState()[stateKey(id)];
+  }
+
+  /**
+   * Turn a source on or off, running its enable/disable hook
+   * @param {string} id - Source id
+   * @param {boolean} enabled - Desired state
+   * @returns {Promise<boolean>} Whether the source ended up enabled
+   */
+  async setEnabled(id, enabled) {
+    const source = this.sources.get(id);
+    if (!source) return false;
+
+    let active = enabled;
+    try {
+      const hook = enabled ? source.onEnable : source.onDisable;
+      const result = await hook?.();
+      // An enable hook may report that the modality could not start
+      if (enabled && result === false) active = false;
+    } catch (error) {
+      console.error(`Failed to ${enabled ? 'enable' : 'disable'} ${id} input:`, error);
+      active = false;
+    }
+
+    this.appState.setState({ [stateKey(id)]: active });
+    return active;
+  }
+
+  async setAllEnabled(enabled) {
+    for (const id of this.sources.keys()) {
+      await this.setEnabled(id, enabled);
+    }
+  }
+
+  /**
+   * Submit an intent from a source
+   * @param {string} id - Source id
+   * @param {string} intent - One of INTENTS
+   * @param {Object} params - Intent parameters, e.g. { chartType: 'bar' }
+   * @returns {{accepted: boolean, reason?: string}} Arbitration result
+   */
+  submit(id, intent, params = {}) {
+    const source = this.sources.get(id);
+    const now = this.clock();
+
+    const reason = this.rejectReason(source, now);
+    if (reason) {
+      this.eventBus.emit('input:rejected', { intent, params, source: id, reason });
+      return { accepted: false, reason };
+    }
+
+    source.lastAcceptedAt = now;
+    this.lastInput = { source: id, priority: source.priority, intent, time: now };
+    this.appState.setState({ lastInputSource: id });
+    this.eventBus.emit('intent', { intent, params, source: id, label: source.label });
+    return { accepted: true };
+  }
+
+  rejectReason(source, now) {
+    if (!source) return 'unregistered';
+    if (!this.isEnabled(source.id)) return 'disabled';
+    if (now - source.lastAcceptedAt < source.cooldown) return 'cooldown';
+
+    const last = this.lastInput;
+    if (last && last.source !== source.id &&
+        last.priority > source.priority &&
+        now - last.time < this.conflictWindow) {
+      return 'preempted';
+    }
+    return null;
+  }
+}
+
+function stateKey(id) {
+  return `${id}Enabled`;
+}
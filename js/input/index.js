@@ -0,0 +1,11 @@
+/**
+ * Multimodal input - Module Index
+ * Re-exports the input router for convenient importing
+ */
+
+export {
+  InputRouter,
+  INTENTS,
+  INPUT_SOURCES,
+  DEFAULT_SOURCE_CONFIG
+} from './InputRouter.js';
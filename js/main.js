@@ -18,8 +18,41 @@ import {
   ScatterPlot3D,
   SurfacePlot3D,
   NetworkGraph3D,
-  PieChart3D
+  PieChart3D,
+  FallbackChart2D,
+  COLOR_MAPS,
+  heatmapToGrid,
+  loadRenderingBackend
 } from './three/index.js';
+import {
+  GESTURES,
+  GestureController,
+  HandTracker,
+  MediaPipeGestureClassifier
+} from './gesture/index.js';
+import { InputRouter, INTENTS, INPUT_SOURCES } from './input/index.js';
+import { CommandParser } from './voice/index.js';
+import { SpeechNarrator, describeEChartsOption } from './a11y/index.js';
+import { Sonifier, sonifyEChartsOption } from './sonification/index.js';
+import {
+  DeviceMotionSource,
+  MotionGestureDetector,
+  MOTION_GESTURES,
+  SensorStreamChart,
+  SyntheticMotionSource
+} from './sensors/index.js';
+import { DATASET_SHAPES, importDataset } from './import/index.js';
+import { EXPORT_FORMATS, exportChart, exportSnapshot, downloadBlob } from './export/index.js';
+import { UrlStateSync, encodeUrlState, decodeUrlState, loadCameraViews, saveCameraViews } from './state/index.js';
+import {
+  themes,
+  withTheme,
+  bindChartTheme,
+  PALETTES,
+  PALETTE_NAMES,
+  MIN_GRAPHIC_CONTRAST
+} from './theme/index.js';
+import i18n from './i18n.js';
 
 // Global application state
 const appState = new StateManager({
@@ -29,16 +62,100 @@ const appState = new StateManager({
   voiceEnabled: false,
   gestureEnabled: false,
   sensorEnabled: false,
-  theme: 'light'
+  keyboardEnabled: true,
+  pointerEnabled: true,
+  lastInputSource: null,
+  threeType: 'bar',
+  camera: null,
+  theme: 'light',
+  // Sound mode: the chart plays as pitch and the arrow keys step through its points
+  sonification: false
 });
 
 // Global event bus for component communication
 const eventBus = new EventEmitter();
 
+// Central router that arbitrates intents from every input source
+const inputRouter = new InputRouter({ eventBus, appState });
+
 // Chart instance reference
 let chartInstance = null;
 let threeInstance = null;
+// 'webgpu' or 'webgl' for 3D charts, null to fall back to 2D; found once by load3DDemo
+let renderingBackend = null;
+let renderingBackendLoad = null;
+// Bumped by every loadDemo, so a demo that awaits can tell it has been replaced meanwhile
+let demoLoad = 0;
+// Last camera and bookmarks of each 3D chart type, from localStorage; read by load3DDemo
+let threeViews = null;
 let sampleData = null;
+// Pristine copy so imported data can be rolled back
+let originalSampleData = null;
+let gestureController = null;
+let gestureStream = null;
+// Camera request waiting on the permission prompt; stopping clears it so a late stream is released
+let gestureCameraRequest = null;
+let recognition = null;
+let isListening = false;
+let voiceGrammar = null;
+let motionSource = null;
+let motionDetector = null;
+let sensorStream = null;
+let sensorStreamInstance = null;
+let syntheticSource = null;
+
+// What the 3D surface plots, and how it is drawn
+const surfaceOptions = {
+  source: 'function',
+  expression: 'sin(x) * cos(z)',
+  colorMap: 'rainbow',
+  contours: true
+};
+
+// Speaks chart summaries; summaries are generated in English
+const narrator = new SpeechNarrator({ lang: 'en-US' });
+
+// Plays the data of whichever chart is on screen as sound
+const sonifier = new Sonifier();
+
+// Chart types reachable from the chart-type buttons, cycled by gestures
+const CHART_TYPES = ['line', 'bar', 'pie', 'heatmap'];
+
+const DEMOS = ['basic-charts', 'voice-demo', 'gesture-demo', 'sensor-demo', '3d-demo', 'multimodal'];
+const THREE_TYPES = ['bar', 'scatter', 'surface', 'network', 'pie'];
+
+// What a URL without parameters means; these values are left out of shared links
+const URL_DEFAULTS = {
+  currentDemo: 'basic-charts',
+  chartType: 'line',
+  datasetIndex: 0,
+  threeType: 'bar',
+  camera: null
+};
+
+// Mirrors demo, chart, series, theme and 3D camera into the location hash
+const urlSync = new UrlStateSync(appState, {
+  encode: state => encodeUrlState(state, URL_DEFAULTS),
+  decode: hash => decodeUrlState(hash, {
+    defaults: URL_DEFAULTS,
+    demos: DEMOS,
+    chartTypes: CHART_TYPES,
+    threeTypes: THREE_TYPES,
+    // Imported data may have fewer series than a link was made with
+    seriesCount: sampleData?.salesData.datasets.length
+  }),
+  onRestore: restoreUrlState,
+  pushKeys: ['currentDemo', 'chartType', 'threeType']
+});
+let cameraSyncTimer = null;
+
+// Motion gesture -> router intent
+const MOTION_ACTIONS = {
+  [MOTION_GESTURES.SHAKE]: [INTENTS.RESET],
+  [MOTION_GESTURES.TILT_LEFT]: [INTENTS.PREVIOUS],
+  [MOTION_GESTURES.TILT_RIGHT]: [INTENTS.NEXT],
+  [MOTION_GESTURES.FLIP]: [INTENTS.SET_CHART_TYPE]
+};
 
 /**
  * Initialize the application
@@ -49,6 +166,7 @@ async function init() {
   // Load sample data
   try {
     sampleData = await loadJSON('/data/sample-data.json');
+    originalSampleData = structuredClone(sampleData);
     console.log('Sample data loaded successfully');
   } catch (error) {
     console.error('Failed to load sample data:', error);
@@ -56,58 +174,140 @@ async function init() {
     return;
   }
 
+  // A shared link wins over the saved theme and the default demo
+  const { theme: urlTheme, ...urlState } = urlSync.read();
+  appState.setState(urlState);
+
   // Set up theme
-  initTheme();
+  initTheme(urlTheme);
 
   // Set up navigation
   initNavigation();
 
+  // Set up input routing
+  initInputRouter();
+
   // Set up control buttons
   initControls();
 
+  // Set up keyboard shortcuts
+  initKeyboardShortcuts();
+
+  // Set up sound mode
+  initSonification();
+
+  // Load the voice command grammar for the active locale
+  initVoiceGrammar();
+
   // Set up modal
   initModal();
 
+  // Set up data import
+  initDataImport();
+
   // Check feature support and log results
   logFeatureSupport();
 
   // Load initial demo
-  loadDemo(appState.getState().currentDemo);
+  setActiveDemoLink(urlState.currentDemo);
+  syncChartTypeButtons(urlState.chartType);
+  loadDemo(urlState.currentDemo);
+
+  // Keep the URL shareable from here on
+  urlSync.start();
 
   console.log('Application initialized');
 }
 
 /**
  * Initialize theme handling
+ * @param {string} [urlTheme] - Theme requested by a shared link; not saved as a preference
  */
-function initTheme() {
+function initTheme(urlTheme) {
   const themeToggle = document.getElementById('theme-toggle');
-  const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-
-  // Set initial theme
-  const savedTheme = localStorage.getItem('theme') || (prefersDark ? 'dark' : 'light');
-  document.documentElement.setAttribute('data-theme', savedTheme);
-  appState.setState({ theme: savedTheme });
-
-  // Theme toggle handler
-  themeToggle?.addEventListener('click', () => {
-    const currentTheme = appState.getState().theme;
-    const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-    document.documentElement.setAttribute('data-theme', newTheme);
-    localStorage.setItem('theme', newTheme);
-    appState.setState({ theme: newTheme });
-
-    // Update ECharts theme if chart exists
-    if (chartInstance) {
-      const container = chartInstance.getDom();
-      chartInstance.dispose();
-      chartInstance = echarts.init(container, newTheme === 'dark' ? 'dark' : null);
-      renderCurrentChart();
-    }
 
-    showFeedback(`Theme: ${newTheme}`);
-    announceToScreenReader(`Theme changed to ${newTheme} mode`);
+  if (urlTheme) themes.setTheme(urlTheme, { persist: false });
+  // The page follows the theme, including choices made on other open pages
+  themes.attach();
+  appState.setState({ theme: themes.current.name });
+  themes.on('change', applyTheme);
+
+  themeToggle?.addEventListener('click', () => themes.cycle());
+  initPaletteControls();
+}
+
+/**
+ * Follow a theme, palette or pattern change; the page and the ECharts charts restyle themselves
+ * @param {Object} theme - The new theme
+ */
+function applyTheme(theme) {
+  const themeChanged = theme.name !== appState.getState().theme;
+  appState.setState({ theme: theme.name });
+  threeInstance?.setTheme(theme);
+  // The heatmap's color ramp is part of its option
+  if (appState.getState().chartType === 'heatmap') renderCurrentChart();
+
+  // The palette controls tell of their own changes
+  if (!themeChanged) return;
+  showFeedback(`Theme: ${theme.label}`);
+  announceToScreenReader(`Theme changed to ${theme.label}`);
+}
+
+/**
+ * Wire the palette select and pattern switch to the theme registry, and warn
+ * when the palette is hard to see on the theme's background
+ */
+function initPaletteControls() {
+  const select = document.getElementById('palette-select');
+  const patterns = document.getElementById('palette-patterns');
+  const warning = document.getElementById('palette-contrast');
+  if (!select) return;
+
+  PALETTE_NAMES.forEach(name => {
+    const { label, colorblindSafe } = PALETTES[name];
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = colorblindSafe ? `${label} (colorblind-safe)` : label;
+    select.appendChild(option);
+  });
+
+  // Also follows choices made on other open pages
+  themes.subscribe(theme => {
+    select.value = themes.paletteName ?? '';
+    patterns.checked = themes.patterns;
+
+    const issues = themes.contrastIssues();
+    warning.hidden = issues.length === 0;
+    warning.textContent = issues.length
+      ? `${issues.length} of ${theme.palette.length} colors are below ${MIN_GRAPHIC_CONTRAST}:1 contrast on this background `
+        + `(${issues.map(({ color, ratio }) => `${color} at ${ratio}:1`).join(', ')}). `
+        + (themes.patterns
+          ? 'Another palette would make them easier to see.'
+          : 'Patterns or another palette make them easier to tell apart.')
+      : '';
   });
+
+  select.addEventListener('change', () => {
+    themes.setPalette(select.value || null);
+    const label = select.selectedOptions[0].textContent;
+    showFeedback(`Palette: ${label}`);
+    announceToScreenReader(`Palette changed to ${label}`);
+  });
+  patterns.addEventListener('change', () => {
+    themes.setPatterns(patterns.checked);
+    announceToScreenReader(patterns.checked ? 'Pattern fills on' : 'Pattern fills off');
+  });
+}
+
+/**
+ * Create an ECharts chart that keeps to the current theme
+ * @param {HTMLElement} container - Element to draw into
+ * @returns {Object} ECharts instance
+ */
+function createChart(container) {
+  const chart = echarts.init(container);
+  bindChartTheme(chart);
+  return chart;
 }
 
 /**
@@ -122,8 +322,7 @@ function initNavigation() {
       const demoId = link.dataset.demo;
 
       // Update active state
-      demoLinks.forEach(l => l.classList.remove('active'));
-      link.classList.add('active');
+      setActiveDemoLink(demoId);
 
       // Load the demo
       loadDemo(demoId);
@@ -134,38 +333,272 @@ function initNavigation() {
   });
 }
 
+/**
+ * Mark the navigation link for a demo as current
+ * @param {string} demoId - Demo identifier
+ */
+function setActiveDemoLink(demoId) {
+  document.querySelectorAll('.demo-link').forEach(link => {
+    link.classList.toggle('active', link.dataset.demo === demoId);
+  });
+}
+
+/**
+ * Bring the page to a state read from the URL after back/forward navigation
+ * @param {Object} urlState - Decoded URL state
+ */
+async function restoreUrlState({ theme, ...urlState }) {
+  const state = appState.getState();
+  if (theme && theme !== state.theme) themes.setTheme(theme, { persist: false });
+
+  if (urlState.currentDemo !== state.currentDemo) {
+    appState.setState(urlState);
+    setActiveDemoLink(urlState.currentDemo);
+    syncChartTypeButtons(urlState.chartType);
+    await loadDemo(urlState.currentDemo);
+    return;
+  }
+
+  if (urlState.chartType !== state.chartType) changeChartType(urlState.chartType);
+  if (urlState.datasetIndex !== state.datasetIndex) selectDataset(urlState.datasetIndex);
+
+  if (threeInstance) {
+    if (urlState.threeType !== state.threeType) select3DType(urlState.threeType);
+    if (urlState.camera) {
+      threeInstance.setCameraState(urlState.camera);
+      appState.setState({ camera: urlState.camera });
+    }
+  }
+}
+
+/**
+ * Register input sources with the router and act on the intents it emits
+ */
+function initInputRouter() {
+  inputRouter.register(INPUT_SOURCES.POINTER);
+  inputRouter.register(INPUT_SOURCES.KEYBOARD);
+  inputRouter.register(INPUT_SOURCES.VOICE, {
+    onEnable: () => startVoiceRecognition(),
+    onDisable: () => stopVoiceRecognition()
+  });
+  inputRouter.register(INPUT_SOURCES.GESTURE, {
+    onEnable: () => startGestureRecognition(),
+    onDisable: () => stopGestureRecognition()
+  });
+  inputRouter.register(INPUT_SOURCES.SENSOR, {
+    onEnable: () => startSensors(),
+    onDisable: () => stopSensors()
+  });
+
+  eventBus.on('intent', handleIntent);
+  eventBus.on('intent', ({ label }) => updateLastInputIndicator(label));
+  eventBus.on('intent', (input) => logInput(input));
+  eventBus.on('input:rejected', (input) => logInput(input));
+
+  // Keep the multimodal source toggles in sync however a source was switched
+  appState.subscribe(syncInputSourcePanel);
+}
+
+/**
+ * Execute a normalized intent
+ * @param {Object} input - Intent emitted by the input router
+ */
+function handleIntent({ intent, params }) {
+  switch (intent) {
+    case INTENTS.NEXT:
+      navigateDataset(1);
+      break;
+    case INTENTS.PREVIOUS:
+      navigateDataset(-1);
+      break;
+    case INTENTS.SET_CHART_TYPE:
+      if (params.chartType) {
+        changeChartType(params.chartType);
+      } else {
+        cycleChartType();
+      }
+      break;
+    case INTENTS.RESET:
+      // On the 3D demo that is the camera
+      if (appState.getState().currentDemo === '3d-demo' && threeInstance?.resetView) {
+        threeInstance.resetView();
+        showFeedback('View reset');
+      } else {
+        resetVisualization();
+      }
+      break;
+    case INTENTS.SELECT_SERIES:
+      selectDataset(params.series);
+      break;
+    case INTENTS.GO_TO_PERIOD:
+      focusPeriod(params.period);
+      break;
+    case INTENTS.ZOOM:
+      zoomToLast(params.count);
+      break;
+    case INTENTS.SET_THEME:
+      themes.setTheme(params.theme);
+      break;
+    case INTENTS.DESCRIBE:
+      describeVisualization();
+      break;
+    case INTENTS.EXPORT:
+      exportVisualization(params.format);
+      break;
+    case INTENTS.FLY_TO_VIEW:
+      flyTo3DView(params);
+      break;
+    case INTENTS.SAVE_VIEW:
+      save3DView();
+      break;
+    case INTENTS.TOUR:
+      toggle3DTour(params.playing);
+      break;
+    case INTENTS.SONIFY:
+      toggleSonification(params.playing);
+      break;
+  }
+}
+
+/**
+ * Show which source produced the last accepted input
+ * @param {string} label - Source label
+ */
+function updateLastInputIndicator(label) {
+  ['last-input-state', 'multimodal-last-input'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = label;
+  });
+}
+
+/**
+ * Append an accepted or rejected input to the multimodal input log
+ */
+function logInput({ intent, params, source, reason }) {
+  const log = document.getElementById('input-log');
+  if (!log) return;
+
+  const entry = document.createElement('li');
+  const value = params?.chartType ?? params?.format;
+  const detail = value ? ` (${value})` : '';
+  entry.textContent = `${source}: ${intent}${detail}${reason ? ` - ignored, ${reason}` : ''}`;
+  entry.classList.toggle('rejected', !!reason);
+  log.prepend(entry);
+
+  while (log.children.length > 8) {
+    log.lastElementChild.remove();
+  }
+}
+
+/**
+ * Reflect source enabled states in the multimodal panel
+ */
+function syncInputSourcePanel() {
+  document.querySelectorAll('[data-input-source]').forEach(checkbox => {
+    checkbox.checked = inputRouter.isEnabled(checkbox.dataset.inputSource);
+  });
+}
+
 /**
  * Initialize control buttons
  */
 function initControls() {
   // Previous button
   document.getElementById('btn-prev')?.addEventListener('click', () => {
-    navigateDataset(-1);
+    inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.PREVIOUS);
   });
 
   // Next button
   document.getElementById('btn-next')?.addEventListener('click', () => {
-    navigateDataset(1);
+    inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.NEXT);
   });
 
   // Reset button
   document.getElementById('btn-reset')?.addEventListener('click', () => {
-    resetVisualization();
+    inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.RESET);
+  });
+
+  // Describe button
+  document.getElementById('btn-describe')?.addEventListener('click', () => {
+    inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.DESCRIBE);
+  });
+
+  // Export buttons
+  document.querySelectorAll('[data-export-format]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.EXPORT, {
+        format: btn.dataset.exportFormat
+      });
+    });
   });
 
   // Chart type buttons
   document.querySelectorAll('[data-chart-type]').forEach(btn => {
     btn.addEventListener('click', () => {
-      const chartType = btn.dataset.chartType;
-      changeChartType(chartType);
-
-      // Update button states
-      document.querySelectorAll('[data-chart-type]').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+      inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.SET_CHART_TYPE, {
+        chartType: btn.dataset.chartType
+      });
     });
   });
 }
 
+/**
+ * Initialize keyboard shortcuts
+ */
+function initKeyboardShortcuts() {
+  const bindings = {
+    ArrowRight: [INTENTS.NEXT],
+    ArrowLeft: [INTENTS.PREVIOUS],
+    l: [INTENTS.SET_CHART_TYPE, { chartType: 'line' }],
+    b: [INTENTS.SET_CHART_TYPE, { chartType: 'bar' }],
+    p: [INTENTS.SET_CHART_TYPE, { chartType: 'pie' }],
+    h: [INTENTS.SET_CHART_TYPE, { chartType: 'heatmap' }],
+    r: [INTENTS.RESET],
+    d: [INTENTS.DESCRIBE],
+    v: [INTENTS.SAVE_VIEW],
+    t: [INTENTS.TOUR],
+    s: [INTENTS.SONIFY]
+  };
+  // 1-9 fly to the 3D camera bookmarks in order
+  for (let count = 1; count <= 9; count++) bindings[count] = [INTENTS.FLY_TO_VIEW, { count }];
+
+  // In sound mode these keys move through the data instead
+  const soundModeBindings = {
+    ArrowLeft: () => sonifier.step(-1),
+    ArrowRight: () => sonifier.step(1),
+    ArrowUp: () => sonifier.nextSeries(-1),
+    ArrowDown: () => sonifier.nextSeries(1),
+    Home: () => sonifier.step(-sonifier.length),
+    End: () => sonifier.step(sonifier.length),
+    ' ': () => inputRouter.submit(INPUT_SOURCES.KEYBOARD, INTENTS.SONIFY),
+    a: toggleAllSeries,
+    Escape: () => setSonificationMode(false)
+  };
+
+  document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    // Leave typing and native widget keys alone
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"], dialog')) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const soundModeBinding = appState.getState().sonification
+      && inputRouter.isEnabled(INPUT_SOURCES.KEYBOARD)
+      && soundModeBindings[key];
+    // Space on a button presses the button
+    if (soundModeBinding && !(key === ' ' && e.target.closest?.('button, a'))) {
+      e.preventDefault();
+      soundModeBinding();
+      return;
+    }
+
+    const binding = bindings[key];
+    if (!binding) return;
+
+    e.preventDefault();
+    inputRouter.submit(INPUT_SOURCES.KEYBOARD, ...binding);
+  });
+}
+
 /**
  * Initialize modal
  */
@@ -182,7 +615,11 @@ function initModal() {
     let tableData = null;
     switch (state.currentDemo) {
       case 'basic-charts':
-        tableData = state.chartType === 'pie' ? sampleData.marketShare : sampleData.salesData;
+        tableData = {
+          bar: sampleData.categoryData,
+          pie: sampleData.marketShare,
+          heatmap: sampleData.heatmapData
+        }[state.chartType] || sampleData.salesData;
         break;
       default:
         tableData = sampleData.salesData;
@@ -205,6 +642,129 @@ function initModal() {
   });
 }
 
+/**
+ * Initialize the data import dialog (file picker, drag-and-drop, paste)
+ */
+function initDataImport() {
+  const modal = document.getElementById('import-modal');
+  const dropzone = document.getElementById('import-dropzone');
+  const fileInput = document.getElementById('import-file');
+  const textInput = document.getElementById('import-text');
+  const shapeSelect = document.getElementById('import-shape');
+  if (!modal) return;
+
+  Object.entries(DATASET_SHAPES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    shapeSelect?.appendChild(option);
+  });
+
+  document.getElementById('btn-import-data')?.addEventListener('click', () => {
+    showImportErrors([]);
+    modal.showModal();
+  });
+  document.getElementById('btn-close-import')?.addEventListener('click', () => modal.close());
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) modal.close();
+  });
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      importData(await file.text(), file.name);
+    } catch (error) {
+      showImportErrors([`Could not read ${file.name}: ${error.message}`]);
+    }
+  };
+
+  fileInput?.addEventListener('change', () => {
+    importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+
+  dropzone?.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropzone.classList.add('dragover');
+  });
+  dropzone?.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+  dropzone?.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropzone.classList.remove('dragover');
+    const file = e.dataTransfer?.files[0];
+    if (file) {
+      importFile(file);
+    } else {
+      importData(e.dataTransfer?.getData('text/plain') || '');
+    }
+  });
+
+  document.getElementById('btn-import-apply')?.addEventListener('click', () => {
+    importData(textInput?.value || '');
+  });
+
+  document.getElementById('btn-import-restore')?.addEventListener('click', () => {
+    sampleData = structuredClone(originalSampleData);
+    showImportErrors([]);
+    refreshDataViews();
+    showFeedback('Sample data restored');
+    announceToScreenReader('Sample data restored');
+  });
+}
+
+/**
+ * Parse imported text and, when valid, swap it into sampleData
+ * @param {string} text - CSV, TSV or JSON text
+ * @param {string} filename - Source file name, if any
+ * @returns {boolean} Whether the data was applied
+ */
+function importData(text, filename = '') {
+  const shape = document.getElementById('import-shape')?.value || 'auto';
+  const result = importDataset(text, { filename, shape });
+
+  if (!result.ok) {
+    showImportErrors(result.errors);
+    announceToScreenReader(`Import failed: ${result.errors[0]}`);
+    return false;
+  }
+
+  sampleData = { ...sampleData, ...result.datasets };
+  showImportErrors([]);
+  refreshDataViews();
+  document.getElementById('import-modal')?.close();
+
+  const names = Object.keys(result.datasets).map(key => DATASET_SHAPES[key]).join(', ');
+  showFeedback(`Imported: ${names}`);
+  announceToScreenReader(`Imported data: ${names}`);
+  return true;
+}
+
+function showImportErrors(errors) {
+  const list = document.getElementById('import-errors');
+  if (!list) return;
+  list.innerHTML = '';
+  errors.forEach(message => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Re-render every visible chart from the current sampleData
+ */
+function refreshDataViews() {
+  // The selected series may no longer exist
+  if (appState.getState().datasetIndex >= sampleData.salesData.datasets.length) {
+    appState.setState({ datasetIndex: 0 });
+  }
+
+  renderCurrentChart();
+  const data = threeInstance && get3DChartData(appState.getState().threeType);
+  if (data) threeInstance.setData(data);
+  refreshSonification();
+}
+
 /**
  * Log feature support status
  */
@@ -216,8 +776,10 @@ function logFeatureSupport() {
   console.log('Accelerometer:', isFeatureSupported('accelerometer'));
   console.log('Gyroscope:', isFeatureSupported('gyroscope'));
   console.log('Device Orientation:', isFeatureSupported('deviceOrientation'));
+  console.log('Device Motion:', isFeatureSupported('deviceMotion'));
   console.log('WebGL:', isFeatureSupported('webgl'));
   console.log('WebGL2:', isFeatureSupported('webgl2'));
+  console.log('WebGPU:', isFeatureSupported('webgpu'));
   console.groupEnd();
 }
 
@@ -226,6 +788,7 @@ function logFeatureSupport() {
  * @param {string} demoId - Demo identifier
  */
 async function loadDemo(demoId) {
+  demoLoad++;
   const container = document.getElementById('demo-container');
   container.innerHTML = '<div class="loading-placeholder"><p>Loading demo...</p></div>';
 
@@ -237,10 +800,25 @@ async function loadDemo(demoId) {
 
   // Dispose existing Three.js instance
   if (threeInstance) {
+    remember3DView();
     threeInstance.dispose();
     threeInstance = null;
   }
 
+  disposeSensorStream();
+
+  // Sound mode stays on and picks up the new demo's chart once it is drawn
+  sonifier.setData(null);
+
+  // Release the microphone, camera and gesture pipeline
+  narrator.stop();
+  clearChartSummary();
+  stopVoiceRecognition();
+  stopGestureRecognition();
+
+  // Traditional inputs can only be switched off from the multimodal panel
+  appState.setState({ pointerEnabled: true, keyboardEnabled: true });
+
   switch (demoId) {
     case 'basic-charts':
       await loadBasicChartsDemo(container);
@@ -263,6 +841,7 @@ async function loadDemo(demoId) {
     default:
       container.innerHTML = '<div class="loading-placeholder"><p>Demo not found</p></div>';
   }
+  refreshSonification();
 }
 
 /**
@@ -278,8 +857,7 @@ async function loadBasicChartsDemo(container) {
   `;
 
   const chartContainer = document.getElementById('chart');
-  const theme = appState.getState().theme;
-  chartInstance = echarts.init(chartContainer, theme === 'dark' ? 'dark' : null);
+  chartInstance = createChart(chartContainer);
 
   // Handle resize
   window.addEventListener('resize', () => {
@@ -308,11 +886,15 @@ function renderCurrentChart() {
     case 'pie':
       option = createPieChartOption();
       break;
+    case 'heatmap':
+      option = createHeatmapChartOption();
+      break;
     default:
       option = createLineChartOption();
   }
 
-  chartInstance.setOption(option, true);
+  chartInstance.setOption(withTheme(option, themes.current), true);
+  refreshSonification();
 }
 
 /**
@@ -347,6 +929,10 @@ function createLineChartOption() {
         dataZoom: {}
       }
     },
+    dataZoom: [{
+      type: 'inside',
+      xAxisIndex: 0
+    }],
     xAxis: {
       type: 'category',
       boundaryGap: false,
@@ -402,12 +988,9 @@ function createBarChartOption() {
     },
     series: [{
       type: 'bar',
-      data: data.values.map((value, index) => ({
-        value,
-        itemStyle: {
-          color: getChartColor(index)
-        }
-      })),
+      // A palette color, and pattern when they are on, per bar
+      colorBy: 'data',
+      data: data.values,
       emphasis: {
         itemStyle: {
           shadowBlur: 10,
@@ -464,10 +1047,7 @@ function createPieChartOption() {
       labelLine: {
         show: false
       },
-      data: data.data.map((item, index) => ({
-        ...item,
-        itemStyle: { color: getChartColor(index) }
-      })),
+      data: data.data,
       animationType: 'scale',
       animationEasing: 'elasticOut',
       animationDelay: (idx) => idx * 100
@@ -476,14 +1056,74 @@ function createPieChartOption() {
 }
 
 /**
- * Get chart color by index
+ * Create heatmap chart option
  */
-function getChartColor(index) {
-  const colors = [
-    '#5470c6', '#91cc75', '#fac858', '#ee6666',
-    '#73c0de', '#3ba272', '#fc8452', '#9a60b4'
-  ];
-  return colors[index % colors.length];
+function createHeatmapChartOption() {
+  const data = sampleData.heatmapData;
+  const { colors, scheme } = themes.current;
+  const values = data.data.map(([, , value]) => value);
+
+  return {
+    title: {
+      text: data.title,
+      left: 'center'
+    },
+    tooltip: {
+      position: 'top',
+      formatter: ({ value: [x, y, value] }) =>
+        `${data.xLabels[x]} ${data.yLabels[y].toLowerCase()}<br/>Activity: <strong>${value}</strong>`
+    },
+    grid: {
+      left: '3%',
+      right: '4%',
+      top: '12%',
+      bottom: '18%',
+      containLabel: true
+    },
+    xAxis: {
+      type: 'category',
+      data: data.xLabels,
+      splitArea: { show: true }
+    },
+    yAxis: {
+      type: 'category',
+      data: data.yLabels,
+      splitArea: { show: true }
+    },
+    visualMap: {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      calculable: true,
+      orient: 'horizontal',
+      left: 'center',
+      bottom: 0,
+      inRange: {
+        // Low values fade into the background of either theme
+        color: scheme === 'dark'
+          ? ['#1f2a44', '#3b5bab', '#73c0de', '#fac858']
+          : ['#eef3fb', '#91b4e8', '#5470c6', '#2a3f8f']
+      },
+      textStyle: { color: colors.text }
+    },
+    series: [{
+      name: data.title,
+      type: 'heatmap',
+      data: data.data,
+      label: {
+        show: true
+      },
+      itemStyle: {
+        borderColor: colors.surface,
+        borderWidth: 2
+      },
+      emphasis: {
+        itemStyle: {
+          shadowBlur: 10,
+          shadowColor: 'rgba(0, 0, 0, 0.5)'
+        }
+      }
+    }]
+  };
 }
 
 /**
@@ -498,32 +1138,114 @@ function navigateDataset(direction) {
   if (newIndex < 0) newIndex = totalDatasets - 1;
   if (newIndex >= totalDatasets) newIndex = 0;
 
-  appState.setState({ datasetIndex: newIndex });
+  selectDataset(newIndex);
+}
+
+/**
+ * Select a dataset by index
+ * @param {number} index - Index into salesData.datasets
+ */
+function selectDataset(index) {
+  const state = appState.getState();
+  const dataset = sampleData.salesData.datasets[index];
+  if (!dataset) return;
+
+  appState.setState({ datasetIndex: index });
 
-  const datasetName = sampleData.salesData.datasets[newIndex].name;
-  showFeedback(`Dataset: ${datasetName}`);
-  announceToScreenReader(`Showing ${datasetName} data`);
+  showFeedback(`Dataset: ${dataset.name}`);
+  announceToScreenReader(`Showing ${dataset.name} data`);
+
+  if (threeInstance && state.threeType === 'bar') {
+    threeInstance.setData(get3DChartData('bar'));
+    refreshSonification();
+  }
 
   // Highlight the selected series
   if (chartInstance && state.chartType === 'line') {
+    chartInstance.dispatchAction({ type: 'downplay' });
     chartInstance.dispatchAction({
       type: 'highlight',
-      seriesIndex: newIndex
+      seriesIndex: index
     });
   }
 }
 
+/**
+ * Point the line chart tooltip at a period (month)
+ * @param {number} index - Index into salesData.labels
+ */
+function focusPeriod(index) {
+  const { labels, datasets } = sampleData.salesData;
+  if (index < 0 || index >= labels.length) return;
+
+  // Periods only exist on the time-series line chart
+  if (appState.getState().chartType !== 'line') {
+    changeChartType('line');
+  }
+
+  const dataset = datasets[appState.getState().datasetIndex];
+  chartInstance?.dispatchAction({
+    type: 'showTip',
+    seriesIndex: appState.getState().datasetIndex,
+    dataIndex: index
+  });
+
+  showFeedback(`Period: ${labels[index]}`);
+  announceToScreenReader(`${dataset.name} in ${labels[index]}: ${dataset.values[index]}`);
+}
+
+/**
+ * Zoom the line chart to the last N periods
+ * @param {number} [count] - Number of periods, omit to show all
+ */
+function zoomToLast(count) {
+  const { labels } = sampleData.salesData;
+
+  if (appState.getState().chartType !== 'line') {
+    changeChartType('line');
+  }
+
+  const start = count ? Math.max(0, labels.length - count) : 0;
+  chartInstance?.dispatchAction({
+    type: 'dataZoom',
+    startValue: start,
+    endValue: labels.length - 1
+  });
+
+  const message = count ? `Showing last ${labels.length - start} months` : 'Showing all months';
+  showFeedback(message);
+  announceToScreenReader(message);
+}
+
 /**
  * Change chart type
- * @param {string} type - Chart type (line, bar, pie)
+ * @param {string} type - Chart type (line, bar, pie, heatmap)
  */
 function changeChartType(type) {
   appState.setState({ chartType: type });
+  syncChartTypeButtons(type);
   renderCurrentChart();
   showFeedback(`Chart type: ${type}`);
   announceToScreenReader(`Changed to ${type} chart`);
 }
 
+/**
+ * Mark the chart type button for the given type as active
+ */
+function syncChartTypeButtons(type) {
+  document.querySelectorAll('[data-chart-type]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.chartType === type);
+  });
+}
+
+/**
+ * Switch to the next chart type in CHART_TYPES
+ */
+function cycleChartType() {
+  const current = CHART_TYPES.indexOf(appState.getState().chartType);
+  changeChartType(CHART_TYPES[(current + 1) % CHART_TYPES.length]);
+}
+
 /**
  * Reset visualization to initial state
  */
@@ -534,9 +1256,7 @@ function resetVisualization() {
   });
 
   // Update UI
-  document.querySelectorAll('[data-chart-type]').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.chartType === 'line');
-  });
+  syncChartTypeButtons('line');
 
   renderCurrentChart();
   showFeedback('Visualization reset');
@@ -544,21 +1264,199 @@ function resetVisualization() {
 }
 
 /**
- * Voice Demo - placeholder for Phase 3
+ * Summarize the current chart on screen, aloud and for screen readers
  */
-async function loadVoiceDemo(container) {
-  const supported = isFeatureSupported('speechRecognition');
+function describeVisualization() {
+  let summary = null;
+  if (threeInstance) {
+    summary = threeInstance.describe();
+  } else if (chartInstance) {
+    summary = describeEChartsOption(chartInstance.getOption());
+  }
 
-  container.innerHTML = `
-    <div class="demo-content">
-      <h2>Voice-Controlled Visualization</h2>
-      <p>Control the chart using voice commands. Say "next", "previous", "bar", "line", "pie", or "reset".</p>
+  if (!summary) {
+    showFeedback('Nothing to describe yet');
+    return;
+  }
 
-      ${!supported ? `
-        <div class="warning-panel" style="padding: 1rem; background: #fff3cd; border-radius: 8px; margin: 1rem 0;">
-          <strong>Note:</strong> Web Speech API is not supported in your browser.
-          Please use Chrome or Edge for voice control features.
-        </div>
+  const summaryEl = document.getElementById('chart-summary');
+  if (summaryEl) {
+    summaryEl.textContent = summary;
+    summaryEl.hidden = false;
+  }
+  announceToScreenReader(summary);
+  narrator.speak(summary);
+}
+
+/**
+ * Wire the sound mode controls to the sonifier and speak the points it steps to
+ */
+function initSonification() {
+  const toggle = document.getElementById('btn-sonify');
+  const play = document.getElementById('btn-sonify-play');
+  const scrub = document.getElementById('sonify-scrub');
+
+  sonifier.on('announce', (text) => {
+    announceToScreenReader(text);
+    narrator.speak(text);
+  });
+  sonifier.on('end', () => announceToScreenReader('End of data'));
+  ['data', 'position', 'play', 'pause'].forEach(event => sonifier.on(event, syncSonificationControls));
+
+  toggle?.addEventListener('click', () => setSonificationMode(!appState.getState().sonification));
+  play?.addEventListener('click', () => {
+    inputRouter.submit(INPUT_SOURCES.POINTER, INTENTS.SONIFY);
+  });
+  // Scrubbing plays each point passed over; the slider's value text says which
+  scrub?.addEventListener('input', () => sonifier.seek(Number(scrub.value), { announce: false }));
+  syncSonificationControls();
+}
+
+/**
+ * Turn sound mode on or off
+ * @param {boolean} enabled - Whether the chart should be playable and the arrow keys step through it
+ */
+function setSonificationMode(enabled) {
+  if (enabled === appState.getState().sonification) return;
+  appState.setState({ sonification: enabled });
+
+  if (!enabled) {
+    sonifier.pause();
+    syncSonificationControls();
+    showFeedback('Sound mode off');
+    announceToScreenReader('Sound mode off');
+    return;
+  }
+
+  refreshSonification();
+  syncSonificationControls();
+  showFeedback('Sound mode on');
+  announceToScreenReader(sonifier.length
+    ? `Sound mode on. ${sonifier.data.title || 'Chart'}, ${sonifier.length} points. `
+      + 'Left and Right step through points, Up and Down change series, Space plays, A plays all series, Escape leaves.'
+    : 'Sound mode on. This chart has no data to play.');
+}
+
+/**
+ * Play or pause the current chart as sound, turning sound mode on to play
+ * @param {boolean} [playing] - Whether it should play; toggles when omitted
+ */
+function toggleSonification(playing) {
+  if (!(playing ?? !sonifier.playing)) {
+    sonifier.pause();
+    return;
+  }
+
+  setSonificationMode(true);
+  if (!sonifier.play()) showFeedback('Nothing to play yet');
+}
+
+/**
+ * Switch between hearing the active series and every series at once
+ */
+function toggleAllSeries() {
+  sonifier.allSeries = !sonifier.allSeries;
+  announceToScreenReader(sonifier.allSeries
+    ? 'Playing all series, spread left to right'
+    : `Playing ${sonifier.series?.name ?? 'one series'}`);
+}
+
+/**
+ * Sonification data for the chart on screen
+ * @returns {Object|null} Sonification data, or null when there is no chart or no data
+ */
+function currentSonification() {
+  if (threeInstance) return threeInstance.toSonification();
+  if (chartInstance) return sonifyEChartsOption(chartInstance.getOption());
+  return null;
+}
+
+/**
+ * Give the sonifier the data now on screen; only needed in sound mode
+ */
+function refreshSonification() {
+  if (appState.getState().sonification) sonifier.setData(currentSonification());
+}
+
+/**
+ * Reflect sound mode, playback and the current point in the sound controls
+ */
+function syncSonificationControls() {
+  const toggle = document.getElementById('btn-sonify');
+  const play = document.getElementById('btn-sonify-play');
+  const scrub = document.getElementById('sonify-scrub');
+  if (!toggle) return;
+
+  const enabled = appState.getState().sonification;
+  toggle.setAttribute('aria-pressed', enabled);
+  play.setAttribute('aria-pressed', sonifier.playing);
+  play.disabled = scrub.disabled = !enabled || !sonifier.length;
+  scrub.max = Math.max(sonifier.length - 1, 0);
+  scrub.value = sonifier.position;
+  scrub.setAttribute('aria-valuetext', sonifier.length ? sonifier.describePoint(sonifier.position) : 'No data');
+}
+
+/**
+ * Download the current visualization, or the data behind it
+ * @param {string} format - One of EXPORT_FORMATS; 3D views only export PNG
+ */
+async function exportVisualization(format = EXPORT_FORMATS.PNG) {
+  const scale = Number(document.getElementById('export-scale')?.value) || 2;
+
+  try {
+    let file = null;
+    if (threeInstance) {
+      if (format !== EXPORT_FORMATS.PNG) {
+        showFeedback('3D views export as PNG only');
+        return;
+      }
+      file = await exportSnapshot(threeInstance, { scale });
+    } else if (chartInstance) {
+      file = exportChart(chartInstance, format, {
+        scale,
+        // Charts are transparent on the page, which reads badly once saved
+        backgroundColor: themes.current.colors.surface
+      });
+    }
+
+    if (!file) {
+      showFeedback('Nothing to export yet');
+      return;
+    }
+
+    downloadBlob(file.blob, file.filename);
+    showFeedback(`Exported ${file.filename}`);
+    announceToScreenReader(`Exported ${file.filename}`);
+  } catch (error) {
+    console.error('Export failed:', error);
+    showFeedback(`Export failed: ${error.message}`);
+  }
+}
+
+function clearChartSummary() {
+  const summaryEl = document.getElementById('chart-summary');
+  if (summaryEl) {
+    summaryEl.textContent = '';
+    summaryEl.hidden = true;
+  }
+}
+
+/**
+ * Voice Demo - Web Speech API with a localized command grammar
+ */
+async function loadVoiceDemo(container) {
+  const supported = isFeatureSupported('speechRecognition');
+
+  container.innerHTML = `
+    <div class="demo-content">
+      <h2>Voice-Controlled Visualization</h2>
+      <p>Control the chart using voice commands. Commands can carry values, like a product, a month or a theme.</p>
+
+      ${!supported ? `
+        <div class="warning-panel" style="padding: 1rem; background: #fff3cd; border-radius: 8px; margin: 1rem 0;">
+          <strong>Note:</strong> Web Speech API is not supported in your browser.
+          Please use Chrome or Edge for voice control features.
+        </div>
       ` : ''}
 
       <div class="demo-layout-split">
@@ -568,14 +1466,7 @@ async function loadVoiceDemo(container) {
         <div class="control-section">
           <div class="help-panel">
             <h4>Voice Commands</h4>
-            <ul>
-              <li><span class="command">"next"</span> Next dataset</li>
-              <li><span class="command">"previous"</span> Previous dataset</li>
-              <li><span class="command">"bar"</span> Bar chart</li>
-              <li><span class="command">"line"</span> Line chart</li>
-              <li><span class="command">"pie"</span> Pie chart</li>
-              <li><span class="command">"reset"</span> Reset view</li>
-            </ul>
+            <ul id="voice-command-help"></ul>
           </div>
           <button id="btn-voice-toggle" class="btn btn-primary" ${!supported ? 'disabled' : ''}>
             Start Listening
@@ -590,51 +1481,35 @@ async function loadVoiceDemo(container) {
 
   // Initialize chart
   const chartContainer = document.getElementById('voice-chart');
-  const theme = appState.getState().theme;
-  chartInstance = echarts.init(chartContainer, theme === 'dark' ? 'dark' : null);
+  chartInstance = createChart(chartContainer);
   renderCurrentChart();
+  renderVoiceCommandHelp();
 
-  // Voice control will be fully implemented in Phase 3
-  if (supported) {
-    initVoiceControl();
-  }
+  const toggleBtn = document.getElementById('btn-voice-toggle');
+
+  toggleBtn?.addEventListener('click', async () => {
+    const listening = await inputRouter.setEnabled(INPUT_SOURCES.VOICE, !isListening);
+    toggleBtn.textContent = listening ? 'Stop Listening' : 'Start Listening';
+    toggleBtn.classList.toggle('active', listening);
+  });
 }
 
 /**
- * Initialize voice control (basic implementation)
+ * Create the speech recognition instance
  */
-function initVoiceControl() {
+function createRecognition() {
   const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-  const recognition = new SpeechRecognition();
-
-  recognition.continuous = true;
-  recognition.interimResults = true;
-  recognition.lang = 'en-US';
+  const instance = new SpeechRecognition();
 
-  const toggleBtn = document.getElementById('btn-voice-toggle');
-  const transcriptDiv = document.getElementById('voice-transcript');
-  let isListening = false;
-
-  toggleBtn?.addEventListener('click', () => {
-    if (isListening) {
-      recognition.stop();
-      toggleBtn.textContent = 'Start Listening';
-      toggleBtn.classList.remove('active');
-      isListening = false;
-      updateVoiceStatus(false);
-    } else {
-      recognition.start();
-      toggleBtn.textContent = 'Stop Listening';
-      toggleBtn.classList.add('active');
-      isListening = true;
-      updateVoiceStatus(true);
-    }
-  });
+  instance.continuous = true;
+  instance.interimResults = true;
+  instance.lang = voiceGrammar?.lang || 'en-US';
 
-  recognition.onresult = (event) => {
+  instance.onresult = (event) => {
     const result = event.results[event.results.length - 1];
     const transcript = result[0].transcript.toLowerCase().trim();
 
+    const transcriptDiv = document.getElementById('voice-transcript');
     if (transcriptDiv) {
       transcriptDiv.innerHTML = `<strong>Heard:</strong> ${transcript}`;
     }
@@ -644,7 +1519,7 @@ function initVoiceControl() {
     }
   };
 
-  recognition.onerror = (event) => {
+  instance.onerror = (event) => {
     console.error('Speech recognition error:', event.error);
     if (event.error === 'no-speech') {
       // Silent error - no speech detected
@@ -653,12 +1528,88 @@ function initVoiceControl() {
     }
   };
 
-  recognition.onend = () => {
+  instance.onend = () => {
     if (isListening) {
       // Restart if should still be listening
-      recognition.start();
+      instance.start();
     }
   };
+
+  return instance;
+}
+
+/**
+ * Start listening for voice commands
+ * @returns {boolean} Whether recognition is running
+ */
+function startVoiceRecognition() {
+  if (!isFeatureSupported('speechRecognition')) return false;
+  if (isListening) return true;
+
+  recognition = recognition || createRecognition();
+  recognition.start();
+  isListening = true;
+  updateVoiceStatus(true);
+  return true;
+}
+
+/**
+ * Stop listening for voice commands
+ */
+function stopVoiceRecognition() {
+  if (!isListening) return;
+
+  isListening = false;
+  recognition.stop();
+  updateVoiceStatus(false);
+}
+
+/**
+ * Load the voice command grammar and keep it in sync with the active locale
+ */
+function initVoiceGrammar() {
+  // i18n rebuilds its translations on every locale switch,
+  // so the grammar module is (re)loaded after each localeChange
+  window.addEventListener('localeChange', loadVoiceGrammar);
+  if (i18n.loaded) {
+    loadVoiceGrammar();
+  }
+}
+
+/**
+ * Load the grammar for the current locale from locales/<locale>/voice-commands.json
+ */
+async function loadVoiceGrammar() {
+  await i18n.loadModule('voice-commands');
+  const grammar = i18n.t('voice-commands');
+  if (typeof grammar !== 'object') return;
+
+  voiceGrammar = new CommandParser(grammar);
+
+  if (recognition) {
+    recognition.lang = voiceGrammar.lang;
+    // Stopping triggers onend, which restarts recognition in the new language
+    if (isListening) recognition.stop();
+  }
+
+  renderVoiceCommandHelp();
+}
+
+/**
+ * List the example commands of the current grammar in the voice demo
+ */
+function renderVoiceCommandHelp() {
+  const list = document.getElementById('voice-command-help');
+  if (!list) return;
+
+  if (!voiceGrammar) {
+    list.innerHTML = '<li><em>Loading commands...</em></li>';
+    return;
+  }
+
+  list.innerHTML = i18n.t('voice-commands.examples')
+    .map(({ say, does }) => `<li><span class="command">"${say}"</span> ${does}</li>`)
+    .join('');
 }
 
 /**
@@ -666,21 +1617,17 @@ function initVoiceControl() {
  * @param {string} transcript - Recognized speech text
  */
 function processVoiceCommand(transcript) {
-  const commands = {
-    'next': () => navigateDataset(1),
-    'previous': () => navigateDataset(-1),
-    'bar': () => changeChartType('bar'),
-    'line': () => changeChartType('line'),
-    'pie': () => changeChartType('pie'),
-    'reset': () => resetVisualization()
-  };
+  // Ignore the recognizer hearing our own spoken summary
+  if (!voiceGrammar || narrator.speaking) return;
 
-  for (const [command, action] of Object.entries(commands)) {
-    if (transcript.includes(command)) {
-      action();
-      showFeedback(`Command: ${command}`);
-      break;
-    }
+  const command = voiceGrammar.parse(transcript, {
+    series: sampleData.salesData.datasets.map(dataset => dataset.name),
+    bookmark: Object.keys(threeInstance?.getBookmarks?.() ?? {})
+  });
+  if (!command) return;
+
+  if (inputRouter.submit(INPUT_SOURCES.VOICE, command.intent, command.params).accepted) {
+    showFeedback(`Command: ${command.phrase}`);
   }
 }
 
@@ -698,14 +1645,22 @@ function updateVoiceStatus(active) {
 }
 
 /**
- * Gesture Demo - placeholder for Phase 4
+ * Gesture Demo - MediaPipe hand gesture recognition
  */
 async function loadGestureDemo(container) {
+  const supported = isFeatureSupported('mediaDevices');
+
   container.innerHTML = `
     <div class="demo-content">
       <h2>Gesture-Controlled Visualization</h2>
       <p>Control the chart using hand gestures detected by your camera.</p>
 
+      ${!supported ? `
+        <div class="warning-panel" style="padding: 1rem; background: #fff3cd; border-radius: 8px; margin: 1rem 0;">
+          <strong>Note:</strong> Camera access is not available in your browser.
+        </div>
+      ` : ''}
+
       <div class="demo-layout-split">
         <div class="chart-section">
           <div id="gesture-chart" class="chart-container" role="img" aria-label="Gesture-controlled chart"></div>
@@ -724,55 +1679,143 @@ async function loadGestureDemo(container) {
               <li><span class="command">Open Palm</span> Reset</li>
             </ul>
           </div>
-          <button id="btn-gesture-toggle" class="btn btn-primary">
+          <button id="btn-gesture-toggle" class="btn btn-primary" ${!supported ? 'disabled' : ''}>
             Start Camera
           </button>
         </div>
       </div>
 
       <p style="margin-top: 1rem; font-size: 0.875rem; color: var(--color-text-secondary);">
-        <strong>Note:</strong> Gesture recognition requires MediaPipe Vision to be loaded.
-        Full implementation coming in Phase 4.
+        <strong>Tip:</strong> Hold a gesture steadily for a moment. Each gesture fires once until you change pose.
       </p>
     </div>
   `;
 
   // Initialize chart
   const chartContainer = document.getElementById('gesture-chart');
-  const theme = appState.getState().theme;
-  chartInstance = echarts.init(chartContainer, theme === 'dark' ? 'dark' : null);
+  chartInstance = createChart(chartContainer);
   renderCurrentChart();
 
-  // Basic camera preview (full gesture recognition in Phase 4)
   const toggleBtn = document.getElementById('btn-gesture-toggle');
+
+  toggleBtn?.addEventListener('click', async () => {
+    toggleBtn.disabled = true;
+    const running = await inputRouter.setEnabled(INPUT_SOURCES.GESTURE, !gestureStream);
+    toggleBtn.disabled = false;
+    toggleBtn.textContent = running ? 'Stop Camera' : 'Start Camera';
+  });
+}
+
+/**
+ * Start the camera and the gesture recognition pipeline
+ * @returns {Promise<boolean>} Whether recognition is running
+ */
+async function startGestureRecognition() {
   const video = document.getElementById('gesture-video');
   const overlay = document.getElementById('gesture-overlay');
-  let stream = null;
+  if (!video || !isFeatureSupported('mediaDevices')) return false;
+  // Already running, or already asking for the camera (e.g. a double click)
+  if (gestureController || gestureCameraRequest) return true;
 
-  toggleBtn?.addEventListener('click', async () => {
-    if (stream) {
-      stream.getTracks().forEach(track => track.stop());
-      stream = null;
-      video.srcObject = null;
-      toggleBtn.textContent = 'Start Camera';
-      overlay.textContent = 'Camera stopped';
-      updateGestureStatus(false);
-    } else {
-      try {
-        stream = await navigator.mediaDevices.getUserMedia({
-          video: { width: 640, height: 480, facingMode: 'user' }
-        });
-        video.srcObject = stream;
-        toggleBtn.textContent = 'Stop Camera';
-        overlay.textContent = 'Gesture recognition ready (Phase 4)';
-        updateGestureStatus(true);
-      } catch (error) {
-        console.error('Camera error:', error);
-        showFeedback('Failed to access camera');
-        overlay.textContent = 'Camera access denied';
-      }
+  const request = gestureCameraRequest = {};
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: { width: 640, height: 480, facingMode: 'user' }
+    });
+  } catch (error) {
+    if (request !== gestureCameraRequest) return false;
+    gestureCameraRequest = null;
+    console.error('Camera error:', error);
+    showFeedback('Failed to access camera');
+    overlay.textContent = 'Camera access denied';
+    return false;
+  }
+
+  // Stopped, or the demo left, while the prompt was open
+  if (request !== gestureCameraRequest) {
+    stream.getTracks().forEach(track => track.stop());
+    return false;
+  }
+  gestureCameraRequest = null;
+  gestureStream = stream;
+  video.srcObject = stream;
+
+  overlay.textContent = 'Loading gesture model...';
+
+  const controller = new GestureController({
+    tracker: new HandTracker(),
+    classifier: new MediaPipeGestureClassifier(),
+    actions: {
+      [GESTURES.THUMBS_UP]: () => inputRouter.submit(INPUT_SOURCES.GESTURE, INTENTS.NEXT),
+      [GESTURES.THUMBS_DOWN]: () => inputRouter.submit(INPUT_SOURCES.GESTURE, INTENTS.PREVIOUS),
+      // No chart type given: cycle to the next one
+      [GESTURES.VICTORY]: () => inputRouter.submit(INPUT_SOURCES.GESTURE, INTENTS.SET_CHART_TYPE),
+      [GESTURES.OPEN_PALM]: () => inputRouter.submit(INPUT_SOURCES.GESTURE, INTENTS.RESET)
     }
   });
+
+  controller.on('frame', ({ gesture, confidence }) => {
+    overlay.textContent = gesture === GESTURES.NONE
+      ? 'Show a gesture'
+      : `${formatGestureName(gesture)} (${Math.round(confidence * 100)}%)`;
+  });
+
+  controller.on('gesture', (gesture) => {
+    announceToScreenReader(`Gesture recognized: ${formatGestureName(gesture)}`);
+  });
+
+  gestureController = controller;
+
+  try {
+    await controller.start(video);
+    // The demo may have been left while the model was loading
+    if (controller !== gestureController) {
+      controller.dispose();
+      return false;
+    }
+    updateGestureStatus(true);
+    return true;
+  } catch (error) {
+    console.error('Gesture recognizer error:', error);
+    if (controller !== gestureController) return false;
+    stopGestureRecognition();
+    showFeedback('Failed to load gesture model');
+    overlay.textContent = 'Gesture model unavailable (see models/README.md)';
+    return false;
+  }
+}
+
+/**
+ * Stop gesture recognition and release the camera
+ */
+function stopGestureRecognition() {
+  gestureCameraRequest = null;
+
+  if (gestureController) {
+    gestureController.dispose();
+    gestureController = null;
+  }
+
+  if (gestureStream) {
+    gestureStream.getTracks().forEach(track => track.stop());
+    gestureStream = null;
+    const video = document.getElementById('gesture-video');
+    const overlay = document.getElementById('gesture-overlay');
+    if (video) video.srcObject = null;
+    if (overlay) overlay.textContent = 'Camera stopped';
+  }
+
+  if (appState.getState().gestureEnabled) {
+    updateGestureStatus(false);
+  }
+}
+
+/**
+ * Human-readable gesture name, e.g. 'thumbs_up' -> 'Thumbs Up'
+ */
+function formatGestureName(gesture) {
+  return gesture.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
 }
 
 /**
@@ -789,18 +1832,17 @@ function updateGestureStatus(active) {
 }
 
 /**
- * Sensor Demo - placeholder for Phase 5
+ * Sensor Demo - device motion gestures and a live stream of raw readings
  */
 async function loadSensorDemo(container) {
-  const accelerometerSupported = isFeatureSupported('accelerometer');
-  const orientationSupported = isFeatureSupported('deviceOrientation');
+  const supported = DeviceMotionSource.isSupported();
 
   container.innerHTML = `
     <div class="demo-content">
       <h2>Sensor-Controlled Visualization</h2>
       <p>Use your device's sensors to control the visualization. Shake to reset, tilt to navigate.</p>
 
-      ${!accelerometerSupported && !orientationSupported ? `
+      ${!supported ? `
         <div class="warning-panel" style="padding: 1rem; background: #fff3cd; border-radius: 8px; margin: 1rem 0;">
           <strong>Note:</strong> Device sensors are not available. This demo works best on mobile devices.
         </div>
@@ -819,94 +1861,192 @@ async function loadSensorDemo(container) {
           <span class="label">Acceleration Z</span>
           <span class="value" id="accel-z">0.00</span>
         </div>
+        <div class="sensor-value">
+          <span class="label">Roll</span>
+          <span class="value" id="sensor-roll">0&deg;</span>
+        </div>
         <div class="sensor-value">
           <span class="label">Orientation Alpha</span>
           <span class="value" id="orient-alpha">0</span>
         </div>
+        <div class="sensor-value">
+          <span class="label">Motion</span>
+          <span class="value" id="sensor-gesture" aria-live="polite">&mdash;</span>
+        </div>
+      </div>
+
+      <div id="sensor-stream-chart" class="chart-container" style="margin-top: 1rem;" role="img" aria-label="Live sensor readings"></div>
+
+      <div class="button-group" style="margin-top: 0.5rem;">
+        <button id="btn-stream-pause" class="btn" aria-pressed="false">Pause</button>
+        <button id="btn-stream-simulate" class="btn" aria-pressed="false">Simulate Signal</button>
       </div>
 
       <div id="sensor-chart" class="chart-container" style="margin-top: 1rem;" role="img" aria-label="Sensor-controlled chart"></div>
 
-      <button id="btn-sensor-toggle" class="btn btn-primary" style="margin-top: 1rem;">
-        Enable Sensors
-      </button>
+      <div class="button-group" style="margin-top: 1rem;">
+        <button id="btn-sensor-toggle" class="btn btn-primary">
+          ${appState.getState().sensorEnabled ? 'Disable Sensors' : 'Enable Sensors'}
+        </button>
+        <button id="btn-sensor-calibrate" class="btn">Recalibrate</button>
+      </div>
 
-      <p style="margin-top: 1rem; font-size: 0.875rem; color: var(--color-text-secondary);">
-        <strong>Tip:</strong> On mobile, shake device to reset chart. Full implementation in Phase 5.
-      </p>
+      <div class="help-panel" style="margin-top: 1rem;">
+        <h4>Motion Gestures</h4>
+        <ul>
+          <li><span class="command">Shake</span> Reset view</li>
+          <li><span class="command">Tilt right</span> Next dataset</li>
+          <li><span class="command">Tilt left</span> Previous dataset</li>
+          <li><span class="command">Flip face down</span> Cycle chart type</li>
+        </ul>
+        <p style="font-size: 0.875rem; color: var(--color-text-secondary);">
+          Hold the device still in your usual position for a moment after enabling sensors;
+          tilts are measured from that resting pose.
+        </p>
+      </div>
     </div>
   `;
 
   // Initialize chart
   const chartContainer = document.getElementById('sensor-chart');
-  const theme = appState.getState().theme;
-  chartInstance = echarts.init(chartContainer, theme === 'dark' ? 'dark' : null);
+  chartInstance = createChart(chartContainer);
   renderCurrentChart();
 
-  // Basic sensor reading (full implementation in Phase 5)
-  const toggleBtn = document.getElementById('btn-sensor-toggle');
-  let sensorActive = false;
+  // Live stream of raw readings
+  sensorStreamInstance = createChart(document.getElementById('sensor-stream-chart'));
+  sensorStream = new SensorStreamChart(sensorStreamInstance, {
+    template: sampleData.realtimeTemplate
+  });
 
-  toggleBtn?.addEventListener('click', () => {
-    if (sensorActive) {
-      sensorActive = false;
-      toggleBtn.textContent = 'Enable Sensors';
-      updateSensorStatus(false);
+  const pauseBtn = document.getElementById('btn-stream-pause');
+  pauseBtn?.addEventListener('click', () => {
+    if (sensorStream.paused) {
+      sensorStream.resume();
     } else {
-      initBasicSensors();
-      sensorActive = true;
-      toggleBtn.textContent = 'Disable Sensors';
-      updateSensorStatus(true);
+      sensorStream.pause();
     }
+    pauseBtn.textContent = sensorStream.paused ? 'Resume' : 'Pause';
+    pauseBtn.setAttribute('aria-pressed', sensorStream.paused);
+  });
+
+  const simulateBtn = document.getElementById('btn-stream-simulate');
+  simulateBtn?.addEventListener('click', () => {
+    const active = toggleSyntheticSignal();
+    simulateBtn.textContent = active ? 'Stop Simulation' : 'Simulate Signal';
+    simulateBtn.setAttribute('aria-pressed', active);
+    showFeedback(active ? 'Simulated signal on' : 'Simulated signal off');
+  });
+
+  const toggleBtn = document.getElementById('btn-sensor-toggle');
+
+  toggleBtn?.addEventListener('click', async () => {
+    const active = await inputRouter.setEnabled(INPUT_SOURCES.SENSOR, !appState.getState().sensorEnabled);
+    toggleBtn.textContent = active ? 'Disable Sensors' : 'Enable Sensors';
+  });
+
+  document.getElementById('btn-sensor-calibrate')?.addEventListener('click', () => {
+    if (!motionDetector) return;
+    motionDetector.calibrate();
+    setSensorText('sensor-gesture', 'Calibrating...');
   });
 }
 
 /**
- * Initialize basic sensor reading
+ * Start reading device sensors and detecting motion gestures
+ * @returns {Promise<boolean>} Whether any sensor is delivering data
  */
-function initBasicSensors() {
-  // Try DeviceOrientationEvent (more widely supported)
-  if (isFeatureSupported('deviceOrientation')) {
-    // iOS requires permission request
-    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
-      DeviceOrientationEvent.requestPermission()
-        .then(permission => {
-          if (permission === 'granted') {
-            startOrientationListener();
-          }
-        })
-        .catch(console.error);
-    } else {
-      startOrientationListener();
-    }
+async function startSensors() {
+  if (!DeviceMotionSource.isSupported()) return false;
+  if (motionSource) return true;
+
+  motionDetector = new MotionGestureDetector();
+  motionDetector.on('reading', updateSensorReadout);
+  motionDetector.on('calibrated', () => setSensorText('sensor-gesture', 'Ready'));
+  motionDetector.on('gesture', handleMotionGesture);
+
+  motionSource = new DeviceMotionSource();
+  motionSource.on('motion', sample => {
+    motionDetector?.update(sample);
+    // Stamp on arrival; event timestamps use different clocks across browsers
+    sensorStream?.pushMotion({ acceleration: sample.acceleration });
+  });
+  motionSource.on('orientation', ({ alpha, beta, gamma }) => {
+    if (alpha !== null) setSensorText('orient-alpha', Math.round(alpha));
+    sensorStream?.pushOrientation({ beta, gamma });
+  });
+
+  setSensorText('sensor-gesture', 'Calibrating...');
+  if (!(await motionSource.start())) {
+    stopSensors();
+    return false;
   }
 
-  // Try Accelerometer API
-  if (isFeatureSupported('accelerometer')) {
-    try {
-      const accelerometer = new Accelerometer({ frequency: 60 });
-      accelerometer.addEventListener('reading', () => {
-        document.getElementById('accel-x').textContent = accelerometer.x.toFixed(2);
-        document.getElementById('accel-y').textContent = accelerometer.y.toFixed(2);
-        document.getElementById('accel-z').textContent = accelerometer.z.toFixed(2);
-      });
-      accelerometer.start();
-    } catch (error) {
-      console.log('Accelerometer not available:', error);
-    }
+  updateSensorStatus(true);
+  return true;
+}
+
+/**
+ * Release every sensor and listener
+ */
+function stopSensors() {
+  motionSource?.stop();
+  motionSource = null;
+  motionDetector = null;
+  setSensorText('sensor-gesture', '\u2014');
+  updateSensorStatus(false);
+}
+
+/**
+ * Feed the live chart from the signal generator instead of real sensors
+ * @returns {boolean} Whether the simulated signal is now running
+ */
+function toggleSyntheticSignal() {
+  if (syntheticSource) {
+    syntheticSource.stop();
+    syntheticSource = null;
+    return false;
   }
+
+  syntheticSource = new SyntheticMotionSource();
+  syntheticSource.on('motion', ({ acceleration }) => sensorStream?.pushMotion({ acceleration }));
+  syntheticSource.on('orientation', ({ beta, gamma }) => sensorStream?.pushOrientation({ beta, gamma }));
+  syntheticSource.start();
+  return true;
 }
 
 /**
- * Start orientation event listener
+ * Stop the live sensor chart and its simulated signal
  */
-function startOrientationListener() {
-  window.addEventListener('deviceorientation', (event) => {
-    const alpha = document.getElementById('orient-alpha');
-    if (alpha && event.alpha !== null) {
-      alpha.textContent = Math.round(event.alpha);
-    }
-  });
+function disposeSensorStream() {
+  syntheticSource?.stop();
+  syntheticSource = null;
+  sensorStream?.dispose();
+  sensorStream = null;
+  sensorStreamInstance?.dispose();
+  sensorStreamInstance = null;
+}
+
+/**
+ * Show smoothed sensor values in the sensor demo
+ * @param {{gravity: Object, roll: number}} reading - Filtered reading
+ */
+function updateSensorReadout({ gravity, roll }) {
+  ['x', 'y', 'z'].forEach(axis => setSensorText(`accel-${axis}`, gravity[axis].toFixed(2)));
+  setSensorText('sensor-roll', `${Math.round(roll)}\u00b0`);
+}
+
+/**
+ * Forward a detected motion gesture to the input router
+ * @param {{gesture: string}} event - Motion gesture event
+ */
+function handleMotionGesture({ gesture }) {
+  setSensorText('sensor-gesture', formatGestureName(gesture));
+  inputRouter.submit(INPUT_SOURCES.SENSOR, ...MOTION_ACTIONS[gesture]);
+}
+
+function setSensorText(id, text) {
+  const el = document.getElementById(id);
+  if (el) el.textContent = text;
 }
 
 /**
@@ -931,6 +2071,14 @@ async function load3DDemo(container) {
     threeInstance.dispose();
     threeInstance = null;
   }
+  threeViews ??= loadCameraViews();
+
+  // WebGPU when the GPU offers an adapter, else WebGL; asked once per page
+  const load = demoLoad;
+  renderingBackendLoad ??= loadRenderingBackend();
+  renderingBackend = await renderingBackendLoad;
+  // Another demo was opened while the backend was being found
+  if (load !== demoLoad) return;
 
   container.innerHTML = `
     <div class="demo-content">
@@ -939,7 +2087,7 @@ async function load3DDemo(container) {
 
       <div class="chart-type-selector" style="margin-bottom: 1rem;">
         <div class="button-group">
-          <button class="btn active" data-3d-type="bar">3D Bar</button>
+          <button class="btn" data-3d-type="bar">3D Bar</button>
           <button class="btn" data-3d-type="scatter">3D Scatter</button>
           <button class="btn" data-3d-type="surface">3D Surface</button>
           <button class="btn" data-3d-type="network">3D Network</button>
@@ -947,6 +2095,24 @@ async function load3DDemo(container) {
         </div>
       </div>
 
+      <form id="surface-controls" class="surface-controls" hidden>
+        <label>Data
+          <select id="surface-source">
+            <option value="function">Example function</option>
+            <option value="expression">Expression</option>
+            <option value="heatmap">Weekly activity grid</option>
+          </select>
+        </label>
+        <label>f(x, z) =
+          <input id="surface-expression" type="text" spellcheck="false" autocomplete="off"
+            aria-describedby="surface-expression-hint">
+        </label>
+        <span id="surface-expression-hint" hidden>Uses x and z, + - * / ^, sin, cos, sqrt, log, pi and more</span>
+        <label>Colors <select id="surface-colormap"></select></label>
+        <label><input id="surface-contours" type="checkbox"> Contours</label>
+        <button type="submit" class="btn">Plot</button>
+      </form>
+
       <div id="threejs-container" style="width: 100%; height: 450px; background: #1a1a2e; border-radius: 8px; overflow: hidden;"></div>
 
       <div class="help-panel" style="margin-top: 1rem;">
@@ -954,7 +2120,14 @@ async function load3DDemo(container) {
         <ul>
           <li><span class="command">Drag</span> Rotate view</li>
           <li><span class="command">Scroll</span> Zoom in/out</li>
-          <li><span class="command">Double-click</span> Reset view</li>
+          <li><span class="command">Hover / Click</span> Show / select a value</li>
+          <li><span class="command">Tab, Arrows</span> Step through values, Enter selects</li>
+          <li><span class="command">Arrows (outside chart)</span> Switch the bar chart's sales series</li>
+          <li><span class="command">Drag a node</span> Move it; the network settles around it</li>
+          <li><span class="command">Double-click, R</span> Reset view</li>
+          <li><span class="command">1 – 9</span> Fly to a saved view (Front, Top, Side, then your own)</li>
+          <li><span class="command">V</span> Save the current view</li>
+          <li><span class="command">T</span> Start / stop the tour; dragging stops it too</li>
           <li><span class="command">Touch pinch</span> Zoom (mobile)</li>
         </ul>
       </div>
@@ -963,30 +2136,191 @@ async function load3DDemo(container) {
 
   const threeContainer = document.getElementById('threejs-container');
 
-  // Initialize with 3D Bar Chart
-  create3DChart('bar', threeContainer);
+  // Initialize with the last (or shared) chart type and camera
+  const { threeType, camera } = appState.getState();
+  sync3DTypeButtons(threeType);
+  create3DChart(threeType, threeContainer);
+  if (camera) {
+    threeInstance.setCameraState(camera);
+    appState.setState({ camera });
+  }
 
   // Chart type selector buttons
   document.querySelectorAll('[data-3d-type]').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const chartType = btn.dataset['3dType'];
+    btn.addEventListener('click', () => select3DType(btn.dataset['3dType']));
+  });
 
-      // Update button states
-      document.querySelectorAll('[data-3d-type]').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
+  initSurfaceControls();
+}
 
-      // Create new chart
-      create3DChart(chartType, threeContainer);
-      showFeedback(`3D Chart: ${chartType}`);
-      announceToScreenReader(`Changed to 3D ${chartType} chart`);
-    });
+/**
+ * Wire the surface data and style form to surfaceOptions
+ */
+function initSurfaceControls() {
+  const form = document.getElementById('surface-controls');
+  const source = document.getElementById('surface-source');
+  const expression = document.getElementById('surface-expression');
+  const colorMap = document.getElementById('surface-colormap');
+  const contours = document.getElementById('surface-contours');
+  if (!form) return;
+
+  COLOR_MAPS.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    colorMap.appendChild(option);
+  });
+
+  source.value = surfaceOptions.source;
+  expression.value = surfaceOptions.expression;
+  colorMap.value = surfaceOptions.colorMap;
+  contours.checked = surfaceOptions.contours;
+
+  const apply = () => plotSurface({
+    source: source.value,
+    expression: expression.value,
+    colorMap: colorMap.value,
+    contours: contours.checked
+  });
+
+  // Typing an expression selects it; the expression is plotted on submit
+  expression.addEventListener('input', () => {
+    source.value = 'expression';
+    expression.removeAttribute('aria-invalid');
+  });
+  source.addEventListener('change', apply);
+  colorMap.addEventListener('change', apply);
+  contours.addEventListener('change', apply);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    apply();
+  });
+}
+
+/**
+ * Redraw the 3D surface with new options; invalid expressions are reported and not kept
+ * @param {Object} options - Changes to surfaceOptions
+ */
+function plotSurface(options) {
+  const previous = { ...surfaceOptions };
+  Object.assign(surfaceOptions, options);
+  // The 2D stand-in plots the surface as a heatmap
+  if (!threeInstance || appState.getState().threeType !== 'surface') return;
+
+  const expression = document.getElementById('surface-expression');
+  try {
+    threeInstance.setData(get3DChartData('surface'));
+    refreshSonification();
+    expression?.removeAttribute('aria-invalid');
+  } catch (error) {
+    Object.assign(surfaceOptions, previous);
+    expression?.setAttribute('aria-invalid', 'true');
+    showFeedback(error.message);
+    announceToScreenReader(`Could not plot: ${error.message}`);
+  }
+}
+
+/**
+ * Switch the 3D demo to another chart type
+ * @param {string} type - One of THREE_TYPES
+ */
+function select3DType(type) {
+  const threeContainer = document.getElementById('threejs-container');
+  if (!threeContainer) return;
+
+  sync3DTypeButtons(type);
+  create3DChart(type, threeContainer);
+  showFeedback(`3D Chart: ${type}`);
+  announceToScreenReader(`Changed to 3D ${type} chart`);
+}
+
+function sync3DTypeButtons(type) {
+  document.querySelectorAll('[data-3d-type]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset['3dType'] === type);
   });
+  // The surface has its own data and style controls
+  const surfaceControls = document.getElementById('surface-controls');
+  if (surfaceControls) surfaceControls.hidden = type !== 'surface';
+}
+
+/**
+ * Data for a 3D chart type, from the current sampleData
+ * @param {string} type - 3D chart type
+ * @returns {Object|null} Chart data, or null where the chart makes its own
+ */
+function get3DChartData(type) {
+  switch (type) {
+    case 'bar': {
+      // The selected series, so dataset navigation drives the 3D bars too
+      const { title, labels, datasets } = sampleData.salesData;
+      const series = datasets[appState.getState().datasetIndex] || datasets[0];
+      return { title: `${series.name} - ${title}`, labels, values: series.values };
+    }
+
+    case 'scatter': {
+      const { title, data, axisTitles } = sampleData.scatterData;
+      return { title, data, axisTitles };
+    }
+
+    case 'surface': {
+      const { source, expression, colorMap, contours } = surfaceOptions;
+      const style = { colorMap, contours };
+      if (source === 'heatmap') {
+        return { title: sampleData.heatmapData.title, ...heatmapToGrid(sampleData.heatmapData), ...style };
+      }
+      if (source === 'expression') {
+        return { title: `f(x, z) = ${expression}`, expression, ...style };
+      }
+      return { title: 'Mathematical Surface', ...style };
+    }
+
+    case 'pie':
+      return { title: sampleData.marketShare.title, data: sampleData.marketShare.data };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Instantiate the Three.js chart for a type
+ * @param {string} type - One of THREE_TYPES
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object|null} data - From get3DChartData
+ * @returns {Object|null} Chart, or null when the browser refuses a graphics context after all
+ */
+function create3DInstance(type, container, data) {
+  const options = { backend: renderingBackend, theme: themes.current };
+  try {
+    switch (type) {
+      case 'scatter':
+        return new ScatterPlot3D(container, data, options);
+      case 'surface':
+        return new SurfacePlot3D(container, data, options);
+      case 'network':
+        return new NetworkGraph3D(container, data, options); // Uses generated sample data
+      case 'pie':
+        return new PieChart3D(container, data, options);
+      default:
+        return new BarChart3D(container, data, options);
+    }
+  } catch (error) {
+    // e.g. a blocklisted GPU, or too many contexts open
+    console.warn('Could not create the 3D chart:', error);
+    container.innerHTML = '';
+    return null;
+  }
 }
 
 /**
  * Create a 3D chart of the specified type
  */
 function create3DChart(type, container) {
+  // A new chart starts where the last chart of its type was left, or from its own default camera
+  clearTimeout(cameraSyncTimer);
+  remember3DView();
+  appState.setState({ threeType: type, camera: null });
+
   // Dispose previous instance
   if (threeInstance) {
     threeInstance.dispose();
@@ -996,52 +2330,153 @@ function create3DChart(type, container) {
   // Clear container
   container.innerHTML = '';
 
-  switch (type) {
-    case 'bar':
-      threeInstance = new BarChart3D(container, {
-        title: 'Monthly Sales 2025',
-        labels: sampleData.categoryData.labels,
-        values: sampleData.categoryData.values
-      });
-      break;
+  const chartType = THREE_TYPES.includes(type) ? type : 'bar';
+  const data = get3DChartData(chartType);
+  threeInstance = renderingBackend ? create3DInstance(chartType, container, data) : null;
+  if (threeInstance) {
+    const saved = threeViews?.[chartType];
+    if (saved) {
+      threeInstance.setBookmarks(saved.bookmarks);
+      if (saved.camera) {
+        threeInstance.setCameraState(saved.camera);
+        appState.setState({ camera: saved.camera });
+      }
+    }
+    threeInstance.controls.addEventListener('change', scheduleCameraSync);
+    threeInstance.on('tour', ({ playing, bookmark }) => {
+      if (bookmark) announceToScreenReader(`${bookmark} view`);
+      else announceToScreenReader(playing ? 'Tour started' : 'Tour stopped');
+    });
+    const chart = threeInstance;
+    chart.on('contextlost', ({ recoverable }) => {
+      announceToScreenReader('The 3D chart lost its graphics context and is being restored');
+      // A lost WebGPU device takes the renderer with it, so the chart starts over on a new one
+      if (!recoverable) setTimeout(() => recreate3DChart(chart, container));
+    });
+    threeInstance.on('contextrestored', () => announceToScreenReader('The 3D chart is back'));
+  } else {
+    // Same data, drawn flat
+    threeInstance = new FallbackChart2D(container, chartType, data ?? undefined, { theme: themes.current });
+  }
+  threeInstance.on('select', (item) => {
+    if (!item) return;
+    showFeedback(item.text);
+    announceToScreenReader(`Selected ${item.text}`);
+  });
+  refreshSonification();
+}
 
-    case 'scatter':
-      threeInstance = new ScatterPlot3D(container, {
-        title: 'Performance vs Engagement',
-        data: sampleData.scatterData.data.map(d => [...d, Math.random() * 10])
-      });
-      break;
+/**
+ * Create a 3D chart again where the camera left it, unless it has been replaced meanwhile
+ * @param {ThreeVisualization} chart - Chart that lost its renderer
+ * @param {HTMLElement} container - Element the chart renders into
+ */
+function recreate3DChart(chart, container) {
+  if (threeInstance !== chart || !container.isConnected) return;
+  const camera = chart.getCameraState();
+  create3DChart(appState.getState().threeType, container);
+  threeInstance.setCameraState(camera);
+  appState.setState({ camera });
+}
 
-    case 'surface':
-      threeInstance = new SurfacePlot3D(container, {
-        title: 'Mathematical Surface'
-      });
-      break;
+/**
+ * Copy the 3D camera into the app state (and so the URL) once it stops moving
+ */
+function scheduleCameraSync() {
+  clearTimeout(cameraSyncTimer);
+  cameraSyncTimer = setTimeout(() => {
+    if (!threeInstance) return;
+    appState.setState({ camera: threeInstance.getCameraState() });
+    remember3DView();
+  }, 300);
+}
 
-    case 'network':
-      threeInstance = new NetworkGraph3D(container, null); // Uses generated sample data
-      break;
+/**
+ * Save the 3D chart's camera and bookmarks for the next chart of its type
+ */
+function remember3DView() {
+  if (!threeViews || !threeInstance?.getBookmarks) return;
+  threeViews[appState.getState().threeType] = {
+    camera: threeInstance.getCameraState(),
+    bookmarks: threeInstance.getBookmarks()
+  };
+  saveCameraViews(threeViews);
+}
 
-    case 'pie':
-      threeInstance = new PieChart3D(container, {
-        title: 'Market Share 2025',
-        data: sampleData.marketShare.data
-      });
-      break;
+/**
+ * The 3D chart whose camera intents move, if one is on screen
+ * @returns {ThreeVisualization|null} Chart, or null off the 3D demo and for the flat fallback
+ */
+function movable3DChart() {
+  if (appState.getState().currentDemo !== '3d-demo') return null;
+  if (!threeInstance?.flyTo) {
+    showFeedback('This view has no 3D camera');
+    return null;
+  }
+  return threeInstance;
+}
 
-    default:
-      threeInstance = new BarChart3D(container, {
-        title: 'Sales Data',
-        labels: sampleData.categoryData.labels,
-        values: sampleData.categoryData.values
-      });
+/**
+ * Fly the 3D camera to a bookmark
+ * @param {{bookmark?: number, count?: number}} params - Bookmark index from its name, or its 1-based number
+ */
+function flyTo3DView({ bookmark, count }) {
+  const chart = movable3DChart();
+  if (!chart) return;
+
+  const names = Object.keys(chart.getBookmarks());
+  const name = names[bookmark ?? count - 1];
+  if (!name) {
+    showFeedback(`There are ${names.length} saved views`);
+    return;
+  }
+  chart.flyToBookmark(name);
+  showFeedback(`View: ${name}`);
+}
+
+/**
+ * Bookmark the current 3D view under the next free number
+ */
+function save3DView() {
+  const chart = movable3DChart();
+  if (!chart) return;
+
+  const bookmarks = chart.getBookmarks();
+  let number = Object.keys(bookmarks).length + 1;
+  while (`View ${number}` in bookmarks) number++;
+  const name = `View ${number}`;
+  chart.saveBookmark(name);
+  remember3DView();
+
+  const position = Object.keys(chart.getBookmarks()).indexOf(name) + 1;
+  showFeedback(position <= 9 ? `Saved ${name}, key ${position}` : `Saved ${name}`);
+  announceToScreenReader(`Saved the current view as ${name}`);
+}
+
+/**
+ * Start or stop the 3D camera tour
+ * @param {boolean} [playing] - Whether it should run; toggles when omitted
+ */
+function toggle3DTour(playing) {
+  const chart = movable3DChart();
+  if (!chart) return;
+
+  if (playing ?? !chart.touring) {
+    chart.startTour();
+    showFeedback('Tour started, drag to stop');
+  } else {
+    chart.stopTour();
+    showFeedback('Tour stopped');
   }
 }
 
 /**
- * Multimodal Demo - placeholder for Phase 7
+ * Multimodal Demo - all input sources arbitrated by the input router
  */
 async function loadMultimodalDemo(container) {
+  const lastSource = appState.getState().lastInputSource;
+  const lastLabel = inputRouter.getSources().find(source => source.id === lastSource)?.label;
+
   container.innerHTML = `
     <div class="demo-content">
       <h2>Multimodal Control Demo</h2>
@@ -1050,29 +2485,51 @@ async function loadMultimodalDemo(container) {
       <div class="demo-layout-split">
         <div class="chart-section">
           <div id="multimodal-chart" class="chart-container" role="img" aria-label="Multimodal-controlled chart"></div>
+          <ol id="input-log" class="input-log" aria-label="Recent inputs"></ol>
         </div>
         <div class="control-section">
+          <div class="input-indicator" role="status" aria-live="polite">
+            Last input came from <strong id="multimodal-last-input">${lastLabel || 'nowhere yet'}</strong>
+          </div>
+
+          <fieldset class="input-source-panel">
+            <legend>Input Sources</legend>
+            ${inputRouter.getSources().map(source => `
+              <label class="input-source-toggle">
+                <input type="checkbox" data-input-source="${source.id}" ${source.enabled ? 'checked' : ''}>
+                <span>${source.label}</span>
+                <span class="input-source-priority" title="Priority">P${source.priority}</span>
+              </label>
+            `).join('')}
+          </fieldset>
+
+          <div style="display: flex; flex-direction: column; gap: 0.5rem;">
+            <button class="btn" id="btn-enable-all">Enable All Controls</button>
+            <button class="btn" id="btn-disable-all">Disable All Controls</button>
+          </div>
+
+          <div class="video-container">
+            <video id="gesture-video" autoplay playsinline muted></video>
+            <div class="video-overlay" id="gesture-overlay">Gesture input off</div>
+          </div>
+
+          <div id="voice-transcript" style="padding: 1rem; background: var(--color-bg); border-radius: 8px; min-height: 60px;">
+            <em>Voice transcript will appear here...</em>
+          </div>
+
           <div class="help-panel">
             <h4>Available Controls</h4>
             <p style="font-size: 0.875rem; margin-bottom: 0.5rem;">
-              All control methods work simultaneously:
+              Higher priority sources win when inputs collide:
             </p>
             <ul>
-              <li><span class="command">Voice</span> Speak commands</li>
+              <li><span class="command">Voice</span> "next", "bar", "reset"...</li>
               <li><span class="command">Gestures</span> Hand signals</li>
               <li><span class="command">Sensors</span> Device motion</li>
+              <li><span class="command">Keyboard</span> &larr; &rarr; L B P H R D</li>
               <li><span class="command">Touch/Mouse</span> Traditional</li>
             </ul>
           </div>
-
-          <div style="display: flex; flex-direction: column; gap: 0.5rem;">
-            <button class="btn" id="btn-enable-all">Enable All Controls</button>
-            <button class="btn" id="btn-disable-all">Disable All Controls</button>
-          </div>
-
-          <p style="font-size: 0.875rem; color: var(--color-text-secondary); margin-top: 1rem;">
-            Full multimodal integration will be implemented in Phase 7.
-          </p>
         </div>
       </div>
     </div>
@@ -1080,17 +2537,30 @@ async function loadMultimodalDemo(container) {
 
   // Initialize chart
   const chartContainer = document.getElementById('multimodal-chart');
-  const theme = appState.getState().theme;
-  chartInstance = echarts.init(chartContainer, theme === 'dark' ? 'dark' : null);
+  chartInstance = createChart(chartContainer);
   renderCurrentChart();
 
-  // Placeholder button handlers
-  document.getElementById('btn-enable-all')?.addEventListener('click', () => {
-    showFeedback('Multimodal controls will be available in Phase 7');
+  // Per-source toggles
+  document.querySelectorAll('[data-input-source]').forEach(checkbox => {
+    checkbox.addEventListener('change', async () => {
+      checkbox.disabled = true;
+      const enabled = await inputRouter.setEnabled(checkbox.dataset.inputSource, checkbox.checked);
+      checkbox.disabled = false;
+      checkbox.checked = enabled;
+    });
+  });
+
+  document.getElementById('btn-enable-all')?.addEventListener('click', async () => {
+    await inputRouter.setAllEnabled(true);
+    const active = inputRouter.getSources().filter(source => source.enabled);
+    showFeedback(`${active.length} input sources active`);
+    announceToScreenReader(`Enabled ${active.map(source => source.label).join(', ')}`);
   });
 
-  document.getElementById('btn-disable-all')?.addEventListener('click', () => {
-    showFeedback('Multimodal controls will be available in Phase 7');
+  document.getElementById('btn-disable-all')?.addEventListener('click', async () => {
+    await inputRouter.setAllEnabled(false);
+    showFeedback('All input sources disabled');
+    announceToScreenReader('All input sources disabled');
   });
 }
 
@@ -1098,4 +2568,4 @@ async function loadMultimodalDemo(container) {
 document.addEventListener('DOMContentLoaded', init);
 
 // Export for potential module usage
-export { appState, eventBus, changeChartType, navigateDataset, resetVisualization };
+export { appState, eventBus, inputRouter, changeChartType, navigateDataset, resetVisualization };
@@ -0,0 +1,160 @@
+/**
+ * Device motion source
+ * Reads acceleration from the Generic Sensor API (Accelerometer/Gyroscope)
+ * or falls back to devicemotion events, plus deviceorientation for heading;
+ * owns every listener and sensor instance so stop() can release them all
+ */
+
+import { EventEmitter } from '../utils.js';
+
+export class DeviceMotionSource extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.frequency - Requested sampling rate (Hz) for Generic Sensor API sensors
+   * @param {Window} options.target - Object that receives devicemotion/deviceorientation listeners
+   */
+  constructor({ frequency = 60, target = window } = {}) {
+    super();
+    this.frequency = frequency;
+    this.target = target;
+    this.accelerometer = null;
+    this.gyroscope = null;
+    this.running = false;
+
+    this.handleAccelerometerReading = this.handleAccelerometerReading.bind(this);
+    this.handleSensorError = this.handleSensorError.bind(this);
+    this.handleDeviceMotion = this.handleDeviceMotion.bind(this);
+    this.handleDeviceOrientation = this.handleDeviceOrientation.bind(this);
+  }
+
+  static isSupported(target = window) {
+    return ['Accelerometer', 'DeviceMotionEvent', 'DeviceOrientationEvent'].some(name => name in target);
+  }
+
+  /**
+   * Start listening, asking for permission where the platform requires it (iOS)
+   * @returns {Promise<boolean>} Whether any sensor is delivering data
+   */
+  async start() {
+    if (this.running) return true;
+    const { target } = this;
+
+    if ('Accelerometer' in target) {
+      this.running = this.startGenericSensors();
+    }
+    if (!this.running && 'DeviceMotionEvent' in target &&
+        await requestPermission(target.DeviceMotionEvent)) {
+      target.addEventListener('devicemotion', this.handleDeviceMotion);
+      this.running = true;
+    }
+    if ('DeviceOrientationEvent' in target &&
+        await requestPermission(target.DeviceOrientationEvent)) {
+      target.addEventListener('deviceorientation', this.handleDeviceOrientation);
+      this.running = true;
+    }
+
+    return this.running;
+  }
+
+  startGenericSensors() {
+    const { target } = this;
+    try {
+      this.accelerometer = new target.Accelerometer({ frequency: this.frequency });
+      this.accelerometer.addEventListener('reading', this.handleAccelerometerReading);
+      this.accelerometer.addEventListener('error', this.handleSensorError);
+      this.accelerometer.start();
+    } catch (error) {
+      console.log('Accelerometer not available:', error);
+      this.stopGenericSensors();
+      return false;
+    }
+
+    // The gyroscope only sharpens tilt tracking, so it is optional
+    if ('Gyroscope' in target) {
+      try {
+        this.gyroscope = new target.Gyroscope({ frequency: this.frequency });
+        this.gyroscope.start();
+      } catch (error) {
+        this.gyroscope = null;
+      }
+    }
+    return true;
+  }
+
+  stopGenericSensors() {
+    if (this.accelerometer) {
+      this.accelerometer.removeEventListener('reading', this.handleAccelerometerReading);
+      this.accelerometer.removeEventListener('error', this.handleSensorError);
+      this.accelerometer.stop();
+      this.accelerometer = null;
+    }
+    if (this.gyroscope) {
+      this.gyroscope.stop();
+      this.gyroscope = null;
+    }
+  }
+
+  stop() {
+    this.stopGenericSensors();
+    this.target.removeEventListener('devicemotion', this.handleDeviceMotion);
+    this.target.removeEventListener('deviceorientation', this.handleDeviceOrientation);
+    this.running = false;
+  }
+
+  handleAccelerometerReading() {
+    const { x, y, z, timestamp } = this.accelerometer;
+    const gyro = this.gyroscope;
+    // Gyroscope reports rad/s around x/y/z; rotationRate uses deg/s as beta/gamma
+    const rotationRate = gyro?.y != null
+      ? { beta: toDegrees(gyro.x), gamma: toDegrees(gyro.y) }
+      : null;
+
+    this.emit('motion', {
+      acceleration: { x, y, z },
+      rotationRate,
+      timestamp: timestamp ?? performance.now()
+    });
+  }
+
+  handleSensorError(event) {
+    // Permission denials arrive asynchronously; fall back to devicemotion events
+    console.log('Accelerometer error:', event.error?.name || event);
+    this.stopGenericSensors();
+    if (this.running && 'DeviceMotionEvent' in this.target) {
+      this.target.addEventListener('devicemotion', this.handleDeviceMotion);
+    }
+  }
+
+  handleDeviceMotion(event) {
+    const acceleration = event.accelerationIncludingGravity;
+    if (!acceleration || acceleration.x === null) return;
+
+    const rate = event.rotationRate;
+    this.emit('motion', {
+      acceleration: { x: acceleration.x, y: acceleration.y, z: acceleration.z },
+      rotationRate: rate && rate.gamma !== null ? { beta: rate.beta, gamma: rate.gamma } : null,
+      timestamp: event.timeStamp
+    });
+  }
+
+  handleDeviceOrientation(event) {
+    if (event.alpha === null && event.beta === null) return;
+    const { alpha, beta, gamma } = event;
+    this.emit('orientation', { alpha, beta, gamma, timestamp: event.timeStamp });
+  }
+}
+
+// iOS 13+ gates motion and orientation behind an explicit permission prompt
+async function requestPermission(EventClass) {
+  if (typeof EventClass?.requestPermission !== 'function') return true;
+  try {
+    return (await EventClass.requestPermission()) === 'granted';
+  } catch (error) {
+    console.error('Motion permission request failed:', error);
+    return false;
+  }
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
@@ -0,0 +1,179 @@
+/**
+ * Motion gesture detector
+ * Turns accelerometer (and optional gyroscope) samples into shake,
+ * tilt-left/right and flip events, relative to a calibrated resting pose
+ */
+
+import { EventEmitter } from '../utils.js';
+import { LowPassFilter, ComplementaryFilter } from './filters.js';
+
+export const MOTION_GESTURES = {
+  SHAKE: 'shake',
+  TILT_LEFT: 'tilt_left',
+  TILT_RIGHT: 'tilt_right',
+  FLIP: 'flip'
+};
+
+const DEFAULT_OPTIONS = {
+  // Samples averaged to find the resting pose
+  calibrationSamples: 20,
+  // Gravity smoothing; also separates gravity from movement for shake detection
+  smoothing: 0.15,
+  gyroWeight: 0.98,
+  // Linear acceleration (m/s²) that counts as a shake peak
+  shakeThreshold: 12,
+  shakePeaks: 3,
+  shakeWindow: 1000,
+  // Roll (degrees from rest) that fires a tilt, and that re-arms it
+  tiltEnter: 25,
+  tiltExit: 10,
+  // Cosine between current and resting gravity that fires a flip, and that re-arms it
+  flipEnter: -0.7,
+  flipExit: 0.3
+};
+
+export class MotionGestureDetector extends EventEmitter {
+  /**
+   * @param {Object} options - Overrides for the thresholds in DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.gravity = new LowPassFilter({ alpha: this.options.smoothing });
+    this.roll = new ComplementaryFilter({ gyroWeight: this.options.gyroWeight });
+    this.reset();
+  }
+
+  /**
+   * Forget the resting pose and all gesture state; the next samples recalibrate
+   */
+  reset() {
+    this.gravity.reset();
+    this.roll.reset();
+    this.calibration = [];
+    this.neutral = null;
+    this.lastTimestamp = null;
+    this.shakePeaks = [];
+    this.aboveShake = false;
+    this.tilt = null;
+    this.flipped = false;
+  }
+
+  calibrate() {
+    this.reset();
+  }
+
+  get calibrated() {
+    return this.neutral !== null;
+  }
+
+  /**
+   * Feed one motion sample
+   * @param {Object} sample
+   * @param {{x: number, y: number, z: number}} sample.acceleration - Acceleration including gravity (m/s²)
+   * @param {{beta: number, gamma: number}|null} sample.rotationRate - Gyro rates (degrees/second)
+   * @param {number} sample.timestamp - Sample time in milliseconds
+   * @returns {{gravity: Object, roll: number, linear: number}} Filtered reading
+   */
+  update({ acceleration, rotationRate = null, timestamp }) {
+    const gravity = this.gravity.update(acceleration);
+    const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+    this.lastTimestamp = timestamp;
+
+    // Rotation about the device's y axis tilts it left/right
+    const roll = this.roll.update(rollOf(gravity), rotationRate?.gamma ?? null, dt);
+    const linear = Math.hypot(
+      acceleration.x - gravity.x,
+      acceleration.y - gravity.y,
+      acceleration.z - gravity.z
+    );
+    const reading = { gravity, roll, linear };
+
+    if (!this.calibrated) {
+      this.collectCalibration(gravity, roll);
+      this.emit('reading', reading);
+      return reading;
+    }
+
+    const shaking = this.detectShake(linear, timestamp);
+    this.detectFlip(gravity);
+    // Shaking and lying upside down both swing the roll angle wildly
+    if (!shaking && !this.flipped) this.detectTilt(roll - this.neutral.roll);
+
+    this.emit('reading', reading);
+    return reading;
+  }
+
+  collectCalibration(gravity, roll) {
+    this.calibration.push({ ...gravity, roll });
+    if (this.calibration.length < this.options.calibrationSamples) return;
+
+    const count = this.calibration.length;
+    const mean = this.calibration.reduce((sum, s) => ({
+      x: sum.x + s.x / count,
+      y: sum.y + s.y / count,
+      z: sum.z + s.z / count,
+      roll: sum.roll + s.roll / count
+    }), { x: 0, y: 0, z: 0, roll: 0 });
+
+    this.neutral = { direction: normalize(mean), roll: mean.roll };
+    this.calibration = [];
+    this.emit('calibrated', { ...this.neutral });
+  }
+
+  detectShake(linear, timestamp) {
+    const { shakeThreshold, shakePeaks, shakeWindow } = this.options;
+    this.shakePeaks = this.shakePeaks.filter(time => timestamp - time < shakeWindow);
+
+    // Count rising edges only, so one long jolt is a single peak
+    const above = linear > shakeThreshold;
+    if (above && !this.aboveShake) this.shakePeaks.push(timestamp);
+    this.aboveShake = above;
+
+    if (this.shakePeaks.length >= shakePeaks) {
+      this.shakePeaks = [];
+      this.tilt = null;
+      this.emit('gesture', { gesture: MOTION_GESTURES.SHAKE, timestamp });
+      return true;
+    }
+    return this.shakePeaks.length > 0;
+  }
+
+  detectFlip(gravity) {
+    const { flipEnter, flipExit } = this.options;
+    const direction = normalize(gravity);
+    const { direction: rest } = this.neutral;
+    const cos = direction.x * rest.x + direction.y * rest.y + direction.z * rest.z;
+
+    if (!this.flipped && cos < flipEnter) {
+      this.flipped = true;
+      this.emit('gesture', { gesture: MOTION_GESTURES.FLIP, timestamp: this.lastTimestamp });
+    } else if (this.flipped && cos > flipExit) {
+      this.flipped = false;
+    }
+  }
+
+  detectTilt(delta) {
+    const { tiltEnter, tiltExit } = this.options;
+
+    if (this.tilt && Math.abs(delta) < tiltExit) {
+      this.tilt = null;
+      return;
+    }
+    if (this.tilt || Math.abs(delta) < tiltEnter) return;
+
+    this.tilt = delta > 0 ? MOTION_GESTURES.TILT_RIGHT : MOTION_GESTURES.TILT_LEFT;
+    this.emit('gesture', { gesture: this.tilt, timestamp: this.lastTimestamp });
+  }
+}
+
+// Sensors report the reaction to gravity (+z when lying face up), so the
+// x component turns negative as the right edge dips; roll is positive then
+function rollOf({ x, y, z }) {
+  return Math.atan2(-x, Math.hypot(y, z)) * 180 / Math.PI;
+}
+
+function normalize({ x, y, z }) {
+  const length = Math.hypot(x, y, z) || 1;
+  return { x: x / length, y: y / length, z: z / length };
+}
@@ -0,0 +1,54 @@
+/**
+ * Fixed-capacity ring buffer
+ * Keeps the newest items; pushing onto a full buffer overwrites the oldest
+ */
+
+export class RingBuffer {
+  /**
+   * @param {number} capacity - Maximum number of items kept
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Item by age
+   * @param {number} index - 0 is the oldest item
+   * @returns {*} Item, or undefined when out of range
+   */
+  at(index) {
+    if (index < 0 || index >= this.length) return undefined;
+    return this.items[(this.start + index) % this.capacity];
+  }
+
+  /**
+   * Items oldest first
+   * @returns {Array} Copy of the buffered items
+   */
+  toArray() {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = this.items[(this.start + i) % this.capacity];
+    }
+    return result;
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Streaming sensor chart
+ * Buffers accelerometer and orientation samples in ring buffers and draws
+ * a rolling time window on an ECharts instance, at most once per frame
+ */
+
+import { RingBuffer } from './RingBuffer.js';
+import { downsampleLTTB } from './downsample.js';
+
+const MOTION_AXES = ['x', 'y', 'z'];
+const ORIENTATION_AXES = ['beta', 'gamma'];
+
+export class SensorStreamChart {
+  /**
+   * @param {Object} chart - ECharts instance to draw on
+   * @param {Object} options
+   * @param {Object} options.template - realtimeTemplate from sample-data.json ({ title, maxPoints, axes })
+   * @param {number} options.windowSize - Visible time span in milliseconds
+   * @param {number} options.capacity - Samples kept per buffer; should cover the window at the sensor rate
+   * @param {Function} options.clock - Returns the current time in milliseconds
+   */
+  constructor(chart, {
+    template = {},
+    windowSize = 10000,
+    capacity = 1024,
+    clock = () => performance.now()
+  } = {}) {
+    this.chart = chart;
+    this.title = template.title || 'Real-time Sensor Data';
+    this.axisNames = template.axes || ['X', 'Y', 'Z'];
+    // Points drawn per series after down-sampling
+    this.maxPoints = template.maxPoints || 50;
+    this.windowSize = windowSize;
+    this.clock = clock;
+
+    this.motion = new RingBuffer(capacity);
+    this.orientation = new RingBuffer(capacity);
+    this.paused = false;
+    this.dirty = false;
+    this.frameId = null;
+    this.renderedAt = null;
+
+    this.chart.setOption(this.createOption(), true);
+  }
+
+  /**
+   * Swap the ECharts instance, e.g. for one in a new container
+   * @param {Object} chart - New ECharts instance
+   */
+  setChart(chart) {
+    this.chart = chart;
+    this.chart.setOption(this.createOption(), true);
+    // A paused chart stays frozen at the moment it was paused
+    this.render(this.paused && this.renderedAt !== null ? this.renderedAt : this.clock());
+  }
+
+  pushMotion({ acceleration, timestamp = this.clock() }) {
+    this.motion.push({ t: timestamp, ...acceleration });
+    this.scheduleRender();
+  }
+
+  pushOrientation({ beta, gamma, timestamp = this.clock() }) {
+    if (beta === null || gamma === null) return;
+    this.orientation.push({ t: timestamp, beta, gamma });
+    this.scheduleRender();
+  }
+
+  /**
+   * Freeze the view; samples keep buffering so resume() jumps back to live
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.dirty = true;
+    this.scheduleRender();
+  }
+
+  clear() {
+    this.motion.clear();
+    this.orientation.clear();
+    this.render();
+  }
+
+  scheduleRender() {
+    this.dirty = true;
+    if (this.paused || this.frameId !== null) return;
+
+    // Coalesce every sample that arrives within one frame into one draw
+    this.frameId = requestAnimationFrame(() => {
+      this.frameId = null;
+      if (this.dirty && !this.paused) this.render();
+    });
+  }
+
+  /**
+   * Draw the current window
+   * @param {number} now - Right edge of the window in milliseconds
+   */
+  render(now = this.clock()) {
+    this.dirty = false;
+    this.renderedAt = now;
+    this.chart.setOption({ series: this.buildSeriesData(now) });
+  }
+
+  /**
+   * Down-sampled series data for the window ending at `now`
+   * @param {number} now - Right edge of the window in milliseconds
+   * @returns {{data: number[][]}[]} One entry per series, x in seconds relative to now
+   */
+  buildSeriesData(now) {
+    const from = now - this.windowSize;
+    const toSeries = (buffer, keys) => {
+      const samples = buffer.toArray().filter(sample => sample.t >= from && sample.t <= now);
+      return keys.map(key => ({
+        data: downsampleLTTB(samples.map(sample => [sample.t, sample[key]]), this.maxPoints)
+          .map(([t, value]) => [(t - now) / 1000, value])
+      }));
+    };
+
+    return [
+      ...toSeries(this.motion, MOTION_AXES),
+      ...toSeries(this.orientation, ORIENTATION_AXES)
+    ];
+  }
+
+  createOption() {
+    const seconds = this.windowSize / 1000;
+    const line = (name, yAxisIndex) => ({
+      name,
+      type: 'line',
+      yAxisIndex,
+      showSymbol: false,
+      data: [],
+      lineStyle: { width: yAxisIndex ? 1 : 2, type: yAxisIndex ? 'dashed' : 'solid' }
+    });
+
+    return {
+      // Redrawing every frame; tweening between frames only adds lag
+      animation: false,
+      title: {
+        text: this.title,
+        left: 'center'
+      },
+      tooltip: {
+        trigger: 'axis'
+      },
+      legend: {
+        bottom: 0
+      },
+      grid: {
+        left: '3%',
+        right: '4%',
+        bottom: '15%',
+        containLabel: true
+      },
+      xAxis: {
+        type: 'value',
+        min: -seconds,
+        max: 0,
+        name: 's',
+        axisLabel: { formatter: value => `${value}s` }
+      },
+      yAxis: [
+        { type: 'value', name: 'm/s²', min: -20, max: 20 },
+        { type: 'value', name: '°', min: -180, max: 180, splitLine: { show: false } }
+      ],
+      series: [
+        ...this.axisNames.map(axis => line(`Accel ${axis}`, 0)),
+        line('Beta', 1),
+        line('Gamma', 1)
+      ]
+    };
+  }
+
+  dispose() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Synthetic motion source
+ * Signal generator that emits the same 'motion' and 'orientation' events
+ * as DeviceMotionSource, so sensor views can be demoed and tested on
+ * machines without motion sensors
+ */
+
+import { EventEmitter } from '../utils.js';
+
+const G = 9.81;
+
+export class SyntheticMotionSource extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.frequency - Samples per second
+   * @param {number} options.noise - Peak sensor noise (m/s²)
+   * @param {number} options.tiltPeriod - Seconds per slow left/right sway
+   * @param {number} options.shakeEvery - Seconds between short shake bursts (0 disables)
+   * @param {Function} options.random - Returns numbers in [0, 1)
+   * @param {Function} options.clock - Returns the current time in milliseconds
+   */
+  constructor({
+    frequency = 60,
+    noise = 0.3,
+    tiltPeriod = 8,
+    shakeEvery = 6,
+    random = Math.random,
+    clock = () => performance.now()
+  } = {}) {
+    super();
+    this.frequency = frequency;
+    this.noise = noise;
+    this.tiltPeriod = tiltPeriod;
+    this.shakeEvery = shakeEvery;
+    this.random = random;
+    this.clock = clock;
+    this.timer = null;
+    this.running = false;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  async start() {
+    if (this.running) return true;
+    this.running = true;
+    this.timer = setInterval(() => this.tick(this.clock()), 1000 / this.frequency);
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Generate the sample for a point in time
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {{acceleration: Object, rotationRate: Object, orientation: Object}} Sample
+   */
+  sample(timestamp) {
+    const t = timestamp / 1000;
+    const sway = (2 * Math.PI) / this.tiltPeriod;
+    const roll = 35 * Math.sin(sway * t);
+    const pitch = 10 * Math.sin(sway * 0.37 * t);
+    const rollRad = roll * Math.PI / 180;
+    const pitchRad = pitch * Math.PI / 180;
+
+    // Half-second bursts of hard side-to-side movement
+    const shaking = this.shakeEvery > 0 && t % this.shakeEvery < 0.5;
+    const shake = shaking ? 18 * Math.sin(2 * Math.PI * 6 * t) : 0;
+    const jitter = () => (this.random() * 2 - 1) * this.noise;
+
+    return {
+      acceleration: {
+        x: -G * Math.sin(rollRad) * Math.cos(pitchRad) + shake + jitter(),
+        y: G * Math.sin(pitchRad) + jitter(),
+        z: G * Math.cos(rollRad) * Math.cos(pitchRad) + jitter()
+      },
+      // Derivatives of the sway angles, in degrees per second
+      rotationRate: {
+        beta: 10 * sway * 0.37 * Math.cos(sway * 0.37 * t),
+        gamma: 35 * sway * Math.cos(sway * t)
+      },
+      orientation: {
+        alpha: (t * 12) % 360,
+        beta: pitch,
+        gamma: roll
+      }
+    };
+  }
+
+  tick(timestamp) {
+    const { acceleration, rotationRate, orientation } = this.sample(timestamp);
+    this.emit('motion', { acceleration, rotationRate, timestamp });
+    this.emit('orientation', { ...orientation, timestamp });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Down-sampling for streamed series
+ * Largest-Triangle-Three-Buckets keeps the visual shape (including short
+ * peaks such as shakes) while drawing far fewer points
+ */
+
+/**
+ * Reduce [x, y] points to at most `threshold` points
+ * @param {number[][]} points - Points sorted by x
+ * @param {number} threshold - Maximum number of points to keep (>= 3)
+ * @returns {number[][]} Selected points, first and last always included
+ */
+export function downsampleLTTB(points, threshold) {
+  if (threshold >= points.length || threshold < 3) return points;
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let selected = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      avgX += points[i][0];
+      avgY += points[i][1];
+    }
+    const nextCount = Math.max(nextEnd - nextStart, 1);
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    // Keep the point in this bucket that forms the largest triangle
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    const [ax, ay] = points[selected];
+    let maxArea = -1;
+    let maxIndex = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs((ax - avgX) * (points[i][1] - ay) - (ax - points[i][0]) * (avgY - ay));
+      if (area > maxArea) {
+        maxArea = area;
+        maxIndex = i;
+      }
+    }
+
+    sampled.push(points[maxIndex]);
+    selected = maxIndex;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
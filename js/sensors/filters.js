@@ -0,0 +1,72 @@
+/**
+ * Sensor filters
+ * Exponential low-pass smoothing for noisy vectors and a complementary
+ * filter that fuses gyroscope rates with accelerometer angles
+ */
+
+export class LowPassFilter {
+  /**
+   * @param {Object} options
+   * @param {number} options.alpha - Weight of each new sample (0-1); lower is smoother
+   */
+  constructor({ alpha = 0.2 } = {}) {
+    this.alpha = alpha;
+    this.value = null;
+  }
+
+  /**
+   * Feed a sample
+   * @param {{x: number, y: number, z: number}} sample - Raw vector
+   * @returns {{x: number, y: number, z: number}} Smoothed vector
+   */
+  update({ x, y, z }) {
+    if (!this.value) {
+      this.value = { x, y, z };
+    } else {
+      const a = this.alpha;
+      this.value = {
+        x: this.value.x + a * (x - this.value.x),
+        y: this.value.y + a * (y - this.value.y),
+        z: this.value.z + a * (z - this.value.z)
+      };
+    }
+    return this.value;
+  }
+
+  reset() {
+    this.value = null;
+  }
+}
+
+export class ComplementaryFilter {
+  /**
+   * @param {Object} options
+   * @param {number} options.gyroWeight - Trust in the integrated gyro rate (0-1);
+   *   the remainder pulls the angle towards the accelerometer estimate
+   */
+  constructor({ gyroWeight = 0.98 } = {}) {
+    this.gyroWeight = gyroWeight;
+    this.angle = null;
+  }
+
+  /**
+   * Feed an accelerometer angle and an optional gyro rate
+   * @param {number} accelAngle - Angle derived from gravity (degrees)
+   * @param {number|null} rate - Angular rate (degrees/second), null without a gyro
+   * @param {number} dt - Seconds since the previous sample
+   * @returns {number} Fused angle (degrees)
+   */
+  update(accelAngle, rate, dt) {
+    if (this.angle === null || rate === null || rate === undefined) {
+      this.angle = accelAngle;
+    } else {
+      const k = this.gyroWeight;
+      this.angle = k * (this.angle + rate * dt) + (1 - k) * accelAngle;
+    }
+    return this.angle;
+  }
+
+  reset() {
+    this.angle = null;
+  }
+}
@@ -0,0 +1,12 @@
+/**
+ * Sensors - Module Index
+ * Re-exports the sensor fusion and motion gesture pipeline for convenient importing
+ */
+
+export { LowPassFilter, ComplementaryFilter } from './filters.js';
+export { MotionGestureDetector, MOTION_GESTURES } from './MotionGestureDetector.js';
+export { DeviceMotionSource } from './DeviceMotionSource.js';
+export { SyntheticMotionSource } from './SyntheticMotionSource.js';
+export { SensorStreamChart } from './SensorStreamChart.js';
+export { RingBuffer } from './RingBuffer.js';
+export { downsampleLTTB } from './downsample.js';
@@ -0,0 +1,271 @@
+/**
+ * Sonifier
+ * Plays chart data as sound with the Web Audio API: each point a tone whose
+ * pitch follows its value, left to right, with each series at its own place
+ * in the stereo field. Stepping point by point announces labels and values.
+ */
+
+import { EventEmitter, formatNumber, extent } from '../utils.js';
+
+// Two octaves, A3 to A5: wide enough to hear trends, narrow enough to stay pleasant
+export const DEFAULT_PITCH_RANGE = [220, 880];
+
+/**
+ * Tone frequency for a value; pitch is exponential in frequency, so equal
+ * value steps sound like equal musical steps
+ * @param {number} value - Data value
+ * @param {number[]} domain - [min, max] of the data
+ * @param {number[]} range - [low, high] frequency in Hz
+ * @returns {number} Frequency in Hz; the middle of the range for a flat domain
+ */
+export function valueToFrequency(value, [min, max], [low, high] = DEFAULT_PITCH_RANGE) {
+  const t = max > min ? Math.min(Math.max((value - min) / (max - min), 0), 1) : 0.5;
+  return low * (high / low) ** t;
+}
+
+/**
+ * Stereo position of a series, spreading the series from left to right
+ * @param {number} index - Series index
+ * @param {number} count - Number of series
+ * @param {number} width - How far from the center the outermost series sit, up to 1
+ * @returns {number} Pan from -1 (left) to 1 (right); a lone series is centered
+ */
+export function seriesPan(index, count, width = 0.8) {
+  return count > 1 ? -width + (2 * width * index) / (count - 1) : 0;
+}
+
+function createAudioContext() {
+  const AudioContext = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+  return AudioContext ? new AudioContext() : null;
+}
+
+export class Sonifier extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createContext - Makes the AudioContext on first use, so after a user
+   *   gesture; returns null where there is no Web Audio
+   * @param {number} options.noteDuration - Seconds per point when playing
+   * @param {number[]} options.pitchRange - [low, high] frequency in Hz
+   */
+  constructor({ createContext = createAudioContext, noteDuration = 0.25, pitchRange = DEFAULT_PITCH_RANGE } = {}) {
+    super();
+    this.createContext = createContext;
+    this.noteDuration = noteDuration;
+    this.pitchRange = pitchRange;
+    this.context = null;
+    this.data = null;
+    this.domain = [0, 0];
+    this.position = 0;
+    this.seriesIndex = 0;
+    // Play every series together instead of just the active one
+    this.allSeries = false;
+    this.playing = false;
+    this.timer = null;
+  }
+
+  /**
+   * Number of points, the longest series' when they differ
+   */
+  get length() {
+    return this.data ? Math.max(0, ...this.data.series.map(series => series.points.length)) : 0;
+  }
+
+  /**
+   * The series that steps and playback follow
+   */
+  get series() {
+    return this.data?.series[this.seriesIndex] ?? null;
+  }
+
+  /**
+   * Play new data; the position and series are kept where they still exist
+   * @param {import('./sonificationData.js').Sonification|null} data - Data to play, or null for none
+   */
+  setData(data) {
+    this.pause();
+    this.data = data?.series.length ? data : null;
+    const values = this.data?.series.flatMap(series => series.points.map(point => point.value))
+      .filter(value => value !== null) ?? [];
+    this.domain = values.length ? extent(values) : [0, 0];
+    this.position = Math.min(this.position, Math.max(this.length - 1, 0));
+    this.seriesIndex = Math.min(this.seriesIndex, Math.max((this.data?.series.length ?? 1) - 1, 0));
+    this.emit('data', this.data);
+  }
+
+  /**
+   * Play from the current point to the end, or from the start when at the end
+   * @returns {boolean} Whether playback started
+   */
+  play() {
+    if (!this.length) return false;
+    if (this.playing) return true;
+    if (this.position >= this.length - 1) this.position = 0;
+
+    this.playing = true;
+    this.emit('play');
+    this.tick();
+    return true;
+  }
+
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.playing) return;
+    this.playing = false;
+    this.emit('pause');
+  }
+
+  /**
+   * @returns {boolean} Whether it is playing now
+   */
+  toggle() {
+    if (this.playing) {
+      this.pause();
+      return false;
+    }
+    return this.play();
+  }
+
+  /**
+   * Move to a point, e.g. for scrubbing; playback carries on from there
+   * @param {number} index - Point index; clamped
+   * @param {Object} options
+   * @param {boolean} options.announce - Announce the point when not playing
+   * @returns {Object|null} The point in the active series
+   */
+  seek(index, { announce = true } = {}) {
+    if (!this.length) return null;
+    this.position = Math.min(Math.max(Math.round(index), 0), this.length - 1);
+
+    if (this.playing) {
+      clearTimeout(this.timer);
+      this.tick();
+    } else {
+      this.sound(this.position);
+      this.emit('position', this.position);
+      if (announce) this.emit('announce', this.describePoint(this.position));
+    }
+    return this.pointAt(this.position);
+  }
+
+  /**
+   * Stop playing and step to a neighbouring point, announcing it
+   * @param {number} delta - Points to move; negative is left
+   * @returns {Object|null} The point
+   */
+  step(delta) {
+    this.pause();
+    return this.seek(this.position + delta);
+  }
+
+  /**
+   * Make another series the active one, announcing it with the current point
+   * @param {number} delta - Series to move by; wraps round
+   * @returns {Object|null} The series
+   */
+  nextSeries(delta = 1) {
+    const count = this.data?.series.length ?? 0;
+    if (!count) return null;
+    this.seriesIndex = (((this.seriesIndex + delta) % count) + count) % count;
+    if (!this.playing) this.sound(this.position);
+    this.emit('series', this.series);
+    this.emit('announce', `${this.series.name}. ${this.describePoint(this.position)}`);
+    return this.series;
+  }
+
+  /**
+   * @param {number} index - Point index
+   * @param {Object} series - Series; the active one by default
+   * @returns {{label: string, value: number|null}|null} The point, or null past the series' end
+   */
+  pointAt(index, series = this.series) {
+    return series?.points[index] ?? null;
+  }
+
+  /**
+   * Spoken text for a point: its label and value, or every series' value when playing them all
+   * @param {number} index - Point index
+   * @returns {string} Text
+   */
+  describePoint(index) {
+    const value = point => (point?.value === null || !point ? 'no value' : formatNumber(point.value));
+    if (!this.allSeries || this.data.series.length < 2) {
+      const point = this.pointAt(index);
+      return `${point?.label ?? `point ${index + 1}`}, ${value(point)}`;
+    }
+    const label = this.data.series.map(series => this.pointAt(index, series)?.label).find(Boolean);
+    return `${label}: ${this.data.series.map(series => `${series.name} ${value(this.pointAt(index, series))}`).join(', ')}`;
+  }
+
+  tick() {
+    this.sound(this.position);
+    this.emit('position', this.position);
+    this.timer = setTimeout(() => {
+      if (this.position >= this.length - 1) {
+        this.pause();
+        this.emit('end');
+        return;
+      }
+      this.position++;
+      this.tick();
+    }, this.noteDuration * 1000);
+  }
+
+  // Tones for a point: the active series', or every series' at its own place in the stereo field
+  sound(index) {
+    const context = this.audio();
+    if (!context) return;
+
+    const { series } = this.data;
+    const voices = (this.allSeries ? series : [this.series])
+      .map(item => ({ point: this.pointAt(index, item), pan: seriesPan(series.indexOf(item), series.length) }))
+      .filter(({ point }) => point && point.value !== null);
+    voices.forEach(({ point, pan }) => {
+      this.playTone(context, valueToFrequency(point.value, this.domain, this.pitchRange), pan, 0.25 / voices.length);
+    });
+  }
+
+  playTone(context, frequency, pan, volume) {
+    const start = context.currentTime;
+    const end = start + this.noteDuration * 0.9;
+    const oscillator = context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(frequency, start);
+
+    // A short attack and release keep notes from clicking
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime(volume, start + 0.02);
+    gain.gain.linearRampToValueAtTime(0, end);
+    oscillator.connect(gain);
+
+    // Older browsers have no stereo panner; every series is then centered
+    if (context.createStereoPanner) {
+      const panner = context.createStereoPanner();
+      panner.pan.setValueAtTime(pan, start);
+      gain.connect(panner);
+      panner.connect(context.destination);
+    } else {
+      gain.connect(context.destination);
+    }
+
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  audio() {
+    if (!this.context) this.context = this.createContext();
+    // Contexts made before a user gesture start suspended
+    if (this.context?.state === 'suspended') this.context.resume();
+    return this.context;
+  }
+
+  /**
+   * Stop playing and release the audio context
+   */
+  dispose() {
+    this.pause();
+    this.context?.close();
+    this.context = null;
+  }
+}
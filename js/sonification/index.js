@@ -0,0 +1,12 @@
+/**
+ * Sonification - Module Index
+ * Re-exports the sonifier and the chart data it plays for convenient importing
+ */
+
+export { Sonifier, valueToFrequency, seriesPan, DEFAULT_PITCH_RANGE } from './Sonifier.js';
+export {
+  MAX_SONIFIED_POINTS,
+  sonifyCategories,
+  sonifyPoints,
+  sonifyEChartsOption
+} from './sonificationData.js';
@@ -0,0 +1,124 @@
+/**
+ * Sonification data
+ * Turns chart data into what the sonifier plays: series of labelled points in
+ * left-to-right order, the same shape for ECharts options and the 3D charts
+ */
+
+import { formatNumber } from '../utils.js';
+import { downsampleLTTB } from '../sensors/downsample.js';
+
+// Longer point clouds are thinned to this many points, keeping their shape
+export const MAX_SONIFIED_POINTS = 200;
+
+/**
+ * @typedef {Object} Sonification
+ * @property {string} title - Chart title
+ * @property {{name: string, points: {label: string, value: number|null}[]}[]} series - Series in
+ *   stereo order, left to right; a null value is a gap
+ */
+
+/**
+ * One series of categories, e.g. a bar chart
+ * @param {string} title - Chart title
+ * @param {string[]} labels - Category labels
+ * @param {number[]} values - Value per category
+ * @param {string} name - Series name; the title by default
+ * @returns {Sonification} Sonification data
+ */
+export function sonifyCategories(title, labels, values, name = title) {
+  return {
+    title,
+    series: [{ name, points: labels.map((label, index) => ({ label: String(label), value: toValue(values[index]) })) }]
+  };
+}
+
+/**
+ * A point cloud played along x, with y as the value
+ * @param {string} title - Chart title
+ * @param {number[][]} points - [x, y, ...] points, in any order
+ * @param {{x?: string, y?: string}} axisTitles - Axis names for labels and the series name
+ * @param {number} maxPoints - Most points to play
+ * @returns {Sonification} Sonification data
+ */
+export function sonifyPoints(title, points, axisTitles = {}, maxPoints = MAX_SONIFIED_POINTS) {
+  const { x = 'x', y = 'y' } = axisTitles;
+  const sorted = points
+    .filter(point => Number.isFinite(point[0]) && Number.isFinite(point[1]))
+    .map(point => [point[0], point[1]])
+    .sort((a, b) => a[0] - b[0]);
+
+  return {
+    title,
+    series: [{
+      name: y,
+      points: downsampleLTTB(sorted, maxPoints).map(([px, py]) => ({
+        label: `${x} ${formatNumber(px, { maximumFractionDigits: 2 })}`,
+        value: py
+      }))
+    }]
+  };
+}
+
+/**
+ * Sonification data for an ECharts option (raw or as returned by getOption())
+ * @param {Object} option - ECharts option
+ * @returns {Sonification|null} Sonification data, or null when the chart has no data
+ */
+export function sonifyEChartsOption(option) {
+  const series = toArray(option?.series).filter(item => item.data?.length);
+  if (!series.length) return null;
+
+  const title = toArray(option.title)[0]?.text || '';
+  const type = series[0].type;
+
+  if (type === 'heatmap') {
+    // A row per series, played along the columns
+    const xLabels = axisLabels(option.xAxis);
+    const cells = series[0].data.map(cell => (Array.isArray(cell) ? cell : cell.value));
+    return {
+      title,
+      series: axisLabels(option.yAxis).map((name, row) => ({
+        name: String(name),
+        points: xLabels.map((label, column) => ({
+          label: String(label),
+          value: toValue(cells.find(([x, y]) => x === column && y === row)?.[2])
+        }))
+      }))
+    };
+  }
+
+  if (type === 'pie') {
+    return sonifyCategories(title, series[0].data.map(item => item.name), series[0].data.map(toValue), series[0].name || title);
+  }
+
+  if (type === 'scatter') {
+    return sonifyPoints(title, series[0].data.map(item => (Array.isArray(item) ? item : item.value)));
+  }
+
+  // Value-only axes fall back to point numbers as labels
+  const labels = axisLabels(option.xAxis);
+  return {
+    title,
+    series: series.map((item, index) => ({
+      name: item.name || `Series ${index + 1}`,
+      points: item.data.map((value, point) => ({ label: String(labels[point] ?? `point ${point + 1}`), value: toValue(value) }))
+    }))
+  };
+}
+
+function axisLabels(axis) {
+  return (toArray(axis)[0]?.data || []).map(label => (typeof label === 'object' && label !== null ? label.value : label));
+}
+
+// ECharts marks gaps with null, undefined or '-'
+function toValue(item) {
+  const raw = typeof item === 'object' && item !== null ? item.value : item;
+  if (raw === null || raw === undefined || raw === '' || raw === '-') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : null;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,87 @@
+/**
+ * URL state sync
+ * Keeps the location hash in step with a StateManager and replays
+ * back/forward navigation through the History API
+ */
+
+export class UrlStateSync {
+  /**
+   * @param {Object} appState - StateManager to mirror
+   * @param {Object} options
+   * @param {Function} options.encode - State -> hash
+   * @param {Function} options.decode - Hash -> state
+   * @param {Function} options.onRestore - Applies a decoded state after back/forward; may return a promise
+   * @param {string[]} options.pushKeys - Changes to these keys add a history entry; other changes replace the current one
+   * @param {Window} options.target - Window whose location and history are used
+   */
+  constructor(appState, { encode, decode, onRestore = () => {}, pushKeys = [], target = window } = {}) {
+    this.appState = appState;
+    this.encode = encode;
+    this.decode = decode;
+    this.onRestore = onRestore;
+    this.pushKeys = pushKeys;
+    this.target = target;
+    this.restoring = false;
+    this.unsubscribe = null;
+
+    this.handleStateChange = this.handleStateChange.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * State described by the current URL
+   * @returns {Object} Decoded state
+   */
+  read() {
+    return this.decode(this.target.location.hash);
+  }
+
+  /**
+   * Start mirroring; the current URL is rewritten to match the state
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.appState.subscribe(this.handleStateChange);
+    this.target.addEventListener('popstate', this.handlePopState);
+    this.write(false);
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.target.removeEventListener('popstate', this.handlePopState);
+  }
+
+  handleStateChange(state, oldState) {
+    // Restoring walks through intermediate states that are not worth a URL
+    if (this.restoring) return;
+    this.write(this.pushKeys.some(key => state[key] !== oldState[key]));
+  }
+
+  async handlePopState() {
+    this.restoring = true;
+    try {
+      await this.onRestore(this.read());
+    } finally {
+      this.restoring = false;
+      // Normalize a hand-edited or partly invalid URL
+      this.write(false);
+    }
+  }
+
+  /**
+   * Write the current state to the URL
+   * @param {boolean} push - Add a history entry instead of replacing the current one
+   */
+  write(push) {
+    const hash = this.encode(this.appState.getState());
+    if (hash === this.target.location.hash) return;
+
+    const { history } = this.target;
+    if (push) {
+      history.pushState(null, '', hash);
+    } else {
+      history.replaceState(null, '', hash);
+    }
+  }
+}
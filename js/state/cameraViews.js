@@ -0,0 +1,50 @@
+/**
+ * 3D camera views
+ * Remembers, per 3D chart type, where the camera was left and the bookmarked
+ * views, so switching chart types or reloading the page comes back to them
+ */
+
+const STORAGE_KEY = 'threeViews';
+
+const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+const isView = value => isVector(value?.position) && isVector(value?.target);
+
+/**
+ * Read the saved views, dropping anything malformed
+ * @param {Storage} storage - Where the views are kept
+ * @returns {Object<string, {camera: Object|null, bookmarks: Object}>} By 3D chart type: the last
+ *   camera as {position, target}, and bookmarked views by name
+ */
+export function loadCameraViews(storage = localStorage) {
+  let saved = null;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch {
+    // Unreadable views are as good as none
+  }
+  if (!saved || typeof saved !== 'object') return {};
+
+  const views = {};
+  Object.entries(saved).forEach(([type, view]) => {
+    const bookmarks = Object.entries(view?.bookmarks ?? {}).filter(([, bookmark]) => isView(bookmark));
+    views[type] = {
+      camera: isView(view?.camera) ? view.camera : null,
+      bookmarks: Object.fromEntries(bookmarks)
+    };
+  });
+  return views;
+}
+
+/**
+ * Save the views for loadCameraViews
+ * @param {Object} views - As returned by loadCameraViews
+ * @param {Storage} storage - Where the views are kept
+ */
+export function saveCameraViews(views, storage = localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(views));
+  } catch (error) {
+    // Full or disabled storage only costs the views on the next visit
+    console.warn('Could not save 3D camera views:', error);
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * URL State - Module Index
+ * Re-exports the URL codec, History API sync and saved 3D camera views for convenient importing
+ */
+
+export { encodeUrlState, decodeUrlState } from './urlState.js';
+export { UrlStateSync } from './UrlStateSync.js';
+export { loadCameraViews, saveCameraViews } from './cameraViews.js';
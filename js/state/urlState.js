@@ -0,0 +1,88 @@
+/**
+ * URL state codec
+ * Maps the shareable part of the app state to and from a location hash,
+ * e.g. "#3d-demo?theme=dark&view=surface&cam=8,6,8,0,0,0"
+ */
+
+import { BUILT_IN_THEMES } from '../theme/themes.js';
+
+// Custom themes live in one browser only, so links name built-in ones
+const THEMES = Object.keys(BUILT_IN_THEMES);
+
+// Decimal places kept for camera coordinates
+const CAMERA_PRECISION = 2;
+
+/**
+ * Build the hash for a state
+ * @param {Object} state - App state
+ * @param {Object} defaults - Values left out of the URL to keep links short
+ * @returns {string} Hash including the leading "#"
+ */
+export function encodeUrlState(state, defaults = {}) {
+  const params = [];
+  const add = (name, key, value = state[key]) => {
+    if (value !== undefined && value !== null && value !== defaults[key]) {
+      params.push(`${name}=${encodeURIComponent(value).replace(/%2C/gi, ',')}`);
+    }
+  };
+
+  add('chart', 'chartType');
+  add('series', 'datasetIndex');
+  // Always spelled out so the recipient's own preference does not change the view
+  if (THEMES.includes(state.theme)) params.push(`theme=${state.theme}`);
+
+  if (state.currentDemo === '3d-demo') {
+    add('view', 'threeType');
+    if (state.camera) add('cam', 'camera', formatCamera(state.camera));
+  }
+
+  return `#${state.currentDemo}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+/**
+ * Read a hash back into state
+ * @param {string} hash - location.hash, with or without the "#"
+ * @param {Object} options
+ * @param {Object} options.defaults - Values for keys missing from the URL
+ * @param {string[]} options.demos - Valid demo ids
+ * @param {string[]} options.chartTypes - Valid 2D chart types
+ * @param {string[]} options.threeTypes - Valid 3D chart types
+ * @param {number} [options.seriesCount] - Number of series; a series past the last falls back to the default
+ * @returns {Object} currentDemo, chartType, datasetIndex, threeType and camera,
+ *   plus theme when the URL names one; unknown values fall back to the defaults
+ */
+export function decodeUrlState(hash, { defaults = {}, demos = [], chartTypes = [], threeTypes = [], seriesCount = Infinity } = {}) {
+  const [path, query = ''] = String(hash || '').replace(/^#/, '').split('?');
+  const params = new URLSearchParams(query);
+  const pick = (name, allowed, fallback) => (allowed.includes(params.get(name)) ? params.get(name) : fallback);
+  const series = Number(params.get('series'));
+
+  const state = {
+    currentDemo: demos.includes(path) ? path : defaults.currentDemo,
+    chartType: pick('chart', chartTypes, defaults.chartType),
+    datasetIndex: params.has('series') && Number.isInteger(series) && series >= 0 && series < seriesCount
+      ? series
+      : defaults.datasetIndex,
+    threeType: pick('view', threeTypes, defaults.threeType),
+    camera: parseCamera(params.get('cam')) ?? defaults.camera ?? null
+  };
+
+  if (THEMES.includes(params.get('theme'))) state.theme = params.get('theme');
+  return state;
+}
+
+function formatCamera({ position, target = [0, 0, 0] }) {
+  return [...position, ...target]
+    .map(value => Number(value.toFixed(CAMERA_PRECISION)))
+    .join(',');
+}
+
+function parseCamera(text) {
+  if (!text) return null;
+  const values = text.split(',').map(Number);
+  if ((values.length !== 3 && values.length !== 6) || !values.every(Number.isFinite)) return null;
+  return {
+    position: values.slice(0, 3),
+    target: values.length === 6 ? values.slice(3) : [0, 0, 0]
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * Theme registry
+ * Holds the built-in and custom themes, remembers the chosen one, the series
+ * palette and whether series get patterns for every page of the site, and
+ * tells subscribers such as charts when any of them changes
+ */
+
+import { EventEmitter } from '../utils.js';
+import { BUILT_IN_THEMES, COLOR_TOKENS, createTheme } from './themes.js';
+import { PALETTES, resolvePalette, checkPaletteContrast } from './palettes.js';
+
+// Shared with every page, so a theme picked on one is there on the next
+const THEME_KEY = 'theme';
+const CUSTOM_THEMES_KEY = 'customThemes';
+const PALETTE_KEY = 'palette';
+const PATTERNS_KEY = 'patterns';
+
+const cssName = token => `--theme-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+
+/**
+ * Theme for a first visit, from the system settings
+ * @param {Function} matches - Tests a media query
+ * @returns {string} Built-in theme name
+ */
+export function preferredTheme(matches) {
+  if (matches('(prefers-contrast: more)')) return 'high-contrast';
+  return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+export class ThemeManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Storage|null} options.storage - Where the choice and custom themes are kept; null keeps nothing
+   * @param {Function} options.matches - Tests a media query, for the theme of a first visit
+   */
+  constructor({
+    storage = globalThis.localStorage ?? null,
+    matches = query => globalThis.matchMedia?.(query).matches ?? false
+  } = {}) {
+    super();
+    this.storage = storage;
+    this.themes = new Map(Object.entries(BUILT_IN_THEMES));
+    this.loadCustomThemes();
+    // The chosen theme; current is the same theme with the palette and patterns applied
+    this.chosen = this.themes.get(this.read(THEME_KEY)) ?? this.themes.get(preferredTheme(matches));
+    this.paletteName = this.readPaletteName();
+    this.patterns = this.read(PATTERNS_KEY) === 'true';
+    this.current = this.resolve();
+  }
+
+  /**
+   * @param {string} name - Theme name
+   * @returns {Object|null} The theme, or null when there is none by that name
+   */
+  get(name) {
+    return this.themes.get(name) ?? null;
+  }
+
+  /**
+   * @returns {Object[]} Built-in themes, then custom ones in the order they were added
+   */
+  list() {
+    return [...this.themes.values()];
+  }
+
+  /**
+   * Add a custom theme, or replace one by the same name; it is saved with the others
+   * @param {Object} tokens - Theme tokens, see createTheme
+   * @returns {Object} The complete theme
+   */
+  register(tokens) {
+    const theme = createTheme(tokens);
+    this.themes.set(theme.name, theme);
+    this.saveCustomThemes();
+    // A redefined current theme takes effect at once
+    if (this.current.name === theme.name) this.switchTo(theme);
+    return theme;
+  }
+
+  /**
+   * Remove a custom theme; when it is the current one, its base takes over
+   * @param {string} name - Theme name
+   * @returns {boolean} Whether there was such a theme
+   */
+  unregister(name) {
+    if (Object.hasOwn(BUILT_IN_THEMES, name)) throw new Error(`Theme "${name}" is built in.`);
+    const theme = this.themes.get(name);
+    if (!theme) return false;
+
+    this.themes.delete(name);
+    this.saveCustomThemes();
+    if (this.chosen === theme) this.setTheme(theme.base);
+    return true;
+  }
+
+  /**
+   * Switch theme
+   * @param {string} name - Registered theme name
+   * @param {Object} options
+   * @param {boolean} options.persist - Remember the choice for the next page; false e.g. for a theme in a shared link
+   * @returns {Object} The theme
+   */
+  setTheme(name, { persist = true } = {}) {
+    const theme = this.themes.get(name);
+    if (!theme) throw new Error(`Unknown theme "${name}".`);
+    if (persist) this.write(THEME_KEY, name);
+    if (theme !== this.chosen) this.switchTo(theme);
+    return theme;
+  }
+
+  /**
+   * Color series with a named palette instead of the theme's own
+   * @param {string|null} name - One of PALETTE_NAMES, or null for the theme's own palette
+   * @param {Object} options
+   * @param {boolean} options.persist - Remember the choice for the next page
+   */
+  setPalette(name, { persist = true } = {}) {
+    if (name !== null && !Object.hasOwn(PALETTES, name)) throw new Error(`Unknown palette "${name}".`);
+    if (persist) this.write(PALETTE_KEY, name ?? '');
+    if (name !== this.paletteName) {
+      this.paletteName = name;
+      this.switchTo(this.chosen);
+    }
+  }
+
+  /**
+   * Fill series with patterns as well as colors, so they differ without color vision
+   * @param {boolean} show - Whether to draw patterns
+   * @param {Object} options
+   * @param {boolean} options.persist - Remember the choice for the next page
+   */
+  setPatterns(show, { persist = true } = {}) {
+    if (persist) this.write(PATTERNS_KEY, String(Boolean(show)));
+    if (Boolean(show) !== this.patterns) {
+      this.patterns = Boolean(show);
+      this.switchTo(this.chosen);
+    }
+  }
+
+  /**
+   * Current palette colors with too little contrast against the current surface
+   * to be told from it, by WCAG 2.1 non-text contrast
+   * @returns {{index: number, color: string, ratio: number}[]} The failing colors; empty when all pass
+   */
+  contrastIssues() {
+    return checkPaletteContrast(this.current.palette, this.current.colors.surface);
+  }
+
+  /**
+   * Switch to the theme after the current one, wrapping round; for toggle buttons
+   * @returns {Object} The theme
+   */
+  cycle() {
+    const names = [...this.themes.keys()];
+    return this.setTheme(names[(names.indexOf(this.current.name) + 1) % names.length]);
+  }
+
+  /**
+   * Follow the theme
+   * @param {Function} listener - Called with the current theme now and with every new one
+   * @returns {Function} Stops following
+   */
+  subscribe(listener) {
+    const unsubscribe = this.on('change', listener);
+    listener(this.current);
+    return unsubscribe;
+  }
+
+  /**
+   * Keep a page styled by the theme: the root element gets data-theme (the base
+   * theme, for stylesheets), data-theme-name and a --theme-* custom property per
+   * token. Choices made on other open pages are followed too.
+   * @param {HTMLElement} root - Element styled, normally the document element
+   * @param {EventTarget} target - Window whose storage events report other pages' choices
+   * @returns {Function} Stops styling and following
+   */
+  attach(root = document.documentElement, target = window) {
+    const unsubscribe = this.subscribe(theme => applyThemeToElement(root, theme));
+    const handleStorage = event => this.handleStorage(event);
+    target.addEventListener('storage', handleStorage);
+    return () => {
+      unsubscribe();
+      target.removeEventListener('storage', handleStorage);
+    };
+  }
+
+  handleStorage({ key, newValue }) {
+    if (key === CUSTOM_THEMES_KEY) {
+      this.loadCustomThemes();
+      const theme = this.themes.get(this.current.name) ?? this.themes.get(this.current.base);
+      if (theme !== this.chosen) this.switchTo(theme);
+    } else if (key === THEME_KEY && this.themes.has(newValue)) {
+      this.setTheme(newValue, { persist: false });
+    } else if (key === PALETTE_KEY) {
+      this.setPalette(this.readPaletteName(), { persist: false });
+    } else if (key === PATTERNS_KEY) {
+      this.setPatterns(newValue === 'true', { persist: false });
+    }
+  }
+
+  switchTo(theme) {
+    this.chosen = theme;
+    this.current = this.resolve();
+    this.emit('change', this.current);
+  }
+
+  // The chosen theme as it is, or a copy with the chosen palette and patterns
+  resolve() {
+    const theme = this.chosen;
+    if (!this.paletteName && !this.patterns) return theme;
+    return {
+      ...theme,
+      palette: this.paletteName ? resolvePalette(this.paletteName, theme.scheme) : theme.palette,
+      patterns: this.patterns
+    };
+  }
+
+  readPaletteName() {
+    const name = this.read(PALETTE_KEY);
+    return name && Object.hasOwn(PALETTES, name) ? name : null;
+  }
+
+  loadCustomThemes() {
+    [...this.themes.keys()].forEach(name => {
+      if (!Object.hasOwn(BUILT_IN_THEMES, name)) this.themes.delete(name);
+    });
+
+    let saved = null;
+    try {
+      saved = JSON.parse(this.read(CUSTOM_THEMES_KEY));
+    } catch {
+      // Unreadable themes are as good as none
+    }
+    if (!Array.isArray(saved)) return;
+
+    saved.forEach(tokens => {
+      try {
+        const theme = createTheme(tokens);
+        this.themes.set(theme.name, theme);
+      } catch (error) {
+        console.warn('Skipping a saved theme:', error.message);
+      }
+    });
+  }
+
+  saveCustomThemes() {
+    const custom = this.list()
+      .filter(theme => !Object.hasOwn(BUILT_IN_THEMES, theme.name))
+      .map(({ name, label, base, colors, palette }) => ({ name, label, base, colors, palette }));
+    this.write(CUSTOM_THEMES_KEY, JSON.stringify(custom));
+  }
+
+  read(key) {
+    try {
+      return this.storage?.getItem(key) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  write(key, value) {
+    try {
+      this.storage?.setItem(key, value);
+    } catch (error) {
+      // Full or disabled storage only costs the choice on the next page
+      console.warn('Could not save the theme:', error);
+    }
+  }
+}
+
+/**
+ * Style an element by a theme, see ThemeManager.attach
+ * @param {HTMLElement} element - Element to style
+ * @param {Object} theme - Theme
+ */
+export function applyThemeToElement(element, theme) {
+  element.setAttribute('data-theme', theme.base);
+  element.setAttribute('data-theme-name', theme.name);
+  element.style.colorScheme = theme.scheme;
+  COLOR_TOKENS.forEach(token => element.style.setProperty(cssName(token), theme.colors[token]));
+
+  // Palettes differ in length; a longer previous one leaves nothing behind
+  for (let i = 1; i <= theme.palette.length || element.style.getPropertyValue(`--theme-palette-${i}`); i++) {
+    if (i <= theme.palette.length) element.style.setProperty(`--theme-palette-${i}`, theme.palette[i - 1]);
+    else element.style.removeProperty(`--theme-palette-${i}`);
+  }
+}
+
+// The page's registry, shared by every module on it
+export const themes = new ThemeManager();
@@ -0,0 +1,142 @@
+/**
+ * Themes for ECharts
+ * ECharts fixes a chart's theme when the chart is created, so themes are
+ * applied as option styling instead: merged into new options, and merged into
+ * live charts when the theme changes, which restyles them in place
+ */
+
+import { themes } from './ThemeManager.js';
+
+const AXES = ['xAxis', 'yAxis', 'radiusAxis', 'angleAxis', 'singleAxis', 'parallelAxis'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Style for each of an option's components: one style, or one per entry when it has several
+const each = (component, style) => (Array.isArray(component) ? component.map(() => style) : style);
+
+// ECharts merges a new color list into the old one entry by entry, so a shorter
+// palette is repeated over the whole old list; the series keep the same colors
+function coveringPalette(palette, length = 0) {
+  const repeats = Math.max(1, Math.ceil(length / palette.length));
+  return Array.from({ length: repeats * palette.length }, (_, i) => palette[i % palette.length]);
+}
+
+/**
+ * Series colors and, when asked for, pattern fills
+ * @param {string[]} palette - Hex colors, in series order
+ * @param {boolean} patterns - Fill series with ECharts decals as well
+ * @returns {Object} Partial option
+ */
+export function paletteOption(palette, patterns = false) {
+  return {
+    color: [...palette],
+    // Decals are ECharts' pattern fills; its generated aria-label is left off, containers keep their own
+    aria: { enabled: true, label: { enabled: false }, decal: { show: Boolean(patterns) } }
+  };
+}
+
+/**
+ * Theme styling for the components an option has
+ * @param {Object} theme - Theme from the registry
+ * @param {Object} option - ECharts option, as set or as returned by getOption
+ * @returns {Object} Partial option to merge into the chart
+ */
+export function echartsThemeOption(theme, option = {}) {
+  const { colors } = theme;
+  const axisLine = { lineStyle: { color: colors.axis } };
+  const styling = {
+    ...paletteOption(theme.palette, theme.patterns),
+    // Charts sit on the page's own surface
+    backgroundColor: 'transparent',
+    textStyle: { color: colors.text }
+  };
+
+  if (option.title) {
+    styling.title = each(option.title, {
+      textStyle: { color: colors.text },
+      subtextStyle: { color: colors.textMuted }
+    });
+  }
+  if (option.legend) {
+    styling.legend = each(option.legend, {
+      textStyle: { color: colors.text },
+      inactiveColor: colors.border,
+      pageTextStyle: { color: colors.textMuted }
+    });
+  }
+  if (option.tooltip) {
+    styling.tooltip = each(option.tooltip, {
+      backgroundColor: colors.surface,
+      borderColor: colors.border,
+      textStyle: { color: colors.text }
+    });
+  }
+  AXES.filter(key => option[key]).forEach(key => {
+    styling[key] = each(option[key], {
+      axisLine,
+      axisTick: axisLine,
+      axisLabel: { color: colors.textMuted },
+      nameTextStyle: { color: colors.textMuted },
+      splitLine: { lineStyle: { color: colors.grid } }
+    });
+  });
+  if (option.visualMap) {
+    styling.visualMap = each(option.visualMap, { textStyle: { color: colors.text } });
+  }
+  if (option.dataZoom) {
+    styling.dataZoom = each(option.dataZoom, {
+      borderColor: colors.border,
+      textStyle: { color: colors.textMuted }
+    });
+  }
+  return styling;
+}
+
+// Merge b over a: objects key by key, lists of components entry by entry, anything else replaced
+function merge(a, b) {
+  if (b === undefined) return a;
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const merged = { ...a };
+    Object.entries(b).forEach(([key, value]) => {
+      merged[key] = merge(a[key], value);
+    });
+    return merged;
+  }
+  if (Array.isArray(a) && Array.isArray(b) && b.some(isPlainObject)) {
+    return b.map((value, i) => merge(a[i], value));
+  }
+  return b;
+}
+
+/**
+ * An option with theme styling wherever it sets none of its own
+ * @param {Object} option - ECharts option
+ * @param {Object} theme - Theme from the registry
+ * @returns {Object} New option, for setOption
+ */
+export function withTheme(option, theme) {
+  return merge(echartsThemeOption(theme, option), option);
+}
+
+/**
+ * Keep a chart in the registry's theme, restyling it in place on every change
+ * until the chart is disposed
+ * @param {Object} chart - ECharts instance
+ * @param {Object} registry - ThemeManager; the page's by default
+ * @returns {Function} Stops following the theme
+ */
+export function bindChartTheme(chart, registry = themes) {
+  let unsubscribe = null;
+  unsubscribe = registry.subscribe(theme => {
+    if (chart.isDisposed()) {
+      unsubscribe?.();
+      return;
+    }
+    const option = chart.getOption() ?? {};
+    chart.setOption({
+      ...echartsThemeOption(theme, option),
+      color: coveringPalette(theme.palette, option.color?.length)
+    });
+  });
+  return unsubscribe;
+}
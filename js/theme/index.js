@@ -0,0 +1,18 @@
+/**
+ * Themes - Module Index
+ * Re-exports the theme tokens, series palettes, the shared registry and ECharts styling for convenient importing
+ */
+
+export { BUILT_IN_THEMES, COLOR_TOKENS, createTheme } from './themes.js';
+export {
+  PALETTES,
+  PALETTE_NAMES,
+  MIN_GRAPHIC_CONTRAST,
+  resolvePalette,
+  paletteColors,
+  relativeLuminance,
+  contrastRatio,
+  checkPaletteContrast
+} from './palettes.js';
+export { ThemeManager, themes, preferredTheme, applyThemeToElement } from './ThemeManager.js';
+export { echartsThemeOption, paletteOption, withTheme, bindChartTheme } from './echartsTheme.js';
@@ -0,0 +1,99 @@
+/**
+ * Series palettes
+ * Named color schemes for chart series, including colorblind-safe and
+ * high-contrast ones, and the WCAG contrast check for a palette on a background
+ */
+
+// WCAG 2.1 non-text contrast (1.4.11): bars, slices and lines against what they sit on
+export const MIN_GRAPHIC_CONTRAST = 3;
+
+const palette = (label, colorblindSafe, colors) => Object.freeze({
+  label,
+  colorblindSafe,
+  // One list for both, or a list per color scheme
+  colors: Object.freeze(Array.isArray(colors)
+    ? { light: Object.freeze(colors), dark: Object.freeze(colors) }
+    : { light: Object.freeze(colors.light), dark: Object.freeze(colors.dark) })
+});
+
+export const PALETTES = Object.freeze({
+  // The ECharts palette the charts have always used; several pairs merge under deuteranopia
+  default: palette('Default', false, ['#5470c6', '#91cc75', '#fac858', '#ee6666', '#73c0de', '#3ba272', '#fc8452', '#9a60b4']),
+  // Okabe & Ito (2008), with grey in place of black so it shows on dark backgrounds
+  'okabe-ito': palette('Okabe-Ito', true, ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999']),
+  // Paul Tol's bright qualitative scheme
+  'tol-bright': palette('Tol bright', true, ['#4477aa', '#ee6677', '#228833', '#ccbb44', '#66ccee', '#aa3377', '#bbbbbb']),
+  // Evenly spaced along viridis, dark to light
+  viridis: palette('Viridis', true, ['#440154', '#46327e', '#365c8d', '#277f8e', '#1fa187', '#4ac16d', '#a0da39', '#fde725']),
+  // Every color at least 4.5:1 against white, or black
+  'high-contrast': palette('High contrast', false, {
+    light: ['#000000', '#0044cc', '#c00000', '#006b00', '#8a4b00', '#7a00cc', '#006b6b', '#595959'],
+    dark: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8c00', '#ffffff', '#ff6b6b', '#9999ff']
+  })
+});
+
+export const PALETTE_NAMES = Object.keys(PALETTES);
+
+/**
+ * A palette's colors for a color scheme
+ * @param {string} name - One of PALETTE_NAMES
+ * @param {string} scheme - 'light' or 'dark', the scheme of the theme the colors sit on
+ * @returns {string[]} Hex colors, in series order
+ */
+export function resolvePalette(name, scheme = 'light') {
+  if (!Object.hasOwn(PALETTES, name)) throw new Error(`Unknown palette "${name}".`);
+  return [...PALETTES[name].colors[scheme === 'dark' ? 'dark' : 'light']];
+}
+
+/**
+ * A color per series or category, repeating the palette when there are more
+ * than it has; patterns tell the repeats apart
+ * @param {string} name - One of PALETTE_NAMES
+ * @param {number} count - Number of colors needed
+ * @param {string} scheme - 'light' or 'dark'
+ * @returns {string[]} Hex colors
+ */
+export function paletteColors(name, count, scheme = 'light') {
+  const colors = resolvePalette(name, scheme);
+  return Array.from({ length: Math.max(0, count) }, (_, i) => colors[i % colors.length]);
+}
+
+/**
+ * WCAG relative luminance of a color
+ * @param {string} hex - '#rgb' or '#rrggbb'
+ * @returns {number} Luminance in [0, 1]
+ */
+export function relativeLuminance(hex) {
+  const digits = hex.slice(1);
+  const full = digits.length === 3 ? [...digits].map(digit => digit + digit).join('') : digits;
+  const [r, g, b] = [0, 2, 4].map(i => {
+    const channel = parseInt(full.slice(i, i + 2), 16) / 255;
+    return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ * @param {string} a - Hex color
+ * @param {string} b - Hex color
+ * @returns {number} Ratio from 1 (none) to 21 (black on white)
+ */
+export function contrastRatio(a, b) {
+  const [dark, light] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => x - y);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Colors of a palette that are hard to see on a background
+ * @param {string[]} colors - Hex colors
+ * @param {string} background - Hex color they are drawn on
+ * @param {number} minimum - Lowest acceptable contrast ratio
+ * @returns {{index: number, color: string, ratio: number}[]} The failing colors, with ratios to two decimals
+ */
+export function checkPaletteContrast(colors, background, minimum = MIN_GRAPHIC_CONTRAST) {
+  return colors
+    .map((color, index) => ({ index, color, ratio: contrastRatio(color, background) }))
+    .filter(({ ratio }) => ratio < minimum)
+    .map(issue => ({ ...issue, ratio: Math.floor(issue.ratio * 100) / 100 }));
+}
@@ -0,0 +1,111 @@
+/**
+ * Theme tokens
+ * The built-in light, dark and high-contrast themes, and the checks custom
+ * themes given as JSON tokens go through before they are used
+ */
+
+import { resolvePalette } from './palettes.js';
+
+// Colors every theme defines; custom themes take the ones they leave out from their base
+export const COLOR_TOKENS = ['background', 'surface', 'text', 'textMuted', 'border', 'primary', 'axis', 'grid'];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const THEME_NAME = /^[a-z][a-z0-9-]*$/;
+
+const builtIn = theme => Object.freeze({
+  ...theme,
+  base: theme.name,
+  colors: Object.freeze(theme.colors),
+  palette: Object.freeze(theme.palette)
+});
+
+export const BUILT_IN_THEMES = Object.freeze({
+  light: builtIn({
+    name: 'light',
+    label: 'Light',
+    scheme: 'light',
+    colors: {
+      background: '#f8f9fa',
+      surface: '#ffffff',
+      text: '#212529',
+      textMuted: '#6c757d',
+      border: '#dee2e6',
+      primary: '#0d6efd',
+      axis: '#6e7079',
+      grid: '#e0e6f1'
+    },
+    palette: resolvePalette('default')
+  }),
+  dark: builtIn({
+    name: 'dark',
+    label: 'Dark',
+    scheme: 'dark',
+    colors: {
+      background: '#1a1d21',
+      surface: '#1a1a2e',
+      text: '#f8f9fa',
+      textMuted: '#ccccdd',
+      border: '#495057',
+      primary: '#6ea8fe',
+      axis: '#8888aa',
+      grid: '#333355'
+    },
+    palette: resolvePalette('default')
+  }),
+  'high-contrast': builtIn({
+    name: 'high-contrast',
+    label: 'High contrast',
+    scheme: 'dark',
+    colors: {
+      background: '#000000',
+      surface: '#000000',
+      text: '#ffffff',
+      textMuted: '#ffffff',
+      border: '#ffffff',
+      primary: '#ffff00',
+      axis: '#ffffff',
+      grid: '#808080'
+    },
+    palette: resolvePalette('high-contrast', 'dark')
+  })
+});
+
+/**
+ * Check custom theme tokens and fill the gaps from a built-in theme
+ * @param {Object} tokens - Theme as parsed from JSON
+ * @param {string} tokens.name - Lowercase letters, digits and dashes
+ * @param {string} [tokens.label] - Name shown to people; the name by default
+ * @param {string} [tokens.base] - Built-in theme that page styles and missing tokens come from; light by default
+ * @param {Object<string, string>} [tokens.colors] - Hex colors by COLOR_TOKENS name
+ * @param {string[]} [tokens.palette] - Hex series colors, in order
+ * @returns {{name: string, label: string, base: string, scheme: string, colors: Object, palette: string[]}} Complete theme
+ */
+export function createTheme(tokens) {
+  if (!tokens || typeof tokens !== 'object') throw new Error('A theme must be an object of tokens.');
+
+  const { name, label = name, base = 'light', colors = {}, palette } = tokens;
+  if (typeof name !== 'string' || !THEME_NAME.test(name)) {
+    throw new Error(`Invalid theme name "${name}": use lowercase letters, digits and dashes.`);
+  }
+  if (Object.hasOwn(BUILT_IN_THEMES, name)) throw new Error(`Theme "${name}" is built in.`);
+  if (!Object.hasOwn(BUILT_IN_THEMES, base)) throw new Error(`Theme "${name}" has an unknown base "${base}".`);
+
+  Object.entries(colors).forEach(([token, value]) => {
+    if (!COLOR_TOKENS.includes(token)) throw new Error(`Theme "${name}" has an unknown color "${token}".`);
+    if (!HEX_COLOR.test(value)) throw new Error(`Theme "${name}" color "${token}" is not a hex color.`);
+  });
+  if (palette !== undefined
+    && (!Array.isArray(palette) || !palette.length || !palette.every(color => HEX_COLOR.test(color)))) {
+    throw new Error(`Theme "${name}" palette must be a list of hex colors.`);
+  }
+
+  const parent = BUILT_IN_THEMES[base];
+  return {
+    name,
+    label: String(label),
+    base,
+    scheme: parent.scheme,
+    colors: { ...parent.colors, ...colors },
+    palette: [...(palette ?? parent.palette)]
+  };
+}
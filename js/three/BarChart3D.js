@@ -5,132 +5,198 @@
 
 import * as THREE from 'three';
 import { ThreeVisualization } from './ThreeVisualization.js';
+import { lerp } from './transitions.js';
+import { createTextSprite, setTextColor } from './textSprite.js';
+import { createAxis, createGridlines, restyleAxis } from './axes.js';
+import { summarizeCategories } from '../a11y/index.js';
+import { sonifyCategories } from '../sonification/index.js';
+
+const BAR_WIDTH = 0.8;
+const BAR_DEPTH = 0.8;
+const SPACING = 1.5;
+// Height of the tallest bar
+const MAX_HEIGHT = 5;
+// Zero-height bars are still drawn, and can still be picked
+const MIN_HEIGHT = 0.01;
+// The value axis and gridlines stand just behind the bars
+const AXIS_Z = -BAR_DEPTH / 2 - 0.1;
+const TITLE_HEIGHT = 7;
 
 export class BarChart3D extends ThreeVisualization {
-  constructor(container, data) {
-    super(container);
-    this.data = data;
+  constructor(container, data, options) {
+    super(container, options);
+    this.data = { labels: [], values: [] };
     this.bars = [];
     this.targetHeights = [];
-    this.createBars();
+    this.labelSprites = new Map();
+    this.titleSprite = null;
+    this.valueAxis = null;
+    this.gridlines = null;
+    this.setData(data, { duration: 1200, easing: 'easeOutCubic' });
   }
 
-  createBars() {
-    const { labels, values } = this.data;
-    const barWidth = 0.8;
-    const barDepth = 0.8;
-    const spacing = 1.5;
-    const maxValue = Math.max(...values);
-    const scaleFactor = 5 / maxValue;
-
-    const colors = [
-      0x5470c6, 0x91cc75, 0xfac858, 0xee6666,
-      0x73c0de, 0x3ba272, 0xfc8452, 0x9a60b4
-    ];
-
-    const offsetX = ((labels.length - 1) * spacing) / 2;
-
-    labels.forEach((label, index) => {
-      const height = values[index] * scaleFactor;
-      this.targetHeights.push(height);
-
-      // Create bar geometry (start with height 0 for animation)
-      const geometry = new THREE.BoxGeometry(barWidth, 0.01, barDepth);
-      const material = new THREE.MeshPhongMaterial({
-        color: colors[index % colors.length],
-        shininess: 80,
-        specular: 0x444444
+  /**
+   * Animate to new data; bars are matched by label, so a relabelled chart
+   * grows new bars and shrinks away the old ones
+   * @param {{title: string, labels: string[], values: number[], valueTitle?: string}} newData - Chart data;
+   *   valueTitle names the value axis
+   * @param {Object} options - Transition duration and easing
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  setData(newData, options = {}) {
+    this.interruptTransition();
+
+    const { labels, values } = newData;
+    const maxValue = Math.max(0, ...values);
+    const scaleFactor = maxValue > 0 ? MAX_HEIGHT / maxValue : 0;
+    const offsetX = ((labels.length - 1) * SPACING) / 2;
+    const previous = new Map(this.bars.map(bar => [bar.userData.label, bar]));
+    const moves = [];
+
+    this.targetHeights = values.map(value => Math.max(value * scaleFactor, MIN_HEIGHT));
+    this.bars = labels.map((label, index) => {
+      const x = index * SPACING - offsetX;
+      const entering = !previous.has(label);
+      const bar = entering ? this.createBar(label, index, x) : previous.get(label);
+      previous.delete(label);
+      bar.userData.value = values[index];
+      bar.userData.index = index;
+
+      const labelSprite = this.labelSprites.get(label) || this.addLabel(label, x, -0.5, 1);
+      this.labelSprites.set(label, labelSprite);
+
+      moves.push({
+        bar,
+        labelSprite,
+        fromX: bar.position.x,
+        toX: x,
+        fromHeight: bar.scale.y,
+        toHeight: this.targetHeights[index],
+        fromOpacity: entering ? 0 : labelSprite.material.opacity,
+        toOpacity: 1
       });
+      return bar;
+    });
 
-      const bar = new THREE.Mesh(geometry, material);
-      bar.position.x = index * spacing - offsetX;
-      bar.position.y = 0;
-      bar.position.z = 0;
-      bar.castShadow = true;
-      bar.receiveShadow = true;
+    // Bars whose label is gone shrink and fade out
+    previous.forEach((bar, label) => {
+      const labelSprite = this.labelSprites.get(label);
+      this.labelSprites.delete(label);
+      this.exiting.add(bar);
+      this.exiting.add(labelSprite);
+      moves.push({
+        bar,
+        labelSprite,
+        fromX: bar.position.x,
+        toX: bar.position.x,
+        fromHeight: bar.scale.y,
+        toHeight: MIN_HEIGHT,
+        fromOpacity: labelSprite.material.opacity,
+        toOpacity: 0
+      });
+    });
 
-      // Store metadata
-      bar.userData = { label, value: values[index], index };
+    this.data = newData;
+    this.setTitle(newData.title || '3D Bar Chart', TITLE_HEIGHT);
+    this.createValueAxis(maxValue, offsetX, newData.valueTitle);
+
+    return this.tweens.start({
+      ...options,
+      onUpdate: (t) => {
+        moves.forEach(move => {
+          const x = lerp(move.fromX, move.toX, t);
+          const height = lerp(move.fromHeight, move.toHeight, t);
+          move.bar.scale.y = height;
+          move.bar.position.set(x, height / 2, 0);
+          move.labelSprite.position.x = x;
+          move.labelSprite.material.opacity = lerp(move.fromOpacity, move.toOpacity, t);
+        });
+      },
+      onComplete: () => this.removeExiting()
+    });
+  }
 
-      this.scene.add(bar);
-      this.bars.push(bar);
+  /**
+   * Kept for callers of the original API
+   * @param {{title: string, labels: string[], values: number[]}} newData - Chart data
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  updateData(newData) {
+    return this.setData(newData);
+  }
 
-      // Add label
-      this.addLabel(label, index * spacing - offsetX, -0.5, 1);
+  createBar(label, index, x) {
+    // Unit-height bar, scaled to its value (starts flat and grows)
+    const geometry = new THREE.BoxGeometry(BAR_WIDTH, 1, BAR_DEPTH);
+    const material = new THREE.MeshPhongMaterial({
+      color: this.paletteColor(index),
+      shininess: 80,
+      specular: 0x444444
     });
 
-    // Add title
-    this.addTitle(this.data.title || '3D Bar Chart');
+    const bar = new THREE.Mesh(geometry, material);
+    bar.scale.y = MIN_HEIGHT;
+    bar.position.set(x, MIN_HEIGHT / 2, 0);
+    bar.castShadow = true;
+    bar.receiveShadow = true;
+
+    // Store metadata; a bar keeps the color of the place it first appeared in
+    bar.userData = { label, value: 0, index, colorIndex: index };
+
+    this.scene.add(this.track(bar));
+    return bar;
   }
 
   addLabel(text, x, y, z) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 256;
-    canvas.height = 64;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 32px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 128, 40);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
+    const sprite = createTextSprite(text, { size: 0.32, color: this.theme.colors.text, bold: true });
     sprite.position.set(x, y, z);
-    sprite.scale.set(2, 0.5, 1);
-    this.scene.add(sprite);
+    this.scene.add(this.track(sprite));
+    return sprite;
   }
 
-  addTitle(text) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 64;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 256, 45);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
-    sprite.position.set(0, 7, 0);
-    sprite.scale.set(6, 0.75, 1);
-    this.scene.add(sprite);
+  /**
+   * Replace the value axis and its gridlines to fit the data
+   * @param {number} maxValue - Value drawn at MAX_HEIGHT
+   * @param {number} offsetX - Distance from the middle to the outermost bar
+   * @param {string} [title] - Axis title
+   */
+  createValueAxis(maxValue, offsetX, title) {
+    if (this.valueAxis) this.disposeObject(this.valueAxis);
+    if (this.gridlines) this.disposeObject(this.gridlines);
+
+    const left = -offsetX - SPACING / 2;
+    this.valueAxis = createAxis({
+      start: [left, 0, AXIS_Z],
+      end: [left, MAX_HEIGHT, AXIS_Z],
+      domain: [0, maxValue],
+      offset: [-0.6, 0, 0],
+      title,
+      ...this.axisColors()
+    });
+    // Zero is the floor grid already
+    const positions = this.valueAxis.userData.ticks.filter(tick => tick.value > 0).map(tick => tick.position);
+    this.gridlines = createGridlines(positions, [offsetX * 2 + SPACING, 0, 0], this.theme.colors.axis);
+    this.scene.add(this.track(this.valueAxis), this.track(this.gridlines));
   }
 
-  update() {
-    // Animate bars growing (with safety check)
-    if (!this.bars || this.bars.length === 0) return;
-
-    this.bars.forEach((bar, index) => {
-      const targetHeight = this.targetHeights[index];
-      if (targetHeight === undefined) return;
-
-      const currentScale = bar.scale.y;
-
-      if (currentScale < targetHeight) {
-        const newScale = Math.min(currentScale + 0.05, targetHeight);
-        bar.scale.y = newScale;
-        bar.position.y = newScale / 2;
-      }
-    });
+  applyTheme(theme) {
+    this.bars.forEach(bar => bar.material.color.set(this.paletteColor(bar.userData.colorIndex)));
+    this.labelSprites.forEach(sprite => setTextColor(sprite, theme.colors.text));
+    if (this.valueAxis) restyleAxis(this.valueAxis, this.axisColors());
+    this.gridlines?.material.color.set(theme.colors.axis);
   }
 
-  updateData(newData) {
-    this.data = newData;
-    const maxValue = Math.max(...newData.values);
-    const scaleFactor = 5 / maxValue;
+  getPickables() {
+    return this.bars || [];
+  }
 
-    this.targetHeights = newData.values.map(v => v * scaleFactor);
+  describe() {
+    const { labels, values, title } = this.data;
+    return summarizeCategories(title || '3D Bar Chart', labels, values);
+  }
 
-    // Reset bar scales for animation
-    this.bars.forEach((bar, index) => {
-      bar.scale.y = 0.01;
-      bar.position.y = 0;
-      bar.userData.value = newData.values[index];
-    });
+  toSonification() {
+    const { labels, values, title } = this.data;
+    return sonifyCategories(title || '3D Bar Chart', labels, values);
   }
 }
@@ -0,0 +1,299 @@
+/**
+ * 2D stand-in for the 3D charts, for browsers without WebGL
+ * Draws the same data with ECharts and offers the parts of the
+ * ThreeVisualization interface the app uses: setData, describe, snapshot and select events
+ */
+
+import * as echarts from 'echarts';
+import { EventEmitter, extent, formatNumber } from '../utils.js';
+import { sampleColorMap } from './colorMaps.js';
+import { sampleSurface, surfaceSamples } from './surfaceData.js';
+import { exampleSurface } from './SurfacePlot3D.js';
+import { sampleNetwork } from './NetworkGraph3D.js';
+import { dataURLToBlob } from '../export/index.js';
+import { BUILT_IN_THEMES, withTheme } from '../theme/index.js';
+import {
+  summarizeCategories,
+  summarizeShares,
+  summarizePoints,
+  summarizeSurface,
+  summarizeNetwork
+} from '../a11y/index.js';
+import { sonifyCategories, sonifyPoints } from '../sonification/index.js';
+
+export const FALLBACK_TYPES = ['bar', 'scatter', 'surface', 'network', 'pie'];
+
+const DEFAULT_TITLES = {
+  bar: '3D Bar Chart',
+  scatter: '3D Scatter Plot',
+  surface: '3D Surface Plot',
+  network: '3D Network Graph',
+  pie: '3D Pie Chart'
+};
+
+/**
+ * ECharts option showing 3D chart data in two dimensions
+ * @param {string} type - One of FALLBACK_TYPES
+ * @param {Object} data - Data in the format of the matching 3D chart
+ * @param {Object} theme - Theme from the theme registry, for the colors the 3D chart would use
+ * @returns {Object} ECharts option
+ */
+export function fallbackOption(type, data, theme = BUILT_IN_THEMES.dark) {
+  const { palette } = theme;
+  const title = { text: data.title || DEFAULT_TITLES[type], left: 'center' };
+
+  switch (type) {
+    case 'bar':
+      return {
+        title,
+        tooltip: { trigger: 'axis', axisPointer: { type: 'shadow' } },
+        grid: { left: '3%', right: '4%', bottom: '3%', containLabel: true },
+        xAxis: { type: 'category', data: data.labels },
+        yAxis: { type: 'value', name: data.valueTitle },
+        series: [{
+          type: 'bar',
+          data: data.values.map((value, index) => ({ value, itemStyle: { color: palette[index % palette.length] } }))
+        }]
+      };
+
+    case 'pie':
+      return {
+        title,
+        tooltip: { trigger: 'item', formatter: '{b}: {c} ({d}%)' },
+        legend: { orient: 'vertical', left: 'left' },
+        series: [{ type: 'pie', radius: ['40%', '70%'], data: data.data }]
+      };
+
+    case 'scatter': {
+      // Depth becomes point size
+      const zValues = data.data.map(point => point[2] ?? 0);
+      const [zMin, zMax] = extent(zValues);
+      const titles = { x: 'X', y: 'Y', z: 'Z', ...data.axisTitles };
+      return {
+        title,
+        tooltip: {
+          trigger: 'item',
+          formatter: ({ value: [x, y, z] }) =>
+            `${titles.x}: ${formatNumber(x)}<br/>${titles.y}: ${formatNumber(y)}<br/>${titles.z}: ${formatNumber(z)}`
+        },
+        grid: { left: '3%', right: '4%', bottom: '3%', containLabel: true },
+        xAxis: { type: 'value', name: titles.x, scale: true },
+        yAxis: { type: 'value', name: titles.y, scale: true },
+        series: [{
+          type: 'scatter',
+          data: data.data.map((point, index) => [point[0], point[1], zValues[index]]),
+          symbolSize: ([, , z]) => 8 + (zMax > zMin ? ((z - zMin) / (zMax - zMin)) * 16 : 8)
+        }]
+      };
+    }
+
+    case 'surface': {
+      // Seen from above: a heatmap of the sampled heights
+      const surface = sampleSurface(data, exampleSurface);
+      const { columns, rows, values, x, z, range: [min, max] } = surface;
+      const axisLabels = (labels, extent, count) => labels ?? Array.from({ length: count }, (_, i) =>
+        formatNumber(extent[0] + ((extent[1] - extent[0]) * i) / (count - 1), { maximumFractionDigits: 1 }));
+      const colorMap = data.colorMap ?? 'rainbow';
+      return {
+        title,
+        tooltip: { position: 'top' },
+        grid: { left: '3%', right: '4%', top: '12%', bottom: '18%', containLabel: true },
+        xAxis: { type: 'category', data: axisLabels(surface.xLabels, x, columns) },
+        yAxis: { type: 'category', data: axisLabels(surface.zLabels, z, rows) },
+        visualMap: {
+          min,
+          max,
+          calculable: true,
+          orient: 'horizontal',
+          left: 'center',
+          bottom: 0,
+          inRange: { color: [0, 0.25, 0.5, 0.75, 1].map(t => `#${sampleColorMap(colorMap, t).getHexString()}`) }
+        },
+        series: [{
+          type: 'heatmap',
+          data: Array.from(values, (value, i) => [i % columns, Math.floor(i / columns), value])
+        }]
+      };
+    }
+
+    case 'network': {
+      const groups = [...new Set(data.nodes.map(node => node.group).filter(group => group !== undefined))];
+      return {
+        title,
+        tooltip: {},
+        legend: groups.length ? { data: groups, top: 30 } : undefined,
+        series: [{
+          type: 'graph',
+          layout: 'force',
+          roam: true,
+          force: { repulsion: 120, edgeLength: 40 },
+          categories: groups.map(name => ({ name })),
+          data: data.nodes.map(node => ({
+            id: String(node.id),
+            name: node.label ?? String(node.id),
+            value: node.weight ?? 1,
+            symbolSize: 8 + 4 * Math.sqrt(node.weight ?? 1),
+            category: node.group === undefined ? undefined : groups.indexOf(node.group)
+          })),
+          links: data.edges.map(({ source, target }) => ({ source: String(source), target: String(target) })),
+          lineStyle: { color: theme.colors.primary, opacity: 0.5 }
+        }]
+      };
+    }
+
+    default:
+      throw new Error(`Unknown chart type "${type}".`);
+  }
+}
+
+export class FallbackChart2D extends EventEmitter {
+  /**
+   * @param {HTMLElement} container - Element to draw into
+   * @param {string} type - One of FALLBACK_TYPES
+   * @param {Object} data - Data in the format of the matching 3D chart; sample data for surface and network when omitted
+   * @param {Object} options
+   * @param {Object} options.theme - Theme from the theme registry; dark by default, as for the 3D charts
+   */
+  constructor(container, type, data, { theme = BUILT_IN_THEMES.dark } = {}) {
+    super();
+    if (!FALLBACK_TYPES.includes(type)) throw new Error(`Unknown chart type "${type}".`);
+    this.container = container;
+    this.type = type;
+    this.data = null;
+    this.theme = theme;
+
+    if (getComputedStyle(container).position === 'static') {
+      container.style.position = 'relative';
+    }
+    this.notice = document.createElement('p');
+    this.notice.className = 'three-fallback-notice';
+    this.notice.textContent = 'WebGL is not available, so this chart is shown in 2D.';
+    container.appendChild(this.notice);
+
+    this.chartElement = document.createElement('div');
+    this.chartElement.className = 'three-fallback-chart';
+    container.appendChild(this.chartElement);
+    this.chart = echarts.init(this.chartElement);
+
+    this.chart.on('click', (params) => {
+      // Network links are not data elements
+      if (params.dataType === 'edge') return;
+      const label = params.name || `Point ${params.dataIndex + 1}`;
+      const value = Array.isArray(params.value) ? params.value.at(-1) : params.value;
+      this.emit('select', {
+        index: params.dataIndex,
+        label,
+        value,
+        text: value === undefined ? label : `${label}: ${formatNumber(value)}`
+      });
+    });
+
+    this.handleResize = this.handleResize.bind(this);
+    window.addEventListener('resize', this.handleResize);
+
+    this.setData(data || this.defaultData());
+  }
+
+  defaultData() {
+    if (this.type === 'network') return sampleNetwork();
+    return {};
+  }
+
+  handleResize() {
+    this.chart.resize();
+  }
+
+  /**
+   * Show new data; builds the option first, so bad input leaves the chart as it is
+   * @param {Object} newData - Data in the format of the matching 3D chart
+   * @returns {Promise<boolean>} Resolves true, for parity with ThreeVisualization.setData
+   */
+  setData(newData) {
+    const option = fallbackOption(this.type, newData, this.theme);
+    this.data = newData;
+    // The scene background of the 3D chart
+    this.chart.setOption(withTheme({ backgroundColor: this.theme.colors.surface, ...option }, this.theme), true);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Restyle the chart for a theme, on the same ECharts instance
+   * @param {Object} theme - Theme from the theme registry
+   */
+  setTheme(theme) {
+    if (theme === this.theme) return;
+    this.theme = theme;
+    this.setData(this.data);
+  }
+
+  /**
+   * Natural-language summary, the same as the 3D chart would give
+   * @returns {string} Summary text
+   */
+  describe() {
+    const title = this.data.title || DEFAULT_TITLES[this.type];
+    switch (this.type) {
+      case 'bar':
+        return summarizeCategories(title, this.data.labels, this.data.values);
+      case 'pie':
+        return summarizeShares(title, this.data.data);
+      case 'scatter':
+        return summarizePoints(title, this.data.data);
+      case 'network':
+        return summarizeNetwork(title, this.data.nodes, this.data.edges);
+      default:
+        return summarizeSurface(title, surfaceSamples(sampleSurface(this.data, exampleSurface)));
+    }
+  }
+
+  /**
+   * The data as sound, the same as the 3D chart would give
+   * @returns {Object|null} Sonification data, or null for charts that do not read left to right
+   */
+  toSonification() {
+    const title = this.data.title || DEFAULT_TITLES[this.type];
+    switch (this.type) {
+      case 'bar':
+        return sonifyCategories(title, this.data.labels, this.data.values);
+      case 'scatter':
+        return sonifyPoints(title, this.data.data, this.data.axisTitles);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * A flat chart has no camera to share
+   * @returns {null}
+   */
+  getCameraState() {
+    return null;
+  }
+
+  setCameraState() {
+    // Nothing to move
+  }
+
+  /**
+   * Capture the chart as an image
+   * @param {Object} options
+   * @param {number} options.scale - Output pixels per CSS pixel
+   * @param {string} options.type - Image MIME type
+   * @returns {Promise<Blob>} Encoded image
+   */
+  snapshot({ scale = 2, type = 'image/png' } = {}) {
+    const url = this.chart.getDataURL({
+      type: type === 'image/jpeg' ? 'jpeg' : 'png',
+      pixelRatio: scale,
+      backgroundColor: this.theme.colors.surface
+    });
+    return Promise.resolve(dataURLToBlob(url));
+  }
+
+  dispose() {
+    window.removeEventListener('resize', this.handleResize);
+    this.chart.dispose();
+    this.chartElement.remove();
+    this.notice.remove();
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Force layout runner for the main thread
+ * Runs the simulation in a Web Worker, or in-thread where workers are unavailable,
+ * and emits 'tick' with node positions and 'end' once the layout settles
+ */
+
+import { EventEmitter } from '../utils.js';
+import { createLayoutHost } from './forceSimulation.js';
+
+export class ForceLayout extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.useWorker - Run off the main thread; defaults to whether Worker exists
+   */
+  constructor({ useWorker = typeof Worker !== 'undefined' } = {}) {
+    super();
+    this.useWorker = useWorker;
+    this.worker = null;
+    this.host = null;
+    this.lastStart = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+  }
+
+  /**
+   * Lay out a graph, replacing any layout in progress
+   * @param {Object[]} nodes - Nodes with id, and optional weight, group and x/y/z
+   * @param {Object[]} edges - Edges naming their end nodes by id
+   * @param {Object} options - ForceSimulation options, e.g. seed and positions
+   */
+  start(nodes, edges, options = {}) {
+    // Only what the simulation reads, so the message stays cloneable
+    this.lastStart = {
+      type: 'start',
+      nodes: nodes.map(({ id, weight, group, x, y, z }) => ({ id, weight, group, x, y, z })),
+      edges: edges.map(({ source, target, weight }) => ({ source, target, weight })),
+      options
+    };
+    this.post(this.lastStart);
+  }
+
+  /**
+   * Pin a node under the pointer and reheat the layout around it
+   * @param {number} index - Node index
+   * @param {number[]} position - [x, y, z]
+   */
+  drag(index, position) {
+    this.post({ type: 'drag', index, position });
+  }
+
+  release(index) {
+    this.post({ type: 'release', index });
+  }
+
+  stop() {
+    if (this.worker || this.host) this.post({ type: 'stop' });
+  }
+
+  post(message) {
+    if (this.useWorker) {
+      if (!this.worker) {
+        this.worker = new Worker(new URL('./forceLayout.worker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', this.handleMessage);
+        this.worker.addEventListener('error', this.handleWorkerError);
+      }
+      this.worker.postMessage(message);
+    } else {
+      this.host ??= createLayoutHost(data => this.handleMessage({ data }));
+      this.host(message);
+    }
+  }
+
+  handleMessage({ data }) {
+    this.emit(data.type, data.positions);
+  }
+
+  handleWorkerError(event) {
+    // A worker that fails to load (e.g. blocked by policy) falls back to the main thread
+    event.preventDefault?.();
+    console.warn('Force layout worker failed, running on the main thread:', event.message);
+    this.terminateWorker();
+    this.useWorker = false;
+    if (this.lastStart) this.post(this.lastStart);
+  }
+
+  terminateWorker() {
+    if (!this.worker) return;
+    this.worker.removeEventListener('message', this.handleMessage);
+    this.worker.removeEventListener('error', this.handleWorkerError);
+    this.worker.terminate();
+    this.worker = null;
+  }
+
+  dispose() {
+    this.stop();
+    this.terminateWorker();
+    this.host = null;
+    this.lastStart = null;
+  }
+}
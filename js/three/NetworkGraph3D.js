@@ -1,122 +1,321 @@
 /**
  * 3D Network Graph visualization
- * Nodes with edges and pulsing animation
+ * Nodes with edges, force-directed layout, node dragging and pulsing animation
  */
 
 import * as THREE from 'three';
 import { ThreeVisualization } from './ThreeVisualization.js';
+import { ForceLayout } from './ForceLayout.js';
+import { createRng } from './forceSimulation.js';
+import { lerp } from './transitions.js';
+import { summarizeNetwork } from '../a11y/index.js';
+
+const SAMPLE_GROUPS = ['Design', 'Engineering', 'Research', 'Sales'];
+// Top-left corner of the group legend
+const LEGEND_POSITION = [4, 4.5, -4];
+
+/**
+ * Node color for a position around the color wheel
+ * @param {number} hue - Hue in [0, 1)
+ * @returns {THREE.Color} Node color
+ */
+function nodeColor(hue) {
+  return new THREE.Color().setHSL(hue, 0.7, 0.5);
+}
+
+/**
+ * Node radius for a weight, so heavier nodes read as bigger
+ * @param {number} weight - Node weight
+ * @returns {number} Sphere radius
+ */
+function nodeSize(weight = 1) {
+  return 0.15 + 0.1 * Math.sqrt(weight);
+}
+
+function hasPosition(node) {
+  return [node.x, node.y, node.z].every(Number.isFinite);
+}
+
+/**
+ * Sample network of a few teams, with more links inside teams than between them
+ * @param {number} seed - Seed for the random structure; the same seed gives the same graph
+ * @returns {{title: string, nodes: Object[], edges: Object[], seed: number}} Graph data
+ */
+export function sampleNetwork(seed = 1) {
+  const rng = createRng(seed);
+  const nodes = [];
+  const edges = [];
+  const perGroup = 5;
+
+  SAMPLE_GROUPS.forEach((group, groupIndex) => {
+    const first = groupIndex * perGroup;
+    for (let i = 0; i < perGroup; i++) {
+      const id = first + i;
+      nodes.push({ id, label: `${group} ${i + 1}`, group, weight: 1 + Math.floor(rng() * 4) });
+      // Each member links to one or two earlier teammates
+      if (i > 0) edges.push({ source: id, target: first + Math.floor(rng() * i) });
+      if (i > 1 && rng() < 0.5) edges.push({ source: id, target: first + Math.floor(rng() * (i - 1)) });
+    }
+    // And one bridge to the previous team
+    if (groupIndex > 0) {
+      edges.push({ source: first + Math.floor(rng() * perGroup), target: first - 1 - Math.floor(rng() * perGroup) });
+    }
+  });
+
+  return { nodes, edges, title: '3D Network Graph', seed };
+}
 
 export class NetworkGraph3D extends ThreeVisualization {
-  constructor(container, data) {
-    super(container);
-    this.data = data || this.generateSampleNetwork();
+  constructor(container, data, options) {
+    super(container, options);
+    this.data = { nodes: [], edges: [] };
     this.nodes = [];
     this.edges = [];
-    this.createNetwork();
-  }
-
-  generateSampleNetwork() {
-    // Generate a sample network if no data provided
-    const nodes = [];
-    const edges = [];
-    const nodeCount = 20;
-
-    // Create nodes
-    for (let i = 0; i < nodeCount; i++) {
-      nodes.push({
-        id: i,
-        label: `Node ${i}`,
-        size: 0.2 + Math.random() * 0.3,
-        x: (Math.random() - 0.5) * 8,
-        y: (Math.random() - 0.5) * 8,
-        z: (Math.random() - 0.5) * 8
-      });
-    }
+    this.titleSprite = null;
+    this.lineMaterial = this.track(new THREE.LineBasicMaterial({
+      color: this.theme.colors.primary,
+      transparent: true,
+      opacity: 0.4
+    }));
 
-    // Create edges (random connections)
-    for (let i = 0; i < nodeCount; i++) {
-      const connections = Math.floor(Math.random() * 3) + 1;
-      for (let j = 0; j < connections; j++) {
-        const target = Math.floor(Math.random() * nodeCount);
-        if (target !== i) {
-          edges.push({ source: i, target });
-        }
-      }
-    }
+    // Node being dragged, and the camera-facing plane it moves in
+    this.dragging = null;
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.renderer.domElement.addEventListener('pointerup', this.handlePointerUp);
+
+    this.layout = new ForceLayout();
+    this.layoutRunning = false;
+    this.layout.on('tick', positions => this.applyLayout(positions));
+    this.layout.on('end', () => this.emit('layoutend'));
 
-    return { nodes, edges, title: '3D Network Graph' };
+    this.setData(data || this.generateSampleNetwork(), { duration: 800, easing: 'easeOutBack' });
   }
 
-  createNetwork() {
-    const { nodes, edges, title } = this.data;
+  /**
+   * Sample network of a few teams, see sampleNetwork
+   * @param {number} seed - Seed for the random structure
+   * @returns {{title: string, nodes: Object[], edges: Object[], seed: number}} Graph data
+   */
+  generateSampleNetwork(seed = 1) {
+    return sampleNetwork(seed);
+  }
+
+  /**
+   * Animate to new data; nodes are matched by id, and edges are redrawn.
+   * Nodes without x/y/z are placed by the force layout, seeded by newData.seed.
+   * @param {{title: string, nodes: Object[], edges: Object[], seed?: number}} newData - Graph data;
+   *   nodes have id, label and optional weight, group, size and x/y/z; edges name their end nodes by id
+   * @param {Object} options - Transition duration and easing
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  setData(newData, options = {}) {
+    this.interruptTransition();
+
+    const { nodes, edges } = newData;
+    const previous = new Map(this.nodes.map(mesh => [mesh.userData.id, mesh]));
+    const useLayout = !nodes.every(hasPosition);
+    const groups = [...new Set(nodes.map(node => node.group).filter(group => group !== undefined))];
+    const moves = [];
+
+    this.nodes = nodes.map((node, index) => {
+      const entering = !previous.has(node.id);
+      // Teams share a color; ungrouped nodes spread around the color wheel
+      const hue = node.group === undefined ? index / nodes.length : groups.indexOf(node.group) / groups.length;
+      const mesh = entering ? this.createNode(node, hue) : previous.get(node.id);
+      previous.delete(node.id);
+      // Edges touching each node, shown in its tooltip
+      const degree = edges.filter(edge => edge.source === node.id || edge.target === node.id).length;
+      Object.assign(mesh.userData, { ...node, size: node.size ?? nodeSize(node.weight), index, degree });
+
+      moves.push({
+        mesh,
+        from: mesh.position.clone(),
+        // The layout moves the nodes itself
+        to: useLayout ? null : new THREE.Vector3(node.x, node.y, node.z),
+        fromGrow: mesh.userData.grow,
+        toGrow: 1
+      });
+      return mesh;
+    });
 
-    // Create node meshes
-    nodes.forEach((node, index) => {
-      const geometry = new THREE.SphereGeometry(node.size, 16, 16);
-      const hue = index / nodes.length;
-      const color = new THREE.Color().setHSL(hue, 0.7, 0.5);
-
-      const material = new THREE.MeshPhongMaterial({
-        color,
-        shininess: 100,
-        emissive: color,
-        emissiveIntensity: 0.3
+    if (useLayout) {
+      // Nodes already on screen start where they are
+      const positions = this.nodes.map((mesh, index) => (moves[index].fromGrow > 0 ? mesh.position.toArray() : null));
+      this.layout.start(nodes, edges, { seed: newData.seed, positions });
+    } else {
+      this.layout.stop();
+    }
+    this.layoutRunning = useLayout;
+
+    // Nodes whose id is gone shrink away where they are
+    previous.forEach(mesh => {
+      this.exiting.add(mesh);
+      moves.push({
+        mesh,
+        from: mesh.position.clone(),
+        to: mesh.position.clone(),
+        fromGrow: mesh.userData.grow,
+        toGrow: 0
       });
+    });
 
-      const mesh = new THREE.Mesh(geometry, material);
-      mesh.position.set(node.x, node.y, node.z);
-      mesh.castShadow = true;
-      mesh.userData = { ...node, index };
+    this.createEdges(edges);
+    this.data = newData;
+    this.setTitle(newData.title || '3D Network Graph');
+    // Only grouped graphs have series to key
+    this.setLegend(
+      groups.map((group, index) => ({ label: String(group), color: nodeColor(index / groups.length) })),
+      LEGEND_POSITION
+    );
 
-      this.scene.add(mesh);
-      this.nodes.push(mesh);
+    return this.tweens.start({
+      ...options,
+      onUpdate: (t) => {
+        moves.forEach(move => {
+          if (move.to) move.mesh.position.lerpVectors(move.from, move.to, t);
+          // easeOutBack overshoots below zero at the start of a shrink
+          move.mesh.userData.grow = Math.max(lerp(move.fromGrow, move.toGrow, t), 0);
+        });
+        this.syncEdges();
+      },
+      onComplete: () => this.removeExiting()
     });
+  }
 
-    // Create edge lines
-    const lineMaterial = new THREE.LineBasicMaterial({
-      color: 0x4488ff,
-      transparent: true,
-      opacity: 0.4
+  createNode(node, hue) {
+    // Sized by scale in update(), so later size changes need no new geometry
+    const size = node.size ?? nodeSize(node.weight);
+    const geometry = new THREE.SphereGeometry(size, 16, 16);
+    const color = nodeColor(hue);
+
+    const material = new THREE.MeshPhongMaterial({
+      color,
+      shininess: 100,
+      emissive: color,
+      emissiveIntensity: 0.3
     });
 
-    edges.forEach((edge) => {
-      const sourceNode = nodes[edge.source];
-      const targetNode = nodes[edge.target];
+    const mesh = new THREE.Mesh(geometry, material);
+    // Laid-out nodes wait at the centre (still hidden) for their first position
+    if (hasPosition(node)) mesh.position.set(node.x, node.y, node.z);
+    mesh.scale.setScalar(0);
+    mesh.castShadow = true;
+    mesh.userData = { baseSize: size, grow: 0 };
 
-      if (sourceNode && targetNode) {
-        const points = [
-          new THREE.Vector3(sourceNode.x, sourceNode.y, sourceNode.z),
-          new THREE.Vector3(targetNode.x, targetNode.y, targetNode.z)
-        ];
+    this.scene.add(this.track(mesh));
+    return mesh;
+  }
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const line = new THREE.Line(geometry, lineMaterial);
+  /**
+   * Replace the edge lines; each follows its end nodes while they move
+   * @param {{source: *, target: *}[]} edges - Edges naming their end nodes by id
+   */
+  createEdges(edges) {
+    // The lines share one material, which lives as long as the chart
+    this.edges.forEach(line => {
+      line.removeFromParent();
+      this.release(line.geometry);
+    });
+    const byId = new Map(this.nodes.map(mesh => [mesh.userData.id, mesh]));
+
+    this.edges = edges
+      .filter(edge => byId.has(edge.source) && byId.has(edge.target))
+      .map(edge => {
+        const source = byId.get(edge.source);
+        const target = byId.get(edge.target);
+        const geometry = this.track(new THREE.BufferGeometry().setFromPoints([source.position, target.position]));
+        const line = new THREE.Line(geometry, this.lineMaterial);
+        line.userData = { source, target };
         this.scene.add(line);
-        this.edges.push(line);
-      }
+        return line;
+      });
+  }
+
+  syncEdges() {
+    this.edges.forEach(line => {
+      const { source, target } = line.userData;
+      const positions = line.geometry.attributes.position;
+      positions.setXYZ(0, source.position.x, source.position.y, source.position.z);
+      positions.setXYZ(1, target.position.x, target.position.y, target.position.z);
+      positions.needsUpdate = true;
+      line.geometry.computeBoundingSphere();
     });
+  }
 
-    // Add title
-    this.addTitle(title);
+  /**
+   * Move the nodes to positions from the force layout
+   * @param {Float32Array} positions - x, y, z per node, in data order
+   */
+  applyLayout(positions) {
+    // Ticks for a graph that has since been replaced
+    if (positions.length !== this.nodes.length * 3) return;
+    this.nodes.forEach((mesh, index) => {
+      if (mesh !== this.dragging?.mesh) mesh.position.fromArray(positions, index * 3);
+    });
+    this.syncEdges();
   }
 
-  addTitle(text) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 64;
+  handlePointerDown(event) {
+    super.handlePointerDown(event);
+    const mesh = this.pickAt(event.clientX, event.clientY);
+    if (!mesh) return;
+
+    // Drag in the plane facing the camera, so the node stays under the pointer
+    const normal = this.camera.getWorldDirection(new THREE.Vector3());
+    this.dragging = { mesh, plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, mesh.position) };
+    this.controls.enabled = false;
+  }
 
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 256, 45);
+  handlePointerMove(event) {
+    if (!this.dragging) {
+      super.handlePointerMove(event);
+      return;
+    }
+
+    this.aimRay(event.clientX, event.clientY);
+    const point = this.raycaster.ray.intersectPlane(this.dragging.plane, new THREE.Vector3());
+    if (!point) return;
+
+    const { mesh } = this.dragging;
+    mesh.position.copy(point);
+    this.syncEdges();
+    // The rest of the graph settles around the node's new place
+    if (this.layoutRunning) this.layout.drag(mesh.userData.index, point.toArray());
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.showTooltip(mesh, event.clientX - rect.left, event.clientY - rect.top);
+  }
+
+  handlePointerUp() {
+    if (!this.dragging) return;
+    if (this.layoutRunning) this.layout.release(this.dragging.mesh.userData.index);
+    this.dragging = null;
+    this.controls.enabled = true;
+  }
+
+  applyTheme(theme) {
+    this.lineMaterial.color.set(theme.colors.primary);
+  }
+
+  getPickables() {
+    return this.nodes || [];
+  }
+
+  getItemInfo(mesh) {
+    const { index, label, degree } = mesh.userData;
+    const text = `${label}: ${degree} ${degree === 1 ? 'connection' : 'connections'}`;
+    return { index, label, value: degree, text };
+  }
+
+  describe() {
+    const { nodes, edges, title } = this.data;
+    return summarizeNetwork(title || '3D Network Graph', nodes, edges);
+  }
 
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
-    sprite.position.set(0, 6, 0);
-    sprite.scale.set(6, 0.75, 1);
-    this.scene.add(sprite);
+  dispose() {
+    this.layout.dispose();
+    this.renderer.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    super.dispose();
   }
 
   update() {
@@ -124,9 +323,10 @@ export class NetworkGraph3D extends ThreeVisualization {
     if (!this.nodes || this.nodes.length === 0) return;
 
     const time = Date.now() * 0.002;
-    this.nodes.forEach((node, index) => {
-      const scale = 1 + Math.sin(time + index * 0.5) * 0.1;
-      node.scale.setScalar(scale);
+    this.nodes.concat([...this.exiting]).forEach((node, index) => {
+      const { size, baseSize, grow } = node.userData;
+      const pulse = 1 + Math.sin(time + index * 0.5) * 0.1;
+      node.scale.setScalar(pulse * grow * (size / baseSize));
     });
   }
 }
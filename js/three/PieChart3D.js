@@ -5,130 +5,211 @@
 
 import * as THREE from 'three';
 import { ThreeVisualization } from './ThreeVisualization.js';
+import { lerp } from './transitions.js';
+import { createTextSprite, setTextColor } from './textSprite.js';
+import { summarizeShares } from '../a11y/index.js';
+import { formatNumber } from '../utils.js';
+
+const RADIUS = 3;
+const HEIGHT = 1;
+const LABEL_RADIUS = RADIUS + 1;
+const TITLE_HEIGHT = 5;
+// Top-left corner of the legend, up and behind the pie on its right
+const LEGEND_POSITION = [RADIUS, 3.5, -RADIUS];
 
 export class PieChart3D extends ThreeVisualization {
-  constructor(container, data) {
-    super(container);
-    this.data = data;
+  constructor(container, data, options) {
+    super(container, options);
+    this.data = { data: [] };
     this.segments = [];
-    this.createPieChart();
+    this.labelSprites = new Map();
+    this.titleSprite = null;
+    this.center = this.createCenter();
+    this.setData(data, { duration: 1000, easing: 'easeOutCubic' });
   }
 
-  createPieChart() {
-    const { data, title } = this.data;
-    const total = data.reduce((sum, item) => sum + item.value, 0);
-    const radius = 3;
-    const height = 1;
+  /**
+   * Animate to new data; segments are matched by name and sweep to their new angles
+   * @param {{title: string, data: {name: string, value: number}[]}} newData - Chart data
+   * @param {Object} options - Transition duration and easing
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  setData(newData, options = {}) {
+    this.interruptTransition();
 
-    const colors = [
-      0x5470c6, 0x91cc75, 0xfac858, 0xee6666,
-      0x73c0de, 0x3ba272, 0xfc8452, 0x9a60b4
-    ];
+    const { data } = newData;
+    const total = data.reduce((sum, item) => sum + item.value, 0);
+    const previous = new Map(this.segments.map(segment => [segment.userData.label, segment]));
+    const moves = [];
 
     let startAngle = 0;
+    this.segments = data.map((item, index) => {
+      const angle = total > 0 ? (item.value / total) * Math.PI * 2 : 0;
+      const percentage = total > 0 ? ((item.value / total) * 100).toFixed(1) : '0.0';
+      const entering = !previous.has(item.name);
+      // New segments open from zero width where they will sit
+      const segment = entering ? this.createSegment(item.name, index, startAngle) : previous.get(item.name);
+      previous.delete(item.name);
+      Object.assign(segment.userData, { value: item.value, percentage, index });
+
+      // The label text carries the share, so it is redrawn for every update
+      const oldLabel = this.labelSprites.get(item.name);
+      const labelSprite = this.addLabel(`${item.name}\n${percentage}%`, 0, 2, 0);
+      this.labelSprites.set(item.name, labelSprite);
+      if (oldLabel) this.disposeObject(oldLabel);
+
+      moves.push({
+        segment,
+        labelSprite,
+        from: { ...segment.userData.sweep },
+        to: { start: startAngle, angle },
+        fromOpacity: entering ? 0 : 1,
+        toOpacity: 1
+      });
 
-    data.forEach((item, index) => {
-      const angle = (item.value / total) * Math.PI * 2;
-
-      // Create cylinder segment
-      const geometry = new THREE.CylinderGeometry(
-        radius, radius, height,
-        32, 1, false,
-        startAngle, angle
-      );
+      startAngle += angle;
+      return segment;
+    });
 
-      const material = new THREE.MeshPhongMaterial({
-        color: colors[index % colors.length],
-        shininess: 80
+    // Segments whose name is gone close up and fade out
+    previous.forEach((segment, name) => {
+      const labelSprite = this.labelSprites.get(name);
+      this.labelSprites.delete(name);
+      this.exiting.add(segment);
+      this.exiting.add(labelSprite);
+      const { start, angle } = segment.userData.sweep;
+      moves.push({
+        segment,
+        labelSprite,
+        from: { start, angle },
+        to: { start: start + angle / 2, angle: 0 },
+        fromOpacity: labelSprite.material.opacity,
+        toOpacity: 0
       });
+    });
 
-      const segment = new THREE.Mesh(geometry, material);
-      segment.position.y = height / 2;
-      segment.castShadow = true;
-      segment.receiveShadow = true;
-      segment.userData = {
-        label: item.name,
-        value: item.value,
-        percentage: ((item.value / total) * 100).toFixed(1),
-        targetY: height / 2,
-        index
-      };
-
-      this.scene.add(segment);
-      this.segments.push(segment);
-
-      // Add label
-      const labelAngle = startAngle + angle / 2;
-      const labelRadius = radius + 1;
-      const labelX = Math.sin(labelAngle) * labelRadius;
-      const labelZ = Math.cos(labelAngle) * labelRadius;
-      this.addLabel(`${item.name}\n${segment.userData.percentage}%`, labelX, 2, labelZ);
+    this.data = newData;
+    this.setTitle(newData.title || '3D Pie Chart', TITLE_HEIGHT);
+    this.updateLegend();
+
+    return this.tweens.start({
+      ...options,
+      onUpdate: (t) => {
+        moves.forEach(move => {
+          const start = lerp(move.from.start, move.to.start, t);
+          const angle = lerp(move.from.angle, move.to.angle, t);
+          this.setSweep(move.segment, start, angle);
+
+          const labelAngle = start + angle / 2;
+          move.labelSprite.position.x = Math.sin(labelAngle) * LABEL_RADIUS;
+          move.labelSprite.position.z = Math.cos(labelAngle) * LABEL_RADIUS;
+          move.labelSprite.material.opacity = lerp(move.fromOpacity, move.toOpacity, t);
+        });
+      },
+      onComplete: () => this.removeExiting()
+    });
+  }
 
-      startAngle += angle;
+  createSegment(name, index, startAngle) {
+    const material = new THREE.MeshPhongMaterial({
+      color: this.paletteColor(index),
+      shininess: 80
     });
 
-    // Add center cylinder
-    const centerGeometry = new THREE.CylinderGeometry(radius * 0.3, radius * 0.3, height * 1.2, 32);
-    const centerMaterial = new THREE.MeshPhongMaterial({ color: 0x1a1a2e });
+    const segment = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    segment.position.y = HEIGHT / 2;
+    segment.castShadow = true;
+    segment.receiveShadow = true;
+    segment.userData = {
+      label: name,
+      value: 0,
+      percentage: '0.0',
+      targetY: HEIGHT / 2,
+      index,
+      // A segment keeps the color of the place it first appeared in
+      colorIndex: index,
+      sweep: { start: startAngle, angle: 0 }
+    };
+    this.setSweep(segment, startAngle, 0);
+
+    this.scene.add(this.track(segment));
+    return segment;
+  }
+
+  /**
+   * Rebuild a segment's cylinder slice
+   * @param {THREE.Mesh} segment - Pie segment
+   * @param {number} start - Start angle in radians
+   * @param {number} angle - Sweep in radians
+   */
+  setSweep(segment, start, angle) {
+    this.release(segment.geometry);
+    // A zero sweep gives a degenerate slice that the raycaster cannot hit cleanly
+    segment.geometry = this.track(new THREE.CylinderGeometry(
+      RADIUS, RADIUS, HEIGHT,
+      32, 1, false,
+      start, Math.max(angle, 1e-4)
+    ));
+    segment.userData.sweep = { start, angle };
+  }
+
+  createCenter() {
+    const centerGeometry = new THREE.CylinderGeometry(RADIUS * 0.3, RADIUS * 0.3, HEIGHT * 1.2, 32);
+    // The color of the background, so the pie reads as a ring
+    const centerMaterial = new THREE.MeshPhongMaterial({ color: this.theme.colors.surface });
     const center = new THREE.Mesh(centerGeometry, centerMaterial);
-    center.position.y = height * 0.6;
-    this.scene.add(center);
+    center.position.y = HEIGHT * 0.6;
+    this.scene.add(this.track(center));
+    return center;
+  }
 
-    // Add title
-    this.addTitle(title || '3D Pie Chart');
+  updateLegend() {
+    this.setLegend(
+      this.segments.map(segment => ({ label: segment.userData.label, color: segment.material.color })),
+      LEGEND_POSITION
+    );
   }
 
   addLabel(text, x, y, z) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 256;
-    canvas.height = 128;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 24px Arial';
-    context.textAlign = 'center';
-
-    const lines = text.split('\n');
-    lines.forEach((line, i) => {
-      context.fillText(line, 128, 40 + i * 30);
-    });
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
+    const sprite = createTextSprite(text, { size: 0.25, color: this.theme.colors.text, bold: true });
     sprite.position.set(x, y, z);
-    sprite.scale.set(2, 1, 1);
-    this.scene.add(sprite);
+    this.scene.add(this.track(sprite));
+    return sprite;
+  }
+
+  applyTheme(theme) {
+    this.segments.forEach(segment => segment.material.color.set(this.paletteColor(segment.userData.colorIndex)));
+    this.center.material.color.set(theme.colors.surface);
+    this.labelSprites.forEach(sprite => setTextColor(sprite, theme.colors.text));
+    this.updateLegend();
+  }
+
+  getPickables() {
+    return this.segments || [];
   }
 
-  addTitle(text) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 64;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 256, 45);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
-    sprite.position.set(0, 5, 0);
-    sprite.scale.set(6, 0.75, 1);
-    this.scene.add(sprite);
+  getItemInfo(segment) {
+    const { index, label, value, percentage } = segment.userData;
+    return { index, label, value, text: `${label}: ${formatNumber(value)} (${percentage}%)` };
+  }
+
+  describe() {
+    const { data, title } = this.data;
+    return summarizeShares(title || '3D Pie Chart', data);
   }
 
   update() {
-    // Hover effect - raise segment on mouse proximity (simplified version)
     if (!this.segments || this.segments.length === 0) return;
 
     const time = Date.now() * 0.001;
     this.segments.forEach((segment, index) => {
       if (!segment.userData) return;
+      // Hovered, focused and selected segments lift out of the pie
+      const active = segment === this.hovered || segment === this.focused || segment === this.selected;
+      const lift = active ? 0.4 : 0;
       // Subtle bob animation
-      segment.position.y = segment.userData.targetY + Math.sin(time + index) * 0.05;
+      const target = segment.userData.targetY + lift + Math.sin(time + index) * 0.05;
+      segment.position.y += (target - segment.position.y) * 0.2;
     });
   }
 }
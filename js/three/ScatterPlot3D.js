@@ -1,119 +1,412 @@
 /**
  * 3D Scatter Plot visualization
- * Color-coded points with floating animation
+ * Color-coded points with floating animation; large data is drawn as one
+ * instanced point cloud, thinned out when zoomed out
  */
 
 import * as THREE from 'three';
 import { ThreeVisualization } from './ThreeVisualization.js';
+import { lerp } from './transitions.js';
+import { createAxis, restyleAxis } from './axes.js';
+import { sampleColorMap } from './colorMaps.js';
+import { PointCloud, visiblePointCount } from './pointCloud.js';
+import { summarizePoints } from '../a11y/index.js';
+import { sonifyPoints } from '../sonification/index.js';
+import { extent, formatNumber } from '../utils.js';
+
+// Points fill a cube from -4 to 4 on each axis; an axis without a spread sits mid-cube
+const normalize = (val, min, max) => (max > min ? ((val - min) / (max - min)) * 8 - 4 : 0);
+
+// Axes run along the cube's edges from its low corner, colored x red, y green, z blue
+const AXES = [
+  { key: 'x', end: [4, -4, -4], offset: [0, -0.5, 0.5], color: 0xff4444 },
+  { key: 'y', end: [-4, 4, -4], offset: [-0.6, 0, -0.3], color: 0x44ff44 },
+  { key: 'z', end: [-4, -4, 4], offset: [-0.6, -0.3, 0], color: 0x4444ff }
+];
+
+// Above this many points each is an instance of one mesh rather than a mesh of its own
+const CLOUD_THRESHOLD = 2000;
+const SPHERE_RADIUS = 0.15;
+
+// Cloud points shrink as they grow in number, so the cube does not fill up
+function cloudPointRadius(count) {
+  return Math.max(SPHERE_RADIUS * Math.cbrt(CLOUD_THRESHOLD / count), 0.03);
+}
+
+/**
+ * Color and size of each point from its values
+ * @param {number[][]} rows - Point values, [x, y, z, ...]
+ * @param {{color?: number, size?: number}} encoding - Columns read for color and size
+ * @param {string} [colorMap] - Color map name; hues from red to blue without one
+ * @returns {{colors: Float32Array, sizes: Float32Array}} rgb and size factor (0.5 to 2) per point
+ */
+function encodePoints(rows, { color = 1, size = null } = {}, colorMap) {
+  const colors = new Float32Array(rows.length * 3);
+  const sizes = new Float32Array(rows.length).fill(1);
+  const scratch = new THREE.Color();
+
+  const [colorMin, colorMax] = extent(rows.map(row => row[color]));
+  rows.forEach((row, index) => {
+    const t = (row[color] - colorMin) / (colorMax - colorMin || 1);
+    if (colorMap) sampleColorMap(colorMap, t, scratch);
+    else scratch.setHSL(t * 0.7, 0.8, 0.5);
+    scratch.toArray(colors, index * 3);
+  });
+
+  if (size !== null) {
+    const [sizeMin, sizeMax] = extent(rows.map(row => row[size]));
+    rows.forEach((row, index) => {
+      sizes[index] = 0.5 + ((row[size] - sizeMin) / (sizeMax - sizeMin || 1)) * 1.5;
+    });
+  }
+  return { colors, sizes };
+}
+
+// Stands in for one point of a cloud wherever the chart deals in one object per point
+class CloudPoint {
+  constructor(chart, index) {
+    this.chart = chart;
+    this.index = index;
+    this.isCloudPoint = true;
+  }
+
+  get userData() {
+    return { index: this.index, values: this.chart.rows[this.index] };
+  }
+
+  getWorldPosition(target) {
+    return this.chart.cloud.positionOf(this.index, target);
+  }
+}
 
 export class ScatterPlot3D extends ThreeVisualization {
-  constructor(container, data) {
-    super(container);
-    this.data = data;
+  constructor(container, data, options) {
+    super(container, options);
+    this.data = { data: [] };
+    this.rows = [];
     this.points = [];
-    this.createPoints();
+    this.cloud = null;
+    this.cloudPoints = null;
+    this.markers = null;
+    this.titleSprite = null;
+    this.sphereGeometry = this.track(new THREE.SphereGeometry(SPHERE_RADIUS, 16, 16));
+    // Cloud points are drawn thousands of times over, so they get fewer faces
+    this.cloudGeometry = this.track(new THREE.IcosahedronGeometry(1, 1));
+    this.axes = new THREE.Group();
+    this.scene.add(this.axes);
+    this.setData(data, { duration: 1000, easing: 'easeOutBack' });
   }
 
-  createPoints() {
-    const { data, title } = this.data;
+  /**
+   * Animate to new data; points are matched by position in the data array
+   * @param {{title: string, data: number[][], axisTitles?: Object, encoding?: Object, colorMap?: string}} newData -
+   *   Chart data as [x, y, z?, ...] points; axisTitles names the axes as {x, y, z}; encoding picks the
+   *   columns that set color (default 1, y) and size (default none) as {color, size}; colorMap colors
+   *   by a named color map instead of hue
+   * @param {Object} options - Transition duration and easing
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  setData(newData, options = {}) {
+    this.interruptTransition();
 
-    // Normalize data to fit in view
-    const xValues = data.map(d => d[0]);
-    const yValues = data.map(d => d[1]);
-    const zValues = data.map(d => d[2] || Math.random() * 10);
+    const { data } = newData;
+    // Points without a z keep the one they had, so updates do not scramble depth; new ones lie flat
+    const rows = data.map((point, index) => [
+      point[0], point[1], point[2] ?? this.rows[index]?.[2] ?? 0, ...point.slice(3)
+    ]);
+    const domains = {
+      x: extent(rows.map(row => row[0])),
+      y: extent(rows.map(row => row[1])),
+      z: extent(rows.map(row => row[2]))
+    };
+    const targets = new Float32Array(rows.length * 3);
+    rows.forEach((row, index) => {
+      targets[index * 3] = normalize(row[0], ...domains.x);
+      targets[index * 3 + 1] = normalize(row[1], ...domains.y);
+      targets[index * 3 + 2] = normalize(row[2], ...domains.z);
+    });
+    const { colors, sizes } = encodePoints(rows, newData.encoding, newData.colorMap);
 
-    const xMin = Math.min(...xValues), xMax = Math.max(...xValues);
-    const yMin = Math.min(...yValues), yMax = Math.max(...yValues);
-    const zMin = Math.min(...zValues), zMax = Math.max(...zValues);
+    this.rows = rows;
+    this.data = newData;
+    this.setTitle(newData.title || '3D Scatter Plot');
+    this.createAxes(domains, newData.axisTitles);
 
-    const normalize = (val, min, max) => ((val - min) / (max - min || 1)) * 8 - 4;
+    const transition = rows.length > CLOUD_THRESHOLD
+      ? this.moveCloud(targets, colors, sizes)
+      : this.moveSpheres(targets, colors, sizes);
+    return this.tweens.start({
+      ...options,
+      onUpdate: transition.onUpdate,
+      onComplete: () => {
+        transition.onComplete?.();
+        this.removeExiting();
+      }
+    });
+  }
 
-    // Create points
-    const sphereGeometry = new THREE.SphereGeometry(0.15, 16, 16);
+  /**
+   * Plan the move of the sphere meshes, one per point, to new targets
+   * @returns {{onUpdate: Function}} Transition steps
+   */
+  moveSpheres(targets, colors, sizes) {
+    // Coming down from a cloud, every sphere is new
+    this.removeCloud();
+    const previous = this.points;
+    const count = sizes.length;
+    const moves = [];
 
-    data.forEach((point, index) => {
-      const x = normalize(point[0], xMin, xMax);
-      const y = normalize(point[1], yMin, yMax);
-      const z = normalize(point[2] || zValues[index], zMin, zMax);
+    this.points = Array.from({ length: count }, (_, index) => {
+      const target = new THREE.Vector3().fromArray(targets, index * 3);
+      const color = new THREE.Color().fromArray(colors, index * 3);
 
-      // Color based on y value
-      const hue = (point[1] - yMin) / (yMax - yMin);
-      const color = new THREE.Color().setHSL(hue * 0.7, 0.8, 0.5);
+      const entering = !previous[index];
+      const sphere = entering ? this.createPoint(target, color) : previous[index];
+      sphere.userData.index = index;
+      sphere.userData.values = this.rows[index];
 
-      const material = new THREE.MeshPhongMaterial({
-        color,
-        shininess: 100,
-        emissive: color,
-        emissiveIntensity: 0.2
+      moves.push({
+        sphere,
+        fromPosition: this.restingPosition(sphere),
+        toPosition: target,
+        fromColor: sphere.material.color.clone(),
+        toColor: color,
+        fromScale: entering ? 0 : sphere.scale.x,
+        toScale: sizes[index]
       });
+      return sphere;
+    });
+
+    moves.push(...this.exitSpheres(previous.slice(count)));
+    return { onUpdate: t => this.applyMoves(moves, t) };
+  }
+
+  /**
+   * Plan the move of the point cloud to new targets; a cloud of another size is
+   * replaced by one whose points grow in place
+   * @returns {{onUpdate: Function, onComplete: Function}} Transition steps
+   */
+  moveCloud(targets, colors, sizes) {
+    const count = sizes.length;
+    if (this.cloud?.count !== count) this.createCloud(count);
+
+    const radius = cloudPointRadius(count);
+    const scales = sizes.map(size => size * radius);
+    this.cloud.setTarget({ positions: targets, scales, colors });
+
+    // Spheres from smaller data shrink away
+    const exits = this.exitSpheres(this.points);
+    this.points = [];
+
+    return {
+      onUpdate: (t) => {
+        this.cloud.applyTransition(t);
+        this.applyMoves(exits, t);
+        this.placeMarkers();
+      },
+      onComplete: () => this.cloud.finishTransition()
+    };
+  }
+
+  // Moves that shrink spheres away where they are
+  exitSpheres(spheres) {
+    return spheres.map(sphere => {
+      this.exiting.add(sphere);
+      const position = this.restingPosition(sphere);
+      return {
+        sphere,
+        fromPosition: position,
+        toPosition: position,
+        fromColor: sphere.material.color.clone(),
+        toColor: sphere.material.color.clone(),
+        fromScale: sphere.scale.x,
+        toScale: 0
+      };
+    });
+  }
+
+  applyMoves(moves, t) {
+    moves.forEach(move => {
+      const { sphere } = move;
+      sphere.position.lerpVectors(move.fromPosition, move.toPosition, t);
+      sphere.userData.originalY = sphere.position.y;
+      // easeOutBack overshoots below zero at the start of a shrink
+      sphere.scale.setScalar(Math.max(lerp(move.fromScale, move.toScale, t), 0));
+      this.setPointColor(sphere, sphere.material.color.lerpColors(move.fromColor, move.toColor, t));
+    });
+  }
+
+  /**
+   * Position of a point without its floating offset
+   * @param {THREE.Mesh} sphere - Data point
+   * @returns {THREE.Vector3} Resting position
+   */
+  restingPosition(sphere) {
+    return new THREE.Vector3(sphere.position.x, sphere.userData.originalY, sphere.position.z);
+  }
+
+  setPointColor(sphere, color) {
+    const { material } = sphere;
+    material.color.copy(color);
+    material.emissive.copy(color);
+    material.emissiveIntensity = 0.2;
+    // The glow just set becomes the one restored after a highlight
+    this.baseEmissive.delete(material);
+    this.refreshHighlight(sphere);
+  }
+
+  createPoint(position, color) {
+    const material = new THREE.MeshPhongMaterial({
+      color,
+      shininess: 100,
+      emissive: color,
+      emissiveIntensity: 0.2
+    });
+
+    const sphere = new THREE.Mesh(this.sphereGeometry, material);
+    sphere.position.copy(position);
+    sphere.scale.setScalar(0);
+    sphere.castShadow = true;
+    sphere.userData = { originalY: position.y, sharedGeometry: true };
+
+    this.scene.add(this.track(sphere));
+    return sphere;
+  }
+
+  /**
+   * Replace the point cloud with an empty one of a new size, and add the
+   * markers that stand in for highlighting a single instance
+   * @param {number} count - Number of points
+   */
+  createCloud(count) {
+    this.removeCloud();
+    const material = new THREE.MeshPhongMaterial({ shininess: 100 });
+    this.cloud = new PointCloud(count, this.cloudGeometry, material);
+    this.scene.add(this.track(this.cloud.mesh));
+
+    const marker = (color, opacity) => {
+      const mesh = new THREE.Mesh(
+        this.cloudGeometry,
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity, depthWrite: false })
+      );
+      mesh.visible = false;
+      mesh.userData.sharedGeometry = true;
+      this.scene.add(this.track(mesh));
+      return mesh;
+    };
+    this.markers = { hover: marker(0xffffff, 0.5), selected: marker(0xffff00, 0.7) };
+  }
+
+  removeCloud() {
+    if (!this.cloud) return;
+    // Highlights on the cloud's points go with it
+    if (this.hovered?.isCloudPoint) this.setHovered(null);
+    if (this.focused?.isCloudPoint) this.setFocused(null);
+    if (this.selected?.isCloudPoint) this.select(null);
+
+    this.cloud.dispose();
+    this.disposeObject(this.cloud.mesh);
+    this.disposeObject(this.markers.hover);
+    this.disposeObject(this.markers.selected);
+    this.cloud = null;
+    this.cloudPoints = null;
+    this.markers = null;
+  }
+
+  // Keep the highlight markers on the points they mark
+  placeMarkers() {
+    if (!this.markers) return;
+    const place = (marker, point) => {
+      marker.visible = Boolean(point?.isCloudPoint);
+      if (!marker.visible) return;
+      this.cloud.positionOf(point.index, marker.position);
+      marker.scale.setScalar(this.cloud.scales[point.index] * 1.6);
+    };
+    place(this.markers.selected, this.selected);
+    place(this.markers.hover, this.hovered || this.focused);
+  }
 
-      const sphere = new THREE.Mesh(sphereGeometry, material);
-      sphere.position.set(x, y, z);
-      sphere.castShadow = true;
-      sphere.userData = { originalY: y, index };
+  refreshHighlight(object) {
+    // One instance cannot glow on its own, so a marker is drawn around it
+    if (object?.isCloudPoint) this.placeMarkers();
+    else super.refreshHighlight(object);
+  }
+
+  /**
+   * Replace the axes to fit the data
+   * @param {{x: number[], y: number[], z: number[]}} domains - Data range of each axis
+   * @param {{x?: string, y?: string, z?: string}} titles - Axis titles; X, Y and Z where missing
+   */
+  createAxes(domains, titles) {
+    [...this.axes.children].forEach(child => this.disposeObject(child));
+    // No points, no ranges to mark
+    if (!Number.isFinite(domains.x[0])) return;
 
-      this.scene.add(sphere);
-      this.points.push(sphere);
+    AXES.forEach(({ key, end, offset, color }) => {
+      this.axes.add(this.track(createAxis({
+        start: [-4, -4, -4],
+        end,
+        domain: domains[key],
+        offset,
+        color,
+        labelColor: this.theme.colors.textMuted,
+        title: titles?.[key] ?? key.toUpperCase()
+      })));
     });
+  }
+
+  applyTheme(theme) {
+    // The axis lines keep their x, y and z colors
+    this.axes.children.forEach(axis => restyleAxis(axis, { labelColor: theme.colors.textMuted }));
+  }
 
-    // Add axes
-    this.addAxes();
-
-    // Add title
-    this.addTitle(title || '3D Scatter Plot');
-  }
-
-  addAxes() {
-    const axisLength = 5;
-
-    // X axis (red)
-    const xAxis = new THREE.ArrowHelper(
-      new THREE.Vector3(1, 0, 0),
-      new THREE.Vector3(-4, -4, -4),
-      axisLength,
-      0xff4444
-    );
-    this.scene.add(xAxis);
-
-    // Y axis (green)
-    const yAxis = new THREE.ArrowHelper(
-      new THREE.Vector3(0, 1, 0),
-      new THREE.Vector3(-4, -4, -4),
-      axisLength,
-      0x44ff44
-    );
-    this.scene.add(yAxis);
-
-    // Z axis (blue)
-    const zAxis = new THREE.ArrowHelper(
-      new THREE.Vector3(0, 0, 1),
-      new THREE.Vector3(-4, -4, -4),
-      axisLength,
-      0x4444ff
-    );
-    this.scene.add(zAxis);
-  }
-
-  addTitle(text) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 64;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 256, 45);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
-    sprite.position.set(0, 6, 0);
-    sprite.scale.set(6, 0.75, 1);
-    this.scene.add(sprite);
+  getPickables() {
+    if (!this.cloud) return this.points || [];
+    // Made on first use; keyboard focus walks them in data order
+    this.cloudPoints ??= Array.from({ length: this.cloud.count }, (_, index) => new CloudPoint(this, index));
+    return this.cloudPoints;
+  }
+
+  pickAt(clientX, clientY) {
+    if (!this.cloud) return super.pickAt(clientX, clientY);
+
+    let index;
+    if (this.renderer.readRenderTargetPixels) {
+      const rect = this.renderer.domElement.getBoundingClientRect();
+      index = this.cloud.pick(this.renderer, this.camera, clientX - rect.left, clientY - rect.top);
+    } else {
+      // WebGPU reads pixels back only asynchronously, too late for the event
+      this.aimRay(clientX, clientY);
+      index = this.cloud.raycast(this.raycaster);
+    }
+    return index < 0 ? null : this.getPickables()[index];
+  }
+
+  getItemInfo(sphere) {
+    const { index, values } = sphere.userData;
+    const [x, y, z] = values.map(value => formatNumber(value, { maximumFractionDigits: 2 }));
+    const label = `Point ${index + 1}`;
+    return { index, label, value: values, text: `${label}: x ${x}, y ${y}, z ${z}` };
+  }
+
+  describe() {
+    const { data, title } = this.data;
+    return summarizePoints(title || '3D Scatter Plot', data);
+  }
+
+  toSonification() {
+    const { data, title, axisTitles } = this.data;
+    return sonifyPoints(title || '3D Scatter Plot', data, axisTitles);
   }
 
   update() {
+    if (this.cloud) {
+      // Fewer points when zoomed out, where they would blur together anyway
+      const distance = this.camera.position.distanceTo(this.controls.target);
+      this.cloud.setVisibleCount(visiblePointCount(this.cloud.count, distance));
+      return;
+    }
+
     // Subtle floating animation (with safety check)
     if (!this.points || this.points.length === 0) return;
 
@@ -124,4 +417,9 @@ export class ScatterPlot3D extends ThreeVisualization {
       point.position.y = point.userData.originalY + offset;
     });
   }
+
+  dispose() {
+    this.cloud?.dispose();
+    super.dispose();
+  }
 }
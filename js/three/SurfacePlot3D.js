@@ -1,55 +1,77 @@
 /**
  * 3D Surface Plot visualization
- * Mathematical surface with color gradient and wireframe overlay
+ * Height field from a value grid, an expression or a callback, with a color map,
+ * wireframe overlay, axis ticks and contour lines
  */
 
 import * as THREE from 'three';
 import { ThreeVisualization } from './ThreeVisualization.js';
+import { lerp } from './transitions.js';
+import { sampleColorMap } from './colorMaps.js';
+import { sampleSurface, surfaceSamples, contourSegments } from './surfaceData.js';
+import { createAxis, niceTicks, restyleAxis } from './axes.js';
+import { summarizeSurface } from '../a11y/index.js';
+
+// Footprint of the surface, and the height its value range is stretched to
+const SIZE = 10;
+const HEIGHT = 4;
+const BASE = -HEIGHT / 2;
+
+// Contours float just above the surface so they are not hidden inside it
+const CONTOUR_OFFSET = 0.02;
+const TITLE_HEIGHT = 5;
+
+/**
+ * Height of the example surface, plotted when the data gives no values of its own
+ * @param {number} x - x in [-5, 5]
+ * @param {number} z - z in [-5, 5]
+ * @returns {number} Height
+ */
+export function exampleSurface(x, z) {
+  // Ripples spreading from the middle
+  const r = Math.sqrt(x * x + z * z);
+  return Math.sin(r * 1.5) * Math.cos(x * 0.5) * 2;
+}
 
 export class SurfacePlot3D extends ThreeVisualization {
-  constructor(container, data) {
-    super(container);
-    this.data = data;
+  constructor(container, data, options) {
+    super(container, options);
+    this.data = {};
+    this.surface = null;
     this.mesh = null;
     this.wireframe = null;
-    this.createSurface();
-  }
-
-  createSurface() {
-    const resolution = 50;
-    const size = 10;
+    this.contours = null;
+    this.titleSprite = null;
 
-    // Generate surface data using mathematical function
-    const geometry = new THREE.PlaneGeometry(size, size, resolution - 1, resolution - 1);
-    const positions = geometry.attributes.position.array;
+    // Surface, contours and axes turn together
+    this.surfaceGroup = new THREE.Group();
+    this.axes = new THREE.Group();
+    this.surfaceGroup.add(this.axes);
+    this.scene.add(this.surfaceGroup);
 
-    // Apply height function
-    for (let i = 0; i < positions.length; i += 3) {
-      const x = positions[i];
-      const z = positions[i + 1];
+    this.setData(data || {}, { duration: 1200, easing: 'easeOutCubic' });
+  }
 
-      // Mathematical surface function
-      const y = this.surfaceFunction(x, z);
-      positions[i + 2] = y;
-    }
+  createSurface(columns, rows) {
+    // Starts flat; setData raises it to the data
+    const geometry = new THREE.PlaneGeometry(SIZE, SIZE, columns - 1, rows - 1);
 
-    // Rotate to correct orientation
+    // Rotate to correct orientation; row 0 ends up at the back (z = -SIZE / 2)
     geometry.rotateX(-Math.PI / 2);
     geometry.computeVertexNormals();
 
-    // Create color gradient based on height
-    const colors = [];
-    const color = new THREE.Color();
+    const vertexCount = geometry.attributes.position.count;
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    geometry.userData = { columns, rows };
 
-    for (let i = 0; i < positions.length; i += 3) {
-      const height = positions[i + 1];
-      const normalizedHeight = (height + 2) / 4; // Normalize to 0-1
-      color.setHSL(0.7 - normalizedHeight * 0.7, 0.8, 0.5);
-      colors.push(color.r, color.g, color.b);
+    if (this.mesh) {
+      // A grid of another size needs new geometry; both meshes draw it
+      this.release(this.mesh.geometry);
+      this.mesh.geometry = this.track(geometry);
+      this.wireframe.geometry = geometry;
+      return;
     }
 
-    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-
     // Material with vertex colors
     const material = new THREE.MeshPhongMaterial({
       vertexColors: true,
@@ -61,55 +83,172 @@ export class SurfacePlot3D extends ThreeVisualization {
     this.mesh = new THREE.Mesh(geometry, material);
     this.mesh.castShadow = true;
     this.mesh.receiveShadow = true;
-    this.scene.add(this.mesh);
+    this.surfaceGroup.add(this.track(this.mesh));
 
-    // Add wireframe overlay
+    // Add wireframe overlay; it draws the same geometry, so it follows height changes
     const wireframeMaterial = new THREE.MeshBasicMaterial({
       color: 0x000000,
       wireframe: true,
       transparent: true,
       opacity: 0.1
     });
-    this.wireframe = new THREE.Mesh(geometry.clone(), wireframeMaterial);
-    this.wireframe.position.copy(this.mesh.position);
-    this.scene.add(this.wireframe);
+    this.wireframe = new THREE.Mesh(geometry, wireframeMaterial);
+    this.wireframe.userData.sharedGeometry = true;
+    this.surfaceGroup.add(this.track(this.wireframe));
+  }
+
+  /**
+   * Animate the surface to new data
+   * @param {Object} newData - Chart data: title, colorMap (see COLOR_MAPS, default 'rainbow'),
+   *   contours (default true), axisTitles as {x, y, z}, and a grid, expression or heightFunction
+   *   as described in sampleSurface; with none of these, surfaceFunction is plotted
+   * @param {Object} options - Transition duration and easing
+   * @returns {Promise<boolean>} Resolves when the transition ends
+   */
+  setData(newData, options = {}) {
+    // Sample before touching the scene, so bad input leaves the current surface as it is
+    const surface = sampleSurface(newData, (x, z) => this.surfaceFunction(x, z));
+    const colorMap = newData.colorMap ?? 'rainbow';
+    sampleColorMap(colorMap, 0);
+
+    this.interruptTransition();
+    this.data = newData;
+    this.surface = surface;
+
+    const { columns, rows, values, range: [min, max] } = surface;
+    const size = this.mesh?.geometry.userData;
+    if (size?.columns !== columns || size?.rows !== rows) this.createSurface(columns, rows);
+
+    const { geometry } = this.mesh;
+    const positions = geometry.attributes.position;
+    const colors = geometry.attributes.color;
+    const fromHeights = Float32Array.from({ length: positions.count }, (_, i) => positions.getY(i));
+    const fromColors = colors.array.slice();
+    const toHeights = values.map(value => this.toHeight(value));
+    const toColors = new Float32Array(colors.array.length);
+    const color = new THREE.Color();
+    values.forEach((value, i) => {
+      // A flat surface takes the middle of the map
+      sampleColorMap(colorMap, max > min ? (value - min) / (max - min) : 0.5, color).toArray(toColors, i * 3);
+    });
+
+    // Contours are drawn for the final shape once the surface gets there
+    if (this.contours) this.contours.visible = false;
+    this.createAxes();
+    this.setTitle(newData.title || '3D Surface Plot', TITLE_HEIGHT);
+
+    return this.tweens.start({
+      ...options,
+      onUpdate: (t) => {
+        for (let i = 0; i < positions.count; i++) {
+          positions.setY(i, lerp(fromHeights[i], toHeights[i], t));
+        }
+        for (let i = 0; i < toColors.length; i++) {
+          colors.array[i] = lerp(fromColors[i], toColors[i], t);
+        }
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+      },
+      onComplete: () => this.createContours()
+    });
+  }
 
-    // Add title
-    this.addTitle(this.data?.title || '3D Surface Plot');
+  /**
+   * World height of a data value
+   * @param {number} value - Value within the surface's range
+   * @returns {number} Height between BASE and BASE + HEIGHT
+   */
+  toHeight(value) {
+    const [min, max] = this.surface.range;
+    return max > min ? BASE + ((value - min) / (max - min)) * HEIGHT : 0;
   }
 
   surfaceFunction(x, z) {
-    // Interesting mathematical surface
-    const r = Math.sqrt(x * x + z * z);
-    return Math.sin(r * 1.5) * Math.cos(x * 0.5) * 2;
+    return exampleSurface(x, z);
   }
 
-  addTitle(text) {
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = 64;
-
-    context.fillStyle = '#ffffff';
-    context.font = 'bold 36px Arial';
-    context.textAlign = 'center';
-    context.fillText(text, 256, 45);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.SpriteMaterial({ map: texture });
-    const sprite = new THREE.Sprite(material);
-    sprite.position.set(0, 5, 0);
-    sprite.scale.set(6, 0.75, 1);
-    this.scene.add(sprite);
+  createContours() {
+    if (this.contours) this.disposeObject(this.contours);
+    this.contours = null;
+    if (this.data.contours === false) return;
+
+    const { columns, rows, values, range: [min, max] } = this.surface;
+    const cellWidth = SIZE / (columns - 1);
+    const cellDepth = SIZE / (rows - 1);
+    const points = [];
+
+    // The range ends would only trace single points at the extremes
+    niceTicks(min, max, 8).filter(level => level > min && level < max).forEach(level => {
+      const y = this.toHeight(level) + CONTOUR_OFFSET;
+      contourSegments(values, columns, rows, level).forEach(([c1, r1, c2, r2]) => {
+        points.push(
+          c1 * cellWidth - SIZE / 2, y, r1 * cellDepth - SIZE / 2,
+          c2 * cellWidth - SIZE / 2, y, r2 * cellDepth - SIZE / 2
+        );
+      });
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    const material = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 });
+    this.contours = new THREE.LineSegments(geometry, material);
+    this.surfaceGroup.add(this.track(this.contours));
+  }
+
+  createAxes() {
+    // Drop the previous data's axes
+    [...this.axes.children].forEach(child => this.disposeObject(child));
+
+    const { x, z, xLabels, zLabels, range } = this.surface;
+    const half = SIZE / 2;
+    // Sampled functions have x and z coordinates; grids are only rows and columns
+    const titles = this.data.axisTitles ?? (this.data.grid ? {} : { x: 'x', z: 'z' });
+    const colors = this.axisColors();
+
+    // Front (x) and left (z) edges: one label per category, or round numbers
+    this.axes.add(this.track(createAxis({
+      start: [-half, BASE, half],
+      end: [half, BASE, half],
+      domain: x,
+      categories: xLabels,
+      offset: [0, -0.3, 0.8],
+      title: titles.x,
+      ...colors
+    })));
+    this.axes.add(this.track(createAxis({
+      start: [-half, BASE, -half],
+      end: [-half, BASE, half],
+      domain: z,
+      categories: zLabels,
+      offset: [-1, -0.3, 0],
+      title: titles.z,
+      ...colors
+    })));
+
+    // Value axis up the back-left corner; a flat surface lies at 0
+    const [low, high] = range[1] > range[0] ? [BASE, BASE + HEIGHT] : [0, 0];
+    this.axes.add(this.track(createAxis({
+      start: [-half, low, -half],
+      end: [-half, high, -half],
+      domain: range,
+      offset: [-1, 0, 0],
+      title: titles.y,
+      ...colors
+    })));
+  }
+
+  applyTheme() {
+    this.axes.children.forEach(axis => restyleAxis(axis, this.axisColors()));
+  }
+
+  describe() {
+    return summarizeSurface(this.data?.title || '3D Surface Plot', surfaceSamples(this.surface));
   }
 
   update() {
-    // Slow rotation for effect
-    if (this.mesh) {
-      this.mesh.rotation.y += 0.002;
-      if (this.wireframe) {
-        this.wireframe.rotation.y = this.mesh.rotation.y;
-      }
-    }
+    // Slow rotation for effect; the first frame runs before the constructor has built the scene
+    if (this.surfaceGroup) this.surfaceGroup.rotation.y += 0.002;
   }
 }
@@ -1,20 +1,59 @@
 /**
  * Base class for Three.js 3D visualizations
- * Provides common setup: scene, camera, renderer, controls, lighting
+ * Provides common setup: scene, camera, renderer, controls, lighting,
+ * picking of data elements by pointer and keyboard, data transitions, camera
+ * flights between bookmarked views, theming and recovery from WebGL context loss.
+ * Renders with WebGPU or WebGL, see renderers.js
  */
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { EventEmitter, formatNumber } from '../utils.js';
+import { TweenGroup, lerp } from './transitions.js';
+import { createTextSprite, setTextColor } from './textSprite.js';
+import { createLegend } from './axes.js';
+import { createRenderer, getMaxTextureSize, resolveRenderingBackend } from './renderers.js';
+import { BUILT_IN_THEMES } from '../theme/themes.js';
 
-export class ThreeVisualization {
-  constructor(container) {
+// Emissive glow for hovered or focused, and for selected data elements
+const HIGHLIGHT = {
+  hover: { color: 0xffffff, intensity: 0.25 },
+  selected: { color: 0xffffff, intensity: 0.5 }
+};
+
+// Pointer travel in pixels after which a click counts as an orbit drag
+const CLICK_TOLERANCE = 4;
+
+// Views every chart starts with, around the origin that charts are centered on
+const DEFAULT_BOOKMARKS = {
+  Front: { position: [0, 3, 13], target: [0, 0, 0] },
+  Top: { position: [0, 13, 0.01], target: [0, 0, 0] },
+  Side: { position: [13, 3, 0], target: [0, 0, 0] }
+};
+
+const toVector3 = value => (value.isVector3 ? value.clone() : new THREE.Vector3().fromArray(value));
+
+export class ThreeVisualization extends EventEmitter {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} options
+   * @param {string} options.backend - 'webgpu', 'webgl', or 'auto' for WebGPU once
+   *   loadRenderingBackend has found an adapter and WebGL otherwise
+   * @param {Object} options.theme - Theme from the theme registry; dark by default, see setTheme
+   */
+  constructor(container, { backend = 'auto', theme = BUILT_IN_THEMES.dark } = {}) {
+    super();
     this.container = container;
     this.width = container.clientWidth;
     this.height = container.clientHeight;
+    this.theme = theme;
+
+    // Geometries, materials, textures and shadow maps freed on dispose; see track()
+    this.resources = new Set();
 
     // Scene setup
     this.scene = new THREE.Scene();
-    this.scene.background = new THREE.Color(0x1a1a2e);
+    this.scene.background = new THREE.Color(theme.colors.surface);
 
     // Camera
     this.camera = new THREE.PerspectiveCamera(
@@ -27,7 +66,8 @@ export class ThreeVisualization {
     this.camera.lookAt(0, 0, 0);
 
     // Renderer
-    this.renderer = new THREE.WebGLRenderer({
+    this.backend = resolveRenderingBackend(backend);
+    this.renderer = createRenderer(this.backend, {
       antialias: true,
       alpha: true
     });
@@ -44,6 +84,14 @@ export class ThreeVisualization {
     this.controls.minDistance = 5;
     this.controls.maxDistance = 30;
 
+    // Named views to fly between, and the starting view resetView() returns to
+    this.homeView = this.getCameraState();
+    this.bookmarks = new Map(Object.entries(DEFAULT_BOOKMARKS));
+    this.tour = null;
+    // Taking hold of the camera ends any flight or tour
+    this.stopCameraMotion = this.stopCameraMotion.bind(this);
+    this.controls.addEventListener('start', this.stopCameraMotion);
+
     // Lighting
     this.setupLighting();
 
@@ -54,11 +102,59 @@ export class ThreeVisualization {
     this.isAnimating = true;
     this.animationId = null;
 
+    // Data transitions, and objects on their way out of the scene
+    this.tweens = new TweenGroup();
+    this.exiting = new Set();
+    // Camera flights, apart so that new data does not cut them short
+    this.cameraTweens = new TweenGroup();
+
+    // Camera-facing title and legend, see setTitle and setLegend
+    this.titleSprite = null;
+    this.legend = null;
+
     // Resize handler
     this.handleResize = this.handleResize.bind(this);
     window.addEventListener('resize', this.handleResize);
 
-    // Start animation loop
+    // Hover, click and keyboard picking
+    this.setupPicking();
+
+    // Double-click flies back to the starting view
+    this.handleDoubleClick = () => this.resetView();
+    this.renderer.domElement.addEventListener('dblclick', this.handleDoubleClick);
+
+    // The GPU can drop the context at any time, e.g. on a driver reset or when too many are open
+    this.contextLost = false;
+    this.contextStatus = null;
+    this.handleContextLost = this.handleContextLost.bind(this);
+    this.handleContextRestored = this.handleContextRestored.bind(this);
+    this.renderer.domElement.addEventListener('webglcontextlost', this.handleContextLost);
+    this.renderer.domElement.addEventListener('webglcontextrestored', this.handleContextRestored);
+
+    // Start animation loop; WebGPU first has to get a device, asynchronously,
+    // and nothing renders while rendererInit is pending
+    this.rendererInit = null;
+    if (this.backend === 'webgpu') {
+      this.renderer.onDeviceLost = info => this.handleDeviceLost(info);
+      this.rendererInit = this.initRenderer();
+      // Failures are reported in the chart; snapshot() passes them on
+      this.rendererInit.catch(() => {});
+    } else {
+      this.animate();
+    }
+  }
+
+  async initRenderer() {
+    try {
+      await this.renderer.init();
+    } catch (error) {
+      console.warn('Could not start the 3D renderer:', error);
+      this.showContextStatus('The graphics card could not draw this chart.');
+      throw error;
+    }
+    // three falls back to its WebGL 2 backend when no WebGPU device can be had after all
+    if (!this.renderer.backend.isWebGPUBackend) this.backend = 'webgl';
+    this.rendererInit = null;
     this.animate();
   }
 
@@ -79,7 +175,7 @@ export class ThreeVisualization {
     mainLight.shadow.camera.right = 15;
     mainLight.shadow.camera.top = 15;
     mainLight.shadow.camera.bottom = -15;
-    this.scene.add(mainLight);
+    this.scene.add(this.track(mainLight));
 
     // Fill light
     const fillLight = new THREE.DirectionalLight(0x8888ff, 0.3);
@@ -93,9 +189,9 @@ export class ThreeVisualization {
   }
 
   addGrid() {
-    const gridHelper = new THREE.GridHelper(20, 20, 0x444466, 0x333355);
-    gridHelper.position.y = -0.01;
-    this.scene.add(gridHelper);
+    this.grid = new THREE.GridHelper(20, 20, this.theme.colors.axis, this.theme.colors.grid);
+    this.grid.position.y = -0.01;
+    this.scene.add(this.track(this.grid));
   }
 
   handleResize() {
@@ -109,11 +205,15 @@ export class ThreeVisualization {
   }
 
   animate() {
-    if (!this.isAnimating) return;
+    if (!this.isAnimating || this.contextLost || this.rendererInit) return;
 
     this.animationId = requestAnimationFrame(() => this.animate());
+    this.cameraTweens.update();
     this.controls.update();
+    this.tweens.update();
     this.update();
+    // A keyboard-focused element may move with the camera or its own animation
+    if (this.focused && !this.hovered) this.showTooltip(this.focused);
     this.renderer.render(this.scene, this.camera);
   }
 
@@ -121,29 +221,726 @@ export class ThreeVisualization {
     // Override in subclasses for custom animations
   }
 
-  clearScene() {
-    // Remove all meshes except lights and grid
-    const objectsToRemove = [];
-    this.scene.traverse((child) => {
-      if (child instanceof THREE.Mesh && child.geometry) {
-        objectsToRemove.push(child);
+  handleContextLost(event) {
+    // Without preventDefault the browser never offers the context back
+    event.preventDefault();
+    this.contextLost = true;
+    cancelAnimationFrame(this.animationId);
+    this.animationId = null;
+    this.showContextStatus('The graphics card was reset. Restoring the chart…');
+    this.emit('contextlost', { recoverable: true });
+  }
+
+  handleDeviceLost(info) {
+    // Unlike a WebGL context a WebGPU device never comes back, so whoever owns
+    // the chart has to create it again
+    console.warn('WebGPU device lost:', info.message);
+    this.contextLost = true;
+    cancelAnimationFrame(this.animationId);
+    this.animationId = null;
+    this.showContextStatus('The graphics card was reset. Redrawing the chart…');
+    this.emit('contextlost', { recoverable: false });
+  }
+
+  showContextStatus(text) {
+    if (!this.contextStatus) {
+      this.contextStatus = document.createElement('div');
+      this.contextStatus.className = 'three-status';
+      this.contextStatus.setAttribute('role', 'status');
+      this.container.appendChild(this.contextStatus);
+    }
+    this.contextStatus.textContent = text;
+  }
+
+  handleContextRestored() {
+    // The renderer re-creates its programs, and geometries and textures upload again on the next render
+    this.contextLost = false;
+    this.contextStatus?.remove();
+    this.contextStatus = null;
+    this.animate();
+    this.emit('contextrestored');
+  }
+
+  /**
+   * Animate to new data, entering and exiting elements whose keys changed
+   * @param {Object} newData - Data in the subclass's constructor format
+   * @param {Object} options
+   * @param {number} options.duration - Transition length in milliseconds
+   * @param {string|Function} options.easing - Name in EASINGS or an easing function
+   * @returns {Promise<boolean>} Resolves true when the transition ends, false when a newer one interrupts it
+   */
+  setData(newData, options = {}) {
+    throw new Error(`${this.constructor.name} does not support setData.`);
+  }
+
+  /**
+   * Stop the running transition where it is and drop what was leaving
+   */
+  interruptTransition() {
+    this.tweens.stop();
+    this.removeExiting();
+  }
+
+  removeExiting() {
+    this.exiting.forEach(object => this.disposeObject(object));
+    this.exiting.clear();
+  }
+
+  /**
+   * Register GPU resources to free when the chart is disposed
+   * @param {THREE.Object3D|THREE.BufferGeometry|THREE.Material|THREE.Texture} resource - An object
+   *   brings its geometry, materials, their textures and its shadow map, and those of its children
+   * @returns {*} resource, so creation can be wrapped in track()
+   */
+  track(resource) {
+    this.eachResource(resource, item => this.resources.add(item));
+    return resource;
+  }
+
+  /**
+   * Free resources now rather than on dispose, e.g. geometry that is being replaced
+   * @param {THREE.Object3D|THREE.BufferGeometry|THREE.Material|THREE.Texture} resource - As for track()
+   */
+  release(resource) {
+    this.eachResource(resource, (item) => {
+      this.resources.delete(item);
+      item.dispose();
+    });
+  }
+
+  eachResource(resource, callback) {
+    if (!resource) return;
+
+    if (resource.isObject3D) {
+      resource.traverse((child) => {
+        // Sprites all draw three's one built-in quad, and instances drawn from
+        // one geometry leave it to their owner
+        if (!child.isSprite && !child.userData.sharedGeometry) this.eachResource(child.geometry, callback);
+        [child.material].flat().forEach(material => this.eachResource(material, callback));
+        if (child.shadow) callback(child.shadow);
+      });
+    } else if (resource.isMaterial) {
+      callback(resource);
+      Object.values(resource).filter(value => value?.isTexture).forEach(callback);
+    } else if (typeof resource.dispose === 'function') {
+      callback(resource);
+    }
+  }
+
+  /**
+   * Remove an object from the scene and free its GPU resources, and those of its children
+   * @param {THREE.Object3D} object - Mesh, line, sprite or group
+   */
+  disposeObject(object) {
+    if (this.hovered === object) this.setHovered(null);
+    if (this.focused === object) this.setFocused(null);
+    if (this.selected === object) this.select(null);
+
+    object.removeFromParent();
+    this.release(object);
+  }
+
+  /**
+   * Show a title above the chart, replacing the previous one
+   * @param {string} text - Title text
+   * @param {number} height - World y of the title
+   */
+  setTitle(text, height = 6) {
+    if (this.titleSprite?.userData.text === text) return;
+    if (this.titleSprite) this.disposeObject(this.titleSprite);
+    this.titleSprite = this.track(createTextSprite(text, { size: 0.55, color: this.theme.colors.text, bold: true }));
+    this.titleSprite.position.set(0, height, 0);
+    this.scene.add(this.titleSprite);
+  }
+
+  /**
+   * Show a legend keyed to series colors, replacing the previous one; no items removes it
+   * @param {{label: string, color: THREE.ColorRepresentation}[]} items - One row per series
+   * @param {number[]} position - World [x, y, z] of the legend's top-left corner
+   */
+  setLegend(items, position) {
+    // Rebuilt only when a label or color changes, or setTheme asks for it
+    const key = JSON.stringify(items.map(({ label, color }) => [label, new THREE.Color(color).getHex()]));
+    if (this.legend?.userData.key === key) {
+      this.legend.position.set(...position);
+      return;
+    }
+    if (this.legend) this.disposeObject(this.legend);
+    this.legend = null;
+    if (!items.length) return;
+
+    const { colors } = this.theme;
+    this.legend = this.track(createLegend(items, {
+      background: colors.surface,
+      textColor: colors.text,
+      labelColor: colors.textMuted
+    }));
+    this.legend.userData.key = key;
+    this.legend.position.set(...position);
+    this.scene.add(this.legend);
+  }
+
+  /**
+   * Restyle the chart for a theme in place: background, grid, text, and through
+   * applyTheme the chart's own series colors and labels
+   * @param {Object} theme - Theme from the theme registry
+   */
+  setTheme(theme) {
+    if (theme === this.theme) return;
+    this.theme = theme;
+    this.scene.background = new THREE.Color(theme.colors.surface);
+    // Grid colors are baked into its geometry
+    this.disposeObject(this.grid);
+    this.addGrid();
+    if (this.titleSprite) setTextColor(this.titleSprite, theme.colors.text);
+
+    // The legend's colors are drawn into its texture, so it is drawn again, by
+    // the chart with new series colors or else as it was
+    if (this.legend) this.legend.userData.key = null;
+    this.applyTheme(theme);
+    if (this.legend?.userData.key === null) this.setLegend(this.legend.userData.items, this.legend.position.toArray());
+  }
+
+  /**
+   * Restyle the chart's own objects for a new theme
+   * @param {Object} theme - Theme from the theme registry
+   */
+  applyTheme(theme) {
+    // Override in subclasses with series colors, labels and axes
+  }
+
+  /**
+   * Series color from the theme's palette
+   * @param {number} index - Series or category index; the palette wraps round
+   * @returns {string} Hex color
+   */
+  paletteColor(index) {
+    const { palette } = this.theme;
+    return palette[index % palette.length];
+  }
+
+  /**
+   * Axis line and label colors in the current theme, for createAxis
+   * @returns {{color: string, labelColor: string}} Axis colors
+   */
+  axisColors() {
+    return { color: this.theme.colors.axis, labelColor: this.theme.colors.textMuted };
+  }
+
+  /**
+   * Current camera placement, e.g. for sharing a view
+   * @returns {{position: number[], target: number[]}} Camera position and orbit target
+   */
+  getCameraState() {
+    return {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray()
+    };
+  }
+
+  /**
+   * Move the camera to a saved placement
+   * @param {{position: number[], target: number[]}} state - From getCameraState()
+   */
+  setCameraState({ position, target }) {
+    this.stopCameraMotion();
+    if (position) this.camera.position.fromArray(position);
+    if (target) this.controls.target.fromArray(target);
+    this.controls.update();
+  }
+
+  /**
+   * Fly the camera to a placement, orbiting the short way round
+   * @param {number[]|THREE.Vector3} position - Camera position
+   * @param {number[]|THREE.Vector3} target - Orbit target; the current one when omitted
+   * @param {Object} options - Flight duration and easing
+   * @returns {Promise<boolean>} Resolves true on arrival, false when cut short
+   */
+  flyTo(position, target = this.controls.target, options = {}) {
+    this.stopTour();
+    return this.moveCamera(position, target, options);
+  }
+
+  // flyTo, leaving a tour running
+  moveCamera(position, target, options) {
+    this.cameraTweens.stop();
+    const fromTarget = this.controls.target.clone();
+    const toTarget = toVector3(target);
+    const from = new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(fromTarget));
+    const to = new THREE.Spherical().setFromVector3(toVector3(position).sub(toTarget));
+    // Azimuth change within half a turn either way
+    const turn = ((to.theta - from.theta + 3 * Math.PI) % (2 * Math.PI)) - Math.PI;
+    const spherical = new THREE.Spherical();
+
+    return this.cameraTweens.start({
+      duration: 1000,
+      ...options,
+      onUpdate: (t) => {
+        this.controls.target.lerpVectors(fromTarget, toTarget, t);
+        spherical.set(lerp(from.radius, to.radius, t), lerp(from.phi, to.phi, t), from.theta + turn * t);
+        this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+        this.camera.lookAt(this.controls.target);
       }
     });
-    objectsToRemove.forEach((obj) => {
-      obj.geometry.dispose();
-      if (obj.material.dispose) obj.material.dispose();
-      this.scene.remove(obj);
+  }
+
+  /**
+   * Fly back to the view the chart started with
+   * @param {Object} options - Flight duration and easing
+   * @returns {Promise<boolean>} As for flyTo()
+   */
+  resetView(options) {
+    return this.flyTo(this.homeView.position, this.homeView.target, options);
+  }
+
+  /**
+   * Name a view to fly back to later
+   * @param {string} name - Bookmark name; a bookmark of that name is replaced
+   * @param {{position: number[], target: number[]}} view - The current view when omitted
+   * @returns {{position: number[], target: number[]}} The bookmarked view
+   */
+  saveBookmark(name, view = this.getCameraState()) {
+    this.bookmarks.set(name, view);
+    return view;
+  }
+
+  removeBookmark(name) {
+    return this.bookmarks.delete(name);
+  }
+
+  /**
+   * Named views, in the order they were saved
+   * @returns {Object<string, {position: number[], target: number[]}>} Views by name
+   */
+  getBookmarks() {
+    return Object.fromEntries(this.bookmarks);
+  }
+
+  /**
+   * Replace every bookmark, e.g. with ones saved from an earlier chart
+   * @param {Object<string, {position: number[], target: number[]}>} bookmarks - Views by name
+   */
+  setBookmarks(bookmarks) {
+    this.bookmarks = new Map(Object.entries(bookmarks));
+  }
+
+  /**
+   * Fly to a bookmarked view
+   * @param {string} name - Bookmark name
+   * @param {Object} options - Flight duration and easing
+   * @returns {Promise<boolean>} As for flyTo()
+   */
+  flyToBookmark(name, options) {
+    const view = this.bookmarks.get(name);
+    if (!view) throw new Error(`Unknown camera bookmark "${name}".`);
+    return this.flyTo(view.position, view.target, options);
+  }
+
+  /**
+   * Present the chart: orbit slowly, flying on to the next bookmark every few seconds
+   * @param {Object} options
+   * @param {number} options.dwell - Time (ms) spent orbiting at each bookmark
+   * @param {number} options.duration - Flight time (ms) between bookmarks
+   */
+  startTour({ dwell = 4000, duration = 1500 } = {}) {
+    this.stopTour();
+    const tour = { index: 0, timer: null };
+    this.tour = tour;
+
+    const visit = async () => {
+      // Bookmarks saved or removed during the tour are picked up on the way
+      const names = [...this.bookmarks.keys()];
+      if (names.length) {
+        const name = names[tour.index++ % names.length];
+        this.controls.autoRotate = false;
+        const view = this.bookmarks.get(name);
+        const arrived = await this.moveCamera(view.position, view.target, { duration });
+        if (this.tour !== tour) return;
+        // Another flight took over the camera
+        if (!arrived) {
+          this.stopTour();
+          return;
+        }
+        this.emit('tour', { playing: true, bookmark: name });
+      }
+      this.controls.autoRotate = true;
+      tour.timer = setTimeout(visit, dwell);
+    };
+
+    this.emit('tour', { playing: true, bookmark: null });
+    visit();
+  }
+
+  stopTour() {
+    if (!this.tour) return;
+    clearTimeout(this.tour.timer);
+    this.tour = null;
+    this.controls.autoRotate = false;
+    this.emit('tour', { playing: false, bookmark: null });
+  }
+
+  get touring() {
+    return this.tour !== null;
+  }
+
+  stopCameraMotion() {
+    this.stopTour();
+    this.cameraTweens.stop();
+  }
+
+  /**
+   * Render the current view at a higher resolution and capture it
+   * @param {Object} options
+   * @param {number} options.scale - Output pixels per CSS pixel
+   * @param {string} options.type - Image MIME type
+   * @returns {Promise<Blob>} Encoded image
+   */
+  snapshot({ scale = 2, type = 'image/png' } = {}) {
+    if (this.contextLost) {
+      return Promise.reject(new Error('The chart cannot be captured until the graphics card recovers.'));
+    }
+    if (this.rendererInit) {
+      return this.rendererInit.then(() => this.snapshot({ scale, type }));
+    }
+    const canvas = this.renderer.domElement;
+    const pixelRatio = this.renderer.getPixelRatio();
+    // Keep the drawing buffer within what the GPU can allocate
+    const maxRatio = getMaxTextureSize(this.renderer) / Math.max(this.width, this.height, 1);
+
+    this.renderer.setPixelRatio(Math.min(scale, maxRatio));
+    this.renderer.render(this.scene, this.camera);
+
+    // toBlob copies the bitmap before returning, so the size can be restored right away
+    const blob = new Promise((resolve, reject) => {
+      canvas.toBlob(result => {
+        if (result) resolve(result);
+        else reject(new Error('The snapshot could not be encoded.'));
+      }, type);
     });
+
+    this.renderer.setPixelRatio(pixelRatio);
+    this.renderer.render(this.scene, this.camera);
+    return blob;
+  }
+
+  setupPicking() {
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.hovered = null;
+    this.focused = null;
+    this.selected = null;
+    this.pointerDownAt = null;
+    // Original glow of highlighted materials, restored when the highlight ends
+    this.baseEmissive = new WeakMap();
+
+    if (getComputedStyle(this.container).position === 'static') {
+      this.container.style.position = 'relative';
+    }
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'three-tooltip';
+    this.tooltip.setAttribute('aria-live', 'polite');
+    this.tooltip.hidden = true;
+    this.container.appendChild(this.tooltip);
+
+    const canvas = this.renderer.domElement;
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-label', '3D chart');
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleFocus = this.handleFocus.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    canvas.addEventListener('pointerleave', this.handlePointerLeave);
+    canvas.addEventListener('pointerdown', this.handlePointerDown);
+    canvas.addEventListener('click', this.handleClick);
+    canvas.addEventListener('keydown', this.handleKeyDown);
+    canvas.addEventListener('focus', this.handleFocus);
+    canvas.addEventListener('blur', this.handleBlur);
+  }
+
+  /**
+   * Objects that can be hovered, selected and stepped through, in keyboard order
+   * @returns {THREE.Object3D[]} Data elements
+   */
+  getPickables() {
+    // Override in subclasses that draw one object per data element
+    return [];
+  }
+
+  /**
+   * Details of a data element for tooltips and events
+   * @param {THREE.Object3D} object - One of getPickables()
+   * @returns {{index: number, label: string, value: *, text: string}} Element details
+   */
+  getItemInfo(object) {
+    const { index, label, value } = object.userData;
+    const text = value === undefined
+      ? String(label)
+      : `${label}: ${typeof value === 'number' ? formatNumber(value) : value}`;
+    return { index, label, value, text };
+  }
+
+  /**
+   * Data element at a viewport position
+   * @param {number} clientX - Viewport x in CSS pixels
+   * @param {number} clientY - Viewport y in CSS pixels
+   * @returns {THREE.Object3D|null} Nearest element under the position
+   */
+  pickAt(clientX, clientY) {
+    const pickables = this.getPickables();
+    if (!pickables.length) return null;
+
+    this.aimRay(clientX, clientY);
+    const [hit] = this.raycaster.intersectObjects(pickables, false);
+    return hit?.object || null;
+  }
+
+  /**
+   * Point the raycaster from the camera through a viewport position
+   * @param {number} clientX - Viewport x in CSS pixels
+   * @param {number} clientY - Viewport y in CSS pixels
+   */
+  aimRay(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+  }
+
+  /**
+   * Select a data element and tell listeners; null clears the selection
+   * @param {THREE.Object3D|null} object - Element to select
+   */
+  select(object) {
+    const previous = this.selected;
+    this.selected = object;
+    this.refreshHighlight(previous);
+    this.refreshHighlight(object);
+    this.emit('select', object ? this.getItemInfo(object) : null);
+  }
+
+  /**
+   * Move the keyboard focus to a data element; null clears it
+   * @param {THREE.Object3D|null} object - Element to focus
+   */
+  setFocused(object) {
+    const previous = this.focused;
+    this.focused = object;
+    this.refreshHighlight(previous);
+    this.refreshHighlight(object);
+    this.syncTooltip();
+    this.emit('focus', object ? this.getItemInfo(object) : null);
+  }
+
+  setHovered(object) {
+    if (object === this.hovered) return;
+    const previous = this.hovered;
+    this.hovered = object;
+    this.refreshHighlight(previous);
+    this.refreshHighlight(object);
+    this.renderer.domElement.style.cursor = object ? 'pointer' : '';
+    this.emit('hover', object ? this.getItemInfo(object) : null);
+  }
+
+  handlePointerMove(event) {
+    this.setHovered(this.pickAt(event.clientX, event.clientY));
+    if (this.hovered) {
+      const rect = this.renderer.domElement.getBoundingClientRect();
+      this.showTooltip(this.hovered, event.clientX - rect.left, event.clientY - rect.top);
+    } else {
+      this.syncTooltip();
+    }
+  }
+
+  handlePointerLeave() {
+    this.setHovered(null);
+    this.syncTooltip();
+  }
+
+  handlePointerDown(event) {
+    this.pointerDownAt = { x: event.clientX, y: event.clientY };
+  }
+
+  handleClick(event) {
+    // Releasing after an orbit drag is not a click on the data
+    const start = this.pointerDownAt;
+    this.pointerDownAt = null;
+    if (start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > CLICK_TOLERANCE) return;
+
+    this.select(this.pickAt(event.clientX, event.clientY));
+  }
+
+  handleKeyDown(event) {
+    const items = this.getPickables();
+    if (!items.length) return;
+
+    const current = items.indexOf(this.focused);
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        this.setFocused(items[(current + 1) % items.length]);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        this.setFocused(items[current <= 0 ? items.length - 1 : current - 1]);
+        break;
+      case 'Home':
+        this.setFocused(items[0]);
+        break;
+      case 'End':
+        this.setFocused(items[items.length - 1]);
+        break;
+      case 'Enter':
+      case ' ':
+        if (!this.focused) return;
+        this.select(this.focused);
+        break;
+      case 'Escape':
+        if (!this.focused && !this.selected) return;
+        this.select(null);
+        this.setFocused(null);
+        break;
+      default:
+        return;
+    }
+    // Keep the page's own shortcuts from acting on the same key
+    event.preventDefault();
+  }
+
+  handleFocus() {
+    const title = this.data?.title || '3D chart';
+    const hint = this.getPickables().length
+      ? 'Use the arrow keys to step through the data and Enter to select.'
+      : '';
+    this.renderer.domElement.setAttribute('aria-label', `${title}. ${hint}`.trim());
+  }
+
+  handleBlur() {
+    this.setFocused(null);
+  }
+
+  refreshHighlight(object) {
+    const material = object?.material;
+    if (!material?.emissive) return;
+
+    if (!this.baseEmissive.has(material)) {
+      this.baseEmissive.set(material, {
+        color: material.emissive.getHex(),
+        intensity: material.emissiveIntensity
+      });
+    }
+
+    let style = this.baseEmissive.get(material);
+    if (object === this.selected) {
+      style = HIGHLIGHT.selected;
+    } else if (object === this.hovered || object === this.focused) {
+      style = HIGHLIGHT.hover;
+    }
+    material.emissive.setHex(style.color);
+    material.emissiveIntensity = style.intensity;
+  }
+
+  /**
+   * Show the tooltip for an element, at a position or above the element
+   * @param {THREE.Object3D} object - Element to describe
+   * @param {number} [x] - Container x in CSS pixels; projected from the element when omitted
+   * @param {number} [y] - Container y in CSS pixels
+   */
+  showTooltip(object, x, y) {
+    if (x === undefined) {
+      const position = object.getWorldPosition(new THREE.Vector3()).project(this.camera);
+      x = ((position.x + 1) / 2) * this.width;
+      y = ((1 - position.y) / 2) * this.height;
+    }
+
+    const text = this.getItemInfo(object).text;
+    if (this.tooltip.textContent !== text) this.tooltip.textContent = text;
+    this.tooltip.style.left = `${x}px`;
+    this.tooltip.style.top = `${y}px`;
+    // Open towards the middle so the tooltip stays inside the container
+    this.tooltip.classList.toggle('flip', x > this.width / 2);
+    this.tooltip.hidden = false;
+  }
+
+  syncTooltip() {
+    if (this.hovered) return;
+    if (this.focused) {
+      this.showTooltip(this.focused);
+    } else {
+      this.tooltip.hidden = true;
+    }
+  }
+
+  /**
+   * Natural-language summary of the visualized data
+   * @returns {string} Summary text
+   */
+  describe() {
+    // Override in subclasses with a data-specific summary
+    return `${this.data?.title || '3D visualization'}.`;
+  }
+
+  /**
+   * The visualized data as sound, see the sonification module
+   * @returns {Object|null} Sonification data, or null when the chart cannot be played
+   */
+  toSonification() {
+    // Override in subclasses whose data reads left to right
+    return null;
+  }
+
+  /**
+   * Remove and free everything in the scene but the lights and grid
+   */
+  clearScene() {
+    this.interruptTransition();
+    this.scene.children
+      .filter(child => !child.isLight && child !== this.grid)
+      .forEach(child => this.disposeObject(child));
   }
 
   dispose() {
     this.isAnimating = false;
+    this.tweens.stop();
+    this.stopCameraMotion();
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
     }
     window.removeEventListener('resize', this.handleResize);
+
+    const canvas = this.renderer.domElement;
+    canvas.removeEventListener('pointermove', this.handlePointerMove);
+    canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+    canvas.removeEventListener('pointerdown', this.handlePointerDown);
+    canvas.removeEventListener('click', this.handleClick);
+    canvas.removeEventListener('keydown', this.handleKeyDown);
+    canvas.removeEventListener('focus', this.handleFocus);
+    canvas.removeEventListener('blur', this.handleBlur);
+    canvas.removeEventListener('dblclick', this.handleDoubleClick);
+    canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+    this.tooltip.remove();
+    this.contextStatus?.remove();
+
+    // Anything added to the scene without track() is freed too
+    this.removeExiting();
+    this.track(this.scene);
+    this.resources.forEach(resource => resource.dispose());
+    this.resources.clear();
+
+    this.controls.removeEventListener('start', this.stopCameraMotion);
     this.controls.dispose();
-    this.renderer.dispose();
+    // A WebGPU renderer still starting up is freed once it has
+    if (this.rendererInit) this.rendererInit.then(() => this.renderer.dispose(), () => {});
+    else this.renderer.dispose();
     this.container.removeChild(this.renderer.domElement);
   }
 }
@@ -0,0 +1,190 @@
+/**
+ * Axes, gridlines and legends for 3D charts
+ * Tick marks at round numbers, camera-facing labels and titles,
+ * and a legend keyed to series colors
+ */
+
+import * as THREE from 'three';
+import { createCanvasSprite, createTextSprite, setTextColor } from './textSprite.js';
+import { formatNumber } from '../utils.js';
+
+const AXIS_COLOR = 0x8888aa;
+const LABEL_COLOR = '#ccccdd';
+const LEGEND_BACKGROUND = '#1a1a2e';
+const TICK_LENGTH = 0.15;
+
+/**
+ * Round tick values covering a range, stepping by 1, 2 or 5 times a power of ten
+ * @param {number} min - Range start
+ * @param {number} max - Range end
+ * @param {number} count - Approximate number of ticks
+ * @returns {number[]} Tick values within the range
+ */
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) return [min];
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+
+  const ticks = [];
+  for (let i = Math.ceil(min / step); i * step <= max + step * 1e-9; i++) {
+    // Rounding keeps 0.30000000000000004 out of the labels
+    ticks.push(Number((i * step).toPrecision(12)));
+  }
+  return ticks;
+}
+
+/**
+ * Axis line with tick marks, tick labels and an optional title
+ * @param {Object} options
+ * @param {number[]} options.start - World [x, y, z] of the low end
+ * @param {number[]} options.end - World [x, y, z] of the high end
+ * @param {number[]} options.domain - Data values at start and end
+ * @param {string[]} [options.categories] - Labels spaced evenly from start to end, instead of numeric ticks
+ * @param {number[]} [options.ticks] - Tick values; niceTicks over the domain by default
+ * @param {number[]} options.offset - World [x, y, z] from the axis to its labels; tick marks point the same way
+ * @param {string} [options.title] - Axis title, beyond the labels at the middle of the axis
+ * @param {Function} options.format - Tick value to label text
+ * @param {THREE.ColorRepresentation} options.color - Line color
+ * @param {string} options.labelColor - CSS color of the labels and title
+ * @param {number} options.labelSize - Label line height in world units
+ * @returns {THREE.Group} Axis; userData.ticks lists {value, text, position} with world positions on the axis
+ */
+export function createAxis({
+  start,
+  end,
+  domain = [0, 1],
+  categories,
+  ticks,
+  offset = [0, -0.4, 0],
+  title,
+  format = value => formatNumber(value, { maximumFractionDigits: 2 }),
+  color = AXIS_COLOR,
+  labelColor = LABEL_COLOR,
+  labelSize = 0.22
+}) {
+  const from = new THREE.Vector3(...start);
+  const to = new THREE.Vector3(...end);
+  const away = new THREE.Vector3(...offset);
+  const mark = away.clone().setLength(TICK_LENGTH);
+  const [min, max] = domain;
+
+  const entries = categories
+    ? categories.map((label, i) => ({
+      value: i,
+      text: String(label),
+      t: categories.length > 1 ? i / (categories.length - 1) : 0.5
+    }))
+    : (ticks ?? niceTicks(min, max)).map(value => ({
+      value,
+      text: format(value),
+      t: max > min ? (value - min) / (max - min) : 0
+    }));
+
+  const group = new THREE.Group();
+  const points = [from, to];
+  group.userData.ticks = entries.map(({ value, text, t }) => {
+    const position = from.clone().lerp(to, t);
+    points.push(position, position.clone().add(mark));
+
+    const label = createTextSprite(text, { size: labelSize, color: labelColor });
+    label.position.copy(position).add(away);
+    group.add(label);
+    return { value, text, position };
+  });
+
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  group.add(new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color })));
+
+  if (title) {
+    const titleSprite = createTextSprite(title, { size: labelSize * 1.2, color: labelColor, bold: true });
+    titleSprite.position.lerpVectors(from, to, 0.5).addScaledVector(away, 2.2);
+    group.add(titleSprite);
+  }
+  return group;
+}
+
+/**
+ * Recolor an axis in place, e.g. for a new theme
+ * @param {THREE.Group} axis - Axis from createAxis
+ * @param {Object} options
+ * @param {THREE.ColorRepresentation} [options.color] - Line color; left as it is when omitted
+ * @param {string} options.labelColor - CSS color of the labels and title
+ */
+export function restyleAxis(axis, { color, labelColor }) {
+  axis.children.forEach(child => {
+    if (child.isSprite) setTextColor(child, labelColor);
+    else if (color !== undefined) child.material.color.set(color);
+  });
+}
+
+/**
+ * Lines across the plot from each tick, e.g. value lines behind bars
+ * @param {THREE.Vector3[]} positions - Where each line starts, such as an axis's userData.ticks positions
+ * @param {number[]} span - World [x, y, z] each line runs along
+ * @param {THREE.ColorRepresentation} color - Line color
+ * @returns {THREE.LineSegments} Gridlines
+ */
+export function createGridlines(positions, span, color = AXIS_COLOR) {
+  const across = new THREE.Vector3(...span);
+  const points = positions.flatMap(position => [position, position.clone().add(across)]);
+  const geometry = new THREE.BufferGeometry().setFromPoints(points);
+  const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.3 });
+  return new THREE.LineSegments(geometry, material);
+}
+
+/**
+ * Legend keyed to series colors, as one camera-facing sprite
+ * @param {{label: string, color: THREE.ColorRepresentation}[]} items - One row per series
+ * @param {Object} options
+ * @param {string} [options.title] - Heading above the rows
+ * @param {number} options.rowHeight - Row height in world units
+ * @param {string} options.background - CSS color behind the rows, drawn translucent
+ * @param {string} options.textColor - CSS color of the heading
+ * @param {string} options.labelColor - CSS color of the row labels
+ * @returns {THREE.Sprite} Legend whose top-left corner sits at its position; userData.items lists the rows
+ */
+export function createLegend(items, {
+  title,
+  rowHeight = 0.3,
+  background = LEGEND_BACKGROUND,
+  textColor = '#ffffff',
+  labelColor = LABEL_COLOR
+} = {}) {
+  const rowPixels = 40;
+  const swatch = 24;
+  const font = '26px Arial';
+  const rows = title ? [{ label: title, heading: true }, ...items] : items;
+
+  const measure = document.createElement('canvas').getContext('2d');
+  measure.font = `bold ${font}`;
+  const textWidth = Math.max(...rows.map(row => measure.measureText(row.label).width));
+  const width = swatch + 12 + textWidth + 16;
+
+  const sprite = createCanvasSprite(width, rows.length * rowPixels, (context) => {
+    context.fillStyle = background;
+    context.globalAlpha = 0.75;
+    context.fillRect(0, 0, width, rows.length * rowPixels);
+    context.globalAlpha = 1;
+    context.textBaseline = 'middle';
+    rows.forEach((row, i) => {
+      const y = (i + 0.5) * rowPixels;
+      if (row.heading) {
+        context.font = `bold ${font}`;
+        context.fillStyle = textColor;
+        context.fillText(row.label, 8, y);
+        return;
+      }
+      context.fillStyle = `#${new THREE.Color(row.color).getHexString()}`;
+      context.fillRect(8, y - swatch / 2, swatch, swatch);
+      context.font = font;
+      context.fillStyle = labelColor;
+      context.fillText(row.label, 8 + swatch + 12, y);
+    });
+  }, rowHeight * rows.length);
+
+  // Grows right and down from its position, whichever way the camera faces
+  sprite.center.set(0, 1);
+  sprite.userData.items = items;
+  return sprite;
+}
@@ -0,0 +1,34 @@
+/**
+ * Color maps for 3D charts
+ * Named gradients sampled by a value normalized to [0, 1]
+ */
+
+import * as THREE from 'three';
+
+// Evenly spaced stops, low to high
+const STOPS = {
+  // The original surface gradient: blue through green to red
+  rainbow: Array.from({ length: 8 }, (_, i) => new THREE.Color().setHSL(0.7 - (i / 7) * 0.7, 0.8, 0.5)),
+  viridis: ['#440154', '#414487', '#2a788e', '#22a884', '#7ad151', '#fde725'].map(hex => new THREE.Color(hex)),
+  plasma: ['#0d0887', '#6a00a8', '#b12a90', '#e16462', '#fca636', '#f0f921'].map(hex => new THREE.Color(hex)),
+  coolwarm: ['#3b4cc0', '#7396f5', '#b0cbfc', '#dddcdc', '#f6bfa6', '#ec8063', '#b40426'].map(hex => new THREE.Color(hex)),
+  grayscale: ['#202020', '#f0f0f0'].map(hex => new THREE.Color(hex))
+};
+
+export const COLOR_MAPS = Object.keys(STOPS);
+
+/**
+ * Color at a position along a color map
+ * @param {string} name - One of COLOR_MAPS
+ * @param {number} t - Position in [0, 1]; clamped
+ * @param {THREE.Color} target - Color to write into
+ * @returns {THREE.Color} target
+ */
+export function sampleColorMap(name, t, target = new THREE.Color()) {
+  const stops = STOPS[name];
+  if (!stops) throw new Error(`Unknown color map "${name}".`);
+
+  const position = Math.min(Math.max(Number.isFinite(t) ? t : 0, 0), 1) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  return target.lerpColors(stops[index], stops[index + 1], position - index);
+}
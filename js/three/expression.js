@@ -0,0 +1,216 @@
+/**
+ * Safe math expressions
+ * Parses formulas such as "sin(x) * cos(z)" into plain functions,
+ * without eval or Function, so user-typed input can only do arithmetic
+ */
+
+// Name -> [implementation, argument count]; -1 takes one or more
+const FUNCTIONS = {
+  sin: [Math.sin, 1],
+  cos: [Math.cos, 1],
+  tan: [Math.tan, 1],
+  asin: [Math.asin, 1],
+  acos: [Math.acos, 1],
+  atan: [Math.atan, 1],
+  atan2: [Math.atan2, 2],
+  sinh: [Math.sinh, 1],
+  cosh: [Math.cosh, 1],
+  tanh: [Math.tanh, 1],
+  sqrt: [Math.sqrt, 1],
+  cbrt: [Math.cbrt, 1],
+  abs: [Math.abs, 1],
+  exp: [Math.exp, 1],
+  log: [Math.log, 1],
+  ln: [Math.log, 1],
+  log10: [Math.log10, 1],
+  log2: [Math.log2, 1],
+  floor: [Math.floor, 1],
+  ceil: [Math.ceil, 1],
+  round: [Math.round, 1],
+  sign: [Math.sign, 1],
+  pow: [Math.pow, 2],
+  min: [Math.min, -1],
+  max: [Math.max, -1],
+  hypot: [Math.hypot, -1]
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  tau: Math.PI * 2,
+  e: Math.E
+};
+
+const OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => a ** b
+};
+
+// Longer input is almost certainly not a hand-typed formula
+const MAX_LENGTH = 500;
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\S))/iy;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    // Only trailing whitespace is left
+    if (!match) break;
+
+    const [, number, name, symbol] = match;
+    const position = start + match[0].length - match[0].trimStart().length;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number), position });
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name.toLowerCase(), position });
+    } else if ('+-*/%^(),'.includes(symbol)) {
+      tokens.push({ type: symbol, position });
+    } else {
+      throw new Error(`Unexpected "${symbol}" at position ${position + 1}.`);
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+/**
+ * Compile an expression into a function of the given variables
+ * @param {string} source - Formula, e.g. "sin(x) * cos(z)", "2x^2 - z", "max(0, 1 - hypot(x, z) / 5)"
+ * @param {string[]} variables - Variable names, in argument order
+ * @returns {Function} Evaluates the formula; returns NaN or Infinity where it is undefined
+ */
+export function compileExpression(source, variables = ['x', 'z']) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Enter an expression, e.g. sin(x) * cos(z).');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expressions are limited to ${MAX_LENGTH} characters.`);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (token) => {
+    const what = token.type === 'end' ? 'end of expression' : `"${token.value ?? token.type}"`;
+    throw new Error(`Unexpected ${what} at position ${token.position + 1}.`);
+  };
+  const expect = (type) => {
+    if (peek().type !== type) fail(peek());
+    return next();
+  };
+
+  // Each parse step returns a closure over the variable values
+  function expression() {
+    let left = term();
+    while (peek().type === '+' || peek().type === '-') {
+      const apply = OPERATORS[next().type];
+      const a = left;
+      const b = term();
+      left = values => apply(a(values), b(values));
+    }
+    return left;
+  }
+
+  function term() {
+    let left = unary();
+    for (;;) {
+      const { type } = peek();
+      let apply;
+      if (type === '*' || type === '/' || type === '%') {
+        apply = OPERATORS[next().type];
+      } else if (type === 'number' || type === 'name' || type === '(') {
+        // Implicit multiplication: 2x, 3(x + 1), x sin(z)
+        apply = OPERATORS['*'];
+      } else {
+        return left;
+      }
+      const a = left;
+      const b = unary();
+      left = values => apply(a(values), b(values));
+    }
+  }
+
+  function unary() {
+    if (peek().type === '-') {
+      next();
+      const operand = unary();
+      return values => -operand(values);
+    }
+    if (peek().type === '+') {
+      next();
+      return unary();
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (peek().type !== '^') return base;
+    next();
+    // Right-associative, and binds tighter than a leading minus: -x^2 is -(x^2)
+    const exponent = unary();
+    return values => base(values) ** exponent(values);
+  }
+
+  function primary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      const { value } = token;
+      return () => value;
+    }
+
+    if (token.type === '(') {
+      const inner = expression();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'name') {
+      const { value: name } = token;
+      if (peek().type === '(') return call(name, token);
+
+      const variable = variables.indexOf(name);
+      if (variable >= 0) return values => values[variable];
+      if (Object.hasOwn(CONSTANTS, name)) {
+        const value = CONSTANTS[name];
+        return () => value;
+      }
+      throw new Error(`Unknown name "${name}" at position ${token.position + 1}. Use ${variables.join(', ')}, pi or e.`);
+    }
+
+    return fail(token);
+  }
+
+  function call(name, token) {
+    if (!Object.hasOwn(FUNCTIONS, name)) {
+      throw new Error(`Unknown function "${name}" at position ${token.position + 1}.`);
+    }
+    const [fn, arity] = FUNCTIONS[name];
+
+    expect('(');
+    const args = [expression()];
+    while (peek().type === ',') {
+      next();
+      args.push(expression());
+    }
+    expect(')');
+
+    if (arity >= 0 && args.length !== arity) {
+      throw new Error(`${name}() takes ${arity} ${arity === 1 ? 'argument' : 'arguments'}, got ${args.length}.`);
+    }
+    return values => fn(...args.map(arg => arg(values)));
+  }
+
+  const compiled = expression();
+  if (peek().type !== 'end') fail(peek());
+
+  return (...values) => compiled(values);
+}
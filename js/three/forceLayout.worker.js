@@ -0,0 +1,12 @@
+/**
+ * Force layout worker
+ * Runs ForceSimulation off the main thread and posts node positions back
+ */
+
+import { createLayoutHost } from './forceSimulation.js';
+
+const handleMessage = createLayoutHost((message) => {
+  self.postMessage(message, message.positions ? [message.positions.buffer] : []);
+});
+
+self.addEventListener('message', (event) => handleMessage(event.data));
@@ -0,0 +1,264 @@
+/**
+ * Force-directed graph layout in 3D
+ * Repulsion between all nodes, springs along edges, pull towards the centre
+ * and towards each node's group, with damped velocities and a cooling alpha.
+ * Has no DOM dependencies, so it runs in a Web Worker or on the main thread.
+ */
+
+const DEFAULTS = {
+  seed: 1,
+  repulsion: 1.5,
+  springLength: 2,
+  springStrength: 0.15,
+  centering: 0.03,
+  groupStrength: 0.03,
+  damping: 0.6,
+  maxSpeed: 1,
+  alphaDecay: 0.02,
+  alphaMin: 0.001
+};
+
+// Closer than this, repulsion stops growing (and coincident nodes still separate)
+const MIN_DISTANCE = 0.1;
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so layouts are reproducible
+ * @param {number} seed - Any 32-bit integer
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class ForceSimulation {
+  /**
+   * @param {{id: *, weight?: number, group?: *, x?: number, y?: number, z?: number}[]} nodes - Graph nodes;
+   *   heavier nodes push harder and move less
+   * @param {{source: *, target: *, weight?: number}[]} edges - Edges naming their end nodes by id
+   * @param {Object} options - Overrides for DEFAULTS; options.positions seeds the start layout
+   */
+  constructor(nodes, edges, options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.count = nodes.length;
+    this.alpha = 1;
+    this.pinned = new Map();
+
+    const rng = createRng(this.options.seed);
+    // Start inside a ball that grows with the graph, so the first ticks are not explosive
+    const spread = Math.cbrt(Math.max(this.count, 1)) * this.options.springLength;
+    const start = this.options.positions;
+
+    this.positions = new Float32Array(this.count * 3);
+    this.velocities = new Float32Array(this.count * 3);
+    nodes.forEach((node, i) => {
+      const given = start?.[i] || [node.x, node.y, node.z];
+      for (let axis = 0; axis < 3; axis++) {
+        this.positions[i * 3 + axis] = Number.isFinite(given[axis]) ? given[axis] : (rng() - 0.5) * spread;
+      }
+    });
+
+    this.weights = nodes.map(node => (node.weight > 0 ? node.weight : 1));
+
+    const groups = [...new Set(nodes.map(node => node.group).filter(group => group !== undefined))];
+    this.groupCount = groups.length;
+    this.groups = nodes.map(node => (node.group === undefined ? -1 : groups.indexOf(node.group)));
+
+    const indexById = new Map(nodes.map((node, i) => [node.id, i]));
+    this.links = edges
+      .map(edge => [indexById.get(edge.source), indexById.get(edge.target), edge.weight > 0 ? edge.weight : 1])
+      .filter(([source, target]) => source !== undefined && target !== undefined && source !== target);
+  }
+
+  get settled() {
+    return this.alpha < this.options.alphaMin;
+  }
+
+  /**
+   * Advance the layout one step
+   */
+  tick() {
+    const { repulsion, springLength, springStrength, centering, groupStrength, damping, maxSpeed } = this.options;
+    const { count, positions, velocities, weights } = this;
+    const forces = new Float32Array(count * 3);
+    const delta = [0, 0, 0];
+
+    const separation = (a, b) => {
+      for (let axis = 0; axis < 3; axis++) delta[axis] = positions[b * 3 + axis] - positions[a * 3 + axis];
+      return Math.max(Math.hypot(delta[0], delta[1], delta[2]), MIN_DISTANCE);
+    };
+    const push = (a, b, strength, distance) => {
+      for (let axis = 0; axis < 3; axis++) {
+        const force = (delta[axis] / distance) * strength;
+        forces[a * 3 + axis] += force;
+        forces[b * 3 + axis] -= force;
+      }
+    };
+
+    // Every pair repels with inverse-square falloff
+    for (let a = 0; a < count; a++) {
+      for (let b = a + 1; b < count; b++) {
+        const distance = separation(a, b);
+        push(a, b, (-repulsion * weights[a] * weights[b]) / (distance * distance), distance);
+      }
+    }
+
+    // Edges pull their ends towards the rest length
+    this.links.forEach(([source, target, weight]) => {
+      const distance = separation(source, target);
+      push(source, target, springStrength * weight * (distance - springLength), distance);
+    });
+
+    // Each group gathers around its centroid
+    const centroids = new Float32Array(this.groupCount * 4);
+    this.groups.forEach((group, i) => {
+      if (group < 0) return;
+      for (let axis = 0; axis < 3; axis++) centroids[group * 4 + axis] += positions[i * 3 + axis];
+      centroids[group * 4 + 3]++;
+    });
+
+    for (let i = 0; i < count; i++) {
+      const group = this.groups[i];
+      for (let axis = 0; axis < 3; axis++) {
+        const index = i * 3 + axis;
+        forces[index] -= centering * positions[index] * weights[i];
+        if (group >= 0) {
+          const centroid = centroids[group * 4 + axis] / centroids[group * 4 + 3];
+          forces[index] += groupStrength * (centroid - positions[index]) * weights[i];
+        }
+      }
+    }
+
+    // Integrate; heavier nodes accelerate less, and speed is capped to keep things stable
+    for (let i = 0; i < count; i++) {
+      const pin = this.pinned.get(i);
+      if (pin) {
+        for (let axis = 0; axis < 3; axis++) {
+          positions[i * 3 + axis] = pin[axis];
+          velocities[i * 3 + axis] = 0;
+        }
+        continue;
+      }
+
+      for (let axis = 0; axis < 3; axis++) {
+        const index = i * 3 + axis;
+        velocities[index] = (velocities[index] + (forces[index] * this.alpha) / weights[i]) * damping;
+      }
+      const speed = Math.hypot(velocities[i * 3], velocities[i * 3 + 1], velocities[i * 3 + 2]);
+      const scale = speed > maxSpeed ? maxSpeed / speed : 1;
+      for (let axis = 0; axis < 3; axis++) {
+        velocities[i * 3 + axis] *= scale;
+        positions[i * 3 + axis] += velocities[i * 3 + axis];
+      }
+    }
+
+    this.alpha -= this.alpha * this.options.alphaDecay;
+  }
+
+  /**
+   * Warm the layout back up, e.g. while a node is dragged
+   * @param {number} alpha - Minimum alpha to continue from
+   */
+  reheat(alpha = 0.3) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+
+  /**
+   * Hold a node at a position until unpinned
+   * @param {number} index - Node index
+   * @param {number[]} position - [x, y, z]
+   */
+  pin(index, position) {
+    if (index < 0 || index >= this.count) return;
+    this.pinned.set(index, position);
+    this.positions.set(position, index * 3);
+  }
+
+  unpin(index) {
+    this.pinned.delete(index);
+  }
+}
+
+/**
+ * Step a simulation on a timer until it settles
+ * @param {ForceSimulation} simulation - Layout to run
+ * @param {Object} options
+ * @param {Function} options.onTick - Called with the positions after each batch of ticks
+ * @param {Function} options.onEnd - Called once the layout settles
+ * @param {number} options.ticksPerFrame - Ticks between onTick calls
+ * @param {number} options.interval - Milliseconds between batches
+ * @returns {{wake: Function, stop: Function}} Controls; wake() resumes a settled or stopped run
+ */
+export function runSimulation(simulation, { onTick, onEnd = () => {}, ticksPerFrame = 3, interval = 16 }) {
+  let timer = null;
+
+  const step = () => {
+    timer = null;
+    for (let i = 0; i < ticksPerFrame && !simulation.settled; i++) simulation.tick();
+    onTick(simulation.positions);
+    if (simulation.settled) {
+      onEnd();
+    } else {
+      timer = setTimeout(step, interval);
+    }
+  };
+
+  return {
+    wake() {
+      if (timer === null) timer = setTimeout(step, 0);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Message handler shared by the layout worker and its main-thread fallback
+ * @param {Function} post - Sends {type: 'tick', positions} and {type: 'end'} messages back
+ * @returns {Function} Handles {type: 'start' | 'drag' | 'release' | 'stop'} messages
+ */
+export function createLayoutHost(post) {
+  let simulation = null;
+  let runner = null;
+
+  return function handleMessage(message) {
+    switch (message.type) {
+      case 'start':
+        runner?.stop();
+        simulation = new ForceSimulation(message.nodes, message.edges, message.options);
+        runner = runSimulation(simulation, {
+          // A copy, so the buffer can be transferred without detaching the simulation's own
+          onTick: positions => post({ type: 'tick', positions: positions.slice() }),
+          onEnd: () => post({ type: 'end' })
+        });
+        runner.wake();
+        break;
+
+      case 'drag':
+        if (!simulation) return;
+        simulation.pin(message.index, message.position);
+        simulation.reheat();
+        runner.wake();
+        break;
+
+      case 'release':
+        simulation?.unpin(message.index);
+        break;
+
+      case 'stop':
+        runner?.stop();
+        break;
+
+      default:
+        throw new Error(`Unknown layout message "${message.type}".`);
+    }
+  };
+}
@@ -4,8 +4,19 @@
  */
 
 export { ThreeVisualization } from './ThreeVisualization.js';
+export { RENDERING_BACKENDS, loadRenderingBackend, resolveRenderingBackend } from './renderers.js';
 export { BarChart3D } from './BarChart3D.js';
 export { ScatterPlot3D } from './ScatterPlot3D.js';
+export { PointCloud, visiblePointCount, LOD_DISTANCE, LOD_MIN_POINTS } from './pointCloud.js';
 export { SurfacePlot3D } from './SurfacePlot3D.js';
 export { NetworkGraph3D } from './NetworkGraph3D.js';
 export { PieChart3D } from './PieChart3D.js';
+export { FallbackChart2D, FALLBACK_TYPES, fallbackOption } from './FallbackChart2D.js';
+export { EASINGS, TweenGroup } from './transitions.js';
+export { ForceLayout } from './ForceLayout.js';
+export { ForceSimulation, createRng } from './forceSimulation.js';
+export { COLOR_MAPS, sampleColorMap } from './colorMaps.js';
+export { compileExpression } from './expression.js';
+export { heatmapToGrid, sampleSurface } from './surfaceData.js';
+export { niceTicks, createAxis, restyleAxis, createGridlines, createLegend } from './axes.js';
+export { createTextSprite, setTextColor } from './textSprite.js';
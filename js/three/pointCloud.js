@@ -0,0 +1,230 @@
+/**
+ * Instanced point cloud for large scatter plots
+ * Every point is one instance of a shared mesh, drawn in a single call; picking
+ * draws each point's id as a flat color and reads back the pixel under the pointer
+ */
+
+import * as THREE from 'three';
+import { createRng } from './forceSimulation.js';
+
+// Up to this camera distance every point is drawn; past it the share drawn falls
+// with the square of the distance, as the cloud's area on screen does
+export const LOD_DISTANCE = 14;
+// Zoomed out, never fewer than this many points
+export const LOD_MIN_POINTS = 20000;
+
+/**
+ * Points to draw of a cloud seen from a distance
+ * @param {number} count - Points in the cloud
+ * @param {number} distance - Camera distance from the orbit target
+ * @returns {number} Points to draw
+ */
+export function visiblePointCount(count, distance) {
+  if (distance <= LOD_DISTANCE) return count;
+  const share = (LOD_DISTANCE / distance) ** 2;
+  return Math.min(count, Math.max(LOD_MIN_POINTS, Math.ceil(count * share)));
+}
+
+// 0..count-1 in a fixed random order, so any prefix is an even sample of the data
+function shuffledRange(count) {
+  const rng = createRng(count);
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+export class PointCloud {
+  /**
+   * @param {number} count - Number of points
+   * @param {THREE.BufferGeometry} geometry - Shape of a point at scale 1; owned by the caller
+   * @param {THREE.Material} material - Drawn tinted by each point's color
+   */
+  constructor(count, geometry, material) {
+    this.count = count;
+    // Instance i draws data point order[i]; drawing fewer instances thins the cloud evenly
+    this.order = shuffledRange(count);
+
+    // Current state by data index, and where a transition is taking it
+    this.positions = new Float32Array(count * 3);
+    this.scales = new Float32Array(count);
+    this.colors = new Float32Array(count * 3);
+    this.from = null;
+    this.to = null;
+    this.placed = false;
+
+    this.mesh = new THREE.InstancedMesh(geometry, material, count);
+    this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3)
+      .setUsage(THREE.DynamicDrawUsage);
+    // Instances move without the mesh's bounds following
+    this.mesh.frustumCulled = false;
+    this.mesh.userData.sharedGeometry = true;
+
+    // The same instances in id colors: instance i is drawn as the 24-bit number i + 1
+    const ids = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const id = i + 1;
+      ids[i * 3] = ((id >> 16) & 255) / 255;
+      ids[i * 3 + 1] = ((id >> 8) & 255) / 255;
+      ids[i * 3 + 2] = (id & 255) / 255;
+    }
+    this.pickMaterial = new THREE.MeshBasicMaterial({ toneMapped: false });
+    // Created empty so it can take the visible mesh's matrices instead of its own
+    this.pickMesh = new THREE.InstancedMesh(geometry, this.pickMaterial, 0);
+    this.pickMesh.instanceMatrix = this.mesh.instanceMatrix;
+    this.pickMesh.count = count;
+    this.pickMesh.instanceColor = new THREE.InstancedBufferAttribute(ids, 3);
+    this.pickMesh.frustumCulled = false;
+    this.pickScene = new THREE.Scene();
+    this.pickScene.add(this.pickMesh);
+    // Created on the first pick
+    this.pickTarget = null;
+    this.pickPixel = new Uint8Array(4);
+  }
+
+  /**
+   * Set where the points are going; applyTransition moves them there. A new
+   * cloud starts at its targets with every point at scale 0
+   * @param {{positions: Float32Array, scales: Float32Array, colors: Float32Array}} target - By data index:
+   *   xyz, scale and rgb of each point
+   */
+  setTarget(target) {
+    if (!this.placed) {
+      this.positions.set(target.positions);
+      this.colors.set(target.colors);
+      this.placed = true;
+    }
+    this.from = {
+      positions: this.positions.slice(),
+      scales: this.scales.slice(),
+      colors: this.colors.slice()
+    };
+    this.to = target;
+  }
+
+  /**
+   * Move every point part of the way to its target
+   * @param {number} t - Transition progress; eased, so it may overshoot 0 and 1
+   */
+  applyTransition(t) {
+    const { from, to } = this;
+    for (let i = 0; i < this.count * 3; i++) {
+      this.positions[i] = from.positions[i] + (to.positions[i] - from.positions[i]) * t;
+      this.colors[i] = from.colors[i] + (to.colors[i] - from.colors[i]) * t;
+    }
+    for (let i = 0; i < this.count; i++) {
+      // easeOutBack overshoots below zero at the start of a growth
+      this.scales[i] = Math.max(from.scales[i] + (to.scales[i] - from.scales[i]) * t, 0);
+    }
+    this.writeInstances();
+  }
+
+  finishTransition() {
+    this.from = null;
+    this.to = null;
+  }
+
+  // Copy the state into the instance buffers, in draw order
+  writeInstances() {
+    const matrices = this.mesh.instanceMatrix.array;
+    const colors = this.mesh.instanceColor.array;
+    for (let i = 0; i < this.count; i++) {
+      const index = this.order[i];
+      const scale = this.scales[index];
+      const m = i * 16;
+      matrices[m] = scale;
+      matrices[m + 5] = scale;
+      matrices[m + 10] = scale;
+      matrices[m + 12] = this.positions[index * 3];
+      matrices[m + 13] = this.positions[index * 3 + 1];
+      matrices[m + 14] = this.positions[index * 3 + 2];
+      colors[i * 3] = this.colors[index * 3];
+      colors[i * 3 + 1] = this.colors[index * 3 + 1];
+      colors[i * 3 + 2] = this.colors[index * 3 + 2];
+    }
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+    // Recomputed from the instances by the next raycast
+    this.mesh.boundingSphere = null;
+  }
+
+  /**
+   * Draw only part of the cloud, an even sample of it
+   * @param {number} count - Points to draw
+   */
+  setVisibleCount(count) {
+    this.mesh.count = count;
+    this.pickMesh.count = count;
+  }
+
+  get visibleCount() {
+    return this.mesh.count;
+  }
+
+  /**
+   * Current position of a point
+   * @param {number} index - Data index
+   * @param {THREE.Vector3} target - Vector to write to
+   * @returns {THREE.Vector3} target
+   */
+  positionOf(index, target = new THREE.Vector3()) {
+    return target.fromArray(this.positions, index * 3);
+  }
+
+  /**
+   * Data index of the point drawn at a canvas position
+   * @param {THREE.WebGLRenderer} renderer - Renderer the cloud is drawn with
+   * @param {THREE.PerspectiveCamera} camera - Camera the cloud is seen through
+   * @param {number} x - Canvas x in CSS pixels
+   * @param {number} y - Canvas y in CSS pixels
+   * @returns {number} Data index, or -1 where no point is drawn
+   */
+  pick(renderer, camera, x, y) {
+    const size = renderer.getSize(new THREE.Vector2());
+    this.pickTarget ??= new THREE.WebGLRenderTarget(1, 1);
+    const previousTarget = renderer.getRenderTarget();
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+
+    // Only the pixel under the pointer is drawn
+    camera.setViewOffset(size.x, size.y, Math.floor(x), Math.floor(y), 1, 1);
+    renderer.setRenderTarget(this.pickTarget);
+    renderer.setClearColor(0x000000, 0);
+    renderer.render(this.pickScene, camera);
+    renderer.readRenderTargetPixels(this.pickTarget, 0, 0, 1, 1, this.pickPixel);
+
+    renderer.setRenderTarget(previousTarget);
+    renderer.setClearColor(clearColor, clearAlpha);
+    camera.clearViewOffset();
+
+    const [r, g, b] = this.pickPixel;
+    const id = (r << 16) | (g << 8) | b;
+    return id ? this.order[id - 1] : -1;
+  }
+
+  /**
+   * Data index of the nearest drawn point along a ray, found on the CPU; for
+   * renderers that cannot read pixels back while handling an event
+   * @param {THREE.Raycaster} raycaster - Aimed raycaster
+   * @returns {number} Data index, or -1 when the ray misses
+   */
+  raycast(raycaster) {
+    const [hit] = raycaster.intersectObject(this.mesh, false);
+    return hit ? this.order[hit.instanceId] : -1;
+  }
+
+  /**
+   * Free the instance buffers and picking resources; the geometry and material
+   * belong to the caller
+   */
+  dispose() {
+    this.mesh.dispose();
+    this.pickMesh.dispose();
+    this.pickMaterial.dispose();
+    this.pickTarget?.dispose();
+  }
+}
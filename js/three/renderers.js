@@ -0,0 +1,73 @@
+/**
+ * Renderers for 3D charts, on WebGPU or WebGL
+ * three's WebGPURenderer ships in a build of its own, loaded only once a chart can use it.
+ * That build shares three.core.js with 'three' (r171 and later), so the charts' scenes,
+ * materials and controls are the same classes whichever renderer draws them.
+ */
+
+import * as THREE from 'three';
+import { detectRenderingBackend } from '../utils.js';
+
+export const RENDERING_BACKENDS = ['auto', 'webgpu', 'webgl'];
+
+// three/webgpu, once loadRenderingBackend has found an adapter
+let webgpuModule = null;
+
+/**
+ * Pick a backend and load what it needs; charts created afterwards default to it
+ * @param {string} preferred - One of RENDERING_BACKENDS
+ * @returns {Promise<string|null>} 'webgpu', 'webgl', or null when the browser has neither
+ */
+export async function loadRenderingBackend(preferred = 'auto') {
+  const backend = await detectRenderingBackend(preferred);
+  if (backend !== 'webgpu') return backend;
+
+  try {
+    webgpuModule ??= await import('three/webgpu');
+    return 'webgpu';
+  } catch (error) {
+    console.warn('Could not load the WebGPU renderer, using WebGL:', error);
+    return detectRenderingBackend('webgl');
+  }
+}
+
+/**
+ * The backend a chart asking for one gets
+ * @param {string} backend - One of RENDERING_BACKENDS; 'auto' is WebGPU once loaded, WebGL until then
+ * @returns {string} 'webgpu' or 'webgl'
+ */
+export function resolveRenderingBackend(backend = 'auto') {
+  if (!RENDERING_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown rendering backend "${backend}".`);
+  }
+  if (backend === 'webgl') return 'webgl';
+  if (webgpuModule) return 'webgpu';
+  if (backend === 'webgpu') {
+    throw new Error('The WebGPU renderer is not loaded; await loadRenderingBackend(\'webgpu\') first.');
+  }
+  return 'webgl';
+}
+
+/**
+ * Create a renderer; a WebGPU one needs its init() to finish before it draws
+ * @param {string} backend - 'webgpu' or 'webgl', from resolveRenderingBackend
+ * @param {Object} parameters - Renderer parameters, e.g. antialias
+ * @returns {THREE.WebGLRenderer|WebGPURenderer} Renderer
+ */
+export function createRenderer(backend, parameters) {
+  return backend === 'webgpu'
+    ? new webgpuModule.WebGPURenderer(parameters)
+    : new THREE.WebGLRenderer(parameters);
+}
+
+/**
+ * Largest texture side the renderer's GPU allocates
+ * @param {THREE.WebGLRenderer|WebGPURenderer} renderer - Initialized renderer
+ * @returns {number} Pixels
+ */
+export function getMaxTextureSize(renderer) {
+  if (renderer.capabilities) return renderer.capabilities.maxTextureSize;
+  // WebGPURenderer, on a WebGPU device or its WebGL 2 fallback
+  const { device, gl } = renderer.backend;
+  return device ? device.limits.maxTextureDimension2D : gl.getParameter(gl.MAX_TEXTURE_SIZE);
+}
@@ -0,0 +1,154 @@
+/**
+ * Surface data for SurfacePlot3D
+ * Turns value grids, expressions and callbacks into a sampled height field,
+ * and traces contour lines through it
+ */
+
+import { compileExpression } from './expression.js';
+
+export const DEFAULT_RESOLUTION = 50;
+export const DEFAULT_DOMAIN = { x: [-5, 5], z: [-5, 5] };
+
+// Keeps typed-in resolutions from allocating huge meshes
+const MAX_RESOLUTION = 200;
+
+/**
+ * Reshape [xIndex, yIndex, value] heatmap cells into a value grid
+ * @param {{xLabels: string[], yLabels: string[], data: number[][]}} heatmap - e.g. sampleData.heatmapData
+ * @returns {{grid: number[][], xLabels: string[], zLabels: string[]}} Rows follow yLabels; missing cells are NaN
+ */
+export function heatmapToGrid({ xLabels, yLabels, data }) {
+  const grid = yLabels.map(() => xLabels.map(() => NaN));
+  data.forEach(([x, y, value]) => {
+    if (grid[y] && x < xLabels.length) grid[y][x] = value;
+  });
+  return { grid, xLabels, zLabels: yLabels };
+}
+
+function sampleFunction(fn, data) {
+  const resolution = Math.round(data.resolution ?? DEFAULT_RESOLUTION);
+  if (!(resolution >= 2 && resolution <= MAX_RESOLUTION)) {
+    throw new Error(`Surface resolution must be between 2 and ${MAX_RESOLUTION}.`);
+  }
+  const x = data.domain?.x ?? DEFAULT_DOMAIN.x;
+  const z = data.domain?.z ?? DEFAULT_DOMAIN.z;
+
+  const values = new Float64Array(resolution * resolution);
+  for (let row = 0; row < resolution; row++) {
+    const zValue = z[0] + ((z[1] - z[0]) * row) / (resolution - 1);
+    for (let column = 0; column < resolution; column++) {
+      const xValue = x[0] + ((x[1] - x[0]) * column) / (resolution - 1);
+      values[row * resolution + column] = fn(xValue, zValue);
+    }
+  }
+  return { columns: resolution, rows: resolution, values, x, z };
+}
+
+function sampleGrid(grid) {
+  const rows = grid?.length ?? 0;
+  const columns = grid?.[0]?.length ?? 0;
+  if (rows < 2 || columns < 2) {
+    throw new Error('A surface grid needs at least 2 rows and 2 columns.');
+  }
+  if (grid.some(row => !Array.isArray(row) || row.length !== columns)) {
+    throw new Error('Every row of a surface grid must have the same length.');
+  }
+
+  const values = Float64Array.from(grid.flat(), Number);
+  return { columns, rows, values, x: [0, columns - 1], z: [0, rows - 1] };
+}
+
+/**
+ * Sample surface data on a regular grid
+ * @param {Object} data - One of:
+ *   {grid, xLabels?, zLabels?} - rows of values; row index runs along z, column index along x
+ *   {expression, domain?, resolution?} - formula of x and z, see compileExpression
+ *   {heightFunction, domain?, resolution?} - callback (x, z) => value
+ * @param {Function} fallback - Callback used when data has none of the above
+ * @returns {{columns: number, rows: number, values: Float64Array, x: number[], z: number[],
+ *   range: number[], xLabels?: string[], zLabels?: string[]}} Row-major values with their x/z extents
+ *   and finite value range; undefined values are replaced by the range minimum
+ */
+export function sampleSurface(data = {}, fallback) {
+  let surface;
+  if (data.grid) {
+    surface = { ...sampleGrid(data.grid), xLabels: data.xLabels, zLabels: data.zLabels };
+  } else if (data.expression !== undefined) {
+    surface = sampleFunction(compileExpression(data.expression, ['x', 'z']), data);
+  } else {
+    surface = sampleFunction(data.heightFunction || fallback, data);
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  surface.values.forEach(value => {
+    if (!Number.isFinite(value)) return;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  if (min > max) throw new Error('The surface has no finite values to plot.');
+
+  // Gaps (missing cells, log of a negative...) sit flat at the bottom
+  surface.values = surface.values.map(value => (Number.isFinite(value) ? value : min));
+  surface.range = [min, max];
+  return surface;
+}
+
+/**
+ * Every sample of a surface in data coordinates, e.g. for summaries
+ * @param {Object} surface - From sampleSurface
+ * @returns {{x: number, z: number, y: number}[]} Samples in row-major order
+ */
+export function surfaceSamples({ columns, rows, values, x, z }) {
+  return Array.from(values, (y, i) => ({
+    x: x[0] + ((x[1] - x[0]) * (i % columns)) / (columns - 1),
+    z: z[0] + ((z[1] - z[0]) * Math.floor(i / columns)) / (rows - 1),
+    y
+  }));
+}
+
+/**
+ * Trace one contour level through a grid (marching squares)
+ * @param {ArrayLike<number>} values - Row-major values
+ * @param {number} columns - Values per row
+ * @param {number} rows - Number of rows
+ * @param {number} level - Value to trace
+ * @returns {number[][]} Segments as [column1, row1, column2, row2], in fractional grid coordinates
+ */
+export function contourSegments(values, columns, rows, level) {
+  const segments = [];
+  const value = (column, row) => values[row * columns + column];
+
+  // Where the level crosses the edge between two corners, if it does
+  const cross = (c1, r1, c2, r2) => {
+    const v1 = value(c1, r1);
+    const v2 = value(c2, r2);
+    if ((v1 >= level) === (v2 >= level)) return null;
+    const t = (level - v1) / (v2 - v1);
+    return [c1 + (c2 - c1) * t, r1 + (r2 - r1) * t];
+  };
+
+  for (let row = 0; row < rows - 1; row++) {
+    for (let column = 0; column < columns - 1; column++) {
+      const top = cross(column, row, column + 1, row);
+      const right = cross(column + 1, row, column + 1, row + 1);
+      const bottom = cross(column, row + 1, column + 1, row + 1);
+      const left = cross(column, row, column, row + 1);
+      const points = [top, right, bottom, left].filter(Boolean);
+
+      if (points.length === 2) {
+        segments.push([...points[0], ...points[1]]);
+      } else if (points.length === 4) {
+        // Saddle: the cell centre decides which opposite corners are joined
+        const centre = (value(column, row) + value(column + 1, row) +
+          value(column, row + 1) + value(column + 1, row + 1)) / 4;
+        if ((centre >= level) === (value(column, row) >= level)) {
+          segments.push([...top, ...right], [...bottom, ...left]);
+        } else {
+          segments.push([...left, ...top], [...right, ...bottom]);
+        }
+      }
+    }
+  }
+  return segments;
+}
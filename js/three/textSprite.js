@@ -0,0 +1,86 @@
+/**
+ * Text sprites for 3D charts
+ * Titles, labels and legends drawn on a canvas and shown as camera-facing sprites
+ */
+
+import * as THREE from 'three';
+
+const FONT_FAMILY = 'Arial';
+
+// Canvas resolution of one line of text; the sprite is scaled to its world size
+const FONT_PIXELS = 32;
+const LINE_PIXELS = 40;
+const PADDING = 8;
+
+// How each text sprite paints its canvas, so setTextColor can paint it again
+const painters = new WeakMap();
+
+/**
+ * Sprite showing a canvas drawing
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {Function} draw - Paints the canvas, called with the 2D context
+ * @param {number} worldHeight - Sprite height in world units; the width keeps the canvas's aspect
+ * @returns {THREE.Sprite} Sprite whose texture and material belong to it alone
+ */
+export function createCanvasSprite(width, height, draw, worldHeight) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width);
+  canvas.height = Math.ceil(height);
+  draw(canvas.getContext('2d'));
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set((worldHeight * canvas.width) / canvas.height, worldHeight, 1);
+  return sprite;
+}
+
+/**
+ * Camera-facing text, sized to fit
+ * @param {string} text - Text; '\n' starts a new line
+ * @param {Object} options
+ * @param {number} options.size - Line height in world units
+ * @param {string} options.color - CSS color
+ * @param {boolean} options.bold - Bold weight
+ * @returns {THREE.Sprite} Sprite with userData.text
+ */
+export function createTextSprite(text, { size = 0.3, color = '#ffffff', bold = false } = {}) {
+  const font = `${bold ? 'bold ' : ''}${FONT_PIXELS}px ${FONT_FAMILY}`;
+  const lines = String(text).split('\n');
+
+  // Measuring needs a context with the font set, before the real canvas is sized
+  const measure = document.createElement('canvas').getContext('2d');
+  measure.font = font;
+  const textWidth = Math.max(...lines.map(line => measure.measureText(line).width));
+  const height = lines.length * LINE_PIXELS;
+
+  const paint = (context, fill) => {
+    context.fillStyle = fill;
+    context.font = font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    lines.forEach((line, i) => {
+      context.fillText(line, textWidth / 2 + PADDING, (i + 0.5) * LINE_PIXELS);
+    });
+  };
+  const sprite = createCanvasSprite(textWidth + PADDING * 2, height, context => paint(context, color), size * lines.length);
+  painters.set(sprite, paint);
+  sprite.userData.text = text;
+  return sprite;
+}
+
+/**
+ * Redraw a text sprite in another color, in place
+ * @param {THREE.Sprite} sprite - Sprite from createTextSprite
+ * @param {string} color - CSS color
+ */
+export function setTextColor(sprite, color) {
+  const paint = painters.get(sprite);
+  if (!paint) return;
+  const canvas = sprite.material.map.image;
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  paint(context, color);
+  sprite.material.map.needsUpdate = true;
+}
@@ -0,0 +1,82 @@
+/**
+ * Transitions for 3D charts
+ * Easing functions and a small tween group advanced by the render loop
+ */
+
+export const EASINGS = {
+  linear: t => t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - (1 - t) ** 3,
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+  // Overshoots slightly before settling
+  easeOutBack: t => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2
+};
+
+/**
+ * Look up an easing by name, or pass a function through
+ * @param {string|Function} easing - Name in EASINGS or a function of t in [0, 1]
+ * @returns {Function} Easing function
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (!EASINGS[easing]) throw new Error(`Unknown easing "${easing}".`);
+  return EASINGS[easing];
+}
+
+export function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+export class TweenGroup {
+  /**
+   * @param {Function} clock - Returns the current time in milliseconds
+   */
+  constructor(clock = () => performance.now()) {
+    this.clock = clock;
+    this.tweens = new Set();
+  }
+
+  get active() {
+    return this.tweens.size > 0;
+  }
+
+  /**
+   * Start a tween; it advances on each update()
+   * @param {Object} options
+   * @param {number} options.duration - Length in milliseconds; 0 applies the end state on the next update
+   * @param {string|Function} options.easing - See resolveEasing
+   * @param {Function} options.onUpdate - Called with the eased progress in [0, 1]
+   * @param {Function} options.onComplete - Called once after the final update
+   * @returns {Promise<boolean>} Resolves true when finished, false when stopped early
+   */
+  start({ duration = 600, easing = 'easeInOutCubic', onUpdate = () => {}, onComplete = () => {} }) {
+    const ease = resolveEasing(easing);
+    return new Promise(resolve => {
+      this.tweens.add({ startedAt: this.clock(), duration, ease, onUpdate, onComplete, resolve });
+    });
+  }
+
+  /**
+   * Advance every tween to the current time
+   */
+  update() {
+    const now = this.clock();
+    this.tweens.forEach(tween => {
+      const progress = tween.duration > 0 ? Math.min((now - tween.startedAt) / tween.duration, 1) : 1;
+      tween.onUpdate(tween.ease(progress));
+      if (progress < 1) return;
+
+      this.tweens.delete(tween);
+      tween.onComplete();
+      tween.resolve(true);
+    });
+  }
+
+  /**
+   * Drop every tween where it is; callers take over from the current state
+   */
+  stop() {
+    this.tweens.forEach(tween => tween.resolve(false));
+    this.tweens.clear();
+  }
+}
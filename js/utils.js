@@ -52,6 +52,7 @@ export function isFeatureSupported(feature) {
     absoluteOrientationSensor: 'AbsoluteOrientationSensor' in window,
     ambientLightSensor: 'AmbientLightSensor' in window,
     deviceOrientation: 'DeviceOrientationEvent' in window,
+    deviceMotion: 'DeviceMotionEvent' in window,
     webgl: (() => {
       try {
         const canvas = document.createElement('canvas');
@@ -68,11 +69,41 @@ export function isFeatureSupported(feature) {
         return false;
       }
     })(),
+    // The API only; whether the GPU offers an adapter takes requestGPUAdapter()
+    webgpu: 'gpu' in navigator,
   };
 
   return features[feature] ?? false;
 }
 
+let adapterRequest = null;
+
+/**
+ * Request a WebGPU adapter, once per page
+ * @returns {Promise<GPUAdapter|null>} Adapter, or null when WebGPU is unavailable or no GPU qualifies
+ */
+export function requestGPUAdapter() {
+  adapterRequest ??= (async () => {
+    if (!isFeatureSupported('webgpu')) return null;
+    try {
+      return await navigator.gpu.requestAdapter();
+    } catch (e) {
+      return null;
+    }
+  })();
+  return adapterRequest;
+}
+
+/**
+ * Pick the graphics API for 3D rendering: WebGPU when an adapter is present, WebGL otherwise
+ * @param {string} preferred - 'auto', 'webgpu', or 'webgl' to skip WebGPU
+ * @returns {Promise<string|null>} 'webgpu', 'webgl', or null when neither is available
+ */
+export async function detectRenderingBackend(preferred = 'auto') {
+  if (preferred !== 'webgl' && await requestGPUAdapter()) return 'webgpu';
+  return isFeatureSupported('webgl') ? 'webgl' : null;
+}
+
 /**
  * Show a feedback message to the user
  * @param {string} message - Message to display
@@ -143,31 +174,34 @@ export function formatNumber(num, options = {}) {
 }
 
 /**
- * Generate a color palette for charts
- * @param {number} count - Number of colors needed
- * @returns {string[]} Array of color hex values
+ * Smallest and largest of a list of numbers; unlike spreading into Math.min
+ * and Math.max this holds for lists of any length
+ * @param {Iterable<number>} values - Numbers
+ * @returns {number[]} [min, max], or [Infinity, -Infinity] when empty
  */
-export function generateColorPalette(count) {
-  const baseColors = [
-    '#5470c6', '#91cc75', '#fac858', '#ee6666',
-    '#73c0de', '#3ba272', '#fc8452', '#9a60b4'
-  ];
-
-  if (count <= baseColors.length) {
-    return baseColors.slice(0, count);
+export function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
   }
+  return [min, max];
+}
 
-  // Generate additional colors if needed
-  const colors = [...baseColors];
-  for (let i = baseColors.length; i < count; i++) {
-    const hue = (i * 137.508) % 360; // Golden angle approximation
-    colors.push(`hsl(${hue}, 65%, 55%)`);
-  }
-  return colors;
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for use in HTML markup
+ * @param {*} value - Text, or anything that converts to text
+ * @returns {string} Text with &, <, >, " and ' replaced by entities
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
 }
 
 /**
- * Convert data array to HTML table
+ * Convert data array to HTML table; labels and names are escaped, as they may come from imported files
  * @param {Object} data - Data object with labels and values
  * @returns {string} HTML table string
  */
@@ -181,31 +215,49 @@ export function dataToTable(data) {
     html += '<thead><tr><th>Category</th><th>Value</th></tr></thead>';
     html += '<tbody>';
     data.labels.forEach((label, i) => {
-      html += `<tr><td>${label}</td><td>${formatNumber(data.values[i])}</td></tr>`;
+      html += `<tr><td>${escapeHTML(label)}</td><td>${formatNumber(data.values[i])}</td></tr>`;
     });
     html += '</tbody>';
   } else if (data.labels && data.datasets) {
     // Multi-series data
     html += '<thead><tr><th>Period</th>';
     data.datasets.forEach(ds => {
-      html += `<th>${ds.name}</th>`;
+      html += `<th>${escapeHTML(ds.name)}</th>`;
     });
     html += '</tr></thead>';
     html += '<tbody>';
     data.labels.forEach((label, i) => {
-      html += `<tr><td>${label}</td>`;
+      html += `<tr><td>${escapeHTML(label)}</td>`;
       data.datasets.forEach(ds => {
         html += `<td>${formatNumber(ds.values[i])}</td>`;
       });
       html += '</tr>';
     });
     html += '</tbody>';
+  } else if (data.xLabels && data.yLabels && Array.isArray(data.data)) {
+    // Matrix data: [xIndex, yIndex, value] cells, one row per y label
+    const cells = new Map(data.data.map(([x, y, value]) => [`${x},${y}`, value]));
+    html += '<thead><tr><th></th>';
+    data.xLabels.forEach(label => {
+      html += `<th>${escapeHTML(label)}</th>`;
+    });
+    html += '</tr></thead>';
+    html += '<tbody>';
+    data.yLabels.forEach((label, y) => {
+      html += `<tr><td>${escapeHTML(label)}</td>`;
+      data.xLabels.forEach((_, x) => {
+        const value = cells.get(`${x},${y}`);
+        html += `<td>${value === undefined ? '' : formatNumber(value)}</td>`;
+      });
+      html += '</tr>';
+    });
+    html += '</tbody>';
   } else if (data.data && Array.isArray(data.data)) {
     // Pie chart style data
     html += '<thead><tr><th>Name</th><th>Value</th></tr></thead>';
     html += '<tbody>';
     data.data.forEach(item => {
-      html += `<tr><td>${item.name}</td><td>${formatNumber(item.value)}</td></tr>`;
+      html += `<tr><td>${escapeHTML(item.name)}</td><td>${formatNumber(item.value)}</td></tr>`;
     });
     html += '</tbody>';
   }
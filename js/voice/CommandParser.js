@@ -0,0 +1,169 @@
+/**
+ * Voice command parser
+ * Matches transcripts against a small phrase grammar with synonyms,
+ * numbers and slot values; grammars are loaded per locale via i18n
+ */
+
+/**
+ * Lowercase, strip punctuation (keeping apostrophes) and collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// How many words before a match are searched for a negation ("don't show bar")
+const NEGATION_WINDOW = 3;
+
+export class CommandParser {
+  /**
+   * @param {Object} grammar - Grammar definition (see locales/<locale>/voice-commands.json)
+   * @param {string} grammar.lang - BCP 47 tag for SpeechRecognition.lang
+   * @param {string[]} grammar.negations - Words that cancel a following command
+   * @param {Object<string, number>} grammar.numbers - Number words -> values
+   * @param {Object} grammar.slots - Slot name -> synonyms (object keyed by value,
+   *   array indexed by value, or "number")
+   * @param {Object[]} grammar.commands - { intent, params, phrases } entries
+   */
+  constructor(grammar) {
+    this.lang = grammar.lang;
+    this.negations = (grammar.negations || []).map(tokenize);
+    this.numbers = grammar.numbers || {};
+    this.slots = {};
+    Object.entries(grammar.slots || {}).forEach(([name, spec]) => {
+      this.slots[name] = compileSlot(spec);
+    });
+    this.commands = grammar.commands.flatMap(({ intent, params = {}, phrases }) =>
+      phrases.map(phrase => ({ intent, params, phrase, pattern: compilePhrase(phrase) }))
+    );
+  }
+
+  /**
+   * Parse a transcript into an intent
+   * @param {string} transcript - Recognized speech
+   * @param {Object<string, string[]>} dynamicSlots - Slot values known only at runtime,
+   *   e.g. { series: ['Product A', 'Product B'] }
+   * @returns {{intent: string, params: Object, phrase: string}|null} Best match, or null
+   */
+  parse(transcript, dynamicSlots = {}) {
+    const tokens = tokenize(transcript).map(token =>
+      token in this.numbers ? String(this.numbers[token]) : token
+    );
+    const slots = { ...this.slots };
+    Object.entries(dynamicSlots).forEach(([name, values]) => {
+      slots[name] = compileDynamicSlot(values);
+    });
+
+    let best = null;
+    for (const command of this.commands) {
+      for (let start = 0; start < tokens.length; start++) {
+        const match = matchPattern(command.pattern, tokens, start, slots);
+        if (!match || this.isNegated(tokens, start)) continue;
+
+        // Prefer the match that explains the most words
+        const length = match.end - start;
+        if (!best || length > best.length) {
+          best = {
+            length,
+            intent: command.intent,
+            params: { ...command.params, ...match.values },
+            phrase: tokens.slice(start, match.end).join(' ')
+          };
+        }
+      }
+    }
+
+    if (!best) return null;
+    const { intent, params, phrase } = best;
+    return { intent, params, phrase };
+  }
+
+  isNegated(tokens, start) {
+    const window = tokens.slice(Math.max(0, start - NEGATION_WINDOW), start);
+    return this.negations.some(negation =>
+      window.some((_, i) => negation.every((word, j) => window[i + j] === word))
+    );
+  }
+}
+
+function compilePhrase(phrase) {
+  return phrase.split(/(\{\w+\})/).flatMap(part => {
+    const slot = part.match(/^\{(\w+)\}$/);
+    return slot ? [{ slot: slot[1] }] : tokenize(part).map(word => ({ word }));
+  });
+}
+
+// Normalise every slot spec to [{ value, words[] }], longest synonyms first
+function compileSlot(spec) {
+  if (spec === 'number') return 'number';
+
+  const entries = Array.isArray(spec)
+    ? spec.map((synonyms, index) => [index, synonyms])
+    : Object.entries(spec);
+
+  return entries
+    .flatMap(([value, synonyms]) => synonyms.map(synonym => ({ value, words: tokenize(synonym) })))
+    .sort((a, b) => b.words.length - a.words.length);
+}
+
+// Runtime names also match by their distinguishing suffix,
+// e.g. 'Product A' / 'Product B' can be called 'a' / 'b'
+function compileDynamicSlot(names) {
+  const tokenized = names.map(tokenize);
+  const prefixLength = commonPrefixLength(tokenized);
+
+  return compileSlot(tokenized.map(words => {
+    const synonyms = [words.join(' ')];
+    if (prefixLength > 0 && words.length > prefixLength) {
+      synonyms.push(words.slice(prefixLength).join(' '));
+    }
+    return synonyms;
+  }));
+}
+
+function commonPrefixLength(lists) {
+  if (lists.length < 2) return 0;
+  let length = 0;
+  while (lists.every(words => words.length > length && words[length] === lists[0][length])) {
+    length++;
+  }
+  return length;
+}
+
+function matchPattern(pattern, tokens, start, slots) {
+  let position = start;
+  const values = {};
+
+  for (const part of pattern) {
+    if (part.word) {
+      if (tokens[position] !== part.word) return null;
+      position++;
+      continue;
+    }
+
+    const slot = slots[part.slot];
+    if (!slot) return null;
+
+    if (slot === 'number') {
+      if (!/^\d+$/.test(tokens[position] || '')) return null;
+      values[part.slot] = Number(tokens[position]);
+      position++;
+      continue;
+    }
+
+    const entry = slot.find(({ words }) =>
+      words.every((word, i) => tokens[position + i] === word)
+    );
+    if (!entry) return null;
+    values[part.slot] = entry.value;
+    position += entry.words.length;
+  }
+
+  return { end: position, values };
+}
@@ -0,0 +1,6 @@
+/**
+ * Voice commands - Module Index
+ * Re-exports the command grammar parser for convenient importing
+ */
+
+export { CommandParser, tokenize } from './CommandParser.js';
@@ -0,0 +1,53 @@
+/**
+ * Fetch models
+ * Downloads the gesture recognition model into models/ unless it is already
+ * there. Runs before every build, so deployments always ship the model;
+ * a failed download fails the build instead of shipping a demo without it.
+ */
+
+import { existsSync, mkdirSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const MODELS_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../models');
+
+// The file HandTracker loads from /models, see GESTURE_MODEL_PATH
+const MODELS = {
+  'gesture_recognizer.task':
+    'https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task'
+};
+
+/**
+ * Download a model, through a temporary file so an interrupted download is not taken for the model
+ * @param {string} url - Where the model is published
+ * @param {string} file - Where it goes
+ */
+async function download(url, file) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+
+  const partial = `${file}.download`;
+  try {
+    writeFileSync(partial, Buffer.from(await response.arrayBuffer()));
+    renameSync(partial, file);
+  } catch (error) {
+    rmSync(partial, { force: true });
+    throw error;
+  }
+}
+
+mkdirSync(MODELS_DIR, { recursive: true });
+
+for (const [name, url] of Object.entries(MODELS)) {
+  const file = join(MODELS_DIR, name);
+  if (existsSync(file)) continue;
+
+  console.log(`Downloading models/${name}...`);
+  try {
+    await download(url, file);
+  } catch (error) {
+    console.error(`Could not download models/${name}: ${error.message}`);
+    console.error('Download it by hand as described in models/README.md, then build again.');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Three.js Test Helpers
+ * Stand-ins for what the 3D charts need from a browser with a GPU: a
+ * WebGLRenderer, a sized container and a 2D canvas context for text sprites.
+ *
+ * vi.mock factories are hoisted above imports, so load the renderer inside one:
+ *
+ *   vi.mock('three', async (importOriginal) => {
+ *     const { mockThree } = await import('../helpers/three.js');
+ *     return mockThree(await importOriginal());
+ *   });
+ *
+ * Tests that watch more of the renderer pass a subclass of FakeRenderer.
+ */
+
+export const CONTAINER_WIDTH = 400;
+export const CONTAINER_HEIGHT = 300;
+
+/**
+ * WebGLRenderer that draws nothing; its canvas sits where a container from createContainer would
+ */
+export class FakeRenderer {
+  constructor() {
+    this.domElement = document.createElement('canvas');
+    this.domElement.getBoundingClientRect = () => ({ left: 0, top: 0, width: CONTAINER_WIDTH, height: CONTAINER_HEIGHT });
+    // OrbitControls captures the pointer while dragging
+    this.domElement.setPointerCapture = () => {};
+    this.domElement.releasePointerCapture = () => {};
+    this.shadowMap = {};
+    this.capabilities = { maxTextureSize: 4096 };
+  }
+  setSize() {}
+  setPixelRatio() {}
+  getPixelRatio() { return 1; }
+  render() {}
+  dispose() {}
+}
+
+/**
+ * The three module with the renderer replaced
+ * @param {Object} actual - The real module, from importOriginal()
+ * @param {Function} Renderer - Renderer class; FakeRenderer by default
+ * @returns {Object} Module for vi.mock
+ */
+export function mockThree(actual, Renderer = FakeRenderer) {
+  return { ...actual, WebGLRenderer: Renderer };
+}
+
+/**
+ * A container in the document with the size the charts read
+ * @returns {HTMLElement} Container
+ */
+export function createContainer() {
+  const container = document.createElement('div');
+  Object.defineProperty(container, 'clientWidth', { value: CONTAINER_WIDTH });
+  Object.defineProperty(container, 'clientHeight', { value: CONTAINER_HEIGHT });
+  document.body.appendChild(container);
+  return container;
+}
+
+/**
+ * Give every canvas a 2D context that measures text without drawing it
+ * @param {Object} overrides - Context methods to replace, e.g. a fillText that records text
+ */
+export function stubCanvasContext(overrides = {}) {
+  HTMLCanvasElement.prototype.getContext = () => ({
+    fillText() {},
+    fillRect() {},
+    clearRect() {},
+    measureText: text => ({ width: text.length * 16 }),
+    ...overrides
+  });
+}
@@ -0,0 +1,226 @@
+/**
+ * Chart Summary - Unit Tests
+ * Tests the natural-language chart descriptions and the speech narrator
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  findOutliers,
+  describeTrend,
+  summarizeSeries,
+  summarizeCategories,
+  summarizeShares,
+  summarizePoints,
+  summarizeSurface,
+  summarizeNetwork,
+  describeEChartsOption,
+  SpeechNarrator
+} from '../../js/a11y/index.js';
+import { BarChart3D, NetworkGraph3D } from '../../js/three/index.js';
+
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
+
+describe('Chart Summary', () => {
+  describe('findOutliers', () => {
+    it('should flag values far from the median', () => {
+      expect(findOutliers([10, 12, 11, 13, 95, 12])).toEqual([4]);
+    });
+
+    it('should not flag evenly spread values', () => {
+      expect(findOutliers([10, 20, 30, 40, 50, 60])).toEqual([]);
+    });
+
+    it('should need at least four values', () => {
+      expect(findOutliers([1, 1, 100])).toEqual([]);
+    });
+  });
+
+  describe('describeTrend', () => {
+    it('should describe a rising series with its percent change', () => {
+      expect(describeTrend('Sales', months, [100, 120, 130, 140, 170, 200]))
+        .toBe('Sales rises from 100 in Jan to 200 in Jun, up 100%.');
+    });
+
+    it('should describe a falling series', () => {
+      expect(describeTrend('Costs', months, [200, 190, 180, 170, 160, 150]))
+        .toContain('falls from 200 in Jan to 150 in Jun, down 25%');
+    });
+
+    it('should call small changes flat', () => {
+      expect(describeTrend('Visits', months, [100, 140, 60, 120, 90, 102]))
+        .toContain('stays roughly flat');
+    });
+  });
+
+  describe('summarizeSeries', () => {
+    const summary = summarizeSeries('Monthly Sales', months, [
+      { name: 'Product A', values: [10, 12, 14, 90, 16, 18] },
+      { name: 'Product B', values: [20, 19, 18, 17, 16, 15] }
+    ]);
+
+    it('should cover trend, min/max, largest share and outliers', () => {
+      expect(summary).toContain('Monthly Sales.');
+      expect(summary).toContain('Product A rises');
+      expect(summary).toContain('Highest value is 90 for Product A in Apr');
+      expect(summary).toContain('lowest is 10 for Product A in Jan');
+      expect(summary).toContain('Product A has the largest share of the total, 60%');
+      expect(summary).toContain('Product A has unusual values in Apr (90)');
+    });
+  });
+
+  describe('summarizeCategories', () => {
+    it('should name the highest and lowest category', () => {
+      const summary = summarizeCategories('Revenue', ['North', 'South', 'East'], [50, 30, 20]);
+      expect(summary).toContain('North is highest at 50; East is lowest at 20.');
+      expect(summary).toContain('North has the largest share of the total, 50%.');
+    });
+  });
+
+  describe('summarizeShares', () => {
+    it('should report the largest and smallest slice', () => {
+      const summary = summarizeShares('Market Share', [
+        { name: 'X', value: 40 },
+        { name: 'Y', value: 35 },
+        { name: 'Z', value: 25 }
+      ]);
+      expect(summary).toBe(
+        'Market Share. 3 slices. X has the largest share, 40%. ' +
+        'The smallest is Z with 25%. Together, X and Y make up 75%.'
+      );
+    });
+  });
+
+  describe('summarizePoints', () => {
+    it('should describe the correlation between x and y', () => {
+      expect(summarizePoints('', [[1, 2], [2, 4], [3, 6.5], [4, 8]]))
+        .toContain('strong positive correlation');
+      expect(summarizePoints('', [[1, 8], [2, 6], [3, 4], [4, 2]]))
+        .toContain('strong negative correlation');
+    });
+  });
+
+  describe('summarizeSurface', () => {
+    it('should locate the peak and the valley', () => {
+      const summary = summarizeSurface('Surface', [
+        { x: 0, z: 0, y: 2 },
+        { x: 1, z: -1, y: -1.5 },
+        { x: 2, z: 2, y: 0 }
+      ]);
+      expect(summary).toContain('ranges from -1.5 to 2');
+      expect(summary).toContain('highest peak is at x 0, z 0');
+      expect(summary).toContain('deepest valley is at x 1, z -1');
+    });
+  });
+
+  describe('summarizeNetwork', () => {
+    it('should find the most connected node', () => {
+      const summary = summarizeNetwork('Graph', [
+        { id: 0, label: 'Hub' }, { id: 1, label: 'A' }, { id: 2, label: 'B' }, { id: 3, label: 'Lonely' }
+      ], [{ source: 0, target: 1 }, { source: 0, target: 2 }]);
+      expect(summary).toContain('4 nodes connected by 2 edges.');
+      expect(summary).toContain('Hub is the most connected, with 2 links.');
+      expect(summary).toContain('1 node has no links.');
+    });
+  });
+
+  describe('describeEChartsOption', () => {
+    it('should describe a normalized line option', () => {
+      const summary = describeEChartsOption({
+        title: [{ text: 'Sales' }],
+        xAxis: [{ data: ['Q1', 'Q2', 'Q3'] }],
+        series: [
+          { type: 'line', name: 'A', data: [1, 2, 3] },
+          { type: 'line', name: 'B', data: [3, 3, 3] }
+        ]
+      });
+      expect(summary).toContain('Sales. 2 series over 3 periods.');
+      expect(summary).toContain('B stays roughly flat');
+    });
+
+    it('should unwrap bar data items', () => {
+      const summary = describeEChartsOption({
+        xAxis: { data: ['North', 'South'] },
+        series: [{ type: 'bar', data: [{ value: 10, itemStyle: {} }, { value: 30 }] }]
+      });
+      expect(summary).toContain('South is highest at 30');
+    });
+
+    it('should describe pie options as shares', () => {
+      const summary = describeEChartsOption({
+        series: [{ type: 'pie', data: [{ name: 'A', value: 3 }, { name: 'B', value: 1 }] }]
+      });
+      expect(summary).toContain('A has the largest share, 75%.');
+    });
+
+    it('should handle charts without data', () => {
+      expect(describeEChartsOption({ series: [{ type: 'line', data: [] }] }))
+        .toBe('The chart has no data yet.');
+    });
+  });
+
+  describe('3D visualizations', () => {
+    it('should describe bar chart data', () => {
+      const summary = BarChart3D.prototype.describe.call({
+        data: { title: 'Regions', labels: ['N', 'S'], values: [10, 30] }
+      });
+      expect(summary).toContain('Regions.');
+      expect(summary).toContain('S is highest at 30');
+    });
+
+    it('should describe network data', () => {
+      const summary = NetworkGraph3D.prototype.describe.call({
+        data: { nodes: [{ id: 0 }, { id: 1 }], edges: [{ source: 0, target: 1 }] }
+      });
+      expect(summary).toContain('3D Network Graph. 2 nodes connected by 1 edge.');
+    });
+  });
+
+  describe('SpeechNarrator', () => {
+    let synth;
+
+    beforeEach(() => {
+      synth = { speak: vi.fn(), cancel: vi.fn() };
+      vi.stubGlobal('SpeechSynthesisUtterance', class {
+        constructor(text) { this.text = text; }
+      });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should cancel pending speech before speaking', () => {
+      const narrator = new SpeechNarrator({ lang: 'en-GB', synth });
+      expect(narrator.speak('Hello')).toBe(true);
+      expect(synth.cancel).toHaveBeenCalled();
+      expect(synth.speak.mock.calls[0][0]).toMatchObject({ text: 'Hello', lang: 'en-GB' });
+      expect(narrator.speaking).toBe(true);
+    });
+
+    it('should clear the speaking flag when the utterance ends', () => {
+      const narrator = new SpeechNarrator({ synth });
+      narrator.speak('Hello');
+      synth.speak.mock.calls[0][0].onend();
+      expect(narrator.speaking).toBe(false);
+    });
+
+    it('should keep speaking when the utterance it cancelled ends', () => {
+      const narrator = new SpeechNarrator({ synth });
+      narrator.speak('First');
+      narrator.speak('Second');
+      const [[first], [second]] = synth.speak.mock.calls;
+
+      // The browser reports the cancelled utterance's end after the next one has started
+      first.onerror();
+      expect(narrator.speaking).toBe(true);
+      second.onend();
+      expect(narrator.speaking).toBe(false);
+    });
+
+    it('should do nothing without speech synthesis', () => {
+      const narrator = new SpeechNarrator({ synth: null });
+      expect(narrator.supported).toBe(false);
+      expect(narrator.speak('Hello')).toBe(false);
+    });
+  });
+});
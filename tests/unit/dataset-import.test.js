@@ -0,0 +1,198 @@
+/**
+ * Dataset Import - Unit Tests
+ * Tests CSV/TSV/JSON parsing, shape inference and validation messages
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectFormat,
+  parseDelimited,
+  parseNumber,
+  importDataset,
+  validateDataset,
+  inferTableShape
+} from '../../js/import/index.js';
+import { dataToTable } from '../../js/utils.js';
+import sampleData from '../../data/sample-data.json';
+
+describe('Dataset Import', () => {
+  describe('detectFormat', () => {
+    it('should prefer the file extension', () => {
+      expect(detectFormat('{}', 'data.csv')).toBe('csv');
+      expect(detectFormat('a,b', 'DATA.TSV')).toBe('tsv');
+    });
+
+    it('should sniff pasted text', () => {
+      expect(detectFormat('  [1, 2]')).toBe('json');
+      expect(detectFormat('a\tb\n1\t2')).toBe('tsv');
+      expect(detectFormat('a,b\n1,2')).toBe('csv');
+    });
+  });
+
+  describe('parseDelimited', () => {
+    it('should handle quotes, escaped quotes and embedded delimiters', () => {
+      expect(parseDelimited('name,note\n"Smith, J.","said ""hi"""\n')).toEqual([
+        ['name', 'note'],
+        ['Smith, J.', 'said "hi"']
+      ]);
+    });
+
+    it('should handle CRLF line endings and skip blank lines', () => {
+      expect(parseDelimited('a\tb\r\n\r\n1\t2\r\n', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('parseNumber', () => {
+    it.each([
+      ['1,234', 1234],
+      ['1,234.5', 1234.5],
+      ['12,5', 12.5],
+      ['35%', 35],
+      [' -7 ', -7],
+      [42, 42]
+    ])('should read %j', (input, expected) => {
+      expect(parseNumber(input)).toBe(expected);
+    });
+
+    it('should reject text', () => {
+      expect(parseNumber('n/a')).toBeNaN();
+      expect(parseNumber('')).toBeNaN();
+    });
+  });
+
+  describe('inferTableShape', () => {
+    it.each([
+      [['Month', 'A', 'B'], [['Jan', '1', '2']], 'salesData'],
+      [['Category', 'Sales'], [['Food', '1']], 'categoryData'],
+      [['Company', 'Share %'], [['A', '35']], 'marketShare'],
+      [['x', 'y'], [['1', '2']], 'scatterData'],
+      [['x', 'y', 'z'], [['1', '2', '3']], 'scatterData']
+    ])('should detect %j', (header, body, shape) => {
+      expect(inferTableShape(header, body)).toBe(shape);
+    });
+
+    it('should give up on text-only tables', () => {
+      expect(inferTableShape(['a', 'b'], [['x', 'y']])).toBeNull();
+    });
+  });
+
+  describe('importDataset', () => {
+    it('should import a multi-series CSV as salesData', () => {
+      const result = importDataset('Month,North,South\nJan,10,20\nFeb,"1,200",25\n', { filename: 'regions.csv' });
+      expect(result).toEqual({
+        ok: true,
+        datasets: {
+          salesData: {
+            title: 'regions',
+            labels: ['Jan', 'Feb'],
+            datasets: [
+              { name: 'North', values: [10, 1200] },
+              { name: 'South', values: [20, 25] }
+            ]
+          }
+        }
+      });
+    });
+
+    it('should import TSV categories', () => {
+      const result = importDataset('Category\tSales\nBooks\t12,5\nFood\t30');
+      expect(result.datasets.categoryData).toMatchObject({ labels: ['Books', 'Food'], values: [12.5, 30] });
+    });
+
+    it('should honour an explicit shape', () => {
+      const result = importDataset('Company,Value\nA,60\nB,40', { shape: 'marketShare' });
+      expect(result.datasets.marketShare.data).toEqual([{ name: 'A', value: 60 }, { name: 'B', value: 40 }]);
+    });
+
+    it('should import headerless numeric columns as points', () => {
+      const result = importDataset('1,2\n3,4\n5,6');
+      expect(result.datasets.scatterData.data).toEqual([[1, 2], [3, 4], [5, 6]]);
+      expect(result.datasets.scatterData.axisTitles).toBeUndefined();
+    });
+
+    it('should title point axes after their columns', () => {
+      const result = importDataset('Cost,Score,Age\n1,2,3\n4,5,6');
+      expect(result.datasets.scatterData.axisTitles).toEqual({ x: 'Cost', y: 'Score', z: 'Age' });
+    });
+
+    it('should import JSON rows like a table', () => {
+      const result = importDataset(JSON.stringify([
+        { month: 'Jan', a: 1, b: 2 },
+        { month: 'Feb', a: 3, b: 4 }
+      ]));
+      expect(result.datasets.salesData.datasets.map(d => d.name)).toEqual(['a', 'b']);
+    });
+
+    it('should import chart-shaped JSON objects', () => {
+      const result = importDataset(JSON.stringify({ data: [{ name: 'A', value: 1 }] }), { filename: 'share.json' });
+      expect(result.datasets.marketShare).toEqual({ title: 'share', data: [{ name: 'A', value: 1 }] });
+    });
+
+    it('should import every known shape from a sample-data style file', () => {
+      const result = importDataset(JSON.stringify(sampleData));
+      expect(Object.keys(result.datasets).sort()).toEqual(['categoryData', 'marketShare', 'salesData', 'scatterData']);
+    });
+
+    it('should point at the offending cell', () => {
+      expect(importDataset('Month,Sales,Costs\nJan,10,5\nFeb,ten,6')).toEqual({
+        ok: false,
+        errors: ['Row 3, column "Sales": "ten" is not a number.']
+      });
+    });
+
+    it('should report ragged rows', () => {
+      expect(importDataset('a,b\nx,1\ny,2,3').errors).toEqual(['Row 3 has 3 columns, expected 2.']);
+    });
+
+    it('should report unreadable JSON and empty input', () => {
+      expect(importDataset('{ nope', { filename: 'x.json' }).errors[0]).toMatch(/^The JSON could not be read/);
+      expect(importDataset('   ').errors).toEqual(['The data is empty.']);
+    });
+
+    it('should report shapes it cannot detect', () => {
+      expect(importDataset('a,b\nx,y').errors[0]).toMatch(/Could not detect the data shape/);
+    });
+  });
+
+  describe('validateDataset', () => {
+    it('should accept the shipped sample data', () => {
+      ['salesData', 'categoryData', 'marketShare', 'scatterData'].forEach(shape => {
+        expect(validateDataset(shape, sampleData[shape])).toEqual([]);
+      });
+    });
+
+    it('should explain length mismatches', () => {
+      expect(validateDataset('salesData', {
+        labels: ['Jan', 'Feb'],
+        datasets: [{ name: 'A', values: [1] }]
+      })).toEqual(['A has 1 values but there are 2 labels.']);
+    });
+
+    it('should reject negative slices and bad points', () => {
+      expect(validateDataset('marketShare', { data: [{ name: 'A', value: -1 }] })).toEqual([
+        'A: "-1" must be a number of zero or more.',
+        'At least one slice must be larger than zero.'
+      ]);
+      expect(validateDataset('scatterData', { data: [[1, 2], ['a', 3]] })).toEqual([
+        'Point 2 must be [x, y] or [x, y, z] numbers.'
+      ]);
+    });
+
+    it('should reject labels that are not text or numbers', () => {
+      expect(validateDataset('categoryData', { labels: ['A', 2, { html: '<b>' }, null], values: [1, 2, 3, 4] }))
+        .toEqual(['Label 3 must be text or a number.', 'Label 4 must be text or a number.']);
+    });
+  });
+
+  describe('data table', () => {
+    it('should show imported labels and names as text, not markup', () => {
+      const { datasets } = importDataset('Month,<img src=x onerror=alert(1)>\n<script>x()</script>,5\n', { filename: 'evil.csv' });
+      const container = document.createElement('div');
+      container.innerHTML = dataToTable(datasets.categoryData);
+
+      expect(container.querySelector('img, script')).toBeNull();
+      expect(container.querySelector('tbody td').textContent).toBe('<script>x()</script>');
+      expect(dataToTable({ data: [{ name: 'a & "b"', value: 1 }] })).toContain('<td>a &amp; &quot;b&quot;</td>');
+    });
+  });
+});
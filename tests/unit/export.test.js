@@ -0,0 +1,223 @@
+/**
+ * Export - Unit Tests
+ * Tests series extraction, CSV/JSON output, SVG rendering and 3D snapshots
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  optionToTable,
+  tableToCSV,
+  tableToRecords,
+  exportChart,
+  renderChartSVG,
+  exportFileName,
+  EXPORT_FORMATS
+} from '../../js/export/index.js';
+import { importDataset } from '../../js/import/index.js';
+import { ThreeVisualization } from '../../js/three/ThreeVisualization.js';
+
+const lineOption = {
+  title: { text: 'Monthly Sales' },
+  xAxis: { type: 'category', data: ['Jan', 'Feb', 'Mar'] },
+  yAxis: { type: 'value' },
+  series: [
+    { name: 'Product A', type: 'line', data: [820, 932, 901] },
+    { name: 'Product B', type: 'line', data: [620, { value: 732 }, 701] }
+  ]
+};
+
+function fakeChart(option) {
+  return {
+    getOption: () => option,
+    getWidth: () => 400,
+    getHeight: () => 300,
+    getDataURL: vi.fn(() => `data:image/png;base64,${btoa('PNG')}`)
+  };
+}
+
+describe('Export', () => {
+  describe('optionToTable', () => {
+    it('should make one column per series on a category axis', () => {
+      expect(optionToTable(lineOption)).toEqual({
+        title: 'Monthly Sales',
+        columns: ['Category', 'Product A', 'Product B'],
+        rows: [['Jan', 820, 620], ['Feb', 932, 732], ['Mar', 901, 701]]
+      });
+    });
+
+    it('should list pie slices by name', () => {
+      const table = optionToTable({
+        series: [{ type: 'pie', data: [{ name: 'Chrome', value: 65 }, { name: 'Safari', value: 19 }] }]
+      });
+      expect(table.columns).toEqual(['Name', 'Value']);
+      expect(table.rows).toEqual([['Chrome', 65], ['Safari', 19]]);
+    });
+
+    it('should lay heatmap cells out as a matrix', () => {
+      const table = optionToTable({
+        xAxis: { data: ['9am', '10am'] },
+        yAxis: { name: 'Day', data: ['Mon', 'Tue'] },
+        series: [{ type: 'heatmap', data: [[0, 0, 1], [1, 0, 2], [0, 1, 3], [1, 1, 4]] }]
+      });
+      expect(table.columns).toEqual(['Day', '9am', '10am']);
+      expect(table.rows).toEqual([['Mon', 1, 2], ['Tue', 3, 4]]);
+    });
+
+    it('should write value-axis points as coordinates', () => {
+      const table = optionToTable({
+        xAxis: { type: 'value' },
+        series: [{ type: 'scatter', data: [[1, 2], [3, 4]] }]
+      });
+      expect(table.columns).toEqual(['X', 'Y']);
+      expect(table.rows).toEqual([[1, 2], [3, 4]]);
+    });
+
+    it('should tag points with their series when there are several', () => {
+      const table = optionToTable({
+        series: [
+          { name: 'A', type: 'scatter', data: [[1, 2]] },
+          { name: 'B', type: 'scatter', data: [[3, 4, 5]] }
+        ]
+      });
+      expect(table.columns).toEqual(['Series', 'X', 'Y', 'Z']);
+      expect(table.rows).toEqual([['A', 1, 2], ['B', 3, 4, 5]]);
+    });
+
+    it('should leave gaps for missing values', () => {
+      const table = optionToTable({
+        xAxis: { data: ['Jan', 'Feb'] },
+        series: [{ name: 'A', type: 'bar', data: ['-'] }]
+      });
+      expect(table.rows).toEqual([['Jan', null], ['Feb', null]]);
+    });
+
+    it('should return no rows for an empty chart', () => {
+      expect(optionToTable({ series: [] }).rows).toEqual([]);
+    });
+  });
+
+  describe('tableToCSV', () => {
+    it('should quote cells with commas, quotes and line breaks', () => {
+      const csv = tableToCSV({
+        columns: ['Name', 'Value'],
+        rows: [['Books, used', 1], ['The "best"', 2], ['Two\nlines', null]]
+      });
+      expect(csv).toBe('Name,Value\r\n"Books, used",1\r\n"The ""best""",2\r\n"Two\nlines",');
+    });
+
+    it('should read back through the dataset importer', () => {
+      const result = importDataset(tableToCSV(optionToTable(lineOption)), { filename: 'sales.csv' });
+      expect(result.ok).toBe(true);
+      expect(result.datasets.salesData.datasets[1]).toEqual({ name: 'Product B', values: [620, 732, 701] });
+    });
+  });
+
+  describe('tableToRecords', () => {
+    it('should key each row by column name', () => {
+      expect(tableToRecords(optionToTable(lineOption))[0]).toEqual({
+        Category: 'Jan',
+        'Product A': 820,
+        'Product B': 620
+      });
+    });
+
+    it('should read back through the dataset importer', () => {
+      const json = JSON.stringify(tableToRecords(optionToTable(lineOption)));
+      const result = importDataset(json, { filename: 'sales.json' });
+      expect(result.ok).toBe(true);
+      expect(result.datasets.salesData.labels).toEqual(['Jan', 'Feb', 'Mar']);
+    });
+  });
+
+  describe('exportFileName', () => {
+    it('should slugify the title', () => {
+      expect(exportFileName('Monthly Sales 2025', 'png')).toBe('monthly-sales-2025.png');
+      expect(exportFileName('Myynti – äänet', 'csv')).toBe('myynti-aanet.csv');
+    });
+
+    it('should fall back to a generic name', () => {
+      expect(exportFileName('', 'svg')).toBe('chart.svg');
+    });
+  });
+
+  describe('exportChart', () => {
+    it('should export PNG at the requested pixel ratio', async () => {
+      const chart = fakeChart(lineOption);
+      const file = exportChart(chart, EXPORT_FORMATS.PNG, { scale: 4, backgroundColor: '#ffffff' });
+
+      expect(chart.getDataURL).toHaveBeenCalledWith({ type: 'png', pixelRatio: 4, backgroundColor: '#ffffff' });
+      expect(file.filename).toBe('monthly-sales.png');
+      expect(file.blob.type).toBe('image/png');
+      expect(await file.blob.text()).toBe('PNG');
+    });
+
+    it('should export CSV and JSON data', async () => {
+      const csv = exportChart(fakeChart(lineOption), EXPORT_FORMATS.CSV);
+      expect(csv.filename).toBe('monthly-sales.csv');
+      expect((await csv.blob.text()).split('\r\n')[0]).toBe('Category,Product A,Product B');
+
+      const json = exportChart(fakeChart(lineOption), EXPORT_FORMATS.JSON);
+      expect(JSON.parse(await json.blob.text())).toHaveLength(3);
+    });
+
+    it('should refuse to export data from an empty chart', () => {
+      expect(() => exportChart(fakeChart({ series: [] }), EXPORT_FORMATS.CSV))
+        .toThrow('no data to export');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => exportChart(fakeChart(lineOption), 'gif')).toThrow('Unknown export format');
+    });
+  });
+
+  describe('renderChartSVG', () => {
+    it('should render the chart with the SVG renderer', () => {
+      const svg = renderChartSVG(fakeChart(lineOption), { backgroundColor: '#ffffff' });
+
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg).toContain('width="400"');
+      expect(svg).toContain('Monthly Sales');
+    });
+  });
+
+  describe('ThreeVisualization snapshot', () => {
+    function fakeVisualization() {
+      let pixelRatio = 1;
+      const canvas = { toBlob: vi.fn(callback => callback(new Blob(['image'], { type: 'image/png' }))) };
+      return {
+        width: 800,
+        height: 600,
+        scene: {},
+        camera: {},
+        renderer: {
+          domElement: canvas,
+          capabilities: { maxTextureSize: 2400 },
+          getPixelRatio: () => pixelRatio,
+          setPixelRatio: vi.fn(value => { pixelRatio = value; }),
+          render: vi.fn()
+        }
+      };
+    }
+
+    it('should render at the requested scale and restore the pixel ratio', async () => {
+      const viz = fakeVisualization();
+      const blob = await ThreeVisualization.prototype.snapshot.call(viz, { scale: 2 });
+
+      expect(blob.type).toBe('image/png');
+      expect(viz.renderer.setPixelRatio.mock.calls).toEqual([[2], [1]]);
+      expect(viz.renderer.render).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not exceed the maximum texture size', async () => {
+      const viz = fakeVisualization();
+      await ThreeVisualization.prototype.snapshot.call(viz, { scale: 4 });
+      expect(viz.renderer.setPixelRatio.mock.calls[0][0]).toBe(3);
+    });
+
+    it('should reject when the image cannot be encoded', async () => {
+      const viz = fakeVisualization();
+      viz.renderer.domElement.toBlob = callback => callback(null);
+      await expect(ThreeVisualization.prototype.snapshot.call(viz)).rejects.toThrow('could not be encoded');
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Force Layout - Unit Tests
+ * Tests the seeded force simulation, its worker protocol and the
+ * network graph's use of it, with the WebGL renderer replaced by a stand-in
+ */
+
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+import { ForceSimulation, createRng, runSimulation, createLayoutHost } from '../../js/three/forceSimulation.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const { NetworkGraph3D, ForceLayout } = await import('../../js/three/index.js');
+
+// Two triangles joined by one edge
+const NODES = [
+  { id: 'a', group: 'left' }, { id: 'b', group: 'left' }, { id: 'c', group: 'left' },
+  { id: 'd', group: 'right' }, { id: 'e', group: 'right' }, { id: 'f', group: 'right' }
+];
+const EDGES = [
+  { source: 'a', target: 'b' }, { source: 'b', target: 'c' }, { source: 'c', target: 'a' },
+  { source: 'd', target: 'e' }, { source: 'e', target: 'f' }, { source: 'f', target: 'd' },
+  { source: 'c', target: 'd' }
+];
+
+function distance(positions, a, b) {
+  return Math.hypot(
+    positions[a * 3] - positions[b * 3],
+    positions[a * 3 + 1] - positions[b * 3 + 1],
+    positions[a * 3 + 2] - positions[b * 3 + 2]
+  );
+}
+
+function settle(simulation) {
+  while (!simulation.settled) simulation.tick();
+  return simulation;
+}
+
+describe('Force Layout', () => {
+  describe('createRng', () => {
+    it('should repeat a sequence for the same seed', () => {
+      const a = createRng(42);
+      const b = createRng(42);
+      const sequence = [a(), a(), a()];
+      expect([b(), b(), b()]).toEqual(sequence);
+      expect(createRng(43)()).not.toBe(sequence[0]);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('ForceSimulation', () => {
+    it('should give the same layout for the same seed', () => {
+      const first = settle(new ForceSimulation(NODES, EDGES, { seed: 7 }));
+      const second = settle(new ForceSimulation(NODES, EDGES, { seed: 7 }));
+      const other = settle(new ForceSimulation(NODES, EDGES, { seed: 8 }));
+
+      expect(second.positions).toEqual(first.positions);
+      expect(other.positions).not.toEqual(first.positions);
+    });
+
+    it('should keep linked nodes closer than unlinked ones', () => {
+      const { positions } = settle(new ForceSimulation(NODES, EDGES));
+      // a-b are linked; a-e are in different triangles
+      expect(distance(positions, 0, 1)).toBeLessThan(distance(positions, 0, 4));
+      expect(distance(positions, 0, 1)).toBeGreaterThan(0.5);
+    });
+
+    it('should gather groups and centre the graph', () => {
+      const { positions } = settle(new ForceSimulation(NODES, [], { seed: 3 }));
+      const mean = [0, 1, 2].map(axis => NODES.reduce((sum, _, i) => sum + positions[i * 3 + axis], 0) / NODES.length);
+      mean.forEach(value => expect(Math.abs(value)).toBeLessThan(1));
+      expect(distance(positions, 0, 1)).toBeLessThan(distance(positions, 0, 3));
+    });
+
+    it('should start from given positions', () => {
+      const simulation = new ForceSimulation(
+        [{ id: 1, x: 1, y: 2, z: 3 }, { id: 2 }],
+        [],
+        { positions: [null, [4, 5, 6]] }
+      );
+      expect([...simulation.positions]).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    it('should move heavier nodes less', () => {
+      const simulation = new ForceSimulation(
+        [{ id: 1, weight: 10, x: -5, y: 0, z: 0 }, { id: 2, x: 5, y: 0, z: 0 }],
+        [],
+        { centering: 0 }
+      );
+      simulation.tick();
+      expect(Math.abs(simulation.positions[0] + 5)).toBeLessThan(Math.abs(simulation.positions[3] - 5));
+    });
+
+    it('should hold pinned nodes and reheat', () => {
+      const simulation = settle(new ForceSimulation(NODES, EDGES));
+      const pin = [-6, 6, 6];
+      const neighbour = () => Math.hypot(...pin.map((value, axis) => simulation.positions[3 + axis] - value));
+      const before = neighbour();
+      simulation.pin(0, pin);
+      simulation.reheat();
+      expect(simulation.settled).toBe(false);
+
+      settle(simulation);
+      expect([...simulation.positions.slice(0, 3)]).toEqual(pin);
+      // Its neighbours follow it
+      expect(neighbour()).toBeLessThan(before - 1);
+
+      simulation.unpin(0);
+      simulation.reheat();
+      simulation.tick();
+      expect([...simulation.positions.slice(0, 3)]).not.toEqual(pin);
+    });
+
+    it('should skip edges to unknown nodes and self-loops', () => {
+      const simulation = new ForceSimulation(NODES, [
+        { source: 'a', target: 'zz' },
+        { source: 'a', target: 'a' },
+        { source: 'a', target: 'b', weight: 2 }
+      ]);
+      expect(simulation.links).toEqual([[0, 1, 2]]);
+    });
+  });
+
+  describe('runSimulation', () => {
+    afterEach(() => vi.useRealTimers());
+
+    it('should post positions until the layout settles', () => {
+      vi.useFakeTimers();
+      const onTick = vi.fn();
+      const onEnd = vi.fn();
+      runSimulation(new ForceSimulation(NODES, EDGES), { onTick, onEnd }).wake();
+
+      vi.advanceTimersByTime(60000);
+      expect(onTick.mock.calls.length).toBeGreaterThan(10);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop when asked', () => {
+      vi.useFakeTimers();
+      const onTick = vi.fn();
+      const runner = runSimulation(new ForceSimulation(NODES, EDGES), { onTick });
+      runner.wake();
+      vi.advanceTimersByTime(50);
+      runner.stop();
+      const calls = onTick.mock.calls.length;
+
+      vi.advanceTimersByTime(1000);
+      expect(onTick).toHaveBeenCalledTimes(calls);
+    });
+  });
+
+  describe('createLayoutHost', () => {
+    afterEach(() => vi.useRealTimers());
+
+    it('should answer start and drag messages with copied positions', () => {
+      vi.useFakeTimers();
+      const post = vi.fn();
+      const handleMessage = createLayoutHost(post);
+
+      handleMessage({ type: 'start', nodes: NODES, edges: EDGES, options: { seed: 1 } });
+      vi.advanceTimersByTime(60000);
+      expect(post).toHaveBeenLastCalledWith({ type: 'end' });
+
+      handleMessage({ type: 'drag', index: 2, position: [1, 1, 1] });
+      vi.advanceTimersByTime(16);
+      const [{ positions }] = post.mock.calls.find(([message]) => message.type === 'tick' && message.positions[6] === 1);
+      expect([...positions.slice(6, 9)]).toEqual([1, 1, 1]);
+    });
+
+    it('should reject unknown messages', () => {
+      expect(() => createLayoutHost(() => {})({ type: 'explode' })).toThrow('Unknown layout message "explode".');
+    });
+  });
+
+  describe('ForceLayout', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    });
+
+    it('should run on the main thread without workers', () => {
+      vi.useFakeTimers();
+      const layout = new ForceLayout({ useWorker: false });
+      const onTick = vi.fn();
+      layout.on('tick', onTick);
+
+      layout.start(NODES, EDGES);
+      vi.advanceTimersByTime(20);
+      expect(onTick.mock.calls[0][0]).toHaveLength(NODES.length * 3);
+      layout.dispose();
+    });
+
+    it('should send plain graph data to the worker and fall back when it fails', () => {
+      vi.useFakeTimers();
+      const workers = [];
+      vi.stubGlobal('Worker', class {
+        constructor(url, options) {
+          this.url = String(url);
+          this.options = options;
+          this.listeners = {};
+          this.postMessage = vi.fn();
+          this.terminate = vi.fn();
+          workers.push(this);
+        }
+        addEventListener(type, listener) { this.listeners[type] = listener; }
+        removeEventListener() {}
+      });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const layout = new ForceLayout();
+      const onTick = vi.fn();
+      layout.on('tick', onTick);
+      layout.start([{ id: 1, label: 'Ada', mesh: {}, weight: 2 }], []);
+
+      const [worker] = workers;
+      expect(worker.url).toContain('forceLayout.worker.js');
+      expect(worker.options).toEqual({ type: 'module' });
+      expect(worker.postMessage.mock.calls[0][0].nodes).toEqual([
+        { id: 1, weight: 2, group: undefined, x: undefined, y: undefined, z: undefined }
+      ]);
+
+      worker.listeners.error({ message: 'blocked' });
+      vi.advanceTimersByTime(20);
+      expect(worker.terminate).toHaveBeenCalled();
+      expect(onTick).toHaveBeenCalled();
+      layout.dispose();
+    });
+  });
+
+  describe('NetworkGraph3D', () => {
+    let chart = null;
+
+    beforeAll(() => {
+      // Title sprites draw text on 2D canvases
+      stubCanvasContext();
+    });
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+      vi.useRealTimers();
+    });
+
+    function createChart(data) {
+      vi.useFakeTimers();
+      chart = new NetworkGraph3D(createContainer(), data);
+      chart.isAnimating = false;
+      return chart;
+    }
+
+    it('should generate the same sample network for the same seed', () => {
+      createChart({ title: 'Empty', nodes: [], edges: [] });
+      const sample = chart.generateSampleNetwork(5);
+      expect(chart.generateSampleNetwork(5)).toEqual(sample);
+      expect(sample.nodes.every(node => node.group && node.weight >= 1)).toBe(true);
+    });
+
+    it('should place nodes without coordinates by the force layout', () => {
+      createChart({ title: 'Teams', nodes: NODES, edges: EDGES, seed: 2 });
+      const onEnd = vi.fn();
+      chart.on('layoutend', onEnd);
+      vi.advanceTimersByTime(60000);
+
+      const expected = settle(new ForceSimulation(NODES, EDGES, { seed: 2 })).positions;
+      expect(onEnd).toHaveBeenCalled();
+      expect(chart.nodes[4].position.toArray()).toEqual([...expected.slice(12, 15)]);
+      // Edges follow the nodes
+      expect(chart.edges[0].geometry.attributes.position.getX(1)).toBe(chart.nodes[1].position.x);
+    });
+
+    it('should size by weight and color by group', () => {
+      createChart({
+        title: 'Teams',
+        nodes: [{ id: 1, group: 'x' }, { id: 2, group: 'x', weight: 4 }, { id: 3, group: 'y' }],
+        edges: []
+      });
+      const [one, two, three] = chart.nodes;
+      expect(two.userData.size).toBeGreaterThan(one.userData.size);
+      expect(two.material.color.getHex()).toBe(one.material.color.getHex());
+      expect(three.material.color.getHex()).not.toBe(one.material.color.getHex());
+    });
+
+    it('should drag a node and reheat the layout around it', () => {
+      createChart({ title: 'Teams', nodes: NODES, edges: EDGES });
+      vi.advanceTimersByTime(60000);
+      chart.nodes.forEach(node => { node.userData.grow = 1; node.scale.setScalar(1); });
+      chart.scene.updateMatrixWorld(true);
+      const drag = vi.spyOn(chart.layout, 'drag');
+      const release = vi.spyOn(chart.layout, 'release');
+
+      const target = chart.nodes[0];
+      const start = target.getWorldPosition(new THREE.Vector3()).project(chart.camera);
+      const clientX = ((start.x + 1) / 2) * 400;
+      const clientY = ((1 - start.y) / 2) * 300;
+      const canvas = chart.renderer.domElement;
+
+      canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX, clientY }));
+      expect(chart.dragging?.mesh).toBe(target);
+      expect(chart.controls.enabled).toBe(false);
+
+      canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: clientX + 40, clientY }));
+      expect(drag).toHaveBeenCalledWith(0, target.position.toArray());
+      expect(target.position.project(chart.camera.clone()).x).toBeCloseTo(start.x + 0.2, 1);
+
+      canvas.dispatchEvent(new MouseEvent('pointerup', {}));
+      expect(release).toHaveBeenCalledWith(0);
+      expect(chart.controls.enabled).toBe(true);
+    });
+  });
+});
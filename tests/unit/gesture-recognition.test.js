@@ -0,0 +1,163 @@
+/**
+ * Gesture Recognition - Unit Tests
+ * Tests classifiers, debouncing and action dispatch using recorded landmark fixtures
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  GESTURES,
+  GestureClassifier,
+  LandmarkGestureClassifier,
+  MediaPipeGestureClassifier,
+  GestureDebouncer,
+  GestureController
+} from '../../js/gesture/index.js';
+import fixtures from '../fixtures/hand-landmarks.json';
+
+describe('Gesture Recognition', () => {
+  describe('LandmarkGestureClassifier', () => {
+    const classifier = new LandmarkGestureClassifier();
+
+    it.each([
+      ['thumbs_up', GESTURES.THUMBS_UP],
+      ['thumbs_down', GESTURES.THUMBS_DOWN],
+      ['victory', GESTURES.VICTORY],
+      ['open_palm', GESTURES.OPEN_PALM]
+    ])('should classify recorded %s frames', (fixture, expected) => {
+      fixtures[fixture].forEach(landmarks => {
+        const result = classifier.classify({ landmarks });
+        expect(result.gesture).toBe(expected);
+        expect(result.confidence).toBeGreaterThan(0.8);
+      });
+    });
+
+    it.each(['fist', 'pointing'])('should not report a gesture for %s', (fixture) => {
+      fixtures[fixture].forEach(landmarks => {
+        expect(classifier.classify({ landmarks }).confidence).toBeLessThan(0.5);
+      });
+    });
+
+    it('should return none without landmarks', () => {
+      expect(classifier.classify(null)).toEqual({ gesture: GESTURES.NONE, confidence: 0 });
+      expect(classifier.classify({ landmarks: [] }).gesture).toBe(GESTURES.NONE);
+    });
+  });
+
+  describe('MediaPipeGestureClassifier', () => {
+    const classifier = new MediaPipeGestureClassifier();
+
+    it('should map recognizer categories to gestures', () => {
+      const result = classifier.classify({
+        categories: [{ categoryName: 'Victory', score: 0.92 }]
+      });
+      expect(result).toEqual({ gesture: GESTURES.VICTORY, confidence: 0.92 });
+    });
+
+    it('should pick the highest scoring known category', () => {
+      const result = classifier.classify({
+        categories: [
+          { categoryName: 'Pointing_Up', score: 0.95 },
+          { categoryName: 'Open_Palm', score: 0.6 },
+          { categoryName: 'Thumb_Up', score: 0.7 }
+        ]
+      });
+      expect(result).toEqual({ gesture: GESTURES.THUMBS_UP, confidence: 0.7 });
+    });
+
+    it('should be a GestureClassifier', () => {
+      expect(classifier).toBeInstanceOf(GestureClassifier);
+    });
+  });
+
+  describe('GestureDebouncer', () => {
+    let debouncer;
+
+    beforeEach(() => {
+      debouncer = new GestureDebouncer({ minConfidence: 0.7, holdTime: 300, cooldown: 1000 });
+    });
+
+    const up = (confidence = 0.9) => ({ gesture: GESTURES.THUMBS_UP, confidence });
+
+    it('should fire only after the gesture is held', () => {
+      expect(debouncer.push(up(), 0)).toBeNull();
+      expect(debouncer.push(up(), 200)).toBeNull();
+      expect(debouncer.push(up(), 300)).toBe(GESTURES.THUMBS_UP);
+    });
+
+    it('should fire once per hold', () => {
+      debouncer.push(up(), 0);
+      expect(debouncer.push(up(), 300)).toBe(GESTURES.THUMBS_UP);
+      expect(debouncer.push(up(), 2000)).toBeNull();
+    });
+
+    it('should ignore frames below the confidence threshold', () => {
+      debouncer.push(up(), 0);
+      debouncer.push(up(0.5), 200);
+      expect(debouncer.push(up(), 400)).toBeNull();
+      expect(debouncer.push(up(), 700)).toBe(GESTURES.THUMBS_UP);
+    });
+
+    it('should respect the cooldown between gestures', () => {
+      debouncer.push(up(), 0);
+      debouncer.push(up(), 300);
+      debouncer.push({ gesture: GESTURES.VICTORY, confidence: 0.9 }, 400);
+      expect(debouncer.push({ gesture: GESTURES.VICTORY, confidence: 0.9 }, 800)).toBeNull();
+      expect(debouncer.push({ gesture: GESTURES.VICTORY, confidence: 0.9 }, 1300)).toBe(GESTURES.VICTORY);
+    });
+  });
+
+  describe('GestureController', () => {
+    it('should dispatch actions from a recorded frame sequence', () => {
+      const actions = {
+        [GESTURES.THUMBS_UP]: vi.fn(),
+        [GESTURES.OPEN_PALM]: vi.fn()
+      };
+      const controller = new GestureController({
+        debounce: { holdTime: 100, cooldown: 500 },
+        actions
+      });
+
+      let time = 0;
+      const play = (frames) => frames.forEach(landmarks => {
+        controller.processFrame({ landmarks }, time);
+        time += 60;
+      });
+
+      play(fixtures.thumbs_up);
+      controller.processFrame(null, time);
+      time += 600;
+      play(fixtures.open_palm);
+
+      expect(actions[GESTURES.THUMBS_UP]).toHaveBeenCalledTimes(1);
+      expect(actions[GESTURES.OPEN_PALM]).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit frame and gesture events', () => {
+      const controller = new GestureController({ debounce: { holdTime: 0 } });
+      const onFrame = vi.fn();
+      const onGesture = vi.fn();
+      controller.on('frame', onFrame);
+      controller.on('gesture', onGesture);
+
+      controller.processFrame({ landmarks: fixtures.victory[0] }, 0);
+
+      expect(onFrame).toHaveBeenCalledWith(
+        expect.objectContaining({ gesture: GESTURES.VICTORY }),
+        expect.any(Object)
+      );
+      expect(onGesture).toHaveBeenCalledWith(GESTURES.VICTORY, expect.any(Number));
+    });
+
+    it('should stop the tracker loop on dispose', async () => {
+      const tracker = { init: vi.fn().mockResolvedValue(), detect: vi.fn(() => null), close: vi.fn() };
+      const controller = new GestureController({ tracker });
+
+      await controller.start({ readyState: 4, currentTime: 0 });
+      expect(controller.running).toBe(true);
+
+      controller.dispose();
+      expect(controller.running).toBe(false);
+      expect(tracker.close).toHaveBeenCalled();
+    });
+  });
+});
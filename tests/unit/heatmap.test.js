@@ -0,0 +1,76 @@
+/**
+ * Heatmap - Unit Tests
+ * Tests matrix support in the data table, chart summary and voice grammar
+ */
+
+import { describe, it, expect } from 'vitest';
+import { dataToTable } from '../../js/utils.js';
+import { summarizeMatrix, describeEChartsOption } from '../../js/a11y/index.js';
+import { CommandParser } from '../../js/voice/index.js';
+import sampleData from '../../data/sample-data.json';
+import enGrammar from '../../locales/en/voice-commands.json';
+import fiGrammar from '../../locales/fi/voice-commands.json';
+
+const { heatmapData } = sampleData;
+
+describe('Heatmap', () => {
+  describe('dataToTable', () => {
+    const container = document.createElement('div');
+    container.innerHTML = dataToTable(heatmapData);
+    const rows = [...container.querySelectorAll('tbody tr')];
+
+    it('should use x labels as columns', () => {
+      const headers = [...container.querySelectorAll('thead th')].map(th => th.textContent);
+      expect(headers).toEqual(['', ...heatmapData.xLabels]);
+    });
+
+    it('should render one row per y label', () => {
+      expect(rows.map(row => row.cells[0].textContent)).toEqual(heatmapData.yLabels);
+    });
+
+    it('should place each cell by its x and y index', () => {
+      // [4, 2, 98]: Friday evening
+      expect(rows[2].cells[5].textContent).toBe('98');
+      // [6, 0, 38]: Sunday morning
+      expect(rows[0].cells[7].textContent).toBe('38');
+    });
+
+    it('should leave missing cells empty', () => {
+      const sparse = dataToTable({ xLabels: ['A', 'B'], yLabels: ['R'], data: [[1, 0, 5]] });
+      expect(sparse).toContain('<td>R</td><td></td><td>5</td>');
+    });
+  });
+
+  describe('summary', () => {
+    it('should name the highest and lowest cells', () => {
+      const summary = summarizeMatrix(heatmapData.title, heatmapData.xLabels, heatmapData.yLabels, heatmapData.data);
+      expect(summary).toContain('Weekly Activity Heatmap. 7 by 4 grid.');
+      expect(summary).toContain('Highest is 98 on Fri Evening; lowest is 28 on Tue Night.');
+      expect(summary).toContain('On average, Fri is the highest column and Evening the highest row.');
+    });
+
+    it('should describe heatmap options', () => {
+      const summary = describeEChartsOption({
+        title: { text: 'Grid' },
+        xAxis: { data: ['A', 'B'] },
+        yAxis: { data: ['X', 'Y'] },
+        series: [{ type: 'heatmap', data: [[0, 0, 1], [1, 0, 2], [0, 1, 3], [1, 1, 9]] }]
+      });
+      expect(summary).toContain('Highest is 9 on B Y');
+    });
+  });
+
+  describe('voice commands', () => {
+    it.each([
+      [enGrammar, 'show heat map'],
+      [enGrammar, 'switch to heatmap'],
+      [fiGrammar, 'näytä lämpökartta'],
+      [fiGrammar, 'vaihda lämpökarttaan']
+    ])('should switch to the heatmap (%#)', (grammar, transcript) => {
+      expect(new CommandParser(grammar).parse(transcript)).toMatchObject({
+        intent: 'setChartType',
+        params: { chartType: 'heatmap' }
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Input Router - Unit Tests
+ * Tests source registration, arbitration (priority, cooldown) and state sync
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { InputRouter, INTENTS, INPUT_SOURCES } from '../../js/input/index.js';
+import { EventEmitter, StateManager } from '../../js/utils.js';
+
+describe('Input Router', () => {
+  let router;
+  let eventBus;
+  let appState;
+  let now;
+  let intents;
+
+  beforeEach(() => {
+    now = 0;
+    eventBus = new EventEmitter();
+    appState = new StateManager({
+      voiceEnabled: true,
+      gestureEnabled: true,
+      sensorEnabled: true,
+      keyboardEnabled: true,
+      pointerEnabled: true,
+      lastInputSource: null
+    });
+    router = new InputRouter({ eventBus, appState, conflictWindow: 800, clock: () => now });
+    Object.values(INPUT_SOURCES).forEach(id => router.register(id));
+
+    intents = [];
+    eventBus.on('intent', (input) => intents.push(input));
+  });
+
+  describe('Intent Emission', () => {
+    it('should emit normalized intents on the event bus', () => {
+      router.submit(INPUT_SOURCES.VOICE, INTENTS.SET_CHART_TYPE, { chartType: 'bar' });
+
+      expect(intents).toHaveLength(1);
+      expect(intents[0]).toMatchObject({
+        intent: INTENTS.SET_CHART_TYPE,
+        params: { chartType: 'bar' },
+        source: 'voice',
+        label: 'Voice'
+      });
+    });
+
+    it('should record the last input source in app state', () => {
+      router.submit(INPUT_SOURCES.KEYBOARD, INTENTS.NEXT);
+      expect(appState.getState().lastInputSource).toBe('keyboard');
+    });
+
+    it('should accept intents from a source registered with its own config', () => {
+      router.register('remote', { label: 'Remote', priority: 1, cooldown: 0 });
+      appState.setState({ remoteEnabled: true });
+
+      expect(router.submit('remote', INTENTS.RESET)).toEqual({ accepted: true });
+      expect(intents[0].source).toBe('remote');
+    });
+  });
+
+  describe('Arbitration', () => {
+    it('should reject intents from disabled sources', () => {
+      appState.setState({ gestureEnabled: false });
+      const rejected = vi.fn();
+      eventBus.on('input:rejected', rejected);
+
+      expect(router.submit(INPUT_SOURCES.GESTURE, INTENTS.NEXT)).toEqual({ accepted: false, reason: 'disabled' });
+      expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ reason: 'disabled' }));
+      expect(intents).toHaveLength(0);
+    });
+
+    it('should enforce per-source cooldowns', () => {
+      router.submit(INPUT_SOURCES.GESTURE, INTENTS.NEXT);
+      now = 500;
+      expect(router.submit(INPUT_SOURCES.GESTURE, INTENTS.NEXT).reason).toBe('cooldown');
+      now = 1000;
+      expect(router.submit(INPUT_SOURCES.GESTURE, INTENTS.NEXT).accepted).toBe(true);
+    });
+
+    it('should let higher priority inputs preempt lower ones', () => {
+      router.submit(INPUT_SOURCES.POINTER, INTENTS.RESET);
+      now = 300;
+      expect(router.submit(INPUT_SOURCES.SENSOR, INTENTS.NEXT).reason).toBe('preempted');
+      now = 900;
+      expect(router.submit(INPUT_SOURCES.SENSOR, INTENTS.NEXT).accepted).toBe(true);
+    });
+
+    it('should not block higher priority inputs after lower ones', () => {
+      router.submit(INPUT_SOURCES.SENSOR, INTENTS.NEXT);
+      now = 100;
+      expect(router.submit(INPUT_SOURCES.VOICE, INTENTS.PREVIOUS).accepted).toBe(true);
+    });
+
+    it('should reject unregistered sources', () => {
+      expect(router.submit('telepathy', INTENTS.NEXT).reason).toBe('unregistered');
+    });
+  });
+
+  describe('Source Toggling', () => {
+    it('should run enable hooks and reflect the result in app state', async () => {
+      const onEnable = vi.fn(() => true);
+      router.register(INPUT_SOURCES.VOICE, { onEnable });
+      appState.setState({ voiceEnabled: false });
+
+      expect(await router.setEnabled(INPUT_SOURCES.VOICE, true)).toBe(true);
+      expect(onEnable).toHaveBeenCalled();
+      expect(appState.getState().voiceEnabled).toBe(true);
+    });
+
+    it('should stay disabled when the enable hook fails', async () => {
+      router.register(INPUT_SOURCES.GESTURE, { onEnable: () => false });
+      router.register(INPUT_SOURCES.SENSOR, { onEnable: () => { throw new Error('denied'); } });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await router.setEnabled(INPUT_SOURCES.GESTURE, true)).toBe(false);
+      expect(await router.setEnabled(INPUT_SOURCES.SENSOR, true)).toBe(false);
+      expect(appState.getState().sensorEnabled).toBe(false);
+    });
+
+    it('should toggle every source at once', async () => {
+      await router.setAllEnabled(false);
+      expect(router.getSources().every(source => !source.enabled)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,425 @@
+/**
+ * Particle Simulation - Unit Tests
+ * Tests the JavaScript simulation step, the WebGPU compute path
+ * against a stand-in device that records what it is asked to do,
+ * and the worker simulation with shared and copied buffers
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import {
+  SIMULATION_MODES,
+  SIMULATION_PARAMS,
+  PARTICLE_SHADER,
+  stepParticles,
+  GPUParticleSimulation,
+  CPUParticleSimulation,
+  createParticleArray,
+  createParticleHost
+} from '../../demos/particle-simulation.js';
+
+// Resolves mapAsync when the test says so, like a GPU finishing its work
+class FakeBuffer {
+  constructor({ size, usage }) {
+    this.size = size;
+    this.usage = usage;
+    this.data = new ArrayBuffer(size);
+    this.destroyed = false;
+    this.pending = null;
+  }
+  mapAsync() {
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+  getMappedRange() { return this.data; }
+  unmap() {}
+  destroy() {
+    this.destroyed = true;
+    this.pending?.reject(new Error('destroyed'));
+  }
+}
+
+function createDevice() {
+  const device = {
+    buffers: [],
+    dispatched: [],
+    copies: [],
+    writes: [],
+    createShaderModule: vi.fn(descriptor => descriptor),
+    createComputePipeline: vi.fn(() => ({ getBindGroupLayout: () => ({}) })),
+    createBindGroup: vi.fn(descriptor => descriptor),
+    createBuffer(descriptor) {
+      const buffer = new FakeBuffer(descriptor);
+      device.buffers.push(buffer);
+      return buffer;
+    },
+    createCommandEncoder() {
+      return {
+        beginComputePass: () => ({
+          setPipeline() {},
+          setBindGroup() {},
+          dispatchWorkgroups: count => device.dispatched.push(count),
+          end() {}
+        }),
+        copyBufferToBuffer: (source, sourceOffset, target) => device.copies.push({ source, target }),
+        finish: () => ({})
+      };
+    },
+    queue: {
+      writeBuffer: (buffer, offset, data) => device.writes.push({ buffer, data }),
+      submit: vi.fn(),
+      onSubmittedWorkDone: () => Promise.resolve()
+    }
+  };
+  return device;
+}
+
+// Lets pending promise callbacks run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Particle Simulation', () => {
+  describe('stepParticles', () => {
+    it('should pull particles down and move them by their velocity', () => {
+      const positions = new Float32Array([0, 0, 0]);
+      const velocities = new Float32Array([0.1, 0, 0]);
+      stepParticles(positions, velocities, { mode: 'particles', speed: 2 });
+
+      expect(velocities[1]).toBeCloseTo(SIMULATION_PARAMS.gravity * 2);
+      expect(positions[0]).toBeCloseTo(0.2);
+      expect(positions[1]).toBeCloseTo(SIMULATION_PARAMS.gravity * 4);
+    });
+
+    it('should bounce off the walls, losing some speed', () => {
+      const positions = new Float32Array([14.95, 0, -14.95]);
+      const velocities = new Float32Array([0.1, 0, -0.1]);
+      stepParticles(positions, velocities, { mode: 'fluid', speed: 1 });
+
+      expect(positions[0]).toBe(15);
+      expect(positions[2]).toBe(-15);
+      expect(Math.sign(velocities[0])).toBe(-1);
+      expect(Math.sign(velocities[2])).toBe(1);
+    });
+
+    it('should keep boids between their slowest and fastest speed', () => {
+      const positions = new Float32Array([1, 0, 0, 5, 5, 5]);
+      const velocities = new Float32Array([0, 0, 0.001, 3, 0, 0]);
+      stepParticles(positions, velocities, { mode: 'boids' });
+
+      const speed = i => Math.hypot(velocities[i], velocities[i + 1], velocities[i + 2]);
+      expect(speed(0)).toBeCloseTo(0.05);
+      expect(speed(3)).toBeCloseTo(0.2);
+    });
+
+    it('should carry fluid particles along the flow', () => {
+      // At the origin and time zero the flow is (0, 0, 0), so the particle slows
+      const positions = new Float32Array([0, 0, 0]);
+      const velocities = new Float32Array([0.1, 0, 0]);
+      stepParticles(positions, velocities, { mode: 'fluid' });
+      expect(velocities[0]).toBeCloseTo(0.095);
+    });
+
+    it.each(SIMULATION_MODES)('should keep %s inside the bounds', (mode) => {
+      const count = 200;
+      const positions = Float32Array.from({ length: count * 3 }, () => (Math.random() - 0.5) * 30);
+      const velocities = Float32Array.from({ length: count * 3 }, () => (Math.random() - 0.5));
+      for (let step = 0; step < 100; step++) {
+        stepParticles(positions, velocities, { mode, speed: 3, time: step * 0.05 });
+      }
+      expect(positions.every(value => Math.abs(value) <= SIMULATION_PARAMS.bounds)).toBe(true);
+    });
+  });
+
+  describe('PARTICLE_SHADER', () => {
+    it('should declare the storage buffers and a case per mode', () => {
+      expect(PARTICLE_SHADER).toContain('var<storage, read_write> positions: array<f32>');
+      expect(PARTICLE_SHADER).toContain('var<storage, read_write> velocities: array<f32>');
+      expect(PARTICLE_SHADER).toContain('@compute @workgroup_size(64)');
+      SIMULATION_MODES.slice(1).forEach((mode, index) => {
+        expect(PARTICLE_SHADER).toContain(`case ${index + 1}u`);
+      });
+    });
+  });
+
+  describe('GPUParticleSimulation', () => {
+    let device;
+    let simulation;
+
+    beforeAll(() => {
+      globalThis.GPUBufferUsage = { MAP_READ: 1, COPY_SRC: 4, COPY_DST: 8, UNIFORM: 64, STORAGE: 128 };
+      globalThis.GPUMapMode = { READ: 1 };
+    });
+
+    function create(count = 100) {
+      device = createDevice();
+      simulation = new GPUParticleSimulation(device);
+      const positions = new Float32Array(count * 3);
+      simulation.setParticles(positions, new Float32Array(count * 3).fill(0.5));
+      return positions;
+    }
+
+    afterEach(() => {
+      simulation?.destroy();
+      simulation = null;
+    });
+
+    it('should compile the shader into a compute pipeline', () => {
+      create();
+      expect(device.createShaderModule).toHaveBeenCalledWith({ code: PARTICLE_SHADER });
+      expect(device.createComputePipeline.mock.calls[0][0].compute.entryPoint).toBe('main');
+    });
+
+    it('should upload positions and velocities to storage buffers', () => {
+      const positions = create();
+      const [positionWrite, velocityWrite] = device.writes;
+      expect(positionWrite.data).toBe(positions);
+      expect(positionWrite.buffer.usage & GPUBufferUsage.STORAGE).toBeTruthy();
+      expect(velocityWrite.data[0]).toBe(0.5);
+    });
+
+    it('should dispatch a workgroup per 64 particles', () => {
+      create(1000);
+      simulation.step();
+      expect(device.dispatched).toEqual([16]);
+    });
+
+    it('should pass the mode and speed to the shader', () => {
+      create();
+      simulation.step({ mode: 'fluid', speed: 2.5, time: 3 });
+      const params = new DataView(device.writes.at(-1).data);
+      expect(params.getUint32(0, true)).toBe(100);
+      expect(params.getUint32(4, true)).toBe(2);
+      expect(params.getFloat32(8, true)).toBe(2.5);
+      expect(params.getFloat32(12, true)).toBe(3);
+    });
+
+    it('should copy positions back into the drawn array', async () => {
+      const positions = create(2);
+      const onReadback = vi.fn();
+      simulation.onReadback = onReadback;
+      simulation.step();
+
+      const { target } = device.copies[0];
+      new Float32Array(target.data).set([1, 2, 3, 4, 5, 6]);
+      target.pending.resolve();
+      await flush();
+
+      expect(Array.from(positions)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(onReadback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip the copy while both readback buffers are being read', () => {
+      create();
+      simulation.step();
+      simulation.step();
+      simulation.step();
+      expect(device.copies).toHaveLength(2);
+      expect(device.dispatched).toHaveLength(3);
+    });
+
+    it('should not write late results into replaced particles', async () => {
+      const old = create(2);
+      simulation.step();
+      const { target } = device.copies[0];
+      simulation.setParticles(new Float32Array(6), new Float32Array(6));
+
+      expect(target.destroyed).toBe(true);
+      await flush();
+      expect(Array.from(old)).toEqual([0, 0, 0, 0, 0, 0]);
+    });
+
+    it('should time each step until the GPU finishes it', async () => {
+      create();
+      vi.spyOn(performance, 'now').mockReturnValueOnce(100).mockReturnValueOnce(103.5);
+      simulation.step();
+      await flush();
+      expect(simulation.stepTime).toBe(3.5);
+      vi.restoreAllMocks();
+    });
+
+    it('should free its buffers on destroy', () => {
+      create();
+      simulation.destroy();
+      expect(device.buffers.every(buffer => buffer.destroyed)).toBe(true);
+      simulation = null;
+    });
+  });
+
+  describe('createParticleArray', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should share memory only when the page is cross-origin isolated', () => {
+      vi.stubGlobal('crossOriginIsolated', true);
+      expect(createParticleArray(6).buffer).toBeInstanceOf(SharedArrayBuffer);
+
+      vi.stubGlobal('crossOriginIsolated', false);
+      const array = createParticleArray(6);
+      expect(array.buffer).toBeInstanceOf(ArrayBuffer);
+      expect(array).toHaveLength(6);
+    });
+  });
+
+  describe('createParticleHost', () => {
+    function start(positions) {
+      const post = vi.fn();
+      const handleMessage = createParticleHost(post);
+      handleMessage({ type: 'start', positions, velocities: new Float32Array([0.1, 0, 0]) });
+      handleMessage({ type: 'step', options: { speed: 1 }, generation: 3 });
+      return post.mock.calls[0][0];
+    }
+
+    it('should post a copy of ordinary positions after each step', () => {
+      const positions = new Float32Array(3);
+      const result = start(positions);
+      expect(result.type).toBe('stepped');
+      expect(result.generation).toBe(3);
+      expect(result.positions).not.toBe(positions);
+      expect(result.positions[0]).toBeCloseTo(0.1);
+      expect(result.stepTime).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should step shared positions in place without posting them', () => {
+      const positions = new Float32Array(new SharedArrayBuffer(12));
+      const result = start(positions);
+      expect(result.positions).toBeNull();
+      expect(positions[0]).toBeCloseTo(0.1);
+    });
+
+    it('should reject messages it does not know', () => {
+      const handleMessage = createParticleHost(vi.fn());
+      expect(() => handleMessage({ type: 'pause' })).toThrow('Unknown simulation message "pause".');
+    });
+  });
+
+  describe('CPUParticleSimulation', () => {
+    // Hands messages to a host on a later tick, like a worker would
+    class FakeWorker extends EventTarget {
+      constructor(url, options) {
+        super();
+        this.url = url;
+        this.options = options;
+        this.messages = [];
+        this.terminated = false;
+        this.host = createParticleHost(data => {
+          setTimeout(() => this.dispatchEvent(Object.assign(new Event('message'), { data })), 0);
+        });
+        FakeWorker.instances.push(this);
+      }
+      postMessage(message) {
+        this.messages.push(message);
+        this.host(structuredClone(message));
+      }
+      terminate() { this.terminated = true; }
+    }
+    FakeWorker.instances = [];
+
+    let simulation = null;
+
+    beforeAll(() => {
+      vi.stubGlobal('Worker', FakeWorker);
+    });
+
+    afterAll(() => {
+      vi.unstubAllGlobals();
+    });
+
+    afterEach(() => {
+      simulation?.destroy();
+      simulation = null;
+      FakeWorker.instances = [];
+    });
+
+    it('should step on the main thread without a worker', () => {
+      simulation = new CPUParticleSimulation({ useWorker: false });
+      const positions = new Float32Array(3);
+      const onReadback = vi.fn();
+      simulation.onReadback = onReadback;
+      simulation.setParticles(positions, new Float32Array([0.1, 0, 0]));
+      simulation.step({ speed: 1 });
+
+      expect(positions[0]).toBeCloseTo(0.1);
+      expect(onReadback).toHaveBeenCalledTimes(1);
+      expect(simulation.label).toBe('CPU (main thread)');
+    });
+
+    it('should keep its own velocities', () => {
+      simulation = new CPUParticleSimulation({ useWorker: false });
+      const velocities = new Float32Array([0.1, 0, 0]);
+      simulation.setParticles(new Float32Array(3), velocities);
+      simulation.step({ speed: 1 });
+      expect(velocities[1]).toBe(0);
+    });
+
+    it('should start a module worker and copy its results into the drawn array', async () => {
+      simulation = new CPUParticleSimulation();
+      const positions = new Float32Array(3);
+      simulation.setParticles(positions, new Float32Array([0.1, 0, 0]));
+      simulation.step({ speed: 1 });
+
+      const [worker] = FakeWorker.instances;
+      expect(String(worker.url)).toContain('particle-simulation.worker.js');
+      expect(worker.options).toEqual({ type: 'module' });
+      expect(positions[0]).toBe(0);
+      await flush();
+      expect(positions[0]).toBeCloseTo(0.1);
+      expect(simulation.label).toBe('CPU worker (copied buffers)');
+    });
+
+    it('should hand shared positions to the worker rather than a copy', () => {
+      simulation = new CPUParticleSimulation();
+      const positions = new Float32Array(new SharedArrayBuffer(12));
+      simulation.setParticles(positions, new Float32Array(3));
+      expect(FakeWorker.instances[0].messages[0].positions).toBe(positions);
+      expect(simulation.label).toBe('CPU worker (shared memory)');
+    });
+
+    it('should keep one step in flight at a time', async () => {
+      simulation = new CPUParticleSimulation();
+      simulation.setParticles(new Float32Array(3), new Float32Array(3));
+      simulation.step();
+      simulation.step();
+      const steps = () => FakeWorker.instances[0].messages.filter(message => message.type === 'step');
+      expect(steps()).toHaveLength(1);
+
+      await flush();
+      simulation.step();
+      expect(steps()).toHaveLength(2);
+    });
+
+    it('should not write late results into replaced particles', async () => {
+      simulation = new CPUParticleSimulation();
+      const old = new Float32Array(3);
+      simulation.setParticles(old, new Float32Array([0.1, 0, 0]));
+      simulation.step({ speed: 1 });
+      simulation.setParticles(new Float32Array(3), new Float32Array(3));
+
+      await flush();
+      expect(old[0]).toBe(0);
+    });
+
+    it('should fall back to the main thread when the worker fails', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      simulation = new CPUParticleSimulation();
+      const positions = new Float32Array(3);
+      simulation.setParticles(positions, new Float32Array([0.1, 0, 0]));
+
+      const [worker] = FakeWorker.instances;
+      worker.dispatchEvent(Object.assign(new Event('error'), { message: 'blocked' }));
+      expect(worker.terminated).toBe(true);
+
+      simulation.step({ speed: 1 });
+      expect(positions[0]).toBeCloseTo(0.1);
+      expect(simulation.label).toBe('CPU (main thread)');
+      vi.restoreAllMocks();
+    });
+
+    it('should terminate the worker on destroy', () => {
+      simulation = new CPUParticleSimulation();
+      simulation.setParticles(new Float32Array(3), new Float32Array(3));
+      simulation.destroy();
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+      simulation = null;
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Sensor Fusion - Unit Tests
+ * Tests the filters, motion gesture detection and sensor teardown
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  LowPassFilter,
+  ComplementaryFilter,
+  MotionGestureDetector,
+  MOTION_GESTURES,
+  DeviceMotionSource
+} from '../../js/sensors/index.js';
+
+const G = 9.81;
+
+// Acceleration including gravity for a device rolled by `degrees` (right edge down is positive)
+function tilted(degrees) {
+  const radians = degrees * Math.PI / 180;
+  return { x: -G * Math.sin(radians), y: 0, z: G * Math.cos(radians) };
+}
+
+function createDetector(options = {}) {
+  const detector = new MotionGestureDetector({ calibrationSamples: 5, ...options });
+  const gestures = [];
+  detector.on('gesture', ({ gesture }) => gestures.push(gesture));
+
+  let time = 0;
+  const feed = (acceleration, count = 1) => {
+    for (let i = 0; i < count; i++) {
+      time += 16;
+      detector.update({ acceleration, timestamp: time });
+    }
+  };
+  return { detector, gestures, feed };
+}
+
+describe('Sensor Fusion', () => {
+  describe('LowPassFilter', () => {
+    it('should start at the first sample and move towards new ones', () => {
+      const filter = new LowPassFilter({ alpha: 0.5 });
+      expect(filter.update({ x: 0, y: 0, z: 0 })).toEqual({ x: 0, y: 0, z: 0 });
+      expect(filter.update({ x: 10, y: -10, z: 4 })).toEqual({ x: 5, y: -5, z: 2 });
+    });
+
+    it('should damp a single spike', () => {
+      const filter = new LowPassFilter({ alpha: 0.1 });
+      filter.update({ x: 0, y: 0, z: G });
+      expect(filter.update({ x: 30, y: 0, z: G }).x).toBeCloseTo(3);
+    });
+  });
+
+  describe('ComplementaryFilter', () => {
+    it('should use the accelerometer angle without a gyro', () => {
+      const filter = new ComplementaryFilter();
+      filter.update(0, null, 0.016);
+      expect(filter.update(20, null, 0.016)).toBe(20);
+    });
+
+    it('should follow the gyro short-term and drift towards the accelerometer', () => {
+      const filter = new ComplementaryFilter({ gyroWeight: 0.9 });
+      filter.update(0, 0, 0);
+      // 100 deg/s for 0.1 s, accelerometer still says 0
+      expect(filter.update(0, 100, 0.1)).toBeCloseTo(9);
+      expect(filter.update(0, 0, 0.1)).toBeCloseTo(8.1);
+    });
+  });
+
+  describe('MotionGestureDetector', () => {
+    it('should calibrate before detecting anything', () => {
+      const { detector, gestures, feed } = createDetector();
+      const calibrated = vi.fn();
+      detector.on('calibrated', calibrated);
+
+      feed(tilted(40), 4);
+      expect(detector.calibrated).toBe(false);
+      expect(gestures).toEqual([]);
+
+      feed(tilted(40));
+      expect(calibrated).toHaveBeenCalledOnce();
+    });
+
+    it('should detect tilts relative to the calibrated pose', () => {
+      const { gestures, feed } = createDetector();
+      // Resting pose is already tilted; small changes from it are ignored
+      feed(tilted(15), 5);
+      feed(tilted(30), 30);
+      expect(gestures).toEqual([]);
+
+      feed(tilted(50), 30);
+      expect(gestures).toEqual([MOTION_GESTURES.TILT_RIGHT]);
+    });
+
+    it('should fire once per tilt until the device returns near rest', () => {
+      const { gestures, feed } = createDetector();
+      feed(tilted(0), 5);
+
+      feed(tilted(-40), 30);
+      feed(tilted(-15), 30); // still beyond the exit threshold
+      feed(tilted(-40), 30);
+      expect(gestures).toEqual([MOTION_GESTURES.TILT_LEFT]);
+
+      feed(tilted(0), 30);
+      feed(tilted(-40), 30);
+      expect(gestures).toEqual([MOTION_GESTURES.TILT_LEFT, MOTION_GESTURES.TILT_LEFT]);
+    });
+
+    it('should detect a shake from repeated acceleration peaks', () => {
+      const { gestures, feed } = createDetector();
+      feed(tilted(0), 5);
+
+      for (let i = 0; i < 3; i++) {
+        feed({ x: 25, y: 0, z: G });
+        feed({ x: -25, y: 0, z: G });
+        feed(tilted(0), 2);
+      }
+      expect(gestures).toContain(MOTION_GESTURES.SHAKE);
+      expect(gestures).not.toContain(MOTION_GESTURES.TILT_LEFT);
+      expect(gestures).not.toContain(MOTION_GESTURES.TILT_RIGHT);
+    });
+
+    it('should not treat a single bump as a shake', () => {
+      const { gestures, feed } = createDetector();
+      feed(tilted(0), 5);
+      feed({ x: 25, y: 0, z: G });
+      feed(tilted(0), 10);
+      expect(gestures).toEqual([]);
+    });
+
+    it('should detect a flip once until the device is turned back', () => {
+      const { gestures, feed } = createDetector();
+      feed(tilted(0), 5);
+
+      feed({ x: 0, y: 0, z: -G }, 40);
+      expect(gestures).toEqual([MOTION_GESTURES.FLIP]);
+
+      feed({ x: 0, y: 0, z: G }, 40);
+      feed({ x: 0, y: 0, z: -G }, 40);
+      expect(gestures.filter(g => g === MOTION_GESTURES.FLIP)).toHaveLength(2);
+    });
+
+    it('should recalibrate on demand', () => {
+      const { detector, feed } = createDetector();
+      feed(tilted(0), 5);
+      detector.calibrate();
+      expect(detector.calibrated).toBe(false);
+    });
+  });
+
+  describe('DeviceMotionSource', () => {
+    let target;
+
+    beforeEach(() => {
+      target = new EventTarget();
+      vi.spyOn(target, 'addEventListener');
+      vi.spyOn(target, 'removeEventListener');
+    });
+
+    it('should forward devicemotion events and remove its listeners on stop', async () => {
+      target.DeviceMotionEvent = class {};
+      target.DeviceOrientationEvent = class {};
+      const source = new DeviceMotionSource({ target });
+      const motion = vi.fn();
+      source.on('motion', motion);
+
+      expect(await source.start()).toBe(true);
+      const event = new Event('devicemotion');
+      event.accelerationIncludingGravity = { x: 1, y: 2, z: 3 };
+      event.rotationRate = null;
+      target.dispatchEvent(event);
+      expect(motion).toHaveBeenCalledWith(expect.objectContaining({
+        acceleration: { x: 1, y: 2, z: 3 },
+        rotationRate: null
+      }));
+
+      source.stop();
+      target.dispatchEvent(event);
+      expect(motion).toHaveBeenCalledOnce();
+      expect(target.removeEventListener).toHaveBeenCalledWith('devicemotion', expect.any(Function));
+      expect(target.removeEventListener).toHaveBeenCalledWith('deviceorientation', expect.any(Function));
+    });
+
+    it('should not stack listeners when started twice', async () => {
+      target.DeviceOrientationEvent = class {};
+      const source = new DeviceMotionSource({ target });
+      await source.start();
+      await source.start();
+      source.stop();
+      await source.start();
+      expect(target.addEventListener).toHaveBeenCalledTimes(2);
+      expect(target.removeEventListener).toHaveBeenCalledWith('deviceorientation', expect.any(Function));
+    });
+
+    it('should stop Accelerometer instances', async () => {
+      const instances = [];
+      target.Accelerometer = class extends EventTarget {
+        constructor() { super(); this.start = vi.fn(); this.stop = vi.fn(); instances.push(this); }
+      };
+      const source = new DeviceMotionSource({ target });
+      const motion = vi.fn();
+      source.on('motion', motion);
+
+      await source.start();
+      Object.assign(instances[0], { x: 0, y: 0, z: G, timestamp: 5 });
+      instances[0].dispatchEvent(new Event('reading'));
+      expect(motion).toHaveBeenCalledOnce();
+
+      source.stop();
+      expect(instances[0].stop).toHaveBeenCalled();
+      instances[0].dispatchEvent(new Event('reading'));
+      expect(motion).toHaveBeenCalledOnce();
+    });
+
+    it('should respect a denied iOS permission', async () => {
+      target.DeviceMotionEvent = { requestPermission: vi.fn(async () => 'denied') };
+      const source = new DeviceMotionSource({ target });
+      expect(await source.start()).toBe(false);
+      expect(target.addEventListener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Sensor Stream - Unit Tests
+ * Tests the ring buffer, down-sampling, signal generator and live chart
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  RingBuffer,
+  downsampleLTTB,
+  SyntheticMotionSource,
+  SensorStreamChart
+} from '../../js/sensors/index.js';
+
+const template = { title: 'Real-time Sensor Data', maxPoints: 50, axes: ['X', 'Y', 'Z'] };
+
+describe('Sensor Stream', () => {
+  describe('RingBuffer', () => {
+    it('should return items oldest first', () => {
+      const buffer = new RingBuffer(3);
+      buffer.push(1);
+      buffer.push(2);
+      expect(buffer.toArray()).toEqual([1, 2]);
+      expect(buffer.at(0)).toBe(1);
+    });
+
+    it('should overwrite the oldest items when full', () => {
+      const buffer = new RingBuffer(3);
+      [1, 2, 3, 4, 5].forEach(item => buffer.push(item));
+      expect(buffer.length).toBe(3);
+      expect(buffer.toArray()).toEqual([3, 4, 5]);
+      expect(buffer.at(3)).toBeUndefined();
+    });
+
+    it('should clear', () => {
+      const buffer = new RingBuffer(2);
+      buffer.push(1);
+      buffer.clear();
+      expect(buffer.toArray()).toEqual([]);
+    });
+  });
+
+  describe('downsampleLTTB', () => {
+    const points = Array.from({ length: 600 }, (_, i) => [i, i === 300 ? 50 : Math.sin(i / 20)]);
+
+    it('should keep at most the threshold and both end points', () => {
+      const sampled = downsampleLTTB(points, 50);
+      expect(sampled).toHaveLength(50);
+      expect(sampled[0]).toBe(points[0]);
+      expect(sampled[49]).toBe(points[599]);
+    });
+
+    it('should keep short peaks', () => {
+      expect(downsampleLTTB(points, 50)).toContainEqual([300, 50]);
+    });
+
+    it('should leave short series untouched', () => {
+      expect(downsampleLTTB(points.slice(0, 10), 50)).toHaveLength(10);
+    });
+  });
+
+  describe('SyntheticMotionSource', () => {
+    it('should be deterministic for a seeded random source', () => {
+      const a = new SyntheticMotionSource({ random: () => 0.5 }).sample(1234);
+      const b = new SyntheticMotionSource({ random: () => 0.5 }).sample(1234);
+      expect(a).toEqual(b);
+    });
+
+    it('should produce roughly 1 g at rest between shakes', () => {
+      const source = new SyntheticMotionSource({ noise: 0 });
+      const { x, y, z } = source.sample(3000).acceleration;
+      expect(Math.hypot(x, y, z)).toBeCloseTo(9.81, 1);
+    });
+
+    it('should add shake bursts', () => {
+      const calm = new SyntheticMotionSource({ noise: 0, shakeEvery: 0 });
+      const shaky = new SyntheticMotionSource({ noise: 0, shakeEvery: 6 });
+      // 6.04 s is inside the burst that starts every 6 s
+      expect(Math.abs(shaky.sample(6040).acceleration.x - calm.sample(6040).acceleration.x)).toBeGreaterThan(5);
+    });
+
+    it('should emit motion and orientation events while running', async () => {
+      vi.useFakeTimers();
+      const source = new SyntheticMotionSource({ frequency: 50 });
+      const motion = vi.fn();
+      const orientation = vi.fn();
+      source.on('motion', motion);
+      source.on('orientation', orientation);
+
+      await source.start();
+      vi.advanceTimersByTime(100);
+      source.stop();
+      vi.advanceTimersByTime(100);
+      vi.useRealTimers();
+
+      expect(motion).toHaveBeenCalledTimes(5);
+      expect(orientation).toHaveBeenCalledTimes(5);
+      expect(motion.mock.calls[0][0]).toHaveProperty('acceleration.z');
+    });
+  });
+
+  describe('SensorStreamChart', () => {
+    let chart;
+    let now;
+    let frames;
+
+    beforeEach(() => {
+      chart = { setOption: vi.fn() };
+      now = 0;
+      frames = [];
+      vi.stubGlobal('requestAnimationFrame', callback => frames.push(callback));
+      vi.stubGlobal('cancelAnimationFrame', vi.fn());
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const createStream = (options = {}) =>
+      new SensorStreamChart(chart, { template, clock: () => now, ...options });
+    const lastSeries = () => chart.setOption.mock.calls.at(-1)[0].series;
+    const runFrames = () => frames.splice(0).forEach(callback => callback());
+
+    it('should set up series from the realtime template', () => {
+      createStream();
+      const option = chart.setOption.mock.calls[0][0];
+      expect(option.title.text).toBe('Real-time Sensor Data');
+      expect(option.series.map(s => s.name)).toEqual(['Accel X', 'Accel Y', 'Accel Z', 'Beta', 'Gamma']);
+      expect(option.animation).toBe(false);
+    });
+
+    it('should draw once per frame however many samples arrive', () => {
+      const stream = createStream();
+      for (let i = 0; i < 5; i++) {
+        now += 16;
+        stream.pushMotion({ acceleration: { x: i, y: 0, z: 9.8 } });
+      }
+      expect(frames).toHaveLength(1);
+
+      runFrames();
+      expect(chart.setOption).toHaveBeenCalledTimes(2);
+      expect(lastSeries()[0].data).toHaveLength(5);
+    });
+
+    it('should keep only the rolling window, relative to now', () => {
+      const stream = createStream({ windowSize: 1000 });
+      stream.pushMotion({ acceleration: { x: 1, y: 0, z: 0 }, timestamp: 0 });
+      stream.pushMotion({ acceleration: { x: 2, y: 0, z: 0 }, timestamp: 1500 });
+      now = 2000;
+      runFrames();
+      expect(lastSeries()[0].data).toEqual([[-0.5, 2]]);
+    });
+
+    it('should down-sample 60 Hz input to the template point budget', () => {
+      const stream = createStream({ windowSize: 10000 });
+      for (let i = 0; i < 600; i++) {
+        now = i * 16.7;
+        stream.pushMotion({ acceleration: { x: Math.sin(i), y: 0, z: 9.8 } });
+        stream.pushOrientation({ beta: i % 90, gamma: 0 });
+      }
+      runFrames();
+      lastSeries().forEach(series => expect(series.data.length).toBeLessThanOrEqual(50));
+    });
+
+    it('should freeze while paused and catch up on resume', () => {
+      const stream = createStream();
+      stream.pause();
+      stream.pushMotion({ acceleration: { x: 1, y: 0, z: 0 } });
+      runFrames();
+      expect(chart.setOption).toHaveBeenCalledTimes(1);
+
+      stream.resume();
+      runFrames();
+      expect(lastSeries()[0].data).toHaveLength(1);
+    });
+
+    it('should cancel a pending frame on dispose', () => {
+      const stream = createStream();
+      stream.pushMotion({ acceleration: { x: 1, y: 0, z: 0 } });
+      stream.dispose();
+      expect(cancelAnimationFrame).toHaveBeenCalled();
+    });
+  });
+});
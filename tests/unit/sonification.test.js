@@ -0,0 +1,335 @@
+/**
+ * Sonification - Unit Tests
+ * Tests turning chart data into playable series, pitch and panning, and the
+ * sonifier's playback and stepping with the Web Audio API replaced by a recorder
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  Sonifier,
+  valueToFrequency,
+  seriesPan,
+  sonifyCategories,
+  sonifyPoints,
+  sonifyEChartsOption
+} from '../../js/sonification/index.js';
+import { BarChart3D, ScatterPlot3D } from '../../js/three/index.js';
+
+// Records the frequency and pan of every tone instead of playing it
+function createFakeContext() {
+  const context = {
+    tones: [],
+    state: 'running',
+    currentTime: 0,
+    destination: {},
+    resume: vi.fn(),
+    close: vi.fn(),
+    createOscillator() {
+      const tone = { frequency: null, pan: null };
+      context.tones.push(tone);
+      return {
+        frequency: { setValueAtTime: (value) => { tone.frequency = value; } },
+        connect() {},
+        start() {},
+        stop() {}
+      };
+    },
+    createGain: () => ({ gain: { setValueAtTime() {}, linearRampToValueAtTime() {} }, connect() {} }),
+    createStereoPanner() {
+      const tone = context.tones.at(-1);
+      return { pan: { setValueAtTime: (value) => { tone.pan = value; } }, connect() {} };
+    }
+  };
+  return context;
+}
+
+const sales = {
+  title: 'Sales',
+  series: [
+    { name: 'A', points: [{ label: 'Jan', value: 10 }, { label: 'Feb', value: 20 }, { label: 'Mar', value: 40 }] },
+    { name: 'B', points: [{ label: 'Jan', value: 5 }, { label: 'Feb', value: null }, { label: 'Mar', value: 15 }] }
+  ]
+};
+
+describe('Sonification', () => {
+  describe('sonifyCategories', () => {
+    it('should make one series of labelled values', () => {
+      expect(sonifyCategories('Regions', ['N', 2], [10, '-'])).toEqual({
+        title: 'Regions',
+        series: [{ name: 'Regions', points: [{ label: 'N', value: 10 }, { label: '2', value: null }] }]
+      });
+    });
+  });
+
+  describe('sonifyPoints', () => {
+    it('should play points along x with y as the value', () => {
+      const data = sonifyPoints('Cloud', [[3, 30, 0], [1, 10, 0], [2.345, 20, 0]], { x: 'Price', y: 'Demand' });
+      expect(data.series[0].name).toBe('Demand');
+      expect(data.series[0].points).toEqual([
+        { label: 'Price 1', value: 10 },
+        { label: 'Price 2.35', value: 20 },
+        { label: 'Price 3', value: 30 }
+      ]);
+    });
+
+    it('should thin long clouds and keep both ends', () => {
+      const points = Array.from({ length: 1000 }, (_, i) => [i, Math.sin(i / 50)]);
+      const { series } = sonifyPoints('Wave', points, {}, 50);
+      expect(series[0].points).toHaveLength(50);
+      expect(series[0].points[0].label).toBe('x 0');
+      expect(series[0].points.at(-1).label).toBe('x 999');
+    });
+  });
+
+  describe('sonifyEChartsOption', () => {
+    it('should make a series per line with category labels', () => {
+      const data = sonifyEChartsOption({
+        title: [{ text: 'Sales' }],
+        xAxis: [{ data: ['Jan', 'Feb'] }],
+        series: [{ type: 'line', name: 'A', data: [1, '-'] }, { type: 'line', data: [{ value: 3 }, 4] }]
+      });
+      expect(data.title).toBe('Sales');
+      expect(data.series).toEqual([
+        { name: 'A', points: [{ label: 'Jan', value: 1 }, { label: 'Feb', value: null }] },
+        { name: 'Series 2', points: [{ label: 'Jan', value: 3 }, { label: 'Feb', value: 4 }] }
+      ]);
+    });
+
+    it('should number points on a value axis', () => {
+      const data = sonifyEChartsOption({ xAxis: { type: 'value' }, series: { type: 'bar', name: 'A', data: [5, 6] } });
+      expect(data.series[0].points.map(point => point.label)).toEqual(['point 1', 'point 2']);
+    });
+
+    it('should play each heatmap row along the columns', () => {
+      const data = sonifyEChartsOption({
+        xAxis: { data: ['Mon', 'Tue'] },
+        yAxis: { data: ['AM', 'PM'] },
+        series: [{ type: 'heatmap', data: [[0, 0, 1], [1, 0, 2], [0, 1, 3], { value: [1, 1, 4] }] }]
+      });
+      expect(data.series.map(series => series.name)).toEqual(['AM', 'PM']);
+      expect(data.series[1].points).toEqual([{ label: 'Mon', value: 3 }, { label: 'Tue', value: 4 }]);
+    });
+
+    it('should play pie slices in order', () => {
+      const data = sonifyEChartsOption({ series: [{ type: 'pie', name: 'Share', data: [{ name: 'A', value: 60 }, { name: 'B', value: 40 }] }] });
+      expect(data.series).toEqual([{ name: 'Share', points: [{ label: 'A', value: 60 }, { label: 'B', value: 40 }] }]);
+    });
+
+    it('should play scatter points along x', () => {
+      const data = sonifyEChartsOption({ series: [{ type: 'scatter', data: [[2, 20], { value: [1, 10] }] }] });
+      expect(data.series[0].points.map(point => point.value)).toEqual([10, 20]);
+    });
+
+    it('should be null without data', () => {
+      expect(sonifyEChartsOption({ series: [{ type: 'line', data: [] }] })).toBeNull();
+      expect(sonifyEChartsOption(null)).toBeNull();
+    });
+  });
+
+  describe('valueToFrequency', () => {
+    it('should map the domain onto the pitch range exponentially', () => {
+      expect(valueToFrequency(0, [0, 100])).toBe(220);
+      expect(valueToFrequency(100, [0, 100])).toBe(880);
+      // Halfway in value is an octave up, not halfway in hertz
+      expect(valueToFrequency(50, [0, 100])).toBeCloseTo(440);
+    });
+
+    it('should clamp values outside the domain', () => {
+      expect(valueToFrequency(-10, [0, 100], [100, 200])).toBe(100);
+      expect(valueToFrequency(500, [0, 100], [100, 200])).toBe(200);
+    });
+
+    it('should center a flat domain', () => {
+      expect(valueToFrequency(7, [7, 7])).toBeCloseTo(440);
+    });
+  });
+
+  describe('seriesPan', () => {
+    it('should center a lone series', () => {
+      expect(seriesPan(0, 1)).toBe(0);
+    });
+
+    it('should spread series from left to right', () => {
+      expect([0, 1, 2].map(index => seriesPan(index, 3))).toEqual([-0.8, 0, 0.8]);
+      expect(seriesPan(1, 2, 1)).toBe(1);
+    });
+  });
+
+  describe('Sonifier', () => {
+    let context;
+    let sonifier;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      context = createFakeContext();
+      sonifier = new Sonifier({ createContext: () => context, noteDuration: 0.1 });
+      sonifier.setData(sales);
+    });
+
+    afterEach(() => {
+      sonifier.dispose();
+      vi.useRealTimers();
+    });
+
+    it('should play the active series to the end, rising with the values', () => {
+      const positions = [];
+      const end = vi.fn();
+      sonifier.on('position', position => positions.push(position));
+      sonifier.on('end', end);
+
+      expect(sonifier.play()).toBe(true);
+      vi.advanceTimersByTime(1000);
+      expect(positions).toEqual([0, 1, 2]);
+      expect(end).toHaveBeenCalledOnce();
+      expect(sonifier.playing).toBe(false);
+
+      const frequencies = context.tones.map(tone => tone.frequency);
+      expect(frequencies).toHaveLength(3);
+      expect(frequencies[0]).toBeLessThan(frequencies[1]);
+      expect(frequencies[1]).toBeLessThan(frequencies[2]);
+      expect(frequencies[2]).toBe(880);
+    });
+
+    it('should start over when played at the end', () => {
+      sonifier.seek(2);
+      sonifier.play();
+      expect(sonifier.position).toBe(0);
+    });
+
+    it('should pause and carry on from where it stopped', () => {
+      sonifier.play();
+      vi.advanceTimersByTime(100);
+      sonifier.pause();
+      vi.advanceTimersByTime(1000);
+      expect(sonifier.position).toBe(1);
+      expect(context.tones).toHaveLength(2);
+
+      expect(sonifier.toggle()).toBe(true);
+      expect(context.tones).toHaveLength(3);
+    });
+
+    it('should step point by point, announcing label and value', () => {
+      const announce = vi.fn();
+      sonifier.on('announce', announce);
+
+      sonifier.step(1);
+      expect(announce).toHaveBeenLastCalledWith('Feb, 20');
+      sonifier.step(5);
+      expect(announce).toHaveBeenLastCalledWith('Mar, 40');
+      sonifier.step(-1);
+      expect(sonifier.position).toBe(1);
+      expect(context.tones).toHaveLength(3);
+    });
+
+    it('should stop playing to step', () => {
+      sonifier.play();
+      sonifier.step(1);
+      expect(sonifier.playing).toBe(false);
+      vi.advanceTimersByTime(1000);
+      expect(sonifier.position).toBe(1);
+    });
+
+    it('should scrub without announcing and keep playing from there', () => {
+      const announce = vi.fn();
+      sonifier.on('announce', announce);
+      sonifier.seek(1, { announce: false });
+      expect(announce).not.toHaveBeenCalled();
+
+      sonifier.play();
+      sonifier.seek(0);
+      vi.advanceTimersByTime(100);
+      expect(sonifier.position).toBe(1);
+      expect(sonifier.playing).toBe(true);
+    });
+
+    it('should switch series, wrapping round, and name the gap', () => {
+      const announce = vi.fn();
+      sonifier.on('announce', announce);
+      sonifier.seek(1, { announce: false });
+
+      sonifier.nextSeries();
+      expect(sonifier.series.name).toBe('B');
+      expect(announce).toHaveBeenLastCalledWith('B. Feb, no value');
+      // Gaps are silent
+      expect(context.tones).toHaveLength(1);
+
+      sonifier.nextSeries();
+      expect(sonifier.series.name).toBe('A');
+      sonifier.nextSeries(-1);
+      expect(sonifier.series.name).toBe('B');
+    });
+
+    it('should pan every series to its own side when playing them all', () => {
+      sonifier.allSeries = true;
+      sonifier.seek(2, { announce: false });
+      expect(context.tones.map(tone => tone.pan)).toEqual([-0.8, 0.8]);
+      expect(sonifier.describePoint(2)).toBe('Mar: A 40, B 15');
+      expect(sonifier.describePoint(1)).toBe('Feb: A 20, B no value');
+    });
+
+    it('should share one pitch scale across series', () => {
+      sonifier.nextSeries();
+      sonifier.seek(0);
+      expect(context.tones.at(-1).frequency).toBe(220);
+    });
+
+    it('should keep its place in new data where it can', () => {
+      sonifier.play();
+      sonifier.seek(2);
+      sonifier.nextSeries();
+      sonifier.setData(sonifyCategories('Short', ['x', 'y'], [1, 2]));
+      expect(sonifier.playing).toBe(false);
+      expect(sonifier.position).toBe(1);
+      expect(sonifier.series.name).toBe('Short');
+    });
+
+    it('should take series too long to spread into Math.max', () => {
+      const values = Array.from({ length: 200000 }, (_, i) => i % 1000);
+      sonifier.setData(sonifyCategories('Large', values.map(String), values));
+      expect(sonifier.domain).toEqual([0, 999]);
+      expect(sonifier.length).toBe(200000);
+    });
+
+    it('should have nothing to play without data', () => {
+      sonifier.setData(null);
+      expect(sonifier.length).toBe(0);
+      expect(sonifier.play()).toBe(false);
+      expect(sonifier.step(1)).toBeNull();
+      expect(sonifier.nextSeries()).toBeNull();
+    });
+
+    it('should still step and announce without Web Audio', () => {
+      const silent = new Sonifier({ createContext: () => null });
+      silent.setData(sales);
+      const announce = vi.fn();
+      silent.on('announce', announce);
+      expect(silent.step(1)).toEqual({ label: 'Feb', value: 20 });
+      expect(announce).toHaveBeenCalledWith('Feb, 20');
+    });
+
+    it('should resume a suspended context and close it when disposed', () => {
+      context.state = 'suspended';
+      sonifier.seek(0);
+      expect(context.resume).toHaveBeenCalled();
+      sonifier.dispose();
+      expect(context.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('3D visualizations', () => {
+    it('should play bar chart data', () => {
+      const data = BarChart3D.prototype.toSonification.call({
+        data: { title: 'Regions', labels: ['N', 'S'], values: [10, 30] }
+      });
+      expect(data).toEqual(sonifyCategories('Regions', ['N', 'S'], [10, 30]));
+    });
+
+    it('should play scatter data along x', () => {
+      const data = ScatterPlot3D.prototype.toSonification.call({
+        data: { data: [[2, 4, 1], [1, 3, 1]], axisTitles: { x: 'Age', y: 'Height' } }
+      });
+      expect(data.title).toBe('3D Scatter Plot');
+      expect(data.series[0]).toEqual({ name: 'Height', points: [{ label: 'Age 1', value: 3 }, { label: 'Age 2', value: 4 }] });
+    });
+  });
+});
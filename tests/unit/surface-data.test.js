@@ -0,0 +1,237 @@
+/**
+ * Surface Data - Unit Tests
+ * Tests expression compiling, color maps, surface sampling, contour tracing
+ * and data-driven SurfacePlot3D, with the WebGL renderer replaced by a stand-in
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const {
+  SurfacePlot3D, COLOR_MAPS, sampleColorMap, compileExpression, heatmapToGrid, sampleSurface
+} = await import('../../js/three/index.js');
+const { contourSegments } = await import('../../js/three/surfaceData.js');
+
+describe('Surface Data', () => {
+  describe('compileExpression', () => {
+    it('should follow operator precedence', () => {
+      expect(compileExpression('1 + 2 * 3')(0, 0)).toBe(7);
+      expect(compileExpression('(1 + 2) * 3')(0, 0)).toBe(9);
+      expect(compileExpression('2 ^ 3 ^ 2')(0, 0)).toBe(512);
+      expect(compileExpression('-x^2')(3, 0)).toBe(-9);
+    });
+
+    it('should pass variables in order', () => {
+      const fn = compileExpression('x - z');
+      expect(fn(5, 2)).toBe(3);
+    });
+
+    it('should multiply implicitly', () => {
+      expect(compileExpression('2x')(3, 0)).toBe(6);
+      expect(compileExpression('3(x + 1)')(1, 0)).toBe(6);
+      expect(compileExpression('x z')(2, 4)).toBe(8);
+    });
+
+    it('should support functions and constants', () => {
+      expect(compileExpression('sin(x) * cos(z)')(Math.PI / 2, 0)).toBeCloseTo(1);
+      expect(compileExpression('max(1, x, z)')(5, 7)).toBe(7);
+      expect(compileExpression('2pi')(0, 0)).toBeCloseTo(Math.PI * 2);
+      expect(compileExpression('SQRT(X)')(16, 0)).toBe(4);
+    });
+
+    it('should report where the input goes wrong', () => {
+      expect(() => compileExpression('x +')).toThrow('Unexpected end of expression at position 4.');
+      expect(() => compileExpression('x $ 2')).toThrow('Unexpected "$" at position 3.');
+      expect(() => compileExpression('(x')).toThrow('end of expression');
+      expect(() => compileExpression('')).toThrow('Enter an expression');
+    });
+
+    it('should reject unknown names and wrong argument counts', () => {
+      expect(() => compileExpression('y + 1')).toThrow('Unknown name "y"');
+      expect(() => compileExpression('alert(1)')).toThrow('Unknown function "alert"');
+      expect(() => compileExpression('sin(x, z)')).toThrow('sin() takes 1 argument, got 2.');
+    });
+
+    it('should not reach object internals', () => {
+      expect(() => compileExpression('constructor')).toThrow('Unknown name');
+      expect(() => compileExpression('__proto__')).toThrow('Unknown name');
+      expect(() => compileExpression('toString(x)')).toThrow('Unknown function');
+    });
+
+    it('should limit input length', () => {
+      expect(() => compileExpression('x+'.repeat(300) + 'x')).toThrow('limited to 500 characters');
+    });
+  });
+
+  describe('sampleColorMap', () => {
+    it('should list every map', () => {
+      expect(COLOR_MAPS).toEqual(['rainbow', 'viridis', 'plasma', 'coolwarm', 'grayscale']);
+    });
+
+    it('should sample the ends and clamp beyond them', () => {
+      expect(sampleColorMap('grayscale', 0).getHexString()).toBe('202020');
+      expect(sampleColorMap('grayscale', 1).getHexString()).toBe('f0f0f0');
+      expect(sampleColorMap('viridis', 2).getHexString()).toBe('fde725');
+      expect(sampleColorMap('viridis', -1).getHexString()).toBe('440154');
+    });
+
+    it('should throw for an unknown map', () => {
+      expect(() => sampleColorMap('sepia', 0.5)).toThrow('Unknown color map "sepia".');
+    });
+  });
+
+  describe('heatmapToGrid', () => {
+    it('should place cells by index and leave gaps as NaN', () => {
+      const { grid, xLabels, zLabels } = heatmapToGrid({
+        xLabels: ['a', 'b', 'c'],
+        yLabels: ['r1', 'r2'],
+        data: [[0, 0, 1], [2, 1, 5], [1, 0, 3]]
+      });
+      expect(grid).toEqual([[1, 3, NaN], [NaN, NaN, 5]]);
+      expect(xLabels).toEqual(['a', 'b', 'c']);
+      expect(zLabels).toEqual(['r1', 'r2']);
+    });
+  });
+
+  describe('sampleSurface', () => {
+    it('should compute the range and fill gaps with the minimum', () => {
+      const surface = sampleSurface({ grid: [[1, NaN], [4, -2]] });
+      expect(surface.columns).toBe(2);
+      expect(surface.rows).toBe(2);
+      expect(surface.range).toEqual([-2, 4]);
+      expect(Array.from(surface.values)).toEqual([1, -2, 4, -2]);
+    });
+
+    it('should sample expressions over the domain', () => {
+      const surface = sampleSurface({ expression: 'x + z', resolution: 3, domain: { x: [0, 2], z: [0, 10] } });
+      expect(Array.from(surface.values)).toEqual([0, 1, 2, 5, 6, 7, 10, 11, 12]);
+      expect(surface.range).toEqual([0, 12]);
+    });
+
+    it('should prefer a height function over the fallback', () => {
+      const fallback = vi.fn(() => 0);
+      const surface = sampleSurface({ heightFunction: (x) => x, resolution: 2 }, fallback);
+      expect(surface.range).toEqual([-5, 5]);
+      expect(fallback).not.toHaveBeenCalled();
+    });
+
+    it('should reject grids it cannot plot', () => {
+      expect(() => sampleSurface({ grid: [[1, 2]] })).toThrow('at least 2 rows and 2 columns');
+      expect(() => sampleSurface({ grid: [[1, 2], [3]] })).toThrow('same length');
+      expect(() => sampleSurface({ grid: [[NaN, NaN], [NaN, NaN]] })).toThrow('no finite values');
+      expect(() => sampleSurface({ expression: 'x', resolution: 1000 })).toThrow('resolution');
+    });
+  });
+
+  describe('contourSegments', () => {
+    it('should cross cell edges where the level lies', () => {
+      // Rises left to right, so the level 0.5 is a vertical line through the middle
+      const segments = contourSegments([0, 1, 0, 1], 2, 2, 0.5);
+      expect(segments).toEqual([[0.5, 0, 0.5, 1]]);
+    });
+
+    it('should trace nothing outside the range', () => {
+      expect(contourSegments([0, 1, 0, 1], 2, 2, 5)).toEqual([]);
+    });
+
+    it('should split saddle cells into two segments', () => {
+      const segments = contourSegments([1, 0, 0, 1], 2, 2, 0.4);
+      expect(segments).toHaveLength(2);
+    });
+  });
+
+  describe('SurfacePlot3D', () => {
+    let now = 0;
+    let chart = null;
+
+    function settle() {
+      now += 10000;
+      chart.tweens.update();
+    }
+
+    function create(data) {
+      chart = new SurfacePlot3D(createContainer(), data);
+      chart.isAnimating = false;
+      settle();
+      return chart;
+    }
+
+    beforeAll(() => {
+      stubCanvasContext();
+    });
+
+    beforeEach(() => {
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+      vi.restoreAllMocks();
+    });
+
+    it('should rebuild the mesh to the size of a grid', () => {
+      create();
+      expect(chart.mesh.geometry.attributes.position.count).toBe(50 * 50);
+
+      chart.setData({ grid: [[0, 1, 2], [3, 4, 5]] });
+      settle();
+      const positions = chart.mesh.geometry.attributes.position;
+      expect(positions.count).toBe(6);
+      expect(chart.wireframe.geometry).toBe(chart.mesh.geometry);
+      // Lowest and highest values span the plot height
+      expect(positions.getY(0)).toBeCloseTo(-2);
+      expect(positions.getY(5)).toBeCloseTo(2);
+    });
+
+    it('should draw contours once the surface settles', () => {
+      create({ expression: 'x + z', resolution: 10 });
+      expect(chart.contours).not.toBeNull();
+      expect(chart.contours.geometry.attributes.position.count).toBeGreaterThan(0);
+
+      chart.setData({ expression: 'x * z', resolution: 10 });
+      expect(chart.contours.visible).toBe(false);
+      settle();
+      expect(chart.contours.visible).toBe(true);
+    });
+
+    it('should leave contours out when turned off', () => {
+      create({ expression: 'x + z', contours: false });
+      expect(chart.contours).toBeNull();
+    });
+
+    it('should color by the chosen map', () => {
+      create({ grid: [[0, 1], [0, 1]], colorMap: 'grayscale' });
+      const colors = chart.mesh.geometry.attributes.color.array;
+      const high = sampleColorMap('grayscale', 1);
+      expect(colors[3]).toBeCloseTo(high.r);
+      expect(colors[4]).toBeCloseTo(high.g);
+      expect(colors[5]).toBeCloseTo(high.b);
+    });
+
+    it('should keep the current surface when the new data is invalid', () => {
+      create({ expression: 'x', resolution: 4 });
+      const surface = chart.surface;
+      expect(() => chart.setData({ expression: 'x +' })).toThrow('Unexpected end of expression');
+      expect(() => chart.setData({ expression: 'x', colorMap: 'sepia' })).toThrow('Unknown color map');
+      expect(chart.surface).toBe(surface);
+      expect(chart.data.expression).toBe('x');
+    });
+
+    it('should label categorical axes and the value axis', () => {
+      create({ ...heatmapToGrid({ xLabels: ['Mon', 'Tue'], yLabels: ['AM', 'PM'], data: [[0, 0, 0], [1, 1, 10]] }) });
+      const [xAxis, zAxis, valueAxis] = chart.axes.children;
+      expect(xAxis.userData.ticks.map(tick => tick.text)).toEqual(['Mon', 'Tue']);
+      expect(zAxis.userData.ticks.map(tick => tick.text)).toEqual(['AM', 'PM']);
+      expect(valueAxis.userData.ticks.map(tick => tick.value)).toEqual([0, 2, 4, 6, 8, 10]);
+      // The top tick sits at the top of the plot
+      expect(valueAxis.userData.ticks[5].position.y).toBeCloseTo(2);
+      expect(chart.describe()).toContain('3D Surface Plot');
+    });
+  });
+});
@@ -0,0 +1,432 @@
+/**
+ * Themes - Unit Tests
+ * Tests the theme tokens, series palettes and their contrast check, the registry
+ * that remembers the choices across pages, and the styling that keeps ECharts charts in the theme
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as echarts from 'echarts';
+import {
+  BUILT_IN_THEMES,
+  PALETTES,
+  PALETTE_NAMES,
+  ThemeManager,
+  createTheme,
+  preferredTheme,
+  resolvePalette,
+  paletteColors,
+  contrastRatio,
+  checkPaletteContrast,
+  echartsThemeOption,
+  withTheme,
+  bindChartTheme
+} from '../../js/theme/index.js';
+
+const OCEAN = {
+  name: 'ocean',
+  label: 'Ocean',
+  base: 'dark',
+  colors: { background: '#002b36', text: '#eee8d5' },
+  palette: ['#268bd2', '#2aa198']
+};
+
+function fakeStorage(items = {}) {
+  return {
+    items,
+    getItem: key => items[key] ?? null,
+    setItem: vi.fn((key, value) => { items[key] = value; })
+  };
+}
+
+function createManager(items, matches = () => false) {
+  return new ThemeManager({ storage: fakeStorage(items), matches });
+}
+
+const LINE = {
+  title: { text: 'Sales' },
+  tooltip: { trigger: 'axis' },
+  xAxis: { type: 'category', data: ['Jan', 'Feb'] },
+  yAxis: [{ type: 'value' }, { type: 'value' }],
+  series: [{ type: 'line', data: [1, 2] }]
+};
+
+describe('Themes', () => {
+  describe('createTheme', () => {
+    it('should fill missing tokens from its base', () => {
+      const theme = createTheme(OCEAN);
+      expect(theme.scheme).toBe('dark');
+      expect(theme.colors.background).toBe('#002b36');
+      expect(theme.colors.axis).toBe(BUILT_IN_THEMES.dark.colors.axis);
+      expect(theme.palette).toEqual(OCEAN.palette);
+    });
+
+    it('should be based on the light theme by default', () => {
+      const theme = createTheme({ name: 'paper' });
+      expect(theme).toMatchObject({ label: 'paper', base: 'light', scheme: 'light' });
+      expect(theme.palette).toEqual(BUILT_IN_THEMES.light.palette);
+    });
+
+    it.each([
+      [null, 'A theme must be an object of tokens.'],
+      [{ name: 'My Theme' }, 'Invalid theme name "My Theme"'],
+      [{ name: 'dark' }, 'Theme "dark" is built in.'],
+      [{ name: 'x', base: 'sepia' }, 'Theme "x" has an unknown base "sepia".'],
+      [{ name: 'x', colors: { shadow: '#000' } }, 'Theme "x" has an unknown color "shadow".'],
+      [{ name: 'x', colors: { text: 'red' } }, 'Theme "x" color "text" is not a hex color.'],
+      [{ name: 'x', palette: [] }, 'Theme "x" palette must be a list of hex colors.']
+    ])('should reject %j', (tokens, message) => {
+      expect(() => createTheme(tokens)).toThrow(message);
+    });
+  });
+
+  describe('palettes', () => {
+    it('should give each scheme its own colors where a palette has them', () => {
+      expect(resolvePalette('okabe-ito', 'dark')).toEqual(resolvePalette('okabe-ito', 'light'));
+      expect(resolvePalette('high-contrast', 'light')[0]).toBe('#000000');
+      expect(resolvePalette('high-contrast', 'dark')).toEqual(BUILT_IN_THEMES['high-contrast'].palette);
+      expect(() => resolvePalette('neon')).toThrow('Unknown palette "neon".');
+    });
+
+    it('should repeat a palette for more series than it has colors', () => {
+      const colors = paletteColors('tol-bright', 9);
+      expect(colors).toHaveLength(9);
+      expect(colors.slice(7)).toEqual(colors.slice(0, 2));
+      expect(paletteColors('tol-bright', 0)).toEqual([]);
+    });
+
+    it('should mark which palettes are colorblind-safe', () => {
+      expect(PALETTE_NAMES.filter(name => PALETTES[name].colorblindSafe)).toEqual(['okabe-ito', 'tol-bright', 'viridis']);
+    });
+
+    it('should measure WCAG contrast', () => {
+      expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+      expect(contrastRatio('#ffffff', '#000')).toBeCloseTo(21);
+      expect(contrastRatio('#767676', '#ffffff')).toBeCloseTo(4.54, 2);
+      expect(contrastRatio('#336699', '#336699')).toBe(1);
+    });
+
+    it('should list the colors that fail against a background', () => {
+      expect(checkPaletteContrast(['#000000', '#fac858', '#767676'], '#ffffff')).toEqual([
+        { index: 1, color: '#fac858', ratio: 1.55 }
+      ]);
+      expect(checkPaletteContrast(['#767676'], '#ffffff', 4.5)).toEqual([]);
+      // No rounding up to a pass
+      expect(checkPaletteContrast(['#959595'], '#ffffff')).toEqual([{ index: 0, color: '#959595', ratio: 2.99 }]);
+    });
+
+    it('should keep high-contrast colors clear of their backgrounds', () => {
+      expect(checkPaletteContrast(resolvePalette('high-contrast', 'light'), '#ffffff', 4.5)).toEqual([]);
+      expect(checkPaletteContrast(resolvePalette('high-contrast', 'dark'), '#000000', 4.5)).toEqual([]);
+    });
+  });
+
+  describe('preferredTheme', () => {
+    it('should follow the system contrast and color scheme', () => {
+      expect(preferredTheme(() => false)).toBe('light');
+      expect(preferredTheme(query => query.includes('dark'))).toBe('dark');
+      expect(preferredTheme(() => true)).toBe('high-contrast');
+    });
+  });
+
+  describe('ThemeManager', () => {
+    it('should start with the saved theme, or else the system preference', () => {
+      expect(createManager({ theme: 'high-contrast' }).current.name).toBe('high-contrast');
+      expect(createManager({}, query => query.includes('dark')).current.name).toBe('dark');
+      expect(createManager({ theme: 'sepia' }).current.name).toBe('light');
+    });
+
+    it('should switch, save the choice and tell subscribers', () => {
+      const manager = createManager({});
+      const listener = vi.fn();
+      manager.subscribe(listener);
+      expect(listener).toHaveBeenLastCalledWith(BUILT_IN_THEMES.light);
+
+      manager.setTheme('dark');
+      expect(listener).toHaveBeenLastCalledWith(BUILT_IN_THEMES.dark);
+      expect(manager.storage.items.theme).toBe('dark');
+
+      // The same theme again is no change
+      manager.setTheme('dark');
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not save a theme it is only shown', () => {
+      const manager = createManager({ theme: 'light' });
+      manager.setTheme('dark', { persist: false });
+      expect(manager.current.name).toBe('dark');
+      expect(manager.storage.items.theme).toBe('light');
+    });
+
+    it('should reject themes it does not have', () => {
+      expect(() => createManager({}).setTheme('sepia')).toThrow('Unknown theme "sepia".');
+    });
+
+    it('should cycle through the themes', () => {
+      const manager = createManager({ theme: 'dark' });
+      expect(manager.cycle().name).toBe('high-contrast');
+      expect(manager.cycle().name).toBe('light');
+    });
+
+    it('should keep custom themes for the next page', () => {
+      const items = {};
+      const manager = createManager(items);
+      manager.register(OCEAN);
+      manager.setTheme('ocean');
+
+      const nextPage = createManager(items);
+      expect(nextPage.list().map(theme => theme.name)).toEqual(['light', 'dark', 'high-contrast', 'ocean']);
+      expect(nextPage.current).toEqual(createTheme(OCEAN));
+    });
+
+    it('should skip saved themes that no longer pass', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const manager = createManager({ customThemes: JSON.stringify([{ name: 'Bad' }, OCEAN]) });
+      expect(manager.get('ocean')).not.toBeNull();
+      expect(manager.list()).toHaveLength(4);
+      warn.mockRestore();
+    });
+
+    it('should restyle at once when the current theme is redefined', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      manager.setTheme('ocean');
+      const listener = vi.fn();
+      manager.on('change', listener);
+
+      manager.register({ ...OCEAN, palette: ['#ffffff'] });
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ palette: ['#ffffff'] }));
+    });
+
+    it('should fall back to the base of a removed current theme', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      manager.setTheme('ocean');
+      expect(manager.unregister('ocean')).toBe(true);
+      expect(manager.current.name).toBe('dark');
+      expect(manager.unregister('ocean')).toBe(false);
+      expect(() => manager.unregister('light')).toThrow('Theme "light" is built in.');
+    });
+
+    it('should style the page and follow choices made on other pages', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      const root = document.createElement('div');
+      const target = new EventTarget();
+      const detach = manager.attach(root, target);
+
+      manager.setTheme('ocean');
+      expect(root.getAttribute('data-theme')).toBe('dark');
+      expect(root.getAttribute('data-theme-name')).toBe('ocean');
+      expect(root.style.getPropertyValue('--theme-background')).toBe('#002b36');
+      expect(root.style.getPropertyValue('--theme-text-muted')).toBe(BUILT_IN_THEMES.dark.colors.textMuted);
+      expect(root.style.getPropertyValue('--theme-palette-2')).toBe('#2aa198');
+
+      manager.storage.items.theme = 'light';
+      target.dispatchEvent(Object.assign(new Event('storage'), { key: 'theme', newValue: 'light' }));
+      expect(manager.current.name).toBe('light');
+      expect(root.getAttribute('data-theme')).toBe('light');
+      // Light has a longer palette than ocean had, and ocean's is gone
+      expect(root.style.getPropertyValue('--theme-palette-8')).toBe(BUILT_IN_THEMES.light.palette[7]);
+
+      detach();
+      manager.setTheme('dark');
+      expect(root.getAttribute('data-theme')).toBe('light');
+    });
+
+    it('should leave no palette entries of a longer previous theme', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      const root = document.createElement('div');
+      manager.attach(root, new EventTarget());
+      manager.setTheme('ocean');
+      expect(root.style.getPropertyValue('--theme-palette-3')).toBe('');
+    });
+
+    it('should drop custom themes removed on another page', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      manager.setTheme('ocean');
+      const target = new EventTarget();
+      manager.attach(document.createElement('div'), target);
+
+      manager.storage.items.customThemes = '[]';
+      target.dispatchEvent(Object.assign(new Event('storage'), { key: 'customThemes', newValue: '[]' }));
+      expect(manager.get('ocean')).toBeNull();
+      expect(manager.current.name).toBe('dark');
+    });
+  });
+
+  describe('palette and patterns', () => {
+    it('should use the theme\'s own palette until another is picked', () => {
+      const manager = createManager({ theme: 'dark' });
+      expect(manager.paletteName).toBeNull();
+      expect(manager.current).toBe(BUILT_IN_THEMES.dark);
+    });
+
+    it('should color series with the picked palette in the theme\'s scheme', () => {
+      const manager = createManager({ theme: 'light' });
+      const listener = vi.fn();
+      manager.on('change', listener);
+
+      manager.setPalette('high-contrast');
+      expect(manager.current.palette).toEqual(resolvePalette('high-contrast', 'light'));
+      expect(manager.current.colors).toBe(BUILT_IN_THEMES.light.colors);
+      expect(listener).toHaveBeenCalledWith(manager.current);
+      expect(manager.storage.items.palette).toBe('high-contrast');
+
+      manager.setTheme('dark');
+      expect(manager.current.name).toBe('dark');
+      expect(manager.current.palette).toEqual(resolvePalette('high-contrast', 'dark'));
+
+      manager.setPalette(null);
+      expect(manager.current).toBe(BUILT_IN_THEMES.dark);
+      expect(() => manager.setPalette('neon')).toThrow('Unknown palette "neon".');
+    });
+
+    it('should keep the palette and patterns for the next page', () => {
+      const items = {};
+      const manager = createManager(items);
+      manager.setPalette('okabe-ito');
+      manager.setPatterns(true);
+
+      const nextPage = createManager(items);
+      expect(nextPage.paletteName).toBe('okabe-ito');
+      expect(nextPage.current).toMatchObject({ name: 'light', palette: resolvePalette('okabe-ito'), patterns: true });
+    });
+
+    it('should ignore a saved palette that no longer exists', () => {
+      expect(createManager({ palette: 'neon' }).paletteName).toBeNull();
+    });
+
+    it('should tell subscribers only of real changes', () => {
+      const manager = createManager({});
+      const listener = vi.fn();
+      manager.on('change', listener);
+      manager.setPatterns(true);
+      manager.setPatterns(true);
+      manager.setPalette(null);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ patterns: true }));
+    });
+
+    it('should follow palettes and patterns picked on other pages', () => {
+      const manager = createManager({});
+      const target = new EventTarget();
+      manager.attach(document.createElement('div'), target);
+      const storage = (key, newValue) => {
+        manager.storage.items[key] = newValue;
+        target.dispatchEvent(Object.assign(new Event('storage'), { key, newValue }));
+      };
+
+      storage('palette', 'viridis');
+      storage('patterns', 'true');
+      expect(manager.current).toMatchObject({ palette: resolvePalette('viridis'), patterns: true });
+
+      storage('palette', '');
+      expect(manager.current.palette).toEqual(BUILT_IN_THEMES.light.palette);
+      expect(manager.storage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should report palette colors hard to see on the surface', () => {
+      const manager = createManager({ theme: 'dark' });
+      manager.setPalette('viridis');
+      expect(manager.contrastIssues().map(issue => issue.color)).toEqual(['#440154', '#46327e', '#365c8d']);
+
+      manager.setTheme('light');
+      expect(manager.contrastIssues().map(issue => issue.color)).toEqual(['#4ac16d', '#a0da39', '#fde725']);
+
+      manager.setTheme('high-contrast');
+      manager.setPalette('high-contrast');
+      expect(manager.contrastIssues()).toEqual([]);
+    });
+  });
+
+  describe('echartsThemeOption', () => {
+    it('should style only the components the option has, each of them', () => {
+      const styling = echartsThemeOption(BUILT_IN_THEMES.dark, LINE);
+      expect(styling.color).toEqual(BUILT_IN_THEMES.dark.palette);
+      expect(styling.title.textStyle.color).toBe(BUILT_IN_THEMES.dark.colors.text);
+      expect(styling.xAxis.axisLabel.color).toBe(BUILT_IN_THEMES.dark.colors.textMuted);
+      expect(styling.yAxis).toHaveLength(2);
+      expect(styling).not.toHaveProperty('legend');
+      expect(styling).not.toHaveProperty('visualMap');
+    });
+
+    it('should fill series with patterns only when they are on', () => {
+      expect(echartsThemeOption(BUILT_IN_THEMES.dark, LINE).aria.decal.show).toBe(false);
+      const styling = echartsThemeOption({ ...BUILT_IN_THEMES.dark, patterns: true }, LINE);
+      expect(styling.aria).toEqual({ enabled: true, label: { enabled: false }, decal: { show: true } });
+    });
+
+    it('should leave an option\'s own styling in place', () => {
+      const option = withTheme({ ...LINE, title: { text: 'Sales', textStyle: { color: '#ff0000' } } }, BUILT_IN_THEMES.dark);
+      expect(option.title).toEqual({ text: 'Sales', textStyle: { color: '#ff0000' }, subtextStyle: { color: '#ccccdd' } });
+      expect(option.xAxis.data).toEqual(['Jan', 'Feb']);
+      expect(option.yAxis[1]).toMatchObject({ type: 'value', splitLine: { lineStyle: { color: '#333355' } } });
+      expect(option.series).toBe(LINE.series);
+    });
+  });
+
+  describe('bindChartTheme', () => {
+    function createChart() {
+      const chart = echarts.init(null, null, { renderer: 'svg', ssr: true, width: 400, height: 300 });
+      chart.setOption(LINE);
+      return chart;
+    }
+
+    it('should restyle the same chart in place on every change', () => {
+      const manager = createManager({});
+      const chart = createChart();
+      bindChartTheme(chart, manager);
+      expect(chart.getOption().color.slice(0, 8)).toEqual(BUILT_IN_THEMES.light.palette);
+
+      manager.setTheme('high-contrast');
+      const option = chart.getOption();
+      expect(option.color.slice(0, 8)).toEqual(BUILT_IN_THEMES['high-contrast'].palette);
+      expect(option.xAxis[0].axisLabel.color).toBe('#ffffff');
+      // Data is untouched
+      expect(option.series[0].data).toEqual([1, 2]);
+      chart.dispose();
+    });
+
+    it('should leave none of a longer previous palette', () => {
+      const manager = createManager({});
+      manager.register(OCEAN);
+      const chart = createChart();
+      bindChartTheme(chart, manager);
+
+      manager.setTheme('ocean');
+      const colors = chart.getOption().color;
+      expect(new Set(colors)).toEqual(new Set(OCEAN.palette));
+      // Every series keeps the color it would have with the palette alone
+      colors.forEach((color, i) => expect(color).toBe(OCEAN.palette[i % 2]));
+      chart.dispose();
+    });
+
+    it('should turn patterns on and off in place', () => {
+      const manager = createManager({});
+      const chart = createChart();
+      bindChartTheme(chart, manager);
+
+      manager.setPatterns(true);
+      expect(chart.getOption().aria.decal.show).toBe(true);
+      // ECharts fills in its own patterns
+      expect(chart.getModel().getSeriesByIndex(0).getData().getVisual('decal')).toBeTruthy();
+
+      manager.setPatterns(false);
+      expect(chart.getOption().aria.decal.show).toBe(false);
+      expect(chart.getModel().getSeriesByIndex(0).getData().getVisual('decal')).toBeUndefined();
+      chart.dispose();
+    });
+
+    it('should let go of disposed charts', () => {
+      const manager = createManager({});
+      const chart = createChart();
+      bindChartTheme(chart, manager);
+      chart.dispose();
+
+      manager.setTheme('dark');
+      expect(manager.events.change).toHaveLength(0);
+    });
+  });
+});
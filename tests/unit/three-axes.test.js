@@ -0,0 +1,226 @@
+/**
+ * 3D Axes - Unit Tests
+ * Tests tick generation, axes, gridlines, legends and text sprites,
+ * and how the Three.js charts use them, with the WebGL renderer replaced by a stand-in
+ */
+
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const {
+  BarChart3D, PieChart3D, ScatterPlot3D, NetworkGraph3D,
+  niceTicks, createAxis, createGridlines, createLegend, createTextSprite
+} = await import('../../js/three/index.js');
+
+describe('3D Axes', () => {
+  let drawn = [];
+
+  beforeAll(() => {
+    // Record what sprites draw, and measure 16px per character
+    stubCanvasContext({ fillText(text) { drawn.push(text); } });
+  });
+
+  afterEach(() => {
+    drawn = [];
+  });
+
+  describe('niceTicks', () => {
+    it('should step by 1, 2 or 5 times a power of ten', () => {
+      expect(niceTicks(0, 10)).toEqual([0, 2, 4, 6, 8, 10]);
+      expect(niceTicks(0, 1330)).toEqual([0, 500, 1000]);
+      expect(niceTicks(-1, 1, 4)).toEqual([-1, -0.5, 0, 0.5, 1]);
+    });
+
+    it('should stay inside the range', () => {
+      expect(niceTicks(3, 97)).toEqual([20, 40, 60, 80]);
+    });
+
+    it('should avoid floating point noise', () => {
+      expect(niceTicks(0, 0.5)).toEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5]);
+    });
+
+    it('should give one tick for an empty range', () => {
+      expect(niceTicks(4, 4)).toEqual([4]);
+    });
+  });
+
+  describe('createTextSprite', () => {
+    it('should size the sprite to the text', () => {
+      const short = createTextSprite('Hi', { size: 0.5 });
+      const long = createTextSprite('Hello world', { size: 0.5 });
+      expect(short.scale.y).toBe(0.5);
+      expect(long.scale.x).toBeGreaterThan(short.scale.x);
+      expect(long.userData.text).toBe('Hello world');
+    });
+
+    it('should stack lines', () => {
+      const sprite = createTextSprite('Company A\n35%', { size: 0.25 });
+      expect(sprite.scale.y).toBe(0.5);
+      expect(drawn).toEqual(['Company A', '35%']);
+    });
+
+    it('should draw on its own texture', () => {
+      const a = createTextSprite('A');
+      const b = createTextSprite('B');
+      expect(a.material.map).not.toBe(b.material.map);
+      expect(a.material.map.image.width).toBeGreaterThan(0);
+    });
+  });
+
+  describe('createAxis', () => {
+    it('should place numeric ticks along the axis', () => {
+      const axis = createAxis({ start: [0, 0, 0], end: [0, 10, 0], domain: [0, 5], title: 'Sales' });
+      const { ticks } = axis.userData;
+      expect(ticks.map(tick => tick.value)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(ticks[2].position.toArray()).toEqual([0, 4, 0]);
+      expect(drawn).toEqual(['0', '1', '2', '3', '4', '5', 'Sales']);
+    });
+
+    it('should space categories evenly', () => {
+      const axis = createAxis({ start: [-1, 0, 0], end: [1, 0, 0], categories: ['a', 'b', 'c'] });
+      expect(axis.userData.ticks.map(tick => [tick.text, tick.position.x])).toEqual([['a', -1], ['b', 0], ['c', 1]]);
+    });
+
+    it('should use given ticks and format', () => {
+      const axis = createAxis({
+        start: [0, 0, 0],
+        end: [1, 0, 0],
+        domain: [0, 1],
+        ticks: [0.25, 0.75],
+        format: value => `${value * 100}%`
+      });
+      expect(axis.userData.ticks.map(tick => tick.text)).toEqual(['25%', '75%']);
+    });
+
+    it('should offset labels and draw a tick mark per value', () => {
+      const axis = createAxis({ start: [0, 0, 0], end: [0, 1, 0], domain: [0, 1], ticks: [0, 1], offset: [-1, 0, 0] });
+      const labels = axis.children.filter(child => child.isSprite);
+      const line = axis.children.find(child => child.isLineSegments);
+      expect(labels.map(label => label.position.toArray())).toEqual([[-1, 0, 0], [-1, 1, 0]]);
+      // The axis itself plus one mark per tick
+      expect(line.geometry.attributes.position.count).toBe(2 + 2 * 2);
+    });
+  });
+
+  describe('createGridlines', () => {
+    it('should run a line across from each position', () => {
+      const axis = createAxis({ start: [0, 0, 0], end: [0, 2, 0], domain: [0, 2], ticks: [1, 2] });
+      const grid = createGridlines(axis.userData.ticks.map(tick => tick.position), [5, 0, 0]);
+      const positions = grid.geometry.attributes.position;
+      expect(positions.count).toBe(4);
+      expect([positions.getX(1), positions.getY(1)]).toEqual([5, 1]);
+    });
+  });
+
+  describe('createLegend', () => {
+    it('should draw a row per item under an optional title', () => {
+      const legend = createLegend([{ label: 'A', color: 0xff0000 }, { label: 'B', color: '#00ff00' }], {
+        title: 'Teams',
+        rowHeight: 0.5
+      });
+      expect(drawn).toEqual(['Teams', 'A', 'B']);
+      expect(legend.scale.y).toBe(1.5);
+      expect(legend.center.toArray()).toEqual([0, 1]);
+    });
+  });
+
+  describe('charts', () => {
+    let chart = null;
+
+    function create(Chart, data) {
+      chart = new Chart(createContainer(), data);
+      chart.isAnimating = false;
+      return chart;
+    }
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+    });
+
+    it('should give bar charts a value axis with gridlines above zero', () => {
+      create(BarChart3D, { labels: ['a', 'b'], values: [10, 40], valueTitle: 'Units' });
+      expect(chart.valueAxis.userData.ticks.map(tick => tick.value)).toEqual([0, 10, 20, 30, 40]);
+      expect(chart.valueAxis.userData.ticks[4].position.y).toBeCloseTo(5);
+      expect(chart.gridlines.geometry.attributes.position.count).toBe(4 * 2);
+      expect(drawn).toContain('Units');
+    });
+
+    it('should rebuild the value axis for new data and free the old one', () => {
+      create(BarChart3D, { labels: ['a'], values: [10] });
+      const oldAxis = chart.valueAxis;
+      const label = oldAxis.children.find(child => child.isSprite);
+      const textureDispose = vi.spyOn(label.material.map, 'dispose');
+
+      chart.setData({ labels: ['a'], values: [300] });
+      expect(oldAxis.parent).toBeNull();
+      expect(textureDispose).toHaveBeenCalled();
+      expect(chart.valueAxis.userData.ticks.at(-1).value).toBe(300);
+    });
+
+    it('should keep the shared sprite geometry when disposing labels', () => {
+      create(BarChart3D, { title: 'One', labels: ['a'], values: [1] });
+      const geometryDispose = vi.spyOn(chart.titleSprite.geometry, 'dispose');
+      const textureDispose = vi.spyOn(chart.titleSprite.material.map, 'dispose');
+      chart.setTitle('Two');
+      expect(textureDispose).toHaveBeenCalled();
+      expect(geometryDispose).not.toHaveBeenCalled();
+    });
+
+    it('should only redraw the title when its text changes', () => {
+      create(BarChart3D, { title: 'Same', labels: ['a'], values: [1] });
+      const sprite = chart.titleSprite;
+      chart.setData({ title: 'Same', labels: ['a'], values: [2] });
+      expect(chart.titleSprite).toBe(sprite);
+      expect(sprite.position.y).toBe(7);
+    });
+
+    it('should key pie legends to segment colors', () => {
+      create(PieChart3D, { data: [{ name: 'A', value: 1 }, { name: 'B', value: 3 }] });
+      const { items } = chart.legend.userData;
+      expect(items.map(item => item.label)).toEqual(['A', 'B']);
+      expect(items[1].color.getHex()).toBe(chart.segments[1].material.color.getHex());
+    });
+
+    it('should only rebuild the legend when series change', () => {
+      create(PieChart3D, { data: [{ name: 'A', value: 1 }, { name: 'B', value: 3 }] });
+      const legend = chart.legend;
+      chart.setData({ data: [{ name: 'A', value: 2 }, { name: 'B', value: 2 }] });
+      expect(chart.legend).toBe(legend);
+
+      chart.setData({ data: [{ name: 'A', value: 2 }, { name: 'C', value: 2 }] });
+      expect(chart.legend).not.toBe(legend);
+      expect(legend.parent).toBeNull();
+    });
+
+    it('should list network groups and drop the legend for ungrouped graphs', () => {
+      create(NetworkGraph3D);
+      expect(chart.legend.userData.items.map(item => item.label)).toEqual(['Design', 'Engineering', 'Research', 'Sales']);
+
+      chart.setData({
+        nodes: [{ id: 1, label: 'A', x: 0, y: 0, z: 0 }, { id: 2, label: 'B', x: 1, y: 0, z: 0 }],
+        edges: []
+      });
+      expect(chart.legend).toBeNull();
+    });
+
+    it('should give scatter plots an axis per dimension', () => {
+      create(ScatterPlot3D, { data: [[0, 10, 1], [5, 20, 3]], axisTitles: { x: 'Cost', y: 'Score', z: 'Age' } });
+      const [x, y, z] = chart.axes.children;
+      expect(x.userData.ticks.map(tick => tick.value)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(y.userData.ticks.at(-1).position.y).toBeCloseTo(4);
+      expect(z.userData.ticks[0].position.z).toBeCloseTo(-4);
+      expect(drawn).toEqual(expect.arrayContaining(['Cost', 'Score', 'Age']));
+    });
+
+    it('should leave scatter axes out without data', () => {
+      create(ScatterPlot3D, { data: [] });
+      expect(chart.axes.children).toHaveLength(0);
+    });
+  });
+});
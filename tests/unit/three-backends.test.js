@@ -0,0 +1,244 @@
+/**
+ * 3D Rendering Backends - Unit Tests
+ * Tests WebGPU and WebGL detection, and charts starting up on either renderer
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+// WebGPU renderers in the order charts created them
+const webgpuRenderers = vi.hoisted(() => []);
+
+// Starts when the test says so, on WebGPU unless told it fell back to WebGL 2
+vi.mock('three/webgpu', () => {
+  class FakeWebGPURenderer {
+    constructor(parameters) {
+      this.parameters = parameters;
+      this.domElement = document.createElement('canvas');
+      this.domElement.toBlob = callback => callback(new Blob(['image'], { type: 'image/png' }));
+      this.shadowMap = {};
+      this.backend = { isWebGPUBackend: true, device: { limits: { maxTextureDimension2D: 800 } } };
+      this.pixelRatio = 1;
+      this.onDeviceLost = null;
+      this.render = vi.fn();
+      this.dispose = vi.fn();
+      this.init = vi.fn(() => new Promise((resolve, reject) => {
+        this.finishInit = resolve;
+        this.failInit = reject;
+      }));
+      webgpuRenderers.push(this);
+    }
+    setSize() {}
+    setPixelRatio(value) { this.pixelRatio = value; }
+    getPixelRatio() { return this.pixelRatio; }
+  }
+  return { WebGPURenderer: FakeWebGPURenderer };
+});
+
+const { isFeatureSupported } = await import('../../js/utils.js');
+
+function setGPU(gpu) {
+  const { userAgent } = navigator;
+  vi.stubGlobal('navigator', gpu ? { userAgent, gpu } : { userAgent });
+}
+
+// Fresh modules, so the adapter request and loaded renderer start over
+async function loadModules() {
+  vi.resetModules();
+  return {
+    utils: await import('../../js/utils.js'),
+    three: await import('../../js/three/index.js')
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const SALES = { title: 'Sales', labels: ['Jan', 'Feb', 'Mar'], values: [10, 20, 40] };
+
+describe('3D Rendering Backends', () => {
+  beforeAll(() => {
+    stubCanvasContext();
+    window.WebGLRenderingContext = function WebGLRenderingContext() {};
+  });
+
+  beforeEach(() => {
+    setGPU(null);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('capability detection', () => {
+    it('should report whether the WebGPU API exists', () => {
+      expect(isFeatureSupported('webgpu')).toBe(false);
+      setGPU({ requestAdapter: vi.fn() });
+      expect(isFeatureSupported('webgpu')).toBe(true);
+    });
+
+    it('should request the adapter once and share it', async () => {
+      const adapter = { features: new Set() };
+      const requestAdapter = vi.fn(async () => adapter);
+      setGPU({ requestAdapter });
+      const { utils } = await loadModules();
+
+      expect(await utils.requestGPUAdapter()).toBe(adapter);
+      expect(await utils.requestGPUAdapter()).toBe(adapter);
+      expect(requestAdapter).toHaveBeenCalledTimes(1);
+    });
+
+    it('should have no adapter when the request fails', async () => {
+      setGPU({ requestAdapter: vi.fn(async () => { throw new Error('blocked'); }) });
+      const { utils } = await loadModules();
+      expect(await utils.requestGPUAdapter()).toBeNull();
+    });
+
+    it('should prefer WebGPU when there is an adapter', async () => {
+      setGPU({ requestAdapter: vi.fn(async () => ({})) });
+      const { utils } = await loadModules();
+      expect(await utils.detectRenderingBackend()).toBe('webgpu');
+    });
+
+    it('should fall back to WebGL without an adapter', async () => {
+      setGPU({ requestAdapter: vi.fn(async () => null) });
+      const { utils } = await loadModules();
+      expect(await utils.detectRenderingBackend('webgpu')).toBe('webgl');
+    });
+
+    it('should not ask for an adapter when WebGL is preferred', async () => {
+      const requestAdapter = vi.fn(async () => ({}));
+      setGPU({ requestAdapter });
+      const { utils } = await loadModules();
+      expect(await utils.detectRenderingBackend('webgl')).toBe('webgl');
+      expect(requestAdapter).not.toHaveBeenCalled();
+    });
+
+    it('should find no backend without WebGPU or WebGL', async () => {
+      const { utils } = await loadModules();
+      const getContext = vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+      expect(await utils.detectRenderingBackend()).toBeNull();
+      getContext.mockRestore();
+    });
+  });
+
+  describe('resolveRenderingBackend', () => {
+    it('should use WebGL until WebGPU is loaded', async () => {
+      const { three } = await loadModules();
+      expect(three.resolveRenderingBackend('auto')).toBe('webgl');
+      expect(() => three.resolveRenderingBackend('webgpu')).toThrow('await loadRenderingBackend');
+      expect(() => three.resolveRenderingBackend('vulkan')).toThrow('Unknown rendering backend "vulkan".');
+    });
+
+    it('should use WebGPU for auto once an adapter is found', async () => {
+      setGPU({ requestAdapter: vi.fn(async () => ({})) });
+      const { three } = await loadModules();
+      expect(await three.loadRenderingBackend()).toBe('webgpu');
+      expect(three.resolveRenderingBackend('auto')).toBe('webgpu');
+      expect(three.resolveRenderingBackend('webgl')).toBe('webgl');
+    });
+  });
+
+  describe('charts', () => {
+    let three;
+    let chart = null;
+
+    beforeEach(async () => {
+      webgpuRenderers.length = 0;
+      setGPU({ requestAdapter: vi.fn(async () => ({})) });
+      ({ three } = await loadModules());
+      await three.loadRenderingBackend();
+    });
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+    });
+
+    it('should render on WebGPU once the renderer has started', async () => {
+      chart = new three.BarChart3D(createContainer(), SALES);
+      const renderer = webgpuRenderers[0];
+      expect(chart.renderer).toBe(renderer);
+      expect(chart.backend).toBe('webgpu');
+      expect(renderer.parameters).toEqual({ antialias: true, alpha: true });
+
+      chart.animate();
+      expect(renderer.render).not.toHaveBeenCalled();
+
+      renderer.finishInit();
+      await flush();
+      expect(renderer.render).toHaveBeenCalledWith(chart.scene, chart.camera);
+    });
+
+    it('should use WebGL when asked to', () => {
+      chart = new three.PieChart3D(createContainer(), { data: [{ name: 'A', value: 1 }] }, { backend: 'webgl' });
+      expect(chart.backend).toBe('webgl');
+      expect(webgpuRenderers).toHaveLength(0);
+    });
+
+    it('should report WebGL when three fell back to its WebGL 2 backend', async () => {
+      chart = new three.BarChart3D(createContainer(), SALES);
+      webgpuRenderers[0].backend = { isWebGLBackend: true };
+      webgpuRenderers[0].finishInit();
+      await flush();
+      expect(chart.backend).toBe('webgl');
+    });
+
+    it('should say so when the renderer cannot start', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      chart = new three.BarChart3D(createContainer(), SALES);
+      webgpuRenderers[0].failInit(new Error('no device'));
+      await flush();
+
+      expect(chart.container.querySelector('.three-status').textContent).toContain('could not draw');
+      await expect(chart.snapshot()).rejects.toThrow('no device');
+    });
+
+    it('should snapshot once started, within the device texture limit', async () => {
+      chart = new three.BarChart3D(createContainer(), SALES);
+      const renderer = webgpuRenderers[0];
+      const setPixelRatio = vi.spyOn(renderer, 'setPixelRatio');
+      const blob = chart.snapshot({ scale: 3 });
+
+      renderer.finishInit();
+      expect((await blob).type).toBe('image/png');
+      expect(setPixelRatio.mock.calls[0][0]).toBe(2);
+    });
+
+    it('should stop and ask to be recreated when the device is lost', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      chart = new three.BarChart3D(createContainer(), SALES);
+      const renderer = webgpuRenderers[0];
+      renderer.finishInit();
+      await flush();
+      const onLost = vi.fn();
+      chart.on('contextlost', onLost);
+
+      renderer.onDeviceLost({ api: 'WebGPU', message: 'reset' });
+      expect(onLost).toHaveBeenCalledWith({ recoverable: false });
+      expect(chart.container.querySelector('.three-status').textContent).toContain('Redrawing');
+
+      renderer.render.mockClear();
+      chart.animate();
+      expect(renderer.render).not.toHaveBeenCalled();
+    });
+
+    it('should free a renderer disposed while starting once it has started', async () => {
+      chart = new three.BarChart3D(createContainer(), SALES);
+      const renderer = webgpuRenderers[0];
+      chart.dispose();
+      chart = null;
+      expect(renderer.dispose).not.toHaveBeenCalled();
+
+      renderer.finishInit();
+      await flush();
+      expect(renderer.dispose).toHaveBeenCalled();
+      expect(renderer.render).not.toHaveBeenCalled();
+    });
+  });
+});
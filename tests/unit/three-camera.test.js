@@ -0,0 +1,186 @@
+/**
+ * 3D Camera - Unit Tests
+ * Tests camera flights, bookmarks, the double-click reset and the bookmark tour
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const { BarChart3D } = await import('../../js/three/index.js');
+
+const SALES = { title: 'Sales', labels: ['Jan', 'Feb', 'Mar'], values: [10, 20, 40] };
+
+describe('3D Camera', () => {
+  let now = 0;
+  let chart = null;
+
+  // Advance flights as the render loop would
+  function advance(ms) {
+    now += ms;
+    chart.cameraTweens.update();
+  }
+
+  beforeAll(() => {
+    stubCanvasContext();
+  });
+
+  beforeEach(() => {
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    chart = new BarChart3D(createContainer(), SALES);
+    chart.isAnimating = false;
+  });
+
+  afterEach(() => {
+    chart?.dispose();
+    chart = null;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('flyTo', () => {
+    it('should move the camera and target there over the flight', async () => {
+      const flight = chart.flyTo([0, 0, 10], [1, 0, 0], { duration: 1000, easing: 'linear' });
+      advance(500);
+      expect(chart.controls.target.x).toBeCloseTo(0.5);
+      // Still on its way, at a distance between the start and the end
+      const distance = chart.camera.position.distanceTo(chart.controls.target);
+      expect(distance).toBeGreaterThan(10);
+      expect(distance).toBeLessThan(new THREE.Vector3(8, 6, 8).length());
+
+      advance(500);
+      expect(await flight).toBe(true);
+      chart.camera.position.toArray().forEach((value, i) => expect(value).toBeCloseTo([0, 0, 10][i]));
+      expect(chart.getCameraState().target).toEqual([1, 0, 0]);
+    });
+
+    it('should orbit the short way round', () => {
+      chart.setCameraState({ position: [-10, 0, -0.1], target: [0, 0, 0] });
+      chart.flyTo([-10, 0, 0.1], [0, 0, 0], { easing: 'linear' });
+      advance(500);
+      // Through -x, not the long way round through +x
+      expect(chart.camera.position.x).toBeCloseTo(-10);
+    });
+
+    it('should keep the current target when none is given', () => {
+      chart.setCameraState({ position: [8, 6, 8], target: [0, 1, 0] });
+      chart.flyTo([0, 1, 10]);
+      advance(1000);
+      expect(chart.getCameraState().target).toEqual([0, 1, 0]);
+    });
+
+    it('should stop when the user takes hold of the camera', async () => {
+      const flight = chart.flyTo([0, 0, 10]);
+      chart.controls.dispatchEvent({ type: 'start' });
+      expect(await flight).toBe(false);
+      expect(chart.cameraTweens.active).toBe(false);
+    });
+
+    it('should carry on through new data', () => {
+      chart.flyTo([0, 0, 10]);
+      chart.setData({ ...SALES, values: [1, 2, 3] });
+      expect(chart.cameraTweens.active).toBe(true);
+    });
+  });
+
+  describe('bookmarks', () => {
+    it('should start with front, top and side views', () => {
+      expect(Object.keys(chart.getBookmarks())).toEqual(['Front', 'Top', 'Side']);
+    });
+
+    it('should save the current view and fly back to it', async () => {
+      chart.setCameraState({ position: [2, 3, 9], target: [1, 1, 1] });
+      chart.saveBookmark('Close');
+      chart.setCameraState({ position: [8, 6, 8], target: [0, 0, 0] });
+
+      const flight = chart.flyToBookmark('Close');
+      advance(1000);
+      expect(await flight).toBe(true);
+      expect(chart.getCameraState().target).toEqual([1, 1, 1]);
+    });
+
+    it('should replace and remove bookmarks', () => {
+      chart.setBookmarks({ A: { position: [0, 0, 9], target: [0, 0, 0] } });
+      expect(chart.removeBookmark('A')).toBe(true);
+      expect(chart.getBookmarks()).toEqual({});
+    });
+
+    it('should reject bookmarks it does not have', () => {
+      expect(() => chart.flyToBookmark('Nowhere')).toThrow('Unknown camera bookmark "Nowhere".');
+    });
+  });
+
+  describe('reset', () => {
+    it('should fly back to the starting view on double-click', () => {
+      chart.setCameraState({ position: [0, 0, 20], target: [2, 0, 0] });
+      chart.renderer.domElement.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+      advance(1000);
+
+      expect(chart.getCameraState().target).toEqual([0, 0, 0]);
+      chart.camera.position.toArray().forEach((value, i) => expect(value).toBeCloseTo([8, 6, 8][i]));
+    });
+  });
+
+  describe('tour', () => {
+    const flush = () => vi.advanceTimersByTimeAsync(0);
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    });
+
+    it('should fly through the bookmarks in order, orbiting at each', async () => {
+      const onTour = vi.fn();
+      chart.on('tour', onTour);
+      chart.startTour({ dwell: 3000, duration: 1000 });
+      expect(chart.touring).toBe(true);
+      expect(onTour).toHaveBeenLastCalledWith({ playing: true, bookmark: null });
+
+      advance(1000);
+      await flush();
+      expect(onTour).toHaveBeenLastCalledWith({ playing: true, bookmark: 'Front' });
+      expect(chart.controls.autoRotate).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(3000);
+      expect(chart.controls.autoRotate).toBe(false);
+      advance(1000);
+      await flush();
+      expect(onTour).toHaveBeenLastCalledWith({ playing: true, bookmark: 'Top' });
+    });
+
+    it('should just orbit without bookmarks', () => {
+      chart.setBookmarks({});
+      chart.startTour();
+      expect(chart.controls.autoRotate).toBe(true);
+    });
+
+    it('should stop when the user drags or flies elsewhere', async () => {
+      chart.startTour();
+      chart.controls.dispatchEvent({ type: 'start' });
+      await flush();
+      expect(chart.touring).toBe(false);
+      expect(chart.controls.autoRotate).toBe(false);
+
+      chart.startTour();
+      chart.flyTo([0, 0, 10]);
+      expect(chart.touring).toBe(false);
+      // The new flight is not cut short by the tour's
+      await flush();
+      expect(chart.cameraTweens.active).toBe(true);
+    });
+
+    it('should stop on dispose', () => {
+      const onTour = vi.fn();
+      chart.on('tour', onTour);
+      chart.startTour();
+      chart.dispose();
+      chart = null;
+      expect(onTour).toHaveBeenLastCalledWith({ playing: false, bookmark: null });
+      expect(vi.getTimerCount()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * 3D Context Loss - Unit Tests
+ * Tests how 3D charts pause and recover when the WebGL context is lost,
+ * and the 2D ECharts stand-in shown when WebGL is unavailable
+ */
+
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+// Records options and click handlers instead of drawing
+vi.mock('echarts', () => ({
+  init: vi.fn(() => {
+    const handlers = {};
+    return {
+      option: null,
+      handlers,
+      on(name, handler) { handlers[name] = handler; },
+      setOption(option) { this.option = option; },
+      getDataURL: () => 'data:image/png;base64,iVBORw0K',
+      resize: vi.fn(),
+      dispose: vi.fn()
+    };
+  })
+}));
+
+const { BarChart3D, FallbackChart2D, fallbackOption } = await import('../../js/three/index.js');
+
+const SALES = { title: 'Sales', labels: ['Jan', 'Feb', 'Mar'], values: [10, 20, 40] };
+
+describe('3D Context Loss', () => {
+  beforeAll(() => {
+    stubCanvasContext();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('ThreeVisualization', () => {
+    let chart = null;
+
+    function loseContext() {
+      const event = new Event('webglcontextlost', { cancelable: true });
+      chart.renderer.domElement.dispatchEvent(event);
+      return event;
+    }
+
+    function restoreContext() {
+      chart.renderer.domElement.dispatchEvent(new Event('webglcontextrestored'));
+    }
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+    });
+
+    it('should ask for the context back and stop rendering while it is lost', () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      const render = vi.spyOn(chart.renderer, 'render');
+      const onLost = vi.fn();
+      chart.on('contextlost', onLost);
+
+      const event = loseContext();
+      expect(event.defaultPrevented).toBe(true);
+      expect(chart.contextLost).toBe(true);
+      expect(onLost).toHaveBeenCalledTimes(1);
+
+      chart.animate();
+      expect(render).not.toHaveBeenCalled();
+    });
+
+    it('should say the chart is being restored', () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      loseContext();
+      const status = chart.container.querySelector('.three-status');
+      expect(status.getAttribute('role')).toBe('status');
+      expect(status.textContent).toContain('Restoring');
+    });
+
+    it('should resume rendering and clear the notice once restored', () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      loseContext();
+      const render = vi.spyOn(chart.renderer, 'render');
+      const onRestored = vi.fn();
+      chart.on('contextrestored', onRestored);
+
+      restoreContext();
+      expect(chart.contextLost).toBe(false);
+      expect(render).toHaveBeenCalledWith(chart.scene, chart.camera);
+      expect(chart.container.querySelector('.three-status')).toBeNull();
+      expect(onRestored).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep its data and scene through the loss', () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      const bars = [...chart.bars];
+      loseContext();
+      restoreContext();
+      expect(chart.bars).toEqual(bars);
+      expect(bars.every(bar => bar.parent === chart.scene)).toBe(true);
+    });
+
+    it('should refuse snapshots while the context is lost', async () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      loseContext();
+      await expect(chart.snapshot()).rejects.toThrow('graphics card recovers');
+    });
+
+    it('should remove the notice and stop listening on dispose', () => {
+      chart = new BarChart3D(createContainer(), SALES);
+      const { container } = chart;
+      const canvas = chart.renderer.domElement;
+      loseContext();
+      chart.dispose();
+      chart = null;
+
+      expect(container.querySelector('.three-status')).toBeNull();
+      const event = new Event('webglcontextlost', { cancelable: true });
+      canvas.dispatchEvent(event);
+      expect(event.defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('fallbackOption', () => {
+    it('should draw bars with a value axis', () => {
+      const option = fallbackOption('bar', { ...SALES, valueTitle: 'Units' });
+      expect(option.title.text).toBe('Sales');
+      expect(option.xAxis.data).toEqual(['Jan', 'Feb', 'Mar']);
+      expect(option.yAxis.name).toBe('Units');
+      expect(option.series[0].data.map(item => item.value)).toEqual([10, 20, 40]);
+    });
+
+    it('should draw a pie of the shares', () => {
+      const data = [{ name: 'A', value: 1 }, { name: 'B', value: 3 }];
+      const option = fallbackOption('pie', { data });
+      expect(option.series[0].type).toBe('pie');
+      expect(option.series[0].data).toEqual(data);
+      expect(option.title.text).toBe('3D Pie Chart');
+    });
+
+    it('should show scatter depth as point size', () => {
+      const option = fallbackOption('scatter', { data: [[0, 0, 1], [1, 1, 5]], axisTitles: { x: 'Cost' } });
+      const [series] = option.series;
+      expect(series.symbolSize(series.data[0])).toBeLessThan(series.symbolSize(series.data[1]));
+      expect(option.xAxis.name).toBe('Cost');
+      expect(option.yAxis.name).toBe('Y');
+    });
+
+    it('should plot surfaces as a heatmap of their samples', () => {
+      const option = fallbackOption('surface', { grid: [[1, 2], [3, 4]], xLabels: ['a', 'b'], zLabels: ['r1', 'r2'] });
+      expect(option.series[0].type).toBe('heatmap');
+      expect(option.series[0].data).toEqual([[0, 0, 1], [1, 0, 2], [0, 1, 3], [1, 1, 4]]);
+      expect(option.xAxis.data).toEqual(['a', 'b']);
+      expect([option.visualMap.min, option.visualMap.max]).toEqual([1, 4]);
+    });
+
+    it('should label sampled surfaces by coordinate and use the color map', () => {
+      const option = fallbackOption('surface', { expression: 'x + z', resolution: 3, colorMap: 'grayscale' });
+      expect(option.xAxis.data).toEqual(['-5', '0', '5']);
+      expect(option.visualMap.inRange.color[0]).toBe('#202020');
+    });
+
+    it('should draw networks as a force graph colored by group', () => {
+      const option = fallbackOption('network', {
+        nodes: [{ id: 1, label: 'A', group: 'x' }, { id: 2, label: 'B', group: 'y', weight: 4 }],
+        edges: [{ source: 1, target: 2 }]
+      });
+      const [series] = option.series;
+      expect(series.layout).toBe('force');
+      expect(series.data.map(node => [node.id, node.name, node.category])).toEqual([['1', 'A', 0], ['2', 'B', 1]]);
+      expect(series.links).toEqual([{ source: '1', target: '2' }]);
+      expect(option.legend.data).toEqual(['x', 'y']);
+    });
+
+    it('should reject types it does not know', () => {
+      expect(() => fallbackOption('cube', {})).toThrow('Unknown chart type "cube".');
+    });
+  });
+
+  describe('FallbackChart2D', () => {
+    let chart = null;
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+    });
+
+    it('should explain why the chart is flat', () => {
+      const container = createContainer();
+      chart = new FallbackChart2D(container, 'bar', SALES);
+      expect(container.querySelector('.three-fallback-notice').textContent).toContain('WebGL is not available');
+      expect(chart.chart.option.series[0].type).toBe('bar');
+    });
+
+    it('should plot sample data for surface and network without data', () => {
+      chart = new FallbackChart2D(createContainer(), 'network');
+      expect(chart.data.nodes).toHaveLength(20);
+      chart.dispose();
+
+      chart = new FallbackChart2D(createContainer(), 'surface');
+      expect(chart.chart.option.series[0].data).toHaveLength(50 * 50);
+    });
+
+    it('should keep its data when new data is invalid', () => {
+      chart = new FallbackChart2D(createContainer(), 'surface', { expression: 'x', resolution: 4 });
+      expect(() => chart.setData({ expression: 'x +' })).toThrow('Unexpected end of expression');
+      expect(chart.data.expression).toBe('x');
+    });
+
+    it('should describe the data as the 3D chart does', () => {
+      const container = createContainer();
+      chart = new FallbackChart2D(container, 'bar', SALES);
+      const chart3D = new BarChart3D(createContainer(), SALES);
+      chart3D.isAnimating = false;
+      expect(chart.describe()).toBe(chart3D.describe());
+      chart3D.dispose();
+    });
+
+    it('should emit select for clicked items but not links', () => {
+      chart = new FallbackChart2D(createContainer(), 'bar', SALES);
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+
+      chart.chart.handlers.click({ dataType: 'edge', name: '1 > 2' });
+      chart.chart.handlers.click({ dataIndex: 1, name: 'Feb', value: 20 });
+      expect(onSelect).toHaveBeenCalledTimes(1);
+      expect(onSelect).toHaveBeenCalledWith({ index: 1, label: 'Feb', value: 20, text: 'Feb: 20' });
+    });
+
+    it('should snapshot the chart as a PNG blob', async () => {
+      chart = new FallbackChart2D(createContainer(), 'pie', { data: [{ name: 'A', value: 1 }] });
+      const blob = await chart.snapshot({ scale: 3 });
+      expect(blob.type).toBe('image/png');
+      expect(chart.getCameraState()).toBeNull();
+    });
+
+    it('should remove what it added on dispose', () => {
+      const container = createContainer();
+      chart = new FallbackChart2D(container, 'pie', { data: [{ name: 'A', value: 1 }] });
+      const { dispose } = chart.chart;
+      chart.dispose();
+      chart = null;
+      expect(dispose).toHaveBeenCalled();
+      expect(container.children).toHaveLength(0);
+    });
+  });
+});
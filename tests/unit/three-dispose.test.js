@@ -0,0 +1,218 @@
+/**
+ * 3D Dispose Lifecycle - Unit Tests
+ * Checks that 3D charts free every geometry and texture they upload,
+ * with a stand-in renderer that counts GPU memory the way WebGLRenderer's info.memory does
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+// One GPU shared by every renderer, so leaks add up across charts as they would on a page
+const memory = { geometries: 0, textures: 0 };
+const uploaded = new Set();
+
+vi.mock('three', async (importOriginal) => {
+  const { FakeRenderer, mockThree } = await import('../helpers/three.js');
+
+  // Like WebGLRenderer: a resource counts from its first render until its dispose event
+  function upload(resource, kind) {
+    if (!resource || uploaded.has(resource)) return;
+    uploaded.add(resource);
+    memory[kind]++;
+    resource.addEventListener('dispose', function onDispose() {
+      resource.removeEventListener('dispose', onDispose);
+      uploaded.delete(resource);
+      memory[kind]--;
+    });
+  }
+
+  class CountingRenderer extends FakeRenderer {
+    constructor() {
+      super();
+      this.info = { memory };
+    }
+    render(scene) {
+      scene.traverseVisible((object) => {
+        upload(object.geometry, 'geometries');
+        [object.material].flat().forEach((material) => {
+          Object.values(material ?? {}).forEach(value => value?.isTexture && upload(value, 'textures'));
+        });
+      });
+    }
+  }
+
+  return mockThree(await importOriginal(), CountingRenderer);
+});
+
+const { BarChart3D, PieChart3D, ScatterPlot3D, NetworkGraph3D, SurfacePlot3D } = await import('../../js/three/index.js');
+
+const SALES = { title: 'Sales', labels: ['Jan', 'Feb', 'Mar'], values: [10, 20, 40] };
+const SHARES = { title: 'Share', data: [{ name: 'A', value: 1 }, { name: 'B', value: 2 }] };
+const POINTS = { title: 'Points', data: [[1, 2, 3], [4, 5, 6], [7, 8, 9]] };
+const GRAPH = {
+  title: 'Graph',
+  nodes: [
+    { id: 1, label: 'A', group: 'x', x: 0, y: 0, z: 0 },
+    { id: 2, label: 'B', group: 'y', x: 2, y: 0, z: 0 }
+  ],
+  edges: [{ source: 1, target: 2 }]
+};
+
+// Each chart, its data, and different data to switch to
+const CHARTS = [
+  [BarChart3D, SALES, { title: 'Costs', labels: ['Feb', 'Apr'], values: [5, 50] }],
+  [PieChart3D, SHARES, { title: 'Votes', data: [{ name: 'B', value: 3 }, { name: 'C', value: 1 }] }],
+  [ScatterPlot3D, POINTS, { title: 'More', data: [[1, 1, 1], [2, 2, 2], [3, 3, 3], [4, 4, 4]] }],
+  [NetworkGraph3D, GRAPH, { ...GRAPH, title: 'Other', edges: [] }],
+  [SurfacePlot3D, { expression: 'x * z', resolution: 10 }, { grid: [[1, 2, 3], [4, 5, 6]], colorMap: 'viridis' }]
+];
+
+describe('3D Dispose Lifecycle', () => {
+  let now = 0;
+
+  // Create a chart, show both data sets with frames between, and dispose it
+  function cycle(Chart, data, nextData) {
+    const chart = new Chart(createContainer(), data);
+    chart.isAnimating = false;
+    const frame = () => {
+      now += 10000;
+      chart.tweens.update();
+      chart.renderer.render(chart.scene, chart.camera);
+    };
+
+    frame();
+    chart.setData(nextData);
+    // Halfway, so exiting elements are still on screen
+    now += 300;
+    chart.tweens.update();
+    chart.renderer.render(chart.scene, chart.camera);
+    frame();
+    chart.setData(data);
+    frame();
+    chart.dispose();
+    return chart;
+  }
+
+  beforeAll(() => {
+    stubCanvasContext();
+  });
+
+  beforeEach(() => {
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('renderer.info.memory', () => {
+    it('should return to its baseline after create and dispose cycles', () => {
+      // The first cycle uploads what lives for the whole page, such as three's shared sprite quad
+      CHARTS.forEach(args => cycle(...args));
+      const baseline = { ...memory };
+
+      for (let round = 0; round < 3; round++) {
+        CHARTS.forEach(args => cycle(...args));
+      }
+      expect(memory).toEqual(baseline);
+    });
+
+    it.each(CHARTS.map(args => [args[0].name, ...args]))('should count nothing from a disposed %s', (name, Chart, data, nextData) => {
+      cycle(Chart, data, nextData);
+      const baseline = { ...memory };
+      const chart = new Chart(createContainer(), data);
+      chart.isAnimating = false;
+      chart.renderer.render(chart.scene, chart.camera);
+      expect(memory.geometries).toBeGreaterThan(baseline.geometries);
+      expect(memory.textures).toBeGreaterThan(baseline.textures);
+
+      chart.dispose();
+      expect(memory).toEqual(baseline);
+      expect(chart.resources.size).toBe(0);
+    });
+  });
+
+  describe('resource registry', () => {
+    it('should not grow while the same data is shown again', () => {
+      const chart = new PieChart3D(createContainer(), SHARES);
+      chart.isAnimating = false;
+      now += 10000;
+      chart.tweens.update();
+      const size = chart.resources.size;
+
+      for (let i = 0; i < 5; i++) {
+        chart.setData(SHARES);
+        now += 10000;
+        chart.tweens.update();
+      }
+      expect(chart.resources.size).toBe(size);
+      chart.dispose();
+    });
+
+    it('should free released resources right away', () => {
+      const chart = new BarChart3D(createContainer(), SALES);
+      chart.isAnimating = false;
+      const geometry = chart.track(new (chart.bars[0].geometry.constructor)());
+      const onDispose = vi.fn();
+      geometry.addEventListener('dispose', onDispose);
+
+      chart.release(geometry);
+      expect(onDispose).toHaveBeenCalledTimes(1);
+      expect(chart.resources.has(geometry)).toBe(false);
+      chart.dispose();
+      expect(onDispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should free resources added to the scene without being tracked', () => {
+      const chart = new BarChart3D(createContainer(), SALES);
+      chart.isAnimating = false;
+      const stray = chart.bars[0].clone();
+      stray.geometry = stray.geometry.clone();
+      const onDispose = vi.fn();
+      stray.geometry.addEventListener('dispose', onDispose);
+      chart.scene.add(stray);
+
+      chart.dispose();
+      expect(onDispose).toHaveBeenCalled();
+    });
+
+    it('should keep the network line material until the chart is disposed', () => {
+      const chart = new NetworkGraph3D(createContainer(), GRAPH);
+      chart.isAnimating = false;
+      const onDispose = vi.fn();
+      chart.lineMaterial.addEventListener('dispose', onDispose);
+
+      chart.setData({ ...GRAPH, edges: [{ source: 2, target: 1 }] });
+      expect(onDispose).not.toHaveBeenCalled();
+      chart.dispose();
+      expect(onDispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should dispose the shadow map of the main light', () => {
+      const chart = new BarChart3D(createContainer(), SALES);
+      chart.isAnimating = false;
+      const light = chart.scene.children.find(child => child.castShadow && child.isLight);
+      const shadowDispose = vi.spyOn(light.shadow, 'dispose');
+      chart.dispose();
+      expect(shadowDispose).toHaveBeenCalled();
+    });
+  });
+
+  describe('clearScene', () => {
+    it('should free sprites and lines as well as meshes, keeping lights and grid', () => {
+      const chart = new BarChart3D(createContainer(), SALES);
+      chart.isAnimating = false;
+      chart.renderer.render(chart.scene, chart.camera);
+      const label = chart.labelSprites.get('Jan');
+      const textureDispose = vi.spyOn(label.material.map, 'dispose');
+      const gridlineDispose = vi.spyOn(chart.gridlines.geometry, 'dispose');
+
+      chart.clearScene();
+      expect(textureDispose).toHaveBeenCalled();
+      expect(gridlineDispose).toHaveBeenCalled();
+      expect(chart.scene.children.every(child => child.isLight || child === chart.grid)).toBe(true);
+      expect(chart.grid.parent).toBe(chart.scene);
+      chart.dispose();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * 3D Picking - Unit Tests
+ * Tests hover, click selection and keyboard focus on Three.js visualizations,
+ * with the WebGL renderer replaced by a stand-in
+ */
+
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const { BarChart3D, PieChart3D, NetworkGraph3D } = await import('../../js/three/index.js');
+
+// Grow the bars to full height so the raycaster sees them
+function createBarChart() {
+  const chart = new BarChart3D(createContainer(), {
+    title: 'Sales',
+    labels: ['Books', 'Games', 'Music'],
+    values: [10, 20, 30]
+  });
+  chart.isAnimating = false;
+  chart.bars.forEach((bar, index) => {
+    bar.scale.y = chart.targetHeights[index];
+    bar.position.y = chart.targetHeights[index] / 2;
+  });
+  chart.scene.updateMatrixWorld(true);
+  return chart;
+}
+
+// Viewport position of an object's centre
+function screenPosition(chart, object) {
+  const position = object.getWorldPosition(new THREE.Vector3()).project(chart.camera);
+  return { clientX: ((position.x + 1) / 2) * 400, clientY: ((1 - position.y) / 2) * 300 };
+}
+
+function pointer(type, position) {
+  return new MouseEvent(type, { bubbles: true, ...position });
+}
+
+function key(name) {
+  return new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true });
+}
+
+describe('3D Picking', () => {
+  let chart = null;
+
+  beforeAll(() => {
+    // Label sprites draw text on 2D canvases
+    stubCanvasContext();
+  });
+
+  afterEach(() => {
+    chart?.dispose();
+    chart = null;
+  });
+
+  describe('pointer', () => {
+    it('should pick the bar under the pointer', () => {
+      chart = createBarChart();
+      const { clientX, clientY } = screenPosition(chart, chart.bars[1]);
+      expect(chart.pickAt(clientX, clientY)).toBe(chart.bars[1]);
+      expect(chart.pickAt(1, 1)).toBeNull();
+    });
+
+    it('should highlight and describe the hovered bar', () => {
+      chart = createBarChart();
+      const onHover = vi.fn();
+      chart.on('hover', onHover);
+
+      chart.renderer.domElement.dispatchEvent(pointer('pointermove', screenPosition(chart, chart.bars[2])));
+
+      expect(onHover).toHaveBeenCalledWith({ index: 2, label: 'Music', value: 30, text: 'Music: 30' });
+      expect(chart.tooltip.hidden).toBe(false);
+      expect(chart.tooltip.textContent).toBe('Music: 30');
+      expect(chart.bars[2].material.emissiveIntensity).toBeGreaterThan(0);
+    });
+
+    it('should restore the glow and hide the tooltip when the pointer leaves', () => {
+      chart = createBarChart();
+      const canvas = chart.renderer.domElement;
+      const material = chart.bars[0].material;
+      const original = material.emissive.getHex();
+
+      canvas.dispatchEvent(pointer('pointermove', screenPosition(chart, chart.bars[0])));
+      canvas.dispatchEvent(pointer('pointerleave', {}));
+
+      expect(material.emissive.getHex()).toBe(original);
+      expect(chart.tooltip.hidden).toBe(true);
+    });
+
+    it('should select on click and clear on a click in empty space', () => {
+      chart = createBarChart();
+      const canvas = chart.renderer.domElement;
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+
+      const position = screenPosition(chart, chart.bars[0]);
+      canvas.dispatchEvent(pointer('pointerdown', position));
+      canvas.dispatchEvent(pointer('click', position));
+      expect(onSelect).toHaveBeenLastCalledWith(expect.objectContaining({ label: 'Books', value: 10 }));
+      expect(chart.selected).toBe(chart.bars[0]);
+
+      canvas.dispatchEvent(pointer('click', { clientX: 1, clientY: 1 }));
+      expect(onSelect).toHaveBeenLastCalledWith(null);
+    });
+
+    it('should not select at the end of an orbit drag', () => {
+      chart = createBarChart();
+      const canvas = chart.renderer.domElement;
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+
+      const position = screenPosition(chart, chart.bars[0]);
+      canvas.dispatchEvent(pointer('pointerdown', { clientX: position.clientX - 40, clientY: position.clientY }));
+      canvas.dispatchEvent(pointer('click', position));
+      expect(onSelect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('keyboard', () => {
+    it('should make the canvas focusable', () => {
+      chart = createBarChart();
+      expect(chart.renderer.domElement.tabIndex).toBe(0);
+      expect(chart.renderer.domElement.getAttribute('role')).toBe('application');
+    });
+
+    it('should step through the data with the arrow keys and wrap around', () => {
+      chart = createBarChart();
+      const canvas = chart.renderer.domElement;
+      const onFocus = vi.fn();
+      chart.on('focus', onFocus);
+
+      canvas.dispatchEvent(key('ArrowRight'));
+      expect(chart.focused).toBe(chart.bars[0]);
+      expect(chart.tooltip.textContent).toBe('Books: 10');
+
+      canvas.dispatchEvent(key('ArrowLeft'));
+      expect(chart.focused).toBe(chart.bars[2]);
+      canvas.dispatchEvent(key('ArrowRight'));
+      expect(chart.focused).toBe(chart.bars[0]);
+      canvas.dispatchEvent(key('End'));
+      expect(onFocus).toHaveBeenLastCalledWith(expect.objectContaining({ label: 'Music' }));
+    });
+
+    it('should select with Enter and clear with Escape', () => {
+      chart = createBarChart();
+      const canvas = chart.renderer.domElement;
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+
+      canvas.dispatchEvent(key('Home'));
+      canvas.dispatchEvent(key('Enter'));
+      expect(onSelect).toHaveBeenLastCalledWith(expect.objectContaining({ label: 'Books' }));
+
+      canvas.dispatchEvent(key('Escape'));
+      expect(onSelect).toHaveBeenLastCalledWith(null);
+      expect(chart.focused).toBeNull();
+      expect(chart.tooltip.hidden).toBe(true);
+    });
+
+    it('should keep handled keys from reaching page shortcuts', () => {
+      chart = createBarChart();
+      const arrow = key('ArrowRight');
+      const letter = key('b');
+      chart.renderer.domElement.dispatchEvent(arrow);
+      chart.renderer.domElement.dispatchEvent(letter);
+
+      expect(arrow.defaultPrevented).toBe(true);
+      expect(letter.defaultPrevented).toBe(false);
+    });
+
+    it('should name the chart when focused', () => {
+      chart = createBarChart();
+      chart.renderer.domElement.dispatchEvent(new FocusEvent('focus'));
+      expect(chart.renderer.domElement.getAttribute('aria-label')).toMatch(/^Sales\. Use the arrow keys/);
+    });
+  });
+
+  describe('item details', () => {
+    it('should describe pie segments with their share', () => {
+      chart = new PieChart3D(createContainer(), {
+        data: [{ name: 'Chrome', value: 3000 }, { name: 'Safari', value: 1000 }]
+      });
+      expect(chart.getItemInfo(chart.getPickables()[0]).text).toBe('Chrome: 3,000 (75.0%)');
+    });
+
+    it('should describe network nodes by their connections', () => {
+      chart = new NetworkGraph3D(createContainer(), {
+        title: 'Team',
+        nodes: [
+          { id: 0, label: 'Ada', size: 0.3, x: 0, y: 0, z: 0 },
+          { id: 1, label: 'Grace', size: 0.3, x: 2, y: 0, z: 0 },
+          { id: 2, label: 'Linus', size: 0.3, x: 0, y: 2, z: 0 }
+        ],
+        edges: [{ source: 0, target: 1 }, { source: 0, target: 2 }]
+      });
+      const [ada, grace] = chart.getPickables();
+      expect(chart.getItemInfo(ada).text).toBe('Ada: 2 connections');
+      expect(chart.getItemInfo(grace).text).toBe('Grace: 1 connection');
+    });
+  });
+
+  describe('dispose', () => {
+    it('should remove the tooltip and stop listening', () => {
+      chart = createBarChart();
+      const container = chart.container;
+      const canvas = chart.renderer.domElement;
+      const onFocus = vi.fn();
+      chart.on('focus', onFocus);
+
+      chart.dispose();
+      chart = null;
+      canvas.dispatchEvent(key('ArrowRight'));
+
+      expect(container.querySelector('.three-tooltip')).toBeNull();
+      expect(onFocus).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * 3D Point Cloud - Unit Tests
+ * Tests large scatter plots drawn as one instanced mesh: encodings, level of
+ * detail, and picking by id colors or, where pixels cannot be read back, by ray
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+// Pixel the stand-in renderer reads back from the picking target
+const readBack = vi.hoisted(() => ({ pixel: [0, 0, 0, 0] }));
+
+vi.mock('three', async (importOriginal) => {
+  const actual = await importOriginal();
+  const { FakeRenderer, mockThree, CONTAINER_WIDTH, CONTAINER_HEIGHT } = await import('../helpers/three.js');
+
+  // Renders into targets and reads back the pixel under the pointer
+  class PickingRenderer extends FakeRenderer {
+    constructor() {
+      super();
+      this.renderTarget = null;
+      this.clearColor = new actual.Color(0x123456);
+      this.clearAlpha = 1;
+    }
+    getSize(target) { return target.set(CONTAINER_WIDTH, CONTAINER_HEIGHT); }
+    getRenderTarget() { return this.renderTarget; }
+    setRenderTarget(target) { this.renderTarget = target; }
+    getClearColor(target) { return target.copy(this.clearColor); }
+    getClearAlpha() { return this.clearAlpha; }
+    setClearColor(color, alpha) { this.clearColor.set(color); this.clearAlpha = alpha; }
+    readRenderTargetPixels(target, x, y, width, height, buffer) { buffer.set(readBack.pixel); }
+  }
+
+  return mockThree(actual, PickingRenderer);
+});
+
+const {
+  ScatterPlot3D, PointCloud, visiblePointCount, LOD_DISTANCE, LOD_MIN_POINTS, sampleColorMap
+} = await import('../../js/three/index.js');
+
+// Points on a 3D grid, with a fourth column counting up
+function gridPoints(count) {
+  return Array.from({ length: count }, (_, i) => [i % 10, Math.floor(i / 10) % 10, Math.floor(i / 100), i]);
+}
+
+// The pixel a point's instance is drawn with in the picking pass
+function idPixel(cloud, index) {
+  const id = cloud.order.indexOf(index) + 1;
+  return [(id >> 16) & 255, (id >> 8) & 255, id & 255, 255];
+}
+
+function pointer(type, clientX = 200, clientY = 150) {
+  return new MouseEvent(type, { bubbles: true, clientX, clientY });
+}
+
+describe('3D Point Cloud', () => {
+  let now = 0;
+  let chart = null;
+
+  function create(data) {
+    chart = new ScatterPlot3D(createContainer(), data);
+    chart.isAnimating = false;
+    settle();
+    return chart;
+  }
+
+  // Run the transitions to their end, as the render loop would
+  function settle() {
+    now += 10000;
+    chart.tweens.update();
+  }
+
+  beforeAll(() => {
+    stubCanvasContext();
+  });
+
+  beforeEach(() => {
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    chart?.dispose();
+    chart = null;
+    readBack.pixel = [0, 0, 0, 0];
+    vi.restoreAllMocks();
+  });
+
+  describe('visiblePointCount', () => {
+    it('should draw every point up close', () => {
+      expect(visiblePointCount(1e6, LOD_DISTANCE)).toBe(1e6);
+    });
+
+    it('should thin out with the square of the distance', () => {
+      expect(visiblePointCount(1e6, LOD_DISTANCE * 2)).toBe(250000);
+    });
+
+    it('should keep a floor of points however far away', () => {
+      expect(visiblePointCount(1e6, 1e4)).toBe(LOD_MIN_POINTS);
+      expect(visiblePointCount(5000, 1e4)).toBe(5000);
+    });
+  });
+
+  describe('PointCloud', () => {
+    const geometry = new THREE.IcosahedronGeometry(1, 0);
+
+    it('should draw an even sample when only part of it is drawn', () => {
+      const cloud = new PointCloud(1000, geometry, new THREE.MeshBasicMaterial());
+      const sample = [...cloud.order.slice(0, 100)];
+      expect(new Set(cloud.order).size).toBe(1000);
+      // Not just the first points of the data
+      expect(sample.filter(index => index >= 500).length).toBeGreaterThan(30);
+      cloud.dispose();
+    });
+
+    it('should grow new points in place, then move them', () => {
+      const cloud = new PointCloud(2, geometry, new THREE.MeshBasicMaterial());
+      const positions = new Float32Array([1, 2, 3, 4, 5, 6]);
+      cloud.setTarget({ positions, scales: new Float32Array([1, 2]), colors: new Float32Array(6) });
+      cloud.applyTransition(0.5);
+      expect(cloud.positionOf(1).toArray()).toEqual([4, 5, 6]);
+      expect(cloud.scales[1]).toBe(1);
+
+      cloud.setTarget({ positions: new Float32Array(6), scales: new Float32Array([1, 2]), colors: new Float32Array(6) });
+      cloud.applyTransition(1);
+      expect(cloud.positionOf(1).toArray()).toEqual([0, 0, 0]);
+      // The instance matrix carries the scale and position
+      const matrix = new THREE.Matrix4();
+      cloud.mesh.getMatrixAt(cloud.order.indexOf(1), matrix);
+      expect(new THREE.Vector3().setFromMatrixScale(matrix).x).toBeCloseTo(2);
+      cloud.dispose();
+    });
+  });
+
+  describe('ScatterPlot3D', () => {
+    it('should draw large data as one instanced mesh', () => {
+      create({ title: 'Many', data: gridPoints(3000) });
+      expect(chart.points).toHaveLength(0);
+      expect(chart.cloud.count).toBe(3000);
+      expect(chart.cloud.mesh.isInstancedMesh).toBe(true);
+      expect(chart.scene.children.filter(child => child.isMesh && !child.isInstancedMesh && child.visible))
+        .toHaveLength(0);
+    });
+
+    it('should place points by their own z', () => {
+      create({ data: gridPoints(3000) });
+      const last = chart.cloud.positionOf(2999);
+      expect(last.z).toBeCloseTo(4);
+      expect(chart.cloud.positionOf(0).z).toBeCloseTo(-4);
+    });
+
+    it('should lay points without a z flat and keep z through updates', () => {
+      create({ data: gridPoints(3000).map(([x, y]) => [x, y]) });
+      expect(chart.rows[5][2]).toBe(0);
+      expect(chart.cloud.positionOf(5).z).toBe(0);
+
+      chart.setData({ data: gridPoints(3000) });
+      settle();
+      chart.setData({ data: gridPoints(3000).map(([x, y]) => [x, y]) });
+      expect(chart.rows[2999][2]).toBe(29);
+    });
+
+    it('should size and color points by the encoded columns', () => {
+      create({ data: gridPoints(3000), encoding: { color: 2, size: 3 }, colorMap: 'grayscale' });
+      const { scales, colors } = chart.cloud;
+      expect(scales[2999] / scales[0]).toBeCloseTo(4);
+
+      const low = sampleColorMap('grayscale', 0);
+      expect([...colors.slice(0, 3)].map(c => c.toFixed(3))).toEqual(low.toArray().map(c => c.toFixed(3)));
+    });
+
+    it('should draw fewer points zoomed out and all of them up close', () => {
+      create({ data: gridPoints(30000) });
+      chart.camera.position.set(0, 0, 80);
+      chart.update();
+      expect(chart.cloud.visibleCount).toBe(LOD_MIN_POINTS);
+
+      chart.camera.position.set(0, 0, 10);
+      chart.update();
+      expect(chart.cloud.visibleCount).toBe(30000);
+    });
+
+    it('should pick the point whose id is drawn under the pointer', () => {
+      create({ data: gridPoints(3000) });
+      const { renderer, camera } = chart;
+      const onHover = vi.fn();
+      chart.on('hover', onHover);
+      readBack.pixel = idPixel(chart.cloud, 1234);
+
+      renderer.domElement.dispatchEvent(pointer('pointermove'));
+      expect(chart.hovered.index).toBe(1234);
+      expect(onHover).toHaveBeenCalledWith(expect.objectContaining({ index: 1234, text: 'Point 1235: x 4, y 3, z 12' }));
+
+      // The renderer and camera are left as they were
+      expect(renderer.getRenderTarget()).toBeNull();
+      expect(renderer.clearColor.getHex()).toBe(0x123456);
+      expect(camera.view?.enabled ?? false).toBe(false);
+    });
+
+    it('should pick nothing where no point is drawn', () => {
+      create({ data: gridPoints(3000) });
+      chart.renderer.domElement.dispatchEvent(pointer('pointermove'));
+      expect(chart.hovered).toBeNull();
+    });
+
+    it('should mark the selected point', () => {
+      create({ data: gridPoints(3000) });
+      readBack.pixel = idPixel(chart.cloud, 42);
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+
+      chart.renderer.domElement.dispatchEvent(pointer('click'));
+      expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({ index: 42, value: [2, 4, 0, 42] }));
+      const { selected } = chart.markers;
+      expect(selected.visible).toBe(true);
+      expect(selected.position.toArray()).toEqual(chart.cloud.positionOf(42).toArray());
+
+      chart.select(null);
+      expect(selected.visible).toBe(false);
+    });
+
+    it('should pick by ray when the renderer cannot read pixels', () => {
+      create({ data: gridPoints(3000) });
+      chart.renderer.readRenderTargetPixels = undefined;
+      chart.camera.updateMatrixWorld();
+
+      const position = chart.cloud.positionOf(999).project(chart.camera);
+      chart.renderer.domElement.dispatchEvent(pointer('pointermove', ((position.x + 1) / 2) * 400, ((1 - position.y) / 2) * 300));
+      // The nearest point along that ray
+      const hit = chart.cloud.positionOf(chart.hovered.index).project(chart.camera);
+      expect(hit.x).toBeCloseTo(position.x, 1);
+      expect(hit.y).toBeCloseTo(position.y, 1);
+    });
+
+    it('should switch between spheres and the cloud as the data grows and shrinks', () => {
+      create({ data: [[0, 0, 0], [1, 1, 1]] });
+      const [sphere] = chart.points;
+
+      chart.setData({ data: gridPoints(3000) });
+      settle();
+      expect(chart.scene.children).not.toContain(sphere);
+      const { cloud } = chart;
+      const dispose = vi.spyOn(cloud, 'dispose');
+
+      chart.setData({ data: [[0, 0, 0], [1, 1, 1]] });
+      expect(dispose).toHaveBeenCalled();
+      expect(chart.cloud).toBeNull();
+      expect(chart.scene.children).not.toContain(cloud.mesh);
+      expect(chart.points).toHaveLength(2);
+    });
+
+    it('should clear highlights on points of a cloud that is replaced', () => {
+      create({ data: gridPoints(3000) });
+      chart.select(chart.getPickables()[10]);
+      chart.setData({ data: gridPoints(4000) });
+      expect(chart.selected).toBeNull();
+    });
+
+    it('should free the cloud on dispose', () => {
+      create({ data: gridPoints(3000) });
+      const dispose = vi.spyOn(chart.cloud, 'dispose');
+      chart.dispose();
+      chart = null;
+      expect(dispose).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * 3D Themes - Unit Tests
+ * Tests how the Three.js charts and their 2D stand-in restyle in place for a new theme,
+ * with the WebGL renderer and ECharts replaced by stand-ins
+ */
+
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+// Records options instead of drawing
+vi.mock('echarts', () => ({
+  init: vi.fn(() => ({
+    option: null,
+    on() {},
+    setOption(option) { this.option = option; },
+    resize: vi.fn(),
+    dispose: vi.fn()
+  }))
+}));
+
+const { BarChart3D, PieChart3D, NetworkGraph3D, FallbackChart2D } = await import('../../js/three/index.js');
+const { BUILT_IN_THEMES, createTheme } = await import('../../js/theme/index.js');
+
+const { light, dark } = BUILT_IN_THEMES;
+const hex = color => `#${color.getHexString()}`;
+
+describe('3D Themes', () => {
+  // Colors text is drawn in, by text
+  let textColors = {};
+
+  beforeAll(() => {
+    stubCanvasContext({ fillText(text) { textColors[text] = this.fillStyle; } });
+  });
+
+  afterEach(() => {
+    textColors = {};
+  });
+
+  describe('charts', () => {
+    let chart = null;
+
+    function create(Chart, data, theme) {
+      chart = new Chart(createContainer(), data, theme && { theme });
+      chart.isAnimating = false;
+      return chart;
+    }
+
+    afterEach(() => {
+      chart?.dispose();
+      chart = null;
+    });
+
+    it('should be dark by default', () => {
+      create(BarChart3D, { title: 'Sales', labels: ['a'], values: [1] });
+      expect(hex(chart.scene.background)).toBe(dark.colors.surface);
+      expect(textColors.Sales).toBe(dark.colors.text);
+    });
+
+    it('should draw in the theme it is given', () => {
+      create(BarChart3D, { title: 'Sales', labels: ['a', 'b'], values: [1, 2] }, light);
+      expect(hex(chart.scene.background)).toBe(light.colors.surface);
+      expect(chart.bars.map(bar => hex(bar.material.color))).toEqual(light.palette.slice(0, 2));
+      expect(textColors.a).toBe(light.colors.text);
+    });
+
+    it('should restyle bars, labels and axes in place', () => {
+      create(BarChart3D, { title: 'Sales', labels: ['a', 'b'], values: [10, 40] });
+      const bars = chart.bars;
+      const ocean = createTheme({ name: 'ocean', base: 'dark', palette: ['#268bd2'], colors: { text: '#eee8d5' } });
+      textColors = {};
+
+      chart.setTheme(ocean);
+      expect(chart.bars).toBe(bars);
+      // One palette color for every bar
+      expect(bars.map(bar => hex(bar.material.color))).toEqual(['#268bd2', '#268bd2']);
+      expect(textColors).toMatchObject({ Sales: '#eee8d5', a: '#eee8d5', 40: ocean.colors.textMuted });
+      expect(hex(chart.gridlines.material.color)).toBe(ocean.colors.axis);
+    });
+
+    it('should redraw the grid for the theme and free the old one', () => {
+      create(BarChart3D, { labels: ['a'], values: [1] });
+      const grid = chart.grid;
+      const dispose = vi.spyOn(grid.geometry, 'dispose');
+
+      chart.setTheme(light);
+      expect(grid.parent).toBeNull();
+      expect(dispose).toHaveBeenCalled();
+      expect(chart.grid.parent).toBe(chart.scene);
+    });
+
+    it('should do nothing for the theme it has', () => {
+      create(BarChart3D, { labels: ['a'], values: [1] });
+      const grid = chart.grid;
+      chart.setTheme(dark);
+      expect(chart.grid).toBe(grid);
+    });
+
+    it('should recolor pie segments, the center and the legend', () => {
+      create(PieChart3D, { data: [{ name: 'A', value: 1 }, { name: 'B', value: 3 }] });
+      const legend = chart.legend;
+
+      chart.setTheme(BUILT_IN_THEMES['high-contrast']);
+      expect(hex(chart.segments[1].material.color)).toBe('#00ffff');
+      expect(hex(chart.center.material.color)).toBe('#000000');
+      expect(chart.legend).not.toBe(legend);
+      expect(legend.parent).toBeNull();
+      expect(chart.legend.userData.items.map(item => hex(item.color))).toEqual(['#ffff00', '#00ffff']);
+    });
+
+    it('should draw network edges in the primary color', () => {
+      create(NetworkGraph3D);
+      expect(hex(chart.lineMaterial.color)).toBe(dark.colors.primary);
+      const legend = chart.legend;
+
+      chart.setTheme(light);
+      expect(hex(chart.lineMaterial.color)).toBe(light.colors.primary);
+      // Redrawn with the same groups in the new label color
+      expect(chart.legend).not.toBe(legend);
+      expect(chart.legend.userData.items).toEqual(legend.userData.items);
+      expect(textColors.Design).toBe(light.colors.textMuted);
+    });
+  });
+
+  describe('FallbackChart2D', () => {
+    it('should restyle the same ECharts instance', () => {
+      const chart = new FallbackChart2D(createContainer(), 'bar', { labels: ['a', 'b'], values: [1, 2] });
+      const instance = chart.chart;
+      expect(instance.option.backgroundColor).toBe(dark.colors.surface);
+
+      chart.setTheme(light);
+      expect(chart.chart).toBe(instance);
+      expect(instance.option.backgroundColor).toBe(light.colors.surface);
+      expect(instance.option.color).toEqual(light.palette);
+      expect(instance.option.series[0].data).toHaveLength(2);
+      chart.dispose();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * 3D Transitions - Unit Tests
+ * Tests the tween group and setData on every Three.js visualization,
+ * with the WebGL renderer replaced by a stand-in and the clock under test control
+ */
+
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { createContainer, stubCanvasContext } from '../helpers/three.js';
+
+vi.mock('three', async (importOriginal) => {
+  const { mockThree } = await import('../helpers/three.js');
+  return mockThree(await importOriginal());
+});
+
+const {
+  ThreeVisualization, BarChart3D, PieChart3D, ScatterPlot3D, NetworkGraph3D, SurfacePlot3D,
+  EASINGS, TweenGroup
+} = await import('../../js/three/index.js');
+
+const SALES = {
+  title: 'Product A',
+  labels: ['Jan', 'Feb', 'Mar'],
+  values: [10, 20, 40]
+};
+
+describe('3D Transitions', () => {
+  let now = 0;
+  let chart = null;
+
+  // Run the transitions to their end, as the render loop would
+  function settle() {
+    now += 10000;
+    chart.tweens.update();
+  }
+
+  function create(Chart, data) {
+    chart = new Chart(createContainer(), data);
+    // Frames are driven by hand
+    chart.isAnimating = false;
+    settle();
+    return chart;
+  }
+
+  beforeAll(() => {
+    // Label sprites draw text on 2D canvases
+    stubCanvasContext();
+  });
+
+  beforeEach(() => {
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    chart?.dispose();
+    chart = null;
+    vi.restoreAllMocks();
+  });
+
+  describe('TweenGroup', () => {
+    it('should report eased progress until the end', async () => {
+      const tweens = new TweenGroup(() => now);
+      const onUpdate = vi.fn();
+      const onComplete = vi.fn();
+      now = 0;
+      const done = tweens.start({ duration: 100, easing: 'linear', onUpdate, onComplete });
+
+      now = 50;
+      tweens.update();
+      expect(onUpdate).toHaveBeenLastCalledWith(0.5);
+      expect(onComplete).not.toHaveBeenCalled();
+
+      now = 150;
+      tweens.update();
+      expect(onUpdate).toHaveBeenLastCalledWith(1);
+      expect(onComplete).toHaveBeenCalledTimes(1);
+      expect(tweens.active).toBe(false);
+      await expect(done).resolves.toBe(true);
+    });
+
+    it('should resolve stopped tweens with false', async () => {
+      const tweens = new TweenGroup(() => now);
+      const onUpdate = vi.fn();
+      const done = tweens.start({ onUpdate });
+
+      tweens.stop();
+      tweens.update();
+
+      expect(onUpdate).not.toHaveBeenCalled();
+      await expect(done).resolves.toBe(false);
+    });
+
+    it('should start and end every easing at 0 and 1', () => {
+      Object.values(EASINGS).forEach(ease => {
+        expect(ease(0)).toBeCloseTo(0);
+        expect(ease(1)).toBeCloseTo(1);
+      });
+    });
+
+    it('should reject unknown easings', () => {
+      const tweens = new TweenGroup(() => now);
+      expect(() => tweens.start({ easing: 'wobble' })).toThrow('Unknown easing "wobble".');
+    });
+  });
+
+  describe('BarChart3D', () => {
+    it('should tween existing bars to the new heights', () => {
+      create(BarChart3D, SALES);
+      const [jan, feb, mar] = chart.bars;
+      expect(mar.scale.y).toBeCloseTo(5);
+
+      chart.setData({ ...SALES, values: [40, 20, 10] }, { duration: 100, easing: 'linear' });
+      now += 50;
+      chart.tweens.update();
+      expect(jan.scale.y).toBeCloseTo(3.125);
+      expect(jan.position.y).toBeCloseTo(jan.scale.y / 2);
+
+      settle();
+      expect(chart.bars).toEqual([jan, feb, mar]);
+      expect(jan.scale.y).toBeCloseTo(5);
+      expect(mar.userData.value).toBe(10);
+    });
+
+    it('should grow new bars and remove bars whose label is gone', () => {
+      create(BarChart3D, SALES);
+      const [jan, feb, mar] = chart.bars;
+
+      chart.setData({ title: 'Product A', labels: ['Feb', 'Mar', 'Apr'], values: [20, 40, 30] });
+      const apr = chart.bars[2];
+      expect(chart.bars.slice(0, 2)).toEqual([feb, mar]);
+      expect(apr.scale.y).toBeCloseTo(0.01);
+      expect(chart.scene.children).toContain(jan);
+
+      settle();
+      expect(chart.scene.children).not.toContain(jan);
+      expect(apr.scale.y).toBeCloseTo(3.75);
+      expect(feb.position.x).toBeCloseTo(-1.5);
+      expect([...chart.labelSprites.keys()]).toEqual(['Feb', 'Mar', 'Apr']);
+      expect(chart.labelSprites.get('Apr').position.x).toBeCloseTo(1.5);
+    });
+
+    it('should redraw the title only when it changes', () => {
+      create(BarChart3D, SALES);
+      const title = chart.titleSprite;
+
+      chart.setData({ ...SALES, values: [1, 2, 3] });
+      expect(chart.titleSprite).toBe(title);
+
+      chart.setData({ ...SALES, title: 'Product B' });
+      expect(chart.titleSprite).not.toBe(title);
+      expect(chart.scene.children).not.toContain(title);
+    });
+
+    it('should interrupt a running transition from where it is', async () => {
+      create(BarChart3D, SALES);
+      const first = chart.setData({ ...SALES, labels: ['Jan', 'Feb'], values: [40, 10] }, { duration: 100 });
+      const mar = chart.exiting.values().next().value;
+
+      chart.setData(SALES);
+
+      await expect(first).resolves.toBe(false);
+      // The bar that was leaving is gone, and Mar comes back as a new bar
+      expect(chart.scene.children).not.toContain(mar);
+      expect(chart.bars[2]).not.toBe(mar);
+    });
+
+    it('should keep updateData as an alias', () => {
+      create(BarChart3D, SALES);
+      chart.updateData({ ...SALES, values: [40, 20, 10] });
+      settle();
+      expect(chart.bars[0].scale.y).toBeCloseTo(5);
+    });
+
+    it('should drop the selection when its bar leaves', () => {
+      create(BarChart3D, SALES);
+      const onSelect = vi.fn();
+      chart.on('select', onSelect);
+      chart.select(chart.bars[0]);
+
+      chart.setData({ ...SALES, labels: ['Feb', 'Mar'], values: [20, 40] });
+      settle();
+
+      expect(chart.selected).toBeNull();
+      expect(onSelect).toHaveBeenLastCalledWith(null);
+    });
+  });
+
+  describe('PieChart3D', () => {
+    const SHARES = {
+      title: 'Share',
+      data: [{ name: 'Chrome', value: 3 }, { name: 'Safari', value: 1 }]
+    };
+
+    it('should sweep segments to their new shares', () => {
+      create(PieChart3D, SHARES);
+      const [chrome, safari] = chart.segments;
+      expect(chrome.userData.sweep.angle).toBeCloseTo(Math.PI * 1.5);
+
+      chart.setData({ ...SHARES, data: [{ name: 'Chrome', value: 1 }, { name: 'Safari', value: 1 }] });
+      settle();
+
+      expect(chart.segments).toEqual([chrome, safari]);
+      expect(chrome.userData.sweep.angle).toBeCloseTo(Math.PI);
+      expect(safari.userData.sweep.start).toBeCloseTo(Math.PI);
+      expect(chart.getItemInfo(safari).text).toBe('Safari: 1 (50.0%)');
+    });
+
+    it('should close removed segments and open new ones', () => {
+      create(PieChart3D, SHARES);
+      const [chrome, safari] = chart.segments;
+
+      chart.setData({ ...SHARES, data: [{ name: 'Chrome', value: 1 }, { name: 'Edge', value: 1 }] });
+      const edge = chart.segments[1];
+      expect(edge.userData.sweep.angle).toBe(0);
+
+      settle();
+      expect(chart.scene.children).not.toContain(safari);
+      expect(edge.userData.sweep).toEqual({ start: Math.PI, angle: Math.PI });
+      expect(chart.segments).toEqual([chrome, edge]);
+      expect([...chart.labelSprites.keys()]).toEqual(['Chrome', 'Edge']);
+    });
+  });
+
+  describe('ScatterPlot3D', () => {
+    it('should move points to their new positions and keep their depth', () => {
+      create(ScatterPlot3D, { title: 'Points', data: [[0, 0, 0], [10, 10, 10]] });
+      const [first, second] = chart.points;
+
+      chart.setData({ title: 'Points', data: [[10, 10], [0, 0]] });
+      settle();
+
+      expect(chart.points).toEqual([first, second]);
+      expect(first.position.x).toBeCloseTo(4);
+      expect(first.userData.values).toEqual([10, 10, 0]);
+      expect(first.position.z).toBeCloseTo(-4);
+      expect(second.userData.originalY).toBeCloseTo(-4);
+    });
+
+    it('should grow added points and shrink extra ones away', () => {
+      create(ScatterPlot3D, { title: 'Points', data: [[0, 0, 0], [5, 5, 5], [10, 10, 10]] });
+      const third = chart.points[2];
+
+      chart.setData({ title: 'Points', data: [[0, 0, 0], [10, 10, 10]] });
+      settle();
+      expect(chart.points).toHaveLength(2);
+      expect(chart.scene.children).not.toContain(third);
+      // Points share one geometry, which outlives them
+      expect(chart.points[0].geometry).toBe(third.geometry);
+
+      chart.setData({ title: 'Points', data: [[0, 0, 0], [10, 10, 10], [5, 5, 5]] });
+      expect(chart.points[2].scale.x).toBe(0);
+      settle();
+      expect(chart.points[2].scale.x).toBeCloseTo(1);
+    });
+  });
+
+  describe('NetworkGraph3D', () => {
+    const node = (id, x) => ({ id, label: `Node ${id}`, size: 0.3, x, y: 0, z: 0 });
+
+    it('should move nodes by id and redraw their edges', () => {
+      create(NetworkGraph3D, {
+        title: 'Team',
+        nodes: [node('a', 0), node('b', 2)],
+        edges: [{ source: 'a', target: 'b' }]
+      });
+      const [a, b] = chart.nodes;
+
+      chart.setData({
+        title: 'Team',
+        nodes: [node('b', 4), node('c', -2), node('a', 0)],
+        edges: [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }]
+      });
+      settle();
+
+      expect(chart.nodes).toEqual([b, expect.anything(), a]);
+      expect(b.position.x).toBe(4);
+      expect(chart.edges).toHaveLength(2);
+      expect(chart.edges[0].geometry.attributes.position.getX(1)).toBe(4);
+      expect(chart.getItemInfo(b).text).toBe('Node b: 2 connections');
+    });
+
+    it('should remove nodes whose id is gone', () => {
+      create(NetworkGraph3D, {
+        title: 'Team',
+        nodes: [node('a', 0), node('b', 2)],
+        edges: [{ source: 'a', target: 'b' }]
+      });
+      const b = chart.nodes[1];
+
+      chart.setData({ title: 'Team', nodes: [node('a', 0)], edges: [] });
+      expect(chart.edges).toHaveLength(0);
+      settle();
+      expect(chart.scene.children).not.toContain(b);
+    });
+  });
+
+  describe('SurfacePlot3D', () => {
+    it('should raise the surface to a new height function', () => {
+      create(SurfacePlot3D, { title: 'Surface' });
+      const positions = chart.mesh.geometry.attributes.position;
+
+      chart.setData({ title: 'Plane', heightFunction: (x) => x / 5 });
+      settle();
+
+      for (let i = 0; i < positions.count; i += 97) {
+        // x / 5 spans -1..1, which is stretched to the full surface height
+        expect(positions.getY(i)).toBeCloseTo((positions.getX(i) / 5) * 2);
+      }
+      expect(chart.wireframe.geometry).toBe(chart.mesh.geometry);
+      expect(chart.describe()).toContain('Plane');
+    });
+  });
+
+  it('should refuse setData on the base class', () => {
+    chart = new ThreeVisualization(createContainer());
+    expect(() => chart.setData({})).toThrow('ThreeVisualization does not support setData.');
+  });
+});
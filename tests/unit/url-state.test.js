@@ -0,0 +1,219 @@
+/**
+ * URL State - Unit Tests
+ * Tests the hash codec, the two-way sync between StateManager and history,
+ * and the 3D camera views kept in storage
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { encodeUrlState, decodeUrlState, UrlStateSync, loadCameraViews, saveCameraViews } from '../../js/state/index.js';
+import { StateManager } from '../../js/utils.js';
+
+const DEFAULTS = {
+  currentDemo: 'basic-charts',
+  chartType: 'line',
+  datasetIndex: 0,
+  threeType: 'bar',
+  camera: null
+};
+
+const OPTIONS = {
+  defaults: DEFAULTS,
+  demos: ['basic-charts', 'voice-demo', '3d-demo'],
+  chartTypes: ['line', 'bar', 'pie'],
+  threeTypes: ['bar', 'surface'],
+  seriesCount: 3
+};
+
+function fakeWindow(hash = '') {
+  const listeners = {};
+  const target = {
+    location: { hash },
+    history: {
+      pushState: vi.fn((_, __, url) => { target.location.hash = url; }),
+      replaceState: vi.fn((_, __, url) => { target.location.hash = url; })
+    },
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    removeEventListener: vi.fn(type => { delete listeners[type]; }),
+    // Simulate the browser moving to another entry
+    navigate: (url) => {
+      target.location.hash = url;
+      return listeners.popstate?.();
+    }
+  };
+  return target;
+}
+
+function createSync(appState, target, onRestore) {
+  return new UrlStateSync(appState, {
+    encode: state => encodeUrlState(state, DEFAULTS),
+    decode: hash => decodeUrlState(hash, OPTIONS),
+    onRestore,
+    pushKeys: ['currentDemo', 'chartType'],
+    target
+  });
+}
+
+describe('URL State', () => {
+  describe('encodeUrlState', () => {
+    it('should leave defaults out but always name the theme', () => {
+      expect(encodeUrlState({ ...DEFAULTS, theme: 'light' }, DEFAULTS)).toBe('#basic-charts?theme=light');
+    });
+
+    it('should encode chart type and series', () => {
+      const hash = encodeUrlState({ ...DEFAULTS, chartType: 'bar', datasetIndex: 2, theme: 'dark' }, DEFAULTS);
+      expect(hash).toBe('#basic-charts?chart=bar&series=2&theme=dark');
+    });
+
+    it('should name built-in themes only, which every recipient has', () => {
+      expect(encodeUrlState({ ...DEFAULTS, theme: 'high-contrast' }, DEFAULTS)).toBe('#basic-charts?theme=high-contrast');
+      expect(encodeUrlState({ ...DEFAULTS, theme: 'ocean' }, DEFAULTS)).toBe('#basic-charts');
+    });
+
+    it('should add the 3D type and rounded camera on the 3D demo only', () => {
+      const camera = { position: [8.123456, 6, -8], target: [0, 0.5, 0] };
+      expect(encodeUrlState({ ...DEFAULTS, currentDemo: '3d-demo', threeType: 'surface', camera }, DEFAULTS))
+        .toBe('#3d-demo?view=surface&cam=8.12,6,-8,0,0.5,0');
+      expect(encodeUrlState({ ...DEFAULTS, threeType: 'surface', camera }, DEFAULTS))
+        .toBe('#basic-charts');
+    });
+  });
+
+  describe('decodeUrlState', () => {
+    it('should round-trip an encoded state', () => {
+      const state = {
+        ...DEFAULTS,
+        currentDemo: '3d-demo',
+        threeType: 'surface',
+        camera: { position: [1, 2, 3], target: [4, 5, 6] },
+        theme: 'dark'
+      };
+      expect(decodeUrlState(encodeUrlState(state, DEFAULTS), OPTIONS)).toEqual(state);
+    });
+
+    it('should read the high-contrast theme', () => {
+      expect(decodeUrlState('#basic-charts?theme=high-contrast', OPTIONS).theme).toBe('high-contrast');
+    });
+
+    it('should fall back to defaults for an empty hash', () => {
+      expect(decodeUrlState('', OPTIONS)).toEqual(DEFAULTS);
+    });
+
+    it('should ignore unknown and malformed values', () => {
+      const state = decodeUrlState('#nope?chart=radar&series=-1&theme=purple&view=cube&cam=1,2', OPTIONS);
+      expect(state).toEqual(DEFAULTS);
+      expect(state).not.toHaveProperty('theme');
+    });
+
+    it('should ignore a series past the last one', () => {
+      expect(decodeUrlState('#basic-charts?series=5', OPTIONS).datasetIndex).toBe(DEFAULTS.datasetIndex);
+      expect(decodeUrlState('#basic-charts?series=3', OPTIONS).datasetIndex).toBe(DEFAULTS.datasetIndex);
+      expect(decodeUrlState('#basic-charts?series=2', OPTIONS).datasetIndex).toBe(2);
+    });
+
+    it('should accept a camera position without a target', () => {
+      expect(decodeUrlState('#3d-demo?cam=1,2,3', OPTIONS).camera).toEqual({
+        position: [1, 2, 3],
+        target: [0, 0, 0]
+      });
+    });
+  });
+
+  describe('UrlStateSync', () => {
+    it('should normalize the URL on start', () => {
+      const target = fakeWindow('#voice-demo?chart=radar');
+      const appState = new StateManager({ ...DEFAULTS, currentDemo: 'voice-demo', theme: 'light' });
+      createSync(appState, target).start();
+
+      expect(target.location.hash).toBe('#voice-demo?theme=light');
+      expect(target.history.pushState).not.toHaveBeenCalled();
+    });
+
+    it('should push navigation changes and replace minor ones', () => {
+      const target = fakeWindow();
+      const appState = new StateManager({ ...DEFAULTS, theme: 'light' });
+      createSync(appState, target).start();
+
+      appState.setState({ chartType: 'bar' });
+      expect(target.history.pushState).toHaveBeenLastCalledWith(null, '', '#basic-charts?chart=bar&theme=light');
+
+      appState.setState({ datasetIndex: 1 });
+      expect(target.history.pushState).toHaveBeenCalledTimes(1);
+      expect(target.location.hash).toBe('#basic-charts?chart=bar&series=1&theme=light');
+    });
+
+    it('should not touch history for state outside the URL', () => {
+      const target = fakeWindow();
+      const appState = new StateManager({ ...DEFAULTS, theme: 'light' });
+      createSync(appState, target).start();
+      target.history.replaceState.mockClear();
+
+      appState.setState({ lastInputSource: 'voice' });
+      expect(target.history.replaceState).not.toHaveBeenCalled();
+    });
+
+    it('should restore state on back/forward without adding entries', async () => {
+      const target = fakeWindow();
+      const appState = new StateManager({ ...DEFAULTS, theme: 'light' });
+      const onRestore = vi.fn(({ theme, ...state }) => appState.setState(state));
+      createSync(appState, target, onRestore).start();
+
+      await target.navigate('#basic-charts?chart=pie&theme=dark');
+
+      expect(onRestore).toHaveBeenCalledWith({ ...DEFAULTS, chartType: 'pie', theme: 'dark' });
+      expect(appState.getState().chartType).toBe('pie');
+      expect(target.history.pushState).not.toHaveBeenCalled();
+    });
+
+    it('should stop listening after stop()', () => {
+      const target = fakeWindow();
+      const appState = new StateManager({ ...DEFAULTS, theme: 'light' });
+      const sync = createSync(appState, target);
+      sync.start();
+      sync.stop();
+
+      appState.setState({ chartType: 'bar' });
+      expect(target.history.pushState).not.toHaveBeenCalled();
+      expect(target.removeEventListener).toHaveBeenCalledWith('popstate', sync.handlePopState);
+    });
+  });
+
+  describe('camera views', () => {
+    const VIEW = { position: [8, 6, 8], target: [0, 0, 0] };
+
+    function fakeStorage(items = {}) {
+      return {
+        getItem: key => items[key] ?? null,
+        setItem: vi.fn((key, value) => { items[key] = value; })
+      };
+    }
+
+    it('should save and load each chart type\'s camera and bookmarks', () => {
+      const storage = fakeStorage();
+      const views = { bar: { camera: VIEW, bookmarks: { Close: { position: [1, 2, 3], target: [0, 1, 0] } } } };
+      saveCameraViews(views, storage);
+      expect(loadCameraViews(storage)).toEqual(views);
+    });
+
+    it('should have no views when none are saved or they cannot be read', () => {
+      expect(loadCameraViews(fakeStorage())).toEqual({});
+      expect(loadCameraViews(fakeStorage({ threeViews: '{oops' }))).toEqual({});
+    });
+
+    it('should drop malformed cameras and bookmarks', () => {
+      const storage = fakeStorage({
+        threeViews: JSON.stringify({
+          pie: { camera: { position: [1, 2] }, bookmarks: { Good: VIEW, Bad: { position: 'x', target: [0, 0, 0] } } }
+        })
+      });
+      expect(loadCameraViews(storage)).toEqual({ pie: { camera: null, bookmarks: { Good: VIEW } } });
+    });
+
+    it('should warn instead of failing when storage is full', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const storage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+      expect(() => saveCameraViews({}, storage)).not.toThrow();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Voice Commands - Unit Tests
+ * Tests the command grammar parser against the shipped English and Finnish grammars
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CommandParser, tokenize } from '../../js/voice/index.js';
+import enGrammar from '../../locales/en/voice-commands.json';
+import fiGrammar from '../../locales/fi/voice-commands.json';
+
+const series = { series: ['Product A', 'Product B', 'Product C'] };
+const bookmarks = { bookmark: ['Front', 'Top', 'Side', 'View 4'] };
+
+describe('Voice Commands', () => {
+  describe('tokenize', () => {
+    it('should lowercase and strip punctuation but keep apostrophes', () => {
+      expect(tokenize("Don't show  Bar!")).toEqual(["don't", 'show', 'bar']);
+    });
+
+    it('should keep Finnish letters', () => {
+      expect(tokenize('Näytä pylväskaavio.')).toEqual(['näytä', 'pylväskaavio']);
+    });
+  });
+
+  describe('English grammar', () => {
+    const parser = new CommandParser(enGrammar);
+
+    it('should expose the recognition language', () => {
+      expect(parser.lang).toBe('en-US');
+    });
+
+    it.each([
+      ['next', 'next', {}],
+      ['please go back', 'previous', {}],
+      ['show bar chart', 'setChartType', { chartType: 'bar' }],
+      ['switch to a donut', 'setChartType', { chartType: 'pie' }],
+      ['reset', 'reset', {}],
+      ['show product B', 'selectSeries', { series: 1 }],
+      ['go to March', 'goToPeriod', { period: 2 }],
+      ['zoom to last three months', 'zoom', { count: 3 }],
+      ['zoom to the last 6 months', 'zoom', { count: 6 }],
+      ['zoom out', 'zoom', {}],
+      ['switch to dark theme', 'setTheme', { theme: 'dark' }],
+      ['high contrast mode', 'setTheme', { theme: 'high-contrast' }],
+      ['describe the chart', 'describe', {}],
+      ['export as CSV', 'export', { format: 'csv' }],
+      ['save as image', 'export', { format: 'png' }],
+      ['export', 'export', {}],
+      ['save this view', 'saveView', {}],
+      ['start the tour', 'tour', { playing: true }],
+      ['stop tour', 'tour', { playing: false }],
+      ['play the chart', 'sonify', { playing: true }],
+      ['stop sound', 'sonify', { playing: false }]
+    ])('should parse "%s"', (transcript, intent, params) => {
+      expect(parser.parse(transcript, series)).toMatchObject({ intent, params });
+    });
+
+    it('should ignore negated commands', () => {
+      expect(parser.parse("don't show bar")).toBeNull();
+      expect(parser.parse('do not reset')).toBeNull();
+    });
+
+    it('should only negate the command that follows the negation', () => {
+      expect(parser.parse("next, don't reset")).toMatchObject({ intent: 'next' });
+    });
+
+    it('should prefer the most specific phrase', () => {
+      expect(parser.parse('switch to light mode')).toMatchObject({
+        intent: 'setTheme',
+        params: { theme: 'light' }
+      });
+    });
+
+    it('should not match words inside other words', () => {
+      expect(parser.parse('barely')).toBeNull();
+    });
+
+    it('should return null for unknown speech', () => {
+      expect(parser.parse('hello there')).toBeNull();
+    });
+
+    it('should match runtime series by full name', () => {
+      const result = parser.parse('highlight north region', {
+        series: ['North Region', 'South Region']
+      });
+      expect(result).toMatchObject({ intent: 'selectSeries', params: { series: 0 } });
+    });
+
+    it('should fly to 3D camera bookmarks by name or number', () => {
+      expect(parser.parse('go to top view', bookmarks)).toMatchObject({ intent: 'flyToView', params: { bookmark: 1 } });
+      expect(parser.parse('fly to view 4', bookmarks)).toMatchObject({ intent: 'flyToView', params: { bookmark: 3 } });
+      expect(parser.parse('view two', bookmarks)).toMatchObject({ intent: 'flyToView', params: { count: 2 } });
+    });
+  });
+
+  describe('Finnish grammar', () => {
+    const parser = new CommandParser(fiGrammar);
+
+    it('should expose the recognition language', () => {
+      expect(parser.lang).toBe('fi-FI');
+    });
+
+    it.each([
+      ['seuraava', 'next', {}],
+      ['näytä pylväskaavio', 'setChartType', { chartType: 'bar' }],
+      ['näytä tuote B', 'selectSeries', { series: 1 }],
+      ['mene maaliskuuhun', 'goToPeriod', { period: 2 }],
+      ['näytä viimeiset kolme kuukautta', 'zoom', { count: 3 }],
+      ['vaihda tummaan teemaan', 'setTheme', { theme: 'dark' }],
+      ['korkean kontrastin teema', 'setTheme', { theme: 'high-contrast' }],
+      ['nollaa', 'reset', {}],
+      ['kuvaile kaavio', 'describe', {}],
+      ['tallenna taulukkona', 'export', { format: 'csv' }],
+      ['vie svg', 'export', { format: 'svg' }],
+      ['näkymä kaksi', 'flyToView', { count: 2 }],
+      ['näkymä top', 'flyToView', { bookmark: 1 }],
+      ['tallenna näkymä', 'saveView', {}],
+      ['lopeta kierros', 'tour', { playing: false }],
+      ['kuuntele kaaviota', 'sonify', { playing: true }],
+      ['lopeta ääni', 'sonify', { playing: false }]
+    ])('should parse "%s"', (transcript, intent, params) => {
+      expect(parser.parse(transcript, { ...series, ...bookmarks })).toMatchObject({ intent, params });
+    });
+
+    it('should ignore negated commands', () => {
+      expect(parser.parse('älä näytä pylväskaavio')).toBeNull();
+    });
+  });
+});
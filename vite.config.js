@@ -1,12 +1,57 @@
 import { defineConfig } from 'vite';
-import { resolve } from 'path';
+import { resolve, join } from 'path';
+import { createReadStream, existsSync, cpSync } from 'fs';
+
+const MEDIAPIPE_WASM_DIR = resolve(__dirname, 'node_modules/@mediapipe/tasks-vision/wasm');
+const MODELS_DIR = resolve(__dirname, 'models');
+
+/**
+ * Serve the MediaPipe WASM runtime from node_modules at /mediapipe/wasm
+ * during development and copy it (plus local models/) into the build output,
+ * so gesture recognition never depends on a CDN.
+ */
+function mediapipeAssets() {
+  return {
+    name: 'mediapipe-assets',
+    configureServer(server) {
+      server.middlewares.use('/mediapipe/wasm', (req, res, next) => {
+        const file = join(MEDIAPIPE_WASM_DIR, req.url.split('?')[0]);
+        if (!file.startsWith(MEDIAPIPE_WASM_DIR) || !existsSync(file)) return next();
+
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript');
+        createReadStream(file).pipe(res);
+      });
+    },
+    closeBundle() {
+      const outDir = resolve(__dirname, 'dist');
+      if (existsSync(MEDIAPIPE_WASM_DIR)) {
+        cpSync(MEDIAPIPE_WASM_DIR, join(outDir, 'mediapipe/wasm'), { recursive: true });
+      }
+      if (existsSync(MODELS_DIR)) {
+        cpSync(MODELS_DIR, join(outDir, 'models'), { recursive: true });
+      }
+    }
+  };
+}
+
+// Cross-origin isolation, which SharedArrayBuffer needs (the CPU particle worker in
+// the WebGPU demo). Every resource is same-origin, so require-corp blocks nothing.
+const crossOriginIsolation = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'require-corp'
+};
 
 export default defineConfig({
+  plugins: [mediapipeAssets()],
   server: {
     port: 3000,
     open: true,
     // localhost is treated as secure context for most Web APIs
-    https: false
+    https: false,
+    headers: crossOriginIsolation
+  },
+  preview: {
+    headers: crossOriginIsolation
   },
   build: {
     outDir: 'dist',